@@ -0,0 +1,511 @@
+/**
+ * Network Mapper - round-trip project CSV.
+ * One CSV file with a section per collection (devices, connections, zones,
+ * VLANs, SSIDs), each starting with a "[Devices]" style marker row. Every row
+ * carries its id, so a file edited in a spreadsheet updates the map in place
+ * instead of importing duplicates. Fields without a column of their own go
+ * into the "Extra" column as JSON so nothing is lost on the way.
+ */
+
+import {
+  types,
+  zoneTypes,
+  zoneTypeFields,
+  linkMedia,
+  escapeCSVCell,
+  tokenizeCSV,
+  normalizeConnectionDetails,
+  syncZoneMembership,
+  insertItem,
+  updateItem,
+  nextCounter,
+  uniqueId,
+  isPlainObject,
+  beginGroup,
+  endGroup,
+  VALID_STATUSES,
+  CONNECTION_TYPES,
+} from './network-mapper-logic.js';
+
+// ─── Columns ────────────────────────────────────────────────────────
+//
+// Column kinds: text (default), bool ("yes"/""), number, position (a number
+// that must stay valid), list and numberList ("a; b"), vms ("web01 (online)")
+// and json. Columns without a key are written for readers and ignored on import.
+
+const col = (header, key, kind = 'text') => ({ header, key, kind });
+
+const DEVICE_COLUMNS = [
+  col('ID', 'id'),
+  col('Type', 'type'),
+  col('Name', 'name'),
+  col('IP Address', 'ip'),
+  col('MAC Address', 'mac'),
+  col('Manufacturer', 'manufacturer'),
+  col('Model', 'model'),
+  col('OS', 'os'),
+  col('Serial Number', 'serial'),
+  col('Ports', 'ports'),
+  col('PoE', 'poe', 'bool'),
+  col('Connection Type', 'connectionType'),
+  col('Download Mbps', 'downloadSpeed'),
+  col('Upload Mbps', 'uploadSpeed'),
+  col('Subnet Mask', 'subnetMask'),
+  col('Default Gateway', 'defaultGateway'),
+  col('VPN Type', 'vpnType'),
+  col('VLAN ID', 'vlan'),
+  col('Status', 'status'),
+  col('Notes', 'notes'),
+  col('X', 'x', 'position'),
+  col('Y', 'y', 'position'),
+  col('Assigned VLANs', 'assignedVlans', 'numberList'),
+  col('SSIDs', 'ssids', 'list'),
+  col('VMs', 'vms', 'vms'),
+  col('Port Map', 'portMap', 'json'),
+  col('Radios', 'radios', 'json'),
+  col('Wireless Association', 'association', 'json'),
+];
+
+const CONNECTION_COLUMNS = [
+  col('ID', 'id'),
+  col('From ID', 'from'),
+  { header: 'From', name: 'from' },
+  col('From Side', 'fromPos'),
+  col('From Port', 'fromPort'),
+  col('To ID', 'to'),
+  { header: 'To', name: 'to' },
+  col('To Side', 'toPos'),
+  col('To Port', 'toPort'),
+  col('Type', 'type'),
+  col('Speed', 'speed'),
+  col('Media', 'media'),
+  col('PoE Watts', 'poeWatts', 'number'),
+  col('LAG', 'lag'),
+  col('Label', 'label'),
+  col('Routing', 'routingStyle'),
+  col('Waypoints', 'waypoints', 'json'),
+];
+
+const ZONE_COLUMNS = [
+  col('ID', 'id'),
+  col('Type', 'type'),
+  col('Name', 'name'),
+  col('X', 'x', 'position'),
+  col('Y', 'y', 'position'),
+  col('Width', 'width', 'position'),
+  col('Height', 'height', 'position'),
+  col('Location', 'location'),
+  col('Connected MDF', 'connectedMDF'),
+  col('Manufacturer', 'manufacturer'),
+  col('Model', 'model'),
+  col('Capacity', 'capacity'),
+  col('Runtime', 'runtime'),
+  col('IP Address', 'ip'),
+  col('Provider', 'provider'),
+  col('Region', 'region'),
+  col('Channels', 'channels'),
+  col('Storage', 'storage'),
+  col('Notes', 'notes'),
+];
+
+const VLAN_COLUMNS = [
+  col('ID', 'id', 'number'),
+  col('Name', 'name'),
+  col('Subnet', 'subnet'),
+  col('Gateway', 'gateway'),
+];
+
+const SSID_COLUMNS = [
+  col('Name', 'name'),
+  col('Security', 'security'),
+  col('VLAN', 'vlan'),
+];
+
+// Written in this order; imported in dependency order (see importProjectCSV)
+const SECTIONS = [
+  { title: 'Devices', collection: 'devices', columns: DEVICE_COLUMNS },
+  { title: 'Connections', collection: 'connections', columns: CONNECTION_COLUMNS },
+  { title: 'Zones', collection: 'zones', columns: ZONE_COLUMNS },
+  { title: 'VLANs', collection: 'vlans', columns: VLAN_COLUMNS },
+  { title: 'SSIDs', collection: 'ssids', columns: SSID_COLUMNS },
+];
+
+// Zone membership is recomputed from positions, like the JSON loader does
+const DERIVED_KEYS = ['zoneId', 'parentZoneId'];
+
+const EXTRA_HEADER = 'Extra';
+
+// ─── Export ─────────────────────────────────────────────────────────
+
+function mediaLabel(value) {
+  return linkMedia[value] || value || '';
+}
+
+function encodeCell(kind, value) {
+  if (value === undefined || value === null) return '';
+  switch (kind) {
+    case 'bool':
+      return value ? 'yes' : '';
+    case 'list':
+    case 'numberList':
+      return Array.isArray(value) ? value.join('; ') : '';
+    case 'vms':
+      return Array.isArray(value) ? value.map((vm) => `${vm.name} (${vm.status || 'online'})`).join('; ') : '';
+    case 'json':
+      return JSON.stringify(value);
+    default:
+      return String(value);
+  }
+}
+
+function extraFields(item, columns) {
+  const known = new Set([...columns.map((c) => c.key).filter(Boolean), ...DERIVED_KEYS]);
+  const extra = Object.fromEntries(Object.entries(item).filter(([key]) => !known.has(key)));
+  return Object.keys(extra).length ? JSON.stringify(extra) : '';
+}
+
+export function exportProjectToCSV(state) {
+  const nameOf = (id) => state.devices.find((d) => d.id === id)?.name || '';
+  const lines = ['# Network Mapper project CSV - keep the ID columns to update the map in place'];
+
+  SECTIONS.forEach(({ title, collection, columns }) => {
+    lines.push('', '[' + title + ']');
+    lines.push([...columns.map((c) => c.header), EXTRA_HEADER].map(escapeCSVCell).join(','));
+    state[collection].forEach((item) => {
+      const cells = columns.map((c) => {
+        if (c.name) return nameOf(item[c.name]);
+        if (c.key === 'media') return mediaLabel(item.media);
+        return encodeCell(c.kind, item[c.key]);
+      });
+      cells.push(extraFields(item, columns));
+      lines.push(cells.map(escapeCSVCell).join(','));
+    });
+  });
+
+  return lines.join('\n') + '\n';
+}
+
+// ─── Parsing ────────────────────────────────────────────────────────
+
+const csvRows = (text) => [...tokenizeCSV(String(text || ''))].map((record) => record.cells);
+
+// Spreadsheets pad rows with empty cells, so only the first cell counts
+const sectionTitle = (row) => row[0]?.match(/^\[(.+)\]$/)?.[1].toLowerCase() || null;
+const isBlankRow = (row) => row.every((c) => c === '');
+
+export function isProjectCSV(text) {
+  return csvRows(text).some((row) =>
+    SECTIONS.some((s) => s.title.toLowerCase() === sectionTitle(row)));
+}
+
+/**
+ * Groups the rows under their section marker. Returns
+ * { devices: { headers, rows }, ... } for the sections present.
+ */
+export function parseProjectCSV(text) {
+  const sections = {};
+  let current = null;
+
+  csvRows(text).forEach((row) => {
+    if (isBlankRow(row) || row[0].startsWith('#')) return;
+    const title = sectionTitle(row);
+    if (title) {
+      const section = SECTIONS.find((s) => s.title.toLowerCase() === title);
+      current = section ? (sections[section.collection] = { headers: null, rows: [] }) : null;
+      return;
+    }
+    if (!current) return;
+    if (!current.headers) {
+      current.headers = row.map((h) => h.toLowerCase());
+    } else {
+      current.rows.push(row);
+    }
+  });
+
+  return sections;
+}
+
+// ─── Import ─────────────────────────────────────────────────────────
+
+function mediaKey(value) {
+  const wanted = value.toLowerCase();
+  return Object.keys(linkMedia).find((k) => k.toLowerCase() === wanted || linkMedia[k].toLowerCase() === wanted);
+}
+
+// undefined means the cell couldn't be read
+function decodeCell(kind, cell) {
+  const items = () => cell.split(';').map((s) => s.trim()).filter(Boolean);
+  switch (kind) {
+    case 'bool':
+      return /^(yes|y|true|1)$/i.test(cell);
+    case 'number': {
+      if (cell === '') return '';
+      const number = Number(cell);
+      return Number.isFinite(number) ? number : undefined;
+    }
+    case 'position': {
+      const number = cell === '' ? NaN : Number(cell);
+      return Number.isFinite(number) ? number : undefined;
+    }
+    case 'list':
+      return items();
+    case 'numberList': {
+      const numbers = items().map(Number);
+      return numbers.every(Number.isInteger) ? numbers : undefined;
+    }
+    case 'vms':
+      return items().map((item) => {
+        const match = item.match(/^(.*?)\s*\((\w+)\)$/);
+        return match ? { name: match[1], status: match[2].toLowerCase() } : { name: item, status: 'online' };
+      });
+    case 'json':
+      try {
+        return JSON.parse(cell);
+      } catch {
+        return undefined;
+      }
+    default:
+      return cell;
+  }
+}
+
+const isEmptyValue = (value) =>
+  value === undefined || value === null || value === '' || value === false ||
+  (Array.isArray(value) && value.length === 0);
+
+/**
+ * Reads one row into { key: value }. Columns removed from the sheet are left
+ * alone, and an empty cell only clears a field that has a value.
+ */
+function readRow(columns, headers, cells, target, label, warnings) {
+  const values = {};
+  const cellFor = (header) => {
+    const index = headers.indexOf(header.toLowerCase());
+    return index === -1 ? undefined : (cells[index] || '');
+  };
+
+  columns.forEach((c) => {
+    if (!c.key || c.key === 'id') return;
+    const cell = cellFor(c.header);
+    if (cell === undefined) return;
+    if (cell === '' && (c.kind === 'position' || c.kind === 'json' || isEmptyValue(target?.[c.key]))) return;
+
+    const value = c.key === 'media' ? (cell === '' ? '' : mediaKey(cell)) : decodeCell(c.kind, cell);
+    if (value === undefined) {
+      warnings.push(`${label}: "${cell}" is not a valid ${c.header}`);
+      return;
+    }
+    values[c.key] = value;
+  });
+
+  const extra = cellFor(EXTRA_HEADER);
+  if (extra) {
+    const parsed = decodeCell('json', extra);
+    if (isPlainObject(parsed)) {
+      DERIVED_KEYS.forEach((key) => delete parsed[key]);
+      Object.assign(values, parsed);
+    } else {
+      warnings.push(`${label}: the ${EXTRA_HEADER} column is not valid JSON and was ignored`);
+    }
+  }
+
+  return values;
+}
+
+// Rows without an id may still name a single existing item
+function findByIdOrName(list, id, name) {
+  if (id) return list.find((item) => item.id === id) || null;
+  const named = name ? list.filter((item) => item.name === name) : [];
+  return named.length === 1 ? named[0] : null;
+}
+
+/**
+ * Merges a project CSV into the map as one undoable step. Rows are matched
+ * by id (or by a unique name when the id cell is empty) and updated in
+ * place; anything else is added. Items missing from the file are kept.
+ * New devices without a position are laid out in a grid from options.origin.
+ * Returns { added, updated, warnings } with per-collection counts, or null
+ * when the text has no project CSV sections.
+ */
+export function importProjectCSV(state, text, options = {}) {
+  const { origin = { x: 0, y: 0 }, spacing = 160 } = options;
+  const sections = parseProjectCSV(text);
+  if (Object.keys(sections).length === 0) return null;
+
+  const counts = () => Object.fromEntries(SECTIONS.map((s) => [s.collection, 0]));
+  const added = counts();
+  const updated = counts();
+  const warnings = [];
+  const rowsOf = (collection) => sections[collection]?.rows || [];
+  const headersOf = (collection) => sections[collection]?.headers || [];
+  const idCell = (collection, row, header = 'id') => row[headersOf(collection).indexOf(header)] || '';
+
+  beginGroup(state, 'Import project CSV');
+
+  rowsOf('vlans').forEach((row, i) => {
+    const label = `VLAN row ${i + 1}`;
+    const id = Number(idCell('vlans', row));
+    if (!Number.isInteger(id) || id < 1 || id > 4094) {
+      warnings.push(`${label} has an invalid id and was skipped`);
+      return;
+    }
+    const vlan = state.vlans.find((v) => v.id === id);
+    const values = readRow(VLAN_COLUMNS, headersOf('vlans'), row, vlan, label, warnings);
+    if (vlan) {
+      if (updateItem(state, 'vlans', vlan, values)) updated.vlans++;
+    } else {
+      insertItem(state, 'vlans', { name: '', subnet: '', gateway: '', ...values, id });
+      added.vlans++;
+    }
+  });
+
+  rowsOf('ssids').forEach((row, i) => {
+    const name = idCell('ssids', row, 'name');
+    if (!name) {
+      warnings.push(`SSID row ${i + 1} has no name and was skipped`);
+      return;
+    }
+    const ssid = state.ssids.find((s) => s.name === name);
+    const values = readRow(SSID_COLUMNS, headersOf('ssids'), row, ssid, `SSID ${name}`, warnings);
+    if (ssid) {
+      if (updateItem(state, 'ssids', ssid, values)) updated.ssids++;
+    } else {
+      insertItem(state, 'ssids', { security: 'WPA2-Personal', vlan: '', ...values, name });
+      added.ssids++;
+    }
+  });
+
+  rowsOf('zones').forEach((row, i) => {
+    const id = idCell('zones', row);
+    const zone = findByIdOrName(state.zones, id, idCell('zones', row, 'name'));
+    const label = `Zone ${idCell('zones', row, 'name') || id || 'row ' + (i + 1)}`;
+    const values = readRow(ZONE_COLUMNS, headersOf('zones'), row, zone, label, warnings);
+    if (values.type !== undefined && !zoneTypes[values.type]) {
+      warnings.push(`${label} has unknown type "${values.type}" and was skipped`);
+      return;
+    }
+    if (zone) {
+      if (updateItem(state, 'zones', zone, values)) updated.zones++;
+    } else if (!values.type) {
+      warnings.push(`${label} has no type and was skipped`);
+    } else {
+      const counter = nextCounter(state, 'zoneCounter');
+      insertItem(state, 'zones', {
+        name: zoneTypes[values.type].name + ' ' + counter,
+        x: origin.x,
+        y: origin.y,
+        width: 200,
+        height: 150,
+        notes: '',
+        ...zoneTypeFields(values.type),
+        ...values,
+        id: id || uniqueId(state, 'zone' + Date.now() + '_' + counter),
+        parentZoneId: '',
+      });
+      added.zones++;
+    }
+  });
+
+  let placed = 0;
+  rowsOf('devices').forEach((row, i) => {
+    const id = idCell('devices', row);
+    const device = findByIdOrName(state.devices, id, idCell('devices', row, 'name'));
+    const label = `Device ${idCell('devices', row, 'name') || id || 'row ' + (i + 1)}`;
+    const values = readRow(DEVICE_COLUMNS, headersOf('devices'), row, device, label, warnings);
+    if (values.type !== undefined && !types[values.type]) {
+      warnings.push(`${label} has unknown type "${values.type}" and was skipped`);
+      return;
+    }
+    if (values.status !== undefined && !VALID_STATUSES.includes(values.status)) {
+      warnings.push(`${label} has unknown status "${values.status}"; kept as online`);
+      values.status = 'online';
+    }
+    if (device) {
+      if (updateItem(state, 'devices', device, values)) updated.devices++;
+      return;
+    }
+    if (!values.type) {
+      warnings.push(`${label} has no type and was skipped`);
+      return;
+    }
+
+    const counter = nextCounter(state, 'counter');
+    const hasPosition = values.x !== undefined && values.y !== undefined;
+    const gridCols = 5;
+    insertItem(state, 'devices', {
+      name: types[values.type].name + ' ' + counter,
+      ip: '',
+      mac: '',
+      status: 'online',
+      vlan: '',
+      notes: '',
+      manufacturer: '',
+      os: '',
+      x: hasPosition ? values.x : origin.x + (placed % gridCols) * spacing,
+      y: hasPosition ? values.y : origin.y + Math.floor(placed / gridCols) * spacing,
+      vms: values.type === 'vmhost' ? [] : null,
+      ...values,
+      id: id || uniqueId(state, 'dev' + Date.now() + '_' + counter),
+      zoneId: '',
+    });
+    if (!hasPosition) placed++;
+    added.devices++;
+  });
+
+  // Endpoints come from the ID columns, or the device names when those are blank
+  const endpoint = (row, idHeader, nameHeader) =>
+    findByIdOrName(state.devices, idCell('connections', row, idHeader), idCell('connections', row, nameHeader));
+
+  // Each connection on the map answers one row at most, so LAG members
+  // between the same two devices stay apart
+  const unmatched = new Set(state.connections);
+  rowsOf('connections').forEach((row, i) => {
+    const id = idCell('connections', row);
+    const label = `Connection ${id || 'row ' + (i + 1)}`;
+    const from = endpoint(row, 'from id', 'from');
+    const to = endpoint(row, 'to id', 'to');
+    if (!from || !to || from === to) {
+      warnings.push(`${label} does not join two devices on the map and was skipped`);
+      return;
+    }
+
+    // Only a blank id cell falls back to the link between the same two devices
+    const conn = state.connections.find((c) => unmatched.has(c) && (id
+      ? c.id === id
+      : (c.from === from.id && c.to === to.id) || (c.from === to.id && c.to === from.id)));
+    unmatched.delete(conn);
+    const values = readRow(CONNECTION_COLUMNS, headersOf('connections'), row, conn, label, warnings);
+    values.from = from.id;
+    values.to = to.id;
+    if (values.type !== undefined && !CONNECTION_TYPES.includes(values.type)) {
+      warnings.push(`${label} has unknown type "${values.type}"; kept as wired`);
+      values.type = 'wired';
+    }
+    // Unknown speeds and media are blanked the same way the connection editor does
+    const details = normalizeConnectionDetails({ ...conn, ...values });
+    Object.keys(values).forEach((key) => {
+      if (key in details) values[key] = details[key];
+    });
+
+    if (conn) {
+      if (updateItem(state, 'connections', conn, values)) updated.connections++;
+    } else {
+      insertItem(state, 'connections', {
+        fromPos: 'bottom',
+        toPos: 'top',
+        type: 'wired',
+        routingStyle: 'curved',
+        waypoints: [],
+        ...details,
+        ...values,
+        id: uniqueId(state, id || 'conn' + Date.now() + '_' + i),
+      });
+      added.connections++;
+    }
+  });
+
+  syncZoneMembership(state);
+  endGroup(state);
+
+  return { added, updated, warnings };
+}
@@ -0,0 +1,538 @@
+/**
+ * Network Mapper - draw.io and Visio export.
+ * Writes the map as a .drawio file (uncompressed mxGraph XML) or a .vsdx
+ * package so it stays editable in those tools: devices become shapes that
+ * carry their properties as shape data, zones become containers, and
+ * connections become connectors glued to the devices they join, keeping
+ * any waypoints the user routed them through.
+ */
+
+import {
+  types as deviceTypes,
+  zoneTypes,
+  linkMedia,
+  computeZoneMembership,
+  calculateBoundingBox,
+  formatConnectionLabel,
+} from './network-mapper-logic.js';
+
+const DEVICE_SIZE = { width: 120, height: 100 };
+const MARGIN = 40;
+
+const STATUS_COLORS = { online: '#22c55e', offline: '#555555', warning: '#f97316', retired: '#555555', decommissioned: '#555555' };
+const CONNECTION_STYLES = {
+  wired: { color: '#ff3b3b', width: 2, dashed: false },
+  wireless: { color: '#c084fc', width: 2, dashed: true },
+  vpn: { color: '#d4a017', width: 3, dashed: true },
+};
+
+// Shape data rows: name is the attribute / row name, label is what the user sees
+const DEVICE_DATA = [
+  { name: 'DeviceID', label: 'Device ID', get: (d) => d.id },
+  { name: 'DeviceType', label: 'Type', get: (d, typeDefs) => typeDefs[d.type]?.name || d.type },
+  { name: 'IPAddress', label: 'IP Address', get: (d) => d.ip },
+  { name: 'MACAddress', label: 'MAC Address', get: (d) => d.mac },
+  { name: 'Manufacturer', label: 'Manufacturer', get: (d) => d.manufacturer },
+  { name: 'Model', label: 'Model', get: (d) => d.model },
+  { name: 'OS', label: 'OS', get: (d) => d.os },
+  { name: 'SerialNumber', label: 'Serial Number', get: (d) => d.serial },
+  { name: 'VLAN', label: 'VLAN ID', get: (d) => d.vlan },
+  { name: 'Status', label: 'Status', get: (d) => d.status },
+  { name: 'Notes', label: 'Notes', get: (d) => d.notes },
+];
+
+const ZONE_DATA = [
+  { name: 'ZoneID', label: 'Zone ID', get: (z) => z.id },
+  { name: 'ZoneType', label: 'Type', get: (z) => zoneTypes[z.type]?.name || z.type },
+  { name: 'Location', label: 'Location', get: (z) => z.location },
+  { name: 'Notes', label: 'Notes', get: (z) => z.notes },
+];
+
+const CONNECTION_DATA = [
+  { name: 'ConnectionID', label: 'Connection ID', get: (c) => c.id },
+  { name: 'ConnectionType', label: 'Type', get: (c) => c.type },
+  { name: 'FromPort', label: 'From Port', get: (c) => c.fromPort },
+  { name: 'ToPort', label: 'To Port', get: (c) => c.toPort },
+  { name: 'Speed', label: 'Speed', get: (c) => c.speed },
+  { name: 'Media', label: 'Media', get: (c) => linkMedia[c.media] || c.media },
+  { name: 'Label', label: 'Label', get: (c) => c.label },
+];
+
+// Where each side's connection point sits, as a fraction of the shape from its top-left
+const SIDES = {
+  top: { x: 0.5, y: 0 },
+  right: { x: 1, y: 0.5 },
+  bottom: { x: 0.5, y: 1 },
+  left: { x: 0, y: 0.5 },
+};
+const SIDE_ORDER = ['top', 'right', 'bottom', 'left'];
+
+// ─── Shared layout ──────────────────────────────────────────────────
+
+const text = (value) => (value === undefined || value === null ? '' : String(value));
+
+function escapeXml(value) {
+  return text(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/\n/g, '&#10;');
+}
+
+const round = (n) => Math.round(n * 1000) / 1000;
+
+/**
+ * Everything both formats need: the map moved so its top-left corner sits
+ * at the margin, zones ordered outermost first, and which container each
+ * device and zone belongs to.
+ */
+function layoutDiagram(state, deviceSize) {
+  const devices = state.devices;
+  const zones = state.zones || [];
+  const ids = new Set(devices.map((d) => d.id));
+  const connections = (state.connections || []).filter((c) => ids.has(c.from) && ids.has(c.to));
+
+  const box = devices.length || zones.length
+    ? calculateBoundingBox(devices, zones, () => deviceSize)
+    : { minX: 0, minY: 0, maxX: 0, maxY: 0 };
+  const dx = MARGIN - box.minX;
+  const dy = MARGIN - box.minY;
+  const membership = computeZoneMembership(devices, zones, deviceSize);
+
+  const depth = (zone) => {
+    let n = 0;
+    for (let id = membership.zones[zone.id]; id && n < zones.length; id = membership.zones[id]) n++;
+    return n;
+  };
+  const orderedZones = zones.map((z) => ({ zone: z, depth: depth(z) })).sort((a, b) => a.depth - b.depth).map((e) => e.zone);
+
+  return {
+    devices,
+    zones: orderedZones,
+    connections,
+    membership,
+    deviceSize,
+    width: box.maxX - box.minX + MARGIN * 2,
+    height: box.maxY - box.minY + MARGIN * 2,
+    move: (p) => ({ x: p.x + dx, y: p.y + dy }),
+  };
+}
+
+// ─── draw.io ────────────────────────────────────────────────────────
+
+function drawioAttributes(item, rows, typeDefs) {
+  return rows.map((r) => ` ${r.name}="${escapeXml(r.get(item, typeDefs))}"`).join('');
+}
+
+function drawioStyle(entries) {
+  return Object.entries(entries).map(([k, v]) => (v === '' ? k : k + '=' + v)).join(';') + ';';
+}
+
+function escapeHtmlLabel(value) {
+  return text(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Builds a .drawio file. Devices sit inside the zone that contains them, so
+ * their geometry is relative to that zone; connectors are attached to both
+ * devices at the sides the map uses and keep their waypoints.
+ *
+ * Options: { title, types, deviceSize }. Pass the page's device types when
+ * it has types the shared list doesn't.
+ */
+export function exportToDrawio(state, options = {}) {
+  const typeDefs = options.types || deviceTypes;
+  const layout = layoutDiagram(state, options.deviceSize || DEVICE_SIZE);
+  const { width: w, height: h } = layout.deviceSize;
+  const zoneById = new Map(layout.zones.map((z) => [z.id, z]));
+
+  // draw.io positions children relative to their container
+  const place = (point, parentZoneId) => {
+    const moved = layout.move(point);
+    const parent = zoneById.get(parentZoneId);
+    if (!parent) return moved;
+    const origin = layout.move(parent);
+    return { x: moved.x - origin.x, y: moved.y - origin.y };
+  };
+
+  const cells = [];
+
+  layout.zones.forEach((zone) => {
+    const parentId = layout.membership.zones[zone.id];
+    const pos = place(zone, parentId);
+    const color = zoneTypes[zone.type]?.color || '#888888';
+    const style = drawioStyle({
+      swimlane: '', container: 1, collapsible: 0, startSize: 24, rounded: 1, dashed: 1,
+      fillColor: 'none', strokeColor: color, fontColor: color, fontStyle: 1, align: 'left', spacingLeft: 8,
+    });
+    cells.push(
+      `<object id="${escapeXml(zone.id)}" label="${escapeXml(zone.name)}"${drawioAttributes(zone, ZONE_DATA)}>` +
+      `<mxCell style="${escapeXml(style)}" vertex="1" parent="${escapeXml(parentId || '1')}">` +
+      `<mxGeometry x="${round(pos.x)}" y="${round(pos.y)}" width="${round(zone.width)}" height="${round(zone.height)}" as="geometry"/>` +
+      '</mxCell></object>'
+    );
+  });
+
+  layout.devices.forEach((device) => {
+    const parentId = layout.membership.devices[device.id];
+    const pos = place(device, parentId);
+    const cfg = typeDefs[device.type] || { name: device.type, icon: '' };
+    const label = [
+      (cfg.icon ? cfg.icon + ' ' : '') + '<b>' + escapeHtmlLabel(device.name) + '</b>',
+      escapeHtmlLabel(device.ip || 'No IP'),
+      '<i>' + escapeHtmlLabel(cfg.name) + '</i>',
+    ].join('<br>');
+    const style = drawioStyle({
+      rounded: 1, whiteSpace: 'wrap', html: 1, arcSize: 10,
+      fillColor: '#ffffff', strokeColor: STATUS_COLORS[device.status] || '#555555', strokeWidth: 2,
+    });
+    cells.push(
+      `<object id="${escapeXml(device.id)}" label="${escapeXml(label)}"${drawioAttributes(device, DEVICE_DATA, typeDefs)}>` +
+      `<mxCell style="${escapeXml(style)}" vertex="1" parent="${escapeXml(parentId || '1')}">` +
+      `<mxGeometry x="${round(pos.x)}" y="${round(pos.y)}" width="${w}" height="${h}" as="geometry"/>` +
+      '</mxCell></object>'
+    );
+  });
+
+  layout.connections.forEach((conn) => {
+    const look = CONNECTION_STYLES[conn.type] || CONNECTION_STYLES.wired;
+    const exit = SIDES[conn.fromPos] || SIDES.bottom;
+    const entry = SIDES[conn.toPos] || SIDES.top;
+    const style = {
+      endArrow: 'none', html: 1, rounded: 0,
+      exitX: exit.x, exitY: exit.y, exitDx: 0, exitDy: 0,
+      entryX: entry.x, entryY: entry.y, entryDx: 0, entryDy: 0,
+      strokeColor: look.color, strokeWidth: look.width,
+    };
+    if (look.dashed) style.dashed = 1;
+    if (conn.routingStyle === 'orthogonal') style.edgeStyle = 'orthogonalEdgeStyle';
+    else style.curved = 1;
+
+    // Edges live on the root layer, so their points stay absolute
+    const points = (conn.waypoints || []).map((wp) => {
+      const p = layout.move(wp);
+      return `<mxPoint x="${round(p.x)}" y="${round(p.y)}"/>`;
+    }).join('');
+    cells.push(
+      `<object id="${escapeXml(conn.id)}" label="${escapeXml(formatConnectionLabel(conn))}"${drawioAttributes(conn, CONNECTION_DATA)}>` +
+      `<mxCell style="${escapeXml(drawioStyle(style))}" edge="1" parent="1" source="${escapeXml(conn.from)}" target="${escapeXml(conn.to)}">` +
+      '<mxGeometry relative="1" as="geometry">' +
+      (points ? `<Array as="points">${points}</Array>` : '') +
+      '</mxGeometry></mxCell></object>'
+    );
+  });
+
+  const title = options.title || 'Network Diagram';
+  return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+    '<mxfile host="NetMap Pro" type="device">\n' +
+    `  <diagram id="network" name="${escapeXml(title)}">\n` +
+    `    <mxGraphModel grid="1" gridSize="20" guides="1" connect="1" arrows="1" page="1" pageWidth="${Math.ceil(layout.width)}" pageHeight="${Math.ceil(layout.height)}">\n` +
+    '      <root>\n' +
+    '        <mxCell id="0"/>\n' +
+    '        <mxCell id="1" parent="0"/>\n' +
+    cells.map((c) => '        ' + c + '\n').join('') +
+    '      </root>\n' +
+    '    </mxGraphModel>\n' +
+    '  </diagram>\n' +
+    '</mxfile>\n';
+}
+
+// ─── Visio ──────────────────────────────────────────────────────────
+
+const VISIO_NS = 'http://schemas.microsoft.com/office/visio/2012/main';
+const REL_NS = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+const PX_PER_INCH = 96;
+
+const cell = (name, value, extra = '') => `<Cell N="${name}" V="${escapeXml(value)}"${extra}/>`;
+const inches = (px) => round(px / PX_PER_INCH);
+
+function propertySection(item, rows, typeDefs) {
+  return '<Section N="Property">' + rows.map((r) =>
+    `<Row N="${r.name}">${cell('Value', r.get(item, typeDefs), ' U="STR"')}${cell('Label', r.label)}${cell('Type', 0)}</Row>`
+  ).join('') + '</Section>';
+}
+
+const RECTANGLE = '<Section N="Geometry" IX="0">' +
+  '<Row T="RelMoveTo" IX="1"><Cell N="X" V="0"/><Cell N="Y" V="0"/></Row>' +
+  '<Row T="RelLineTo" IX="2"><Cell N="X" V="1"/><Cell N="Y" V="0"/></Row>' +
+  '<Row T="RelLineTo" IX="3"><Cell N="X" V="1"/><Cell N="Y" V="1"/></Row>' +
+  '<Row T="RelLineTo" IX="4"><Cell N="X" V="0"/><Cell N="Y" V="1"/></Row>' +
+  '<Row T="RelLineTo" IX="5"><Cell N="X" V="0"/><Cell N="Y" V="0"/></Row>' +
+  '</Section>';
+
+// Visio measures up from the bottom of the page
+function visioShapeBox(x, y, width, height, pageHeight) {
+  return cell('PinX', inches(x + width / 2)) +
+    cell('PinY', inches(pageHeight - y - height / 2)) +
+    cell('Width', inches(width)) +
+    cell('Height', inches(height)) +
+    cell('LocPinX', inches(width / 2), ' F="Width*0.5"') +
+    cell('LocPinY', inches(height / 2), ' F="Height*0.5"');
+}
+
+// One row per side, in SIDE_ORDER, so connectors can glue to Connections.X<n>
+function connectionPointSection(width, height) {
+  return '<Section N="Connection">' + SIDE_ORDER.map((side, i) => {
+    const p = SIDES[side];
+    return `<Row IX="${i}">` +
+      cell('X', inches(width * p.x), ` F="Width*${p.x}"`) +
+      cell('Y', inches(height * (1 - p.y)), ` F="Height*${1 - p.y}"`) +
+      '</Row>';
+  }).join('') + '</Section>';
+}
+
+/**
+ * Builds a .vsdx package (returned as a Uint8Array). Options are the same
+ * as exportToDrawio.
+ */
+export function exportToVsdx(state, options = {}) {
+  const typeDefs = options.types || deviceTypes;
+  const layout = layoutDiagram(state, options.deviceSize || DEVICE_SIZE);
+  const { width: w, height: h } = layout.deviceSize;
+  const pageHeight = layout.height;
+
+  let nextId = 1;
+  const sheetIds = new Map();
+  layout.zones.forEach((z) => sheetIds.set(z.id, nextId++));
+  layout.devices.forEach((d) => sheetIds.set(d.id, nextId++));
+  layout.connections.forEach((c) => sheetIds.set(c.id, nextId++));
+  const sheet = (id) => 'Sheet.' + sheetIds.get(id);
+
+  // Container relationships: the zone lists its members (3), each member names its zone (4)
+  const members = new Map();
+  const addMember = (zoneId, id) => {
+    if (!zoneId || !sheetIds.has(zoneId)) return;
+    if (!members.has(zoneId)) members.set(zoneId, []);
+    members.get(zoneId).push(id);
+  };
+  layout.zones.forEach((z) => addMember(layout.membership.zones[z.id], z.id));
+  layout.devices.forEach((d) => addMember(layout.membership.devices[d.id], d.id));
+  const memberOf = (id, zoneId) => (zoneId && sheetIds.has(zoneId)
+    ? cell('Relationships', 0, ` F="SUM(DEPENDSON(4,${sheet(zoneId)}!SheetRef()))"`)
+    : '');
+
+  const shapes = [];
+
+  layout.zones.forEach((zone) => {
+    const pos = layout.move(zone);
+    const color = zoneTypes[zone.type]?.color || '#888888';
+    const listed = members.get(zone.id) || [];
+    shapes.push(
+      `<Shape ID="${sheetIds.get(zone.id)}" NameU="${escapeXml(zone.name)}" Name="${escapeXml(zone.name)}" Type="Shape">` +
+      visioShapeBox(pos.x, pos.y, zone.width, zone.height, pageHeight) +
+      cell('FillPattern', 0) + cell('LineColor', color) + cell('LinePattern', 2) + cell('LineWeight', inches(2)) +
+      cell('VerticalAlign', 0) + cell('Char.Color', color) +
+      (listed.length ? cell('Relationships', 0, ` F="SUM(DEPENDSON(3,${listed.map((id) => sheet(id) + '!SheetRef()').join(',')}))"`) : '') +
+      memberOf(zone.id, layout.membership.zones[zone.id]) +
+      '<Section N="User"><Row N="msvStructureType">' + cell('Value', 'Container', ' U="STR"') + '</Row></Section>' +
+      propertySection(zone, ZONE_DATA) +
+      RECTANGLE +
+      `<Text>${escapeXml(zone.name)}</Text>` +
+      '</Shape>'
+    );
+  });
+
+  layout.devices.forEach((device) => {
+    const pos = layout.move(device);
+    const cfg = typeDefs[device.type] || { name: device.type };
+    shapes.push(
+      `<Shape ID="${sheetIds.get(device.id)}" NameU="${escapeXml(device.name)}" Name="${escapeXml(device.name)}" Type="Shape">` +
+      visioShapeBox(pos.x, pos.y, w, h, pageHeight) +
+      cell('FillForegnd', '#FFFFFF') + cell('LineColor', STATUS_COLORS[device.status] || '#555555') + cell('LineWeight', inches(2)) +
+      cell('Rounding', inches(10)) +
+      memberOf(device.id, layout.membership.devices[device.id]) +
+      connectionPointSection(w, h) +
+      propertySection(device, DEVICE_DATA, typeDefs) +
+      RECTANGLE +
+      `<Text>${escapeXml([device.name, device.ip || 'No IP', cfg.name].join('\n'))}</Text>` +
+      '</Shape>'
+    );
+  });
+
+  const connects = [];
+  layout.connections.forEach((conn) => {
+    const look = CONNECTION_STYLES[conn.type] || CONNECTION_STYLES.wired;
+    const point = (deviceId, side) => {
+      const device = layout.devices.find((d) => d.id === deviceId);
+      const p = SIDES[side];
+      return layout.move({ x: device.x + w * p.x, y: device.y + h * p.y });
+    };
+    const fromSide = SIDES[conn.fromPos] ? conn.fromPos : 'bottom';
+    const toSide = SIDES[conn.toPos] ? conn.toPos : 'top';
+    const begin = point(conn.from, fromSide);
+    const end = point(conn.to, toSide);
+    const waypoints = (conn.waypoints || []).map((wp) => layout.move(wp));
+
+    // A 1-D shape draws in a frame that starts at its begin point and runs
+    // along the line to its end point, so waypoints are rotated into it
+    const bx = begin.x, by = pageHeight - begin.y;
+    const ex = end.x, ey = pageHeight - end.y;
+    const length = Math.hypot(ex - bx, ey - by);
+    const angle = Math.atan2(ey - by, ex - bx);
+    const local = (p) => {
+      const px = p.x - bx, py = (pageHeight - p.y) - by;
+      return {
+        x: px * Math.cos(angle) + py * Math.sin(angle),
+        y: -px * Math.sin(angle) + py * Math.cos(angle),
+      };
+    };
+    const path = [{ x: 0, y: 0 }, ...waypoints.map(local), { x: length, y: 0 }];
+    const fromPoint = 'Connections.X' + (SIDE_ORDER.indexOf(fromSide) + 1);
+    const toPoint = 'Connections.X' + (SIDE_ORDER.indexOf(toSide) + 1);
+    const fromSheet = sheet(conn.from), toSheet = sheet(conn.to);
+    const id = sheetIds.get(conn.id);
+
+    shapes.push(
+      `<Shape ID="${id}" NameU="Dynamic connector.${id}" Name="${escapeXml(formatConnectionLabel(conn) || 'Connection')}" Type="Shape">` +
+      cell('PinX', inches((bx + ex) / 2)) + cell('PinY', inches((by + ey) / 2)) +
+      cell('Width', inches(length)) + cell('Height', 0) +
+      cell('LocPinX', inches(length / 2), ' F="Width*0.5"') + cell('LocPinY', 0, ' F="Height*0.5"') +
+      cell('Angle', round(angle)) +
+      cell('BeginX', inches(bx), ` F="PAR(PNT(${fromSheet}!${fromPoint},${fromSheet}!${fromPoint.replace('X', 'Y')}))"`) +
+      cell('BeginY', inches(by), ` F="PAR(PNT(${fromSheet}!${fromPoint},${fromSheet}!${fromPoint.replace('X', 'Y')}))"`) +
+      cell('EndX', inches(ex), ` F="PAR(PNT(${toSheet}!${toPoint},${toSheet}!${toPoint.replace('X', 'Y')}))"`) +
+      cell('EndY', inches(ey), ` F="PAR(PNT(${toSheet}!${toPoint},${toSheet}!${toPoint.replace('X', 'Y')}))"`) +
+      cell('BegTrigger', 2, ` F="_XFTRIGGER(${fromSheet}!EventXFMod)"`) +
+      cell('EndTrigger', 2, ` F="_XFTRIGGER(${toSheet}!EventXFMod)"`) +
+      cell('ObjType', 2) +
+      cell('ShapeRouteStyle', conn.routingStyle === 'orthogonal' ? 1 : 0) +
+      cell('ConLineRouteExt', conn.routingStyle === 'orthogonal' ? 1 : 2) +
+      cell('LineColor', look.color) + cell('LineWeight', inches(look.width)) + cell('LinePattern', look.dashed ? 2 : 1) +
+      propertySection(conn, CONNECTION_DATA) +
+      '<Section N="Geometry" IX="0">' + cell('NoFill', 1) +
+      path.map((p, i) => `<Row T="${i === 0 ? 'MoveTo' : 'LineTo'}" IX="${i + 1}">${cell('X', inches(p.x))}${cell('Y', inches(p.y))}</Row>`).join('') +
+      '</Section>' +
+      `<Text>${escapeXml(formatConnectionLabel(conn))}</Text>` +
+      '</Shape>'
+    );
+    connects.push(
+      `<Connect FromSheet="${id}" FromCell="BeginX" FromPart="9" ToSheet="${sheetIds.get(conn.from)}" ToCell="${fromPoint}" ToPart="${100 + SIDE_ORDER.indexOf(fromSide)}"/>`,
+      `<Connect FromSheet="${id}" FromCell="EndX" FromPart="12" ToSheet="${sheetIds.get(conn.to)}" ToCell="${toPoint}" ToPart="${100 + SIDE_ORDER.indexOf(toSide)}"/>`
+    );
+  });
+
+  const title = options.title || 'Network Diagram';
+  const xml = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+  const rels = (list) => xml +
+    '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+    list.map(([id, type, target]) => `<Relationship Id="${id}" Type="${type}" Target="${target}"/>`).join('') +
+    '</Relationships>';
+
+  return createZip([
+    ['[Content_Types].xml', xml +
+      '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+      '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+      '<Default Extension="xml" ContentType="application/xml"/>' +
+      '<Override PartName="/visio/document.xml" ContentType="application/vnd.ms-visio.drawing.main+xml"/>' +
+      '<Override PartName="/visio/pages/pages.xml" ContentType="application/vnd.ms-visio.pages+xml"/>' +
+      '<Override PartName="/visio/pages/page1.xml" ContentType="application/vnd.ms-visio.page+xml"/>' +
+      '<Override PartName="/docProps/core.xml" ContentType="application/vnd.openxmlformats-package.core-properties+xml"/>' +
+      '<Override PartName="/docProps/app.xml" ContentType="application/vnd.openxmlformats-officedocument.extended-properties+xml"/>' +
+      '</Types>'],
+    ['_rels/.rels', rels([
+      ['rId1', 'http://schemas.microsoft.com/visio/2010/relationships/document', 'visio/document.xml'],
+      ['rId2', 'http://schemas.openxmlformats.org/package/2006/relationships/metadata/core-properties', 'docProps/core.xml'],
+      ['rId3', 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/extended-properties', 'docProps/app.xml'],
+    ])],
+    ['docProps/core.xml', xml +
+      '<cp:coreProperties xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties" xmlns:dc="http://purl.org/dc/elements/1.1/">' +
+      `<dc:title>${escapeXml(title)}</dc:title><dc:creator>NetMap Pro</dc:creator></cp:coreProperties>`],
+    ['docProps/app.xml', xml +
+      '<Properties xmlns="http://schemas.openxmlformats.org/officeDocument/2006/extended-properties"><Application>NetMap Pro</Application></Properties>'],
+    ['visio/document.xml', xml +
+      `<VisioDocument xmlns="${VISIO_NS}" xmlns:r="${REL_NS}" xml:space="preserve">` +
+      '<StyleSheets><StyleSheet ID="0" NameU="No Style" Name="No Style">' +
+      cell('LineWeight', inches(1)) + cell('LineColor', '#000000') + cell('LinePattern', 1) +
+      cell('FillForegnd', '#FFFFFF') + cell('FillPattern', 1) + cell('VerticalAlign', 1) +
+      '<Section N="Character"><Row IX="0">' + cell('Font', 'Calibri') + cell('Color', '#000000') + cell('Size', round(11 / 72)) + '</Row></Section>' +
+      '</StyleSheet></StyleSheets></VisioDocument>'],
+    ['visio/_rels/document.xml.rels', rels([
+      ['rId1', 'http://schemas.microsoft.com/visio/2010/relationships/pages', 'pages/pages.xml'],
+    ])],
+    ['visio/pages/pages.xml', xml +
+      `<Pages xmlns="${VISIO_NS}" xmlns:r="${REL_NS}" xml:space="preserve">` +
+      `<Page ID="0" NameU="${escapeXml(title)}" Name="${escapeXml(title)}"><PageSheet>` +
+      cell('PageWidth', inches(layout.width)) + cell('PageHeight', inches(layout.height)) +
+      cell('PageScale', 1, ' U="IN_F"') + cell('DrawingScale', 1, ' U="IN_F"') +
+      '</PageSheet><Rel r:id="rId1"/></Page></Pages>'],
+    ['visio/pages/_rels/pages.xml.rels', rels([
+      ['rId1', 'http://schemas.microsoft.com/visio/2010/relationships/page', 'page1.xml'],
+    ])],
+    ['visio/pages/page1.xml', xml +
+      `<PageContents xmlns="${VISIO_NS}" xmlns:r="${REL_NS}" xml:space="preserve">` +
+      '<Shapes>' + shapes.join('') + '</Shapes>' +
+      (connects.length ? '<Connects>' + connects.join('') + '</Connects>' : '') +
+      '</PageContents>'],
+  ]);
+}
+
+// ─── Zip ────────────────────────────────────────────────────────────
+
+let crcTable = null;
+
+function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      crcTable[n] = c >>> 0;
+    }
+  }
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * A stored (uncompressed) zip of [path, text] entries. Office packages only
+ * need the container, and the pages don't load a zip library.
+ */
+export function createZip(entries) {
+  const encoder = new TextEncoder();
+  const files = entries.map(([path, content]) => {
+    const data = typeof content === 'string' ? encoder.encode(content) : content;
+    return { name: encoder.encode(path), data, crc: crc32(data) };
+  });
+
+  const localSize = files.reduce((sum, f) => sum + 30 + f.name.length + f.data.length, 0);
+  const centralSize = files.reduce((sum, f) => sum + 46 + f.name.length, 0);
+  const out = new Uint8Array(localSize + centralSize + 22);
+  const view = new DataView(out.buffer);
+  let offset = 0;
+  const u16 = (v) => { view.setUint16(offset, v, true); offset += 2; };
+  const u32 = (v) => { view.setUint32(offset, v, true); offset += 4; };
+  const bytes = (b) => { out.set(b, offset); offset += b.length; };
+
+  // Fixed 1980-01-01 timestamp keeps the output byte-for-byte repeatable
+  const header = (f) => {
+    u16(20); u16(0x0800); u16(0); u16(0); u16(0x21);
+    u32(f.crc); u32(f.data.length); u32(f.data.length);
+    u16(f.name.length); u16(0);
+  };
+
+  files.forEach((f) => {
+    f.offset = offset;
+    u32(0x04034b50);
+    header(f);
+    bytes(f.name);
+    bytes(f.data);
+  });
+
+  const centralStart = offset;
+  files.forEach((f) => {
+    u32(0x02014b50);
+    u16(20);
+    header(f);
+    u16(0); u16(0); u16(0); u32(0); u32(f.offset);
+    bytes(f.name);
+  });
+
+  const centralLength = offset - centralStart;
+  u32(0x06054b50);
+  u16(0); u16(0); u16(files.length); u16(files.length);
+  u32(centralLength); u32(centralStart);
+  u16(0);
+  return out;
+}
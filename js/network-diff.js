@@ -0,0 +1,388 @@
+/**
+ * Network Mapper - compare and merge saved maps.
+ * diffStates() lists what changed between two versions of a site, e.g. the
+ * map saved at the last visit and the map as re-documented today. Devices
+ * are matched by id first, then by MAC, IP and name, so a map rebuilt from a
+ * fresh scan still lines up with the old one. mergeStates() combines two
+ * edited copies of the same map with their common original.
+ */
+
+import { normalizeMac, formatCount, isPlainObject } from './network-mapper-logic.js';
+
+// Missing, null, '' and empty lists all mean "not filled in"
+const isBlank = (value) => value === undefined || value === null || value === ''
+  || (Array.isArray(value) && value.length === 0) || (isPlainObject(value) && Object.keys(value).length === 0);
+
+const sameValue = (a, b) => (isBlank(a) && isBlank(b)) || JSON.stringify(a) === JSON.stringify(b);
+
+// Layout and derived keys; moving things around the canvas is not a change
+const IGNORED = {
+  devices: ['id', 'x', 'y', 'zoneId'],
+  connections: ['id', 'from', 'to', 'fromPos', 'toPos', 'waypoints', 'routingStyle'],
+  zones: ['id', 'x', 'y', 'width', 'height', 'parentZoneId'],
+  vlans: [],
+  ssids: [],
+};
+
+function fieldChanges(before, after, ignored) {
+  const keys = [...new Set([...Object.keys(before), ...Object.keys(after)])]
+    .filter((key) => !ignored.includes(key));
+  return keys
+    .filter((key) => !sameValue(before[key], after[key]))
+    .map((key) => ({ field: key, before: before[key], after: after[key] }));
+}
+
+// ─── Matching ───────────────────────────────────────────────────────
+
+const DEVICE_KEYS = [
+  ['mac', (d) => normalizeMac(d.mac || '')],
+  ['ip', (d) => String(d.ip || '').trim()],
+  ['name', (d) => String(d.name || '').trim().toLowerCase()],
+];
+
+// Pairs devices of a and b: by id, then by each fallback key in turn
+function matchDevices(before, after) {
+  const pairs = [];
+  const afterById = new Map(after.map((d) => [d.id, d]));
+  const usedAfter = new Set();
+  let unmatched = [];
+  before.forEach((d) => {
+    const other = afterById.get(d.id);
+    if (other) {
+      pairs.push({ before: d, after: other, matchedBy: 'id' });
+      usedAfter.add(other.id);
+    } else {
+      unmatched.push(d);
+    }
+  });
+
+  DEVICE_KEYS.forEach(([matchedBy, keyOf]) => {
+    const byKey = new Map();
+    after.filter((d) => !usedAfter.has(d.id)).forEach((d) => {
+      const key = keyOf(d);
+      if (key && !byKey.has(key)) byKey.set(key, d);
+    });
+    unmatched = unmatched.filter((d) => {
+      const other = byKey.get(keyOf(d));
+      if (!other || usedAfter.has(other.id)) return true;
+      pairs.push({ before: d, after: other, matchedBy });
+      usedAfter.add(other.id);
+      return false;
+    });
+  });
+
+  return { pairs, removed: unmatched, added: after.filter((d) => !usedAfter.has(d.id)) };
+}
+
+// Pairs items by id, then by a fallback key
+function matchByKey(before, after, keyOf) {
+  const pairs = [];
+  const usedAfter = new Set();
+  const afterById = new Map(after.map((item) => [item.id, item]));
+  let unmatched = before.filter((item) => {
+    const other = item.id !== undefined ? afterById.get(item.id) : undefined;
+    if (!other) return true;
+    pairs.push({ before: item, after: other });
+    usedAfter.add(other);
+    return false;
+  });
+  unmatched = unmatched.filter((item) => {
+    const other = after.find((o) => !usedAfter.has(o) && keyOf(o) === keyOf(item));
+    if (!other) return true;
+    pairs.push({ before: item, after: other });
+    usedAfter.add(other);
+    return false;
+  });
+  return { pairs, removed: unmatched, added: after.filter((item) => !usedAfter.has(item)) };
+}
+
+// ─── Diff ───────────────────────────────────────────────────────────
+
+const list = (data, key) => (Array.isArray(data[key]) ? data[key] : []);
+
+const modifiedPairs = (pairs, ignored) => pairs
+  .map((p) => ({ before: p.before, after: p.after, changes: fieldChanges(p.before, p.after, ignored) }))
+  .filter((m) => m.changes.length > 0);
+
+/**
+ * Compares two maps (state objects or saved JSON). Each of devices,
+ * connections, zones, vlans and ssids becomes { added, removed, modified }:
+ * added items come from b, removed from a and modified entries are
+ * { before, after, changes: [{ field, before, after }] }. Device entries
+ * also say how they were matched, and devices.idMap maps every matched id in
+ * a to its id in b. config is a list of changed settings.
+ */
+export function diffStates(a, b) {
+  const deviceMatch = matchDevices(list(a, 'devices'), list(b, 'devices'));
+  const deviceIdMap = new Map(deviceMatch.pairs.map((p) => [p.before.id, p.after.id]));
+  const mapDevice = (id) => deviceIdMap.get(id) || id;
+
+  const zoneMatch = matchByKey(list(a, 'zones'), list(b, 'zones'), (z) => `${z.type}|${String(z.name || '').toLowerCase()}`);
+  const zoneName = (zones, id) => zones.find((z) => z.id === id)?.name || '';
+
+  const devices = {
+    idMap: Object.fromEntries(deviceIdMap),
+    added: deviceMatch.added,
+    removed: deviceMatch.removed,
+    modified: deviceMatch.pairs.map((p) => {
+      const changes = fieldChanges(p.before, p.after, IGNORED.devices);
+      const before = zoneName(list(a, 'zones'), p.before.zoneId);
+      const after = zoneName(list(b, 'zones'), p.after.zoneId);
+      if (before !== after) changes.push({ field: 'zone', before, after });
+      return { before: p.before, after: p.after, matchedBy: p.matchedBy, changes };
+    }).filter((m) => m.changes.length > 0),
+  };
+
+  // Connections line up by id, or else by the devices at both ends
+  const ends = (c) => [c.from, c.to].sort().join('|');
+  const connMatch = matchByKey(
+    list(a, 'connections').map((c) => ({ ...c, from: mapDevice(c.from), to: mapDevice(c.to) })),
+    list(b, 'connections'),
+    ends
+  );
+  const originalConn = new Map(list(a, 'connections').map((c) => [c.id, c]));
+  const connections = {
+    added: connMatch.added,
+    removed: connMatch.removed.map((c) => originalConn.get(c.id) || c),
+    modified: connMatch.pairs.map((p) => {
+      // Drawn the other way round: compare each port with the same device's port
+      const before = p.before.from === p.after.to && p.before.to === p.after.from
+        ? { ...p.before, fromPort: p.before.toPort, toPort: p.before.fromPort }
+        : p.before;
+      return { before: originalConn.get(p.before.id) || p.before, after: p.after, changes: fieldChanges(before, p.after, IGNORED.connections) };
+    }).filter((m) => m.changes.length > 0),
+  };
+
+  const simple = (key, keyOf) => {
+    const match = matchByKey(list(a, key), list(b, key), keyOf);
+    return { added: match.added, removed: match.removed, modified: modifiedPairs(match.pairs, IGNORED[key]) };
+  };
+
+  // Device references in the config follow the device matching
+  const configA = { ...(a.config || {}) };
+  ['dnsServer', 'dhcpDevice'].forEach((key) => {
+    if (configA[key]) configA[key] = mapDevice(configA[key]);
+  });
+  const config = fieldChanges(configA, b.config || {}, []);
+
+  const diff = {
+    devices,
+    connections,
+    zones: { added: zoneMatch.added, removed: zoneMatch.removed, modified: modifiedPairs(zoneMatch.pairs, IGNORED.zones) },
+    vlans: simple('vlans', (v) => String(v.id)),
+    ssids: simple('ssids', (s) => String(s.name || '').toLowerCase()),
+    config,
+  };
+  diff.summary = summarizeDiff(diff);
+  return diff;
+}
+
+const COLLECTIONS = ['devices', 'connections', 'zones', 'vlans', 'ssids'];
+
+export function summarizeDiff(diff) {
+  const count = (kind) => COLLECTIONS.reduce((sum, key) => sum + diff[key][kind].length, 0);
+  const summary = { added: count('added'), removed: count('removed'), modified: count('modified') + (diff.config.length > 0 ? 1 : 0) };
+  summary.total = summary.added + summary.removed + summary.modified;
+  return summary;
+}
+
+// ─── Change log ─────────────────────────────────────────────────────
+
+const FIELD_NAMES = {
+  ip: 'IP Address',
+  mac: 'MAC Address',
+  vlan: 'VLAN',
+  os: 'OS',
+  vms: 'VMs',
+  ssids: 'SSIDs',
+  assignedVlans: 'Assigned VLANs',
+  portMap: 'Port Map',
+  radios: 'Radios',
+  association: 'Wireless Association',
+  poe: 'PoE',
+  poeWatts: 'PoE Watts',
+  lag: 'LAG',
+  dnsServer: 'DNS Server',
+  dnsPrimary: 'Primary DNS',
+  dnsSecondary: 'Secondary DNS',
+  dnsProvider: 'DNS Provider',
+  dhcpType: 'DHCP',
+  dhcpDevice: 'DHCP Server',
+};
+
+const fieldName = (field) => FIELD_NAMES[field]
+  || field.charAt(0).toUpperCase() + field.slice(1).replace(/([a-z])([A-Z])/g, '$1 $2').toLowerCase();
+
+function formatValue(value) {
+  if (isBlank(value)) return '(none)';
+  if (Array.isArray(value)) return value.map((v) => (isPlainObject(v) ? v.name || v.number || JSON.stringify(v) : v)).join(', ');
+  if (isPlainObject(value)) return JSON.stringify(value);
+  return String(value);
+}
+
+const describeChanges = (changes) => changes
+  .map((c) => `${fieldName(c.field)}: ${formatValue(c.before)} → ${formatValue(c.after)}`)
+  .join('; ');
+
+/**
+ * The diff as a change log in the report shape network-report.js renders:
+ * one table per kind of item with Change / Item / Details columns.
+ * options: title, clientName, siteName, author, date, and fromLabel and
+ * toLabel naming the two versions.
+ */
+export function buildChangeLog(diff, before, after, options = {}) {
+  // Looks in the given version first; a removed device only exists in before
+  const deviceName = (data, id) => (list(data, 'devices').find((d) => d.id === id)
+    || list(before, 'devices').find((d) => d.id === id))?.name || id;
+  const connName = (data, c) => `${deviceName(data, c.from)} ↔ ${deviceName(data, c.to)}`;
+  const names = {
+    devices: [(d) => d.name, (d) => d.name],
+    connections: [(c) => connName(before, c), (c) => connName(after, c)],
+    zones: [(z) => z.name, (z) => z.name],
+    vlans: [(v) => `${v.id} - ${v.name || ''}`, (v) => `${v.id} - ${v.name || ''}`],
+    ssids: [(s) => s.name, (s) => s.name],
+  };
+  const titles = { devices: 'Devices', connections: 'Connections', zones: 'Zones', vlans: 'VLANs', ssids: 'SSIDs' };
+
+  const sections = COLLECTIONS.map((key) => {
+    const [oldName, newName] = names[key];
+    const part = diff[key];
+    const rows = [
+      ...part.added.map((item) => ['Added', newName(item), key === 'devices' ? [item.type, item.ip].filter(Boolean).join(', ') : '']),
+      ...part.removed.map((item) => ['Removed', oldName(item), '']),
+      ...part.modified.map((m) => {
+        const renamed = key !== 'connections' && oldName(m.before) !== newName(m.after);
+        return ['Changed', renamed ? `${oldName(m.before)} → ${newName(m.after)}` : newName(m.after), describeChanges(m.changes)];
+      }),
+    ];
+    return { id: key, title: titles[key], columns: ['Change', 'Item', 'Details'], rows, empty: 'No changes.' };
+  });
+
+  // Config device references read better as names
+  const configRows = diff.config.map((c) => {
+    const isDevice = c.field === 'dnsServer' || c.field === 'dhcpDevice';
+    return [
+      fieldName(c.field),
+      formatValue(isDevice && c.before ? deviceName(after, c.before) : c.before),
+      formatValue(isDevice && c.after ? deviceName(after, c.after) : c.after),
+    ];
+  });
+  sections.push({ id: 'config', title: 'Network Configuration', columns: ['Setting', 'Before', 'After'], rows: configRows, empty: 'No changes.' });
+
+  const s = diff.summary;
+  return {
+    title: options.title || 'Change Log',
+    clientName: options.clientName || '',
+    siteName: options.siteName || '',
+    author: options.author || '',
+    date: options.date || new Date().toLocaleDateString(),
+    summary: [
+      ...(options.fromLabel && options.toLabel ? [['Compared', `${options.fromLabel} → ${options.toLabel}`]] : []),
+      ['Added', formatCount(s.added, 'item') + ' added'],
+      ['Removed', formatCount(s.removed, 'item') + ' removed'],
+      ['Changed', formatCount(s.modified, 'item') + ' changed'],
+    ],
+    sections,
+  };
+}
+
+// ─── Three-way merge ────────────────────────────────────────────────
+
+const MERGE_KEYS = {
+  devices: (d) => d.id,
+  connections: (c) => c.id,
+  zones: (z) => z.id,
+  vlans: (v) => String(v.id),
+  ssids: (s) => s.name,
+};
+
+/**
+ * Merges two edited copies of a map with the version both started from.
+ * Items line up by id (VLANs by number, SSIDs by name). A change made in
+ * only one copy is taken; when both changed the same field differently the
+ * preferred copy wins ('ours' unless options.prefer is 'theirs') and the
+ * clash is listed in conflicts. An item deleted in one copy but edited in
+ * the other is kept. Returns { data, conflicts, warnings }; data holds
+ * devices, connections, zones, vlans, ssids and config.
+ */
+export function mergeStates(base, ours, theirs, options = {}) {
+  const preferTheirs = options.prefer === 'theirs';
+  const conflicts = [];
+  const warnings = [];
+
+  const mergeObject = (collection, name, b, o, t) => {
+    const result = {};
+    const keys = [...new Set([...Object.keys(o), ...Object.keys(t), ...Object.keys(b)])];
+    keys.forEach((key) => {
+      let value;
+      if (sameValue(o[key], t[key])) value = o[key];
+      else if (sameValue(o[key], b[key])) value = t[key];
+      else if (sameValue(t[key], b[key])) value = o[key];
+      else {
+        value = preferTheirs ? t[key] : o[key];
+        conflicts.push({ collection, name, field: key, base: b[key], ours: o[key], theirs: t[key] });
+      }
+      if (value !== undefined) result[key] = value;
+    });
+    return result;
+  };
+
+  const data = {};
+  Object.entries(MERGE_KEYS).forEach(([collection, keyOf]) => {
+    const index = (source) => new Map(list(source, collection).map((item) => [keyOf(item), item]));
+    const b = index(base);
+    const o = index(ours);
+    const t = index(theirs);
+    const keys = [...new Set([...o.keys(), ...t.keys(), ...b.keys()])];
+    const merged = [];
+    keys.forEach((key) => {
+      const bi = b.get(key);
+      const oi = o.get(key);
+      const ti = t.get(key);
+      const name = (oi || ti || bi).name || key;
+      if (!oi && !ti) return;
+      if (oi && ti) {
+        merged.push(sameValue(oi, ti) ? oi : mergeObject(collection, name, bi || {}, oi, ti));
+        return;
+      }
+      const kept = oi || ti;
+      if (!bi) {
+        merged.push(kept);
+      } else if (!sameValue(kept, bi)) {
+        // Deleted on one side, edited on the other: keep the edit
+        merged.push(kept);
+        conflicts.push({ collection, name, field: null, base: bi, ours: oi || null, theirs: ti || null });
+      }
+    });
+    data[collection] = merged;
+  });
+
+  data.config = mergeObject('config', 'Network Configuration', base.config || {}, ours.config || {}, theirs.config || {});
+
+  const deviceIds = new Set(data.devices.map((d) => d.id));
+  data.connections = data.connections.filter((c) => {
+    if (deviceIds.has(c.from) && deviceIds.has(c.to)) return true;
+    warnings.push(`Connection ${c.id} was dropped because one of its devices was deleted`);
+    return false;
+  });
+
+  return { data, conflicts, warnings };
+}
+
+const ITEM_NAMES = {
+  devices: 'Device',
+  connections: 'Connection',
+  zones: 'Zone',
+  vlans: 'VLAN',
+  ssids: 'SSID',
+  config: 'Setting',
+};
+
+/** One line per conflict, e.g. "Device FW, Notes: mine "a", theirs "b"". */
+export function describeConflict(conflict) {
+  const item = `${ITEM_NAMES[conflict.collection] || conflict.collection} ${conflict.name}`;
+  if (conflict.field === null) {
+    return `${item}: ${conflict.ours ? 'edited here' : 'deleted here'}, ${conflict.theirs ? 'edited' : 'deleted'} in the other copy; kept`;
+  }
+  return `${item}, ${fieldName(conflict.field)}: mine "${formatValue(conflict.ours)}", theirs "${formatValue(conflict.theirs)}"`;
+}
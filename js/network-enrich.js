@@ -0,0 +1,262 @@
+/**
+ * Network Mapper - DHCP lease and ARP table enrichment.
+ * Reads lease exports (ISC dhcpd.leases, dnsmasq, Windows DHCP CSV) and ARP
+ * tables, matches each address to a device on the map by MAC or IP and fills
+ * in what the device is missing. Addresses that match nothing come back as
+ * CSV-style rows so they can go through the normal device import.
+ */
+
+import {
+  types,
+  parseCSVLine,
+  parseIPv4,
+  formatIPv4,
+  normalizeMac,
+  recordUpdate,
+  beginGroup,
+  endGroup,
+} from './network-mapper-logic.js';
+import { OUI_VENDORS } from './oui-vendors.js';
+
+// ─── Vendor lookup ──────────────────────────────────────────────────
+
+export function lookupVendor(mac) {
+  const normalized = normalizeMac(mac);
+  if (!normalized) return '';
+  return OUI_VENDORS[normalized.slice(0, 8).replace(/:/g, '').toUpperCase()] || '';
+}
+
+// Vendors that only make one kind of thing we draw
+const VENDOR_TYPES = {
+  printer: ['Brother', 'Canon', 'Epson', 'Kyocera', 'Lexmark', 'Ricoh', 'Xerox'],
+  camera: ['Axis', 'Hikvision'],
+  phone: ['Grandstream', 'Polycom', 'Yealink'],
+  nas: ['QNAP', 'Synology'],
+  server: ['Hyper-V', 'Proxmox', 'QEMU/KVM', 'VirtualBox', 'VMware', 'Xen', 'Supermicro'],
+  iot: ['Amazon', 'Google', 'Raspberry Pi', 'Sonos'],
+};
+
+export function guessVendorType(vendor) {
+  const match = Object.entries(VENDOR_TYPES).find(([, vendors]) => vendors.includes(vendor));
+  return match ? match[0] : 'otherendpoint';
+}
+
+// ─── Parsing ────────────────────────────────────────────────────────
+
+const IPV4_PATTERN = /\b(\d{1,3}(?:\.\d{1,3}){3})\b/;
+const MAC_PATTERN = /\b([0-9a-f]{2}(?:[:-][0-9a-f]{2}){5}|[0-9a-f]{4}(?:\.[0-9a-f]{4}){2})\b/i;
+
+function cleanIP(value) {
+  const parsed = parseIPv4(value || '');
+  return parsed === null ? '' : formatIPv4(parsed);
+}
+
+// Every parser returns { ip, mac, name, source }; hostnames lose their domain
+function addressEntry(ip, mac, name, source) {
+  const host = (name || '').trim();
+  return {
+    ip: cleanIP(ip),
+    mac: normalizeMac(mac),
+    name: parseIPv4(host) === null ? host.replace(/\..*$/, '') : '',
+    source,
+  };
+}
+
+// Broadcast and multicast entries show up in every ARP table
+function isUnicastMac(mac) {
+  return mac !== '' && (parseInt(mac.slice(0, 2), 16) & 1) === 0;
+}
+
+/**
+ * ISC dhcpd.leases. A lease can appear several times as it is renewed; the
+ * last block wins, and leases that ended up free or abandoned are dropped.
+ */
+export function parseDhcpdLeases(text) {
+  const byIp = new Map();
+  const pattern = /lease\s+(\S+)\s*\{([\s\S]*?)\}/g;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    const [, ip, body] = match;
+    const binding = body.match(/(?:^|\n)\s*binding state (\w+);/)?.[1];
+    if (binding && binding !== 'active' && binding !== 'static') {
+      byIp.delete(ip);
+      continue;
+    }
+    const mac = body.match(/hardware ethernet ([0-9a-f:]+);/i)?.[1];
+    const name = body.match(/client-hostname "([^"]*)";/)?.[1];
+    byIp.set(ip, addressEntry(ip, mac, name, 'dhcpd'));
+  }
+  return [...byIp.values()].filter((e) => e.ip && e.mac);
+}
+
+// dnsmasq.leases: "<expiry> <mac> <ip> <hostname|*> <client-id|*>"
+export function parseDnsmasqLeases(text) {
+  return text.split(/\r?\n/)
+    .map((line) => line.trim().split(/\s+/))
+    .filter((fields) => fields.length >= 4 && /^\d+$/.test(fields[0]))
+    .map(([, mac, ip, name]) => addressEntry(ip, mac, name === '*' ? '' : name, 'dnsmasq'))
+    .filter((e) => e.ip && e.mac);
+}
+
+// Header names from the DHCP console's Export List and Get-DhcpServerv4Lease
+const LEASE_COLUMNS = {
+  ip: ['clientipaddress', 'ipaddress', 'ip'],
+  mac: ['uniqueid', 'clientid', 'macaddress', 'mac'],
+  name: ['name', 'hostname'],
+};
+
+/**
+ * Windows DHCP lease export, comma or tab separated. Export-Csv's "#TYPE"
+ * line is skipped.
+ */
+export function parseDhcpCsv(text) {
+  const lines = text.split(/\r?\n/).filter((l) => l.trim() && !l.startsWith('#'));
+  if (lines.length < 2) return [];
+
+  const split = lines[0].includes('\t') ? (l) => l.split('\t').map((c) => c.trim()) : parseCSVLine;
+  const headers = split(lines[0]).map((h) => h.toLowerCase().replace(/[^a-z0-9]/g, ''));
+  const column = Object.fromEntries(
+    Object.entries(LEASE_COLUMNS).map(([field, aliases]) => [field, headers.findIndex((h) => aliases.includes(h))])
+  );
+
+  return lines.slice(1).map((line) => {
+    const cells = split(line);
+    const get = (field) => (column[field] === -1 ? '' : cells[column[field]] || '');
+    return addressEntry(get('ip'), get('mac'), get('name'), 'dhcp');
+  }).filter((e) => e.ip || e.mac);
+}
+
+/**
+ * `arp -a` on Windows or Linux, `arp -n` and `ip neigh`: any line holding
+ * both an IPv4 address and a MAC. Linux puts the resolved name first.
+ */
+export function parseArpTable(text) {
+  const rows = [];
+  text.split(/\r?\n/).forEach((line) => {
+    const ip = line.match(IPV4_PATTERN)?.[1];
+    const mac = line.match(MAC_PATTERN)?.[1];
+    if (!ip || !mac) return;
+    const name = line.match(/^\s*([^\s?()]+)\s+\(/)?.[1] || '';
+    const row = addressEntry(ip, mac, name, 'arp');
+    if (row.ip && isUnicastMac(row.mac)) rows.push(row);
+  });
+  return rows;
+}
+
+export function parseAddressTable(text) {
+  const source = String(text || '');
+  if (/^\s*lease\s+\S+\s*\{/m.test(source)) return parseDhcpdLeases(source);
+
+  const first = source.split(/\r?\n/).find((l) => l.trim() && !l.startsWith('#')) || '';
+  if (/^\d{9,}\s+\S+\s+\d/.test(first.trim())) return parseDnsmasqLeases(source);
+  if (/[,\t]/.test(first) && !IPV4_PATTERN.test(first)) return parseDhcpCsv(source);
+  return parseArpTable(source);
+}
+
+// ─── Matching ───────────────────────────────────────────────────────
+
+// Later rows are newer (renewed leases, a second ARP table)
+function mergeEntries(rows) {
+  const merged = new Map();
+  rows.forEach((row) => {
+    const key = row.mac || row.ip;
+    if (!key) return;
+    const existing = merged.get(key);
+    merged.set(key, existing
+      ? { ip: row.ip || existing.ip, mac: row.mac || existing.mac, name: row.name || existing.name, source: row.source }
+      : { ...row });
+  });
+  return [...merged.values()];
+}
+
+// createDeviceData names devices "Switch 3"; a hostname is better than that
+function hasDefaultName(device) {
+  const base = types[device.type]?.name;
+  if (!device.name) return true;
+  return Boolean(base) && device.name.startsWith(base + ' ') && /^\d+$/.test(device.name.slice(base.length + 1));
+}
+
+const formatMac = (mac) => mac.toUpperCase();
+
+function toDeviceRow(entry) {
+  const vendor = lookupVendor(entry.mac);
+  return {
+    type: guessVendorType(vendor),
+    name: entry.name,
+    ipaddress: entry.ip,
+    macaddress: entry.mac ? formatMac(entry.mac) : '',
+    manufacturer: vendor,
+    status: 'online',
+    notes: 'Seen in ' + entry.source + ' table',
+  };
+}
+
+/**
+ * Works out what an address table would change, without changing anything.
+ * Returns { updates, conflicts, unmatched }:
+ *  - updates: [{ device, entry, changes }] blank fields to fill in
+ *  - conflicts: [{ device, entry, field, current, incoming, otherDevice, accept }]
+ *    where the table disagrees with the map; set accept to take the table's value
+ *  - unmatched: CSV-style rows for addresses no device has
+ */
+export function planEnrichment(state, rows) {
+  const plan = { updates: [], conflicts: [], unmatched: [] };
+
+  mergeEntries(rows).forEach((entry) => {
+    const byMac = entry.mac ? state.devices.find((d) => normalizeMac(d.mac) === entry.mac) : null;
+    const byIp = entry.ip ? state.devices.find((d) => cleanIP(d.ip) === entry.ip) : null;
+    const device = byMac || byIp;
+    if (!device) {
+      plan.unmatched.push(toDeviceRow(entry));
+      return;
+    }
+
+    const conflict = (field, current, incoming, otherDevice = null) =>
+      plan.conflicts.push({ device, entry, field, current, incoming, otherDevice, accept: false });
+    const changes = {};
+
+    // The address may belong to another device on the map already
+    const ipOwner = byIp && byIp !== device ? byIp : null;
+    if (entry.ip && (ipOwner || (device.ip && cleanIP(device.ip) !== entry.ip))) {
+      conflict('ip', device.ip, entry.ip, ipOwner);
+    } else if (entry.ip && !device.ip) {
+      changes.ip = entry.ip;
+    }
+
+    if (entry.mac && device.mac && normalizeMac(device.mac) !== entry.mac) {
+      conflict('mac', device.mac, formatMac(entry.mac));
+    } else if (entry.mac && !device.mac) {
+      changes.mac = formatMac(entry.mac);
+    }
+
+    if (entry.name && hasDefaultName(device)) changes.name = entry.name;
+    const vendor = lookupVendor(entry.mac);
+    if (vendor && !device.manufacturer) changes.manufacturer = vendor;
+
+    if (Object.keys(changes).length > 0) plan.updates.push({ device, entry, changes });
+  });
+
+  return plan;
+}
+
+/**
+ * Applies the updates and any accepted conflicts of a plan as one undoable
+ * step. Returns the number of devices changed.
+ */
+export function applyEnrichment(state, plan) {
+  const changed = new Set();
+  const set = (device, key, value) => {
+    recordUpdate(state, 'devices', device.id, key, device[key], value);
+    device[key] = value;
+    changed.add(device.id);
+  };
+
+  beginGroup(state, 'Enrich devices');
+  plan.updates.forEach(({ device, changes }) => {
+    Object.entries(changes).forEach(([key, value]) => set(device, key, value));
+  });
+  plan.conflicts.filter((c) => c.accept).forEach((c) => set(c.device, c.field, c.incoming));
+  endGroup(state);
+
+  return changed.size;
+}
@@ -0,0 +1,205 @@
+/**
+ * Network Mapper - Topology queries over state.connections.
+ * Path tracing, the upstream chain to the internet edge, and the devices
+ * and links whose failure cuts part of the network off.
+ */
+
+// ─── Graph construction ─────────────────────────────────────────────
+
+const GATEWAY_TYPES = ['router', 'firewall'];
+
+const INFRASTRUCTURE_TYPES = ['router', 'firewall', 'switch', 'ap'];
+
+export function isEndpoint(device) {
+  return !!device && !INFRASTRUCTURE_TYPES.includes(device.type);
+}
+
+// Adjacency list keyed by device id: [{ id, connId }]. Links to devices that
+// no longer exist are ignored so a half-broken map still answers queries.
+export function buildGraph(state) {
+  const graph = new Map(state.devices.map((d) => [d.id, []]));
+  state.connections.forEach((c) => {
+    if (!graph.has(c.from) || !graph.has(c.to) || c.from === c.to) return;
+    graph.get(c.from).push({ id: c.to, connId: c.id });
+    graph.get(c.to).push({ id: c.from, connId: c.id });
+  });
+  return graph;
+}
+
+// Every device reachable from startIds, leaving out one device or link
+export function reachable(graph, startIds, skipDevice, skipConn) {
+  const seen = new Set();
+  const queue = startIds.filter((id) => id !== skipDevice && graph.has(id));
+  queue.forEach((id) => seen.add(id));
+  while (queue.length) {
+    const id = queue.shift();
+    graph.get(id).forEach((edge) => {
+      if (edge.connId === skipConn || edge.id === skipDevice || seen.has(edge.id)) return;
+      seen.add(edge.id);
+      queue.push(edge.id);
+    });
+  }
+  return seen;
+}
+
+// ─── Paths ──────────────────────────────────────────────────────────
+
+// Shortest path by hop count. Returns { devices, connections } (ids in
+// order from fromId) or null when the two are not connected.
+export function findPath(state, fromId, toId, graph = buildGraph(state)) {
+  if (!graph.has(fromId) || !graph.has(toId)) return null;
+
+  const previous = new Map([[fromId, null]]);
+  const queue = [fromId];
+  while (queue.length && !previous.has(toId)) {
+    const id = queue.shift();
+    graph.get(id).forEach((edge) => {
+      if (previous.has(edge.id)) return;
+      previous.set(edge.id, { id, connId: edge.connId });
+      queue.push(edge.id);
+    });
+  }
+  if (!previous.has(toId)) return null;
+
+  const devices = [toId];
+  const connections = [];
+  for (let step = previous.get(toId); step; step = previous.get(step.id)) {
+    devices.unshift(step.id);
+    connections.unshift(step.connId);
+  }
+  return { devices, connections };
+}
+
+// Path from a device to the nearest router, falling back to a firewall
+// when the map has no router. A gateway's own chain is just itself.
+export function getUpstreamChain(state, deviceId) {
+  const graph = buildGraph(state);
+  if (!graph.has(deviceId)) return null;
+
+  for (const type of GATEWAY_TYPES) {
+    const paths = state.devices
+      .filter((d) => d.type === type)
+      .map((d) => findPath(state, deviceId, d.id, graph))
+      .filter(Boolean)
+      .sort((a, b) => a.devices.length - b.devices.length);
+    if (paths.length) return paths[0];
+  }
+  return null;
+}
+
+// ─── Articulation points and bridges ────────────────────────────────
+
+// Tarjan's low-link walk. Edges are tracked by connection id so two
+// parallel cables between the same pair are not mistaken for a bridge.
+function lowLink(graph) {
+  const disc = new Map();
+  const low = new Map();
+  const points = new Set();
+  const bridges = [];
+  let time = 0;
+
+  const visit = (id, parentConn) => {
+    disc.set(id, time);
+    low.set(id, time);
+    time++;
+    let children = 0;
+
+    graph.get(id).forEach((edge) => {
+      if (edge.connId === parentConn) return;
+      if (disc.has(edge.id)) {
+        low.set(id, Math.min(low.get(id), disc.get(edge.id)));
+        return;
+      }
+      children++;
+      visit(edge.id, edge.connId);
+      low.set(id, Math.min(low.get(id), low.get(edge.id)));
+      if (parentConn !== null && low.get(edge.id) >= disc.get(id)) points.add(id);
+      if (low.get(edge.id) > disc.get(id)) bridges.push(edge.connId);
+    });
+
+    if (parentConn === null && children > 1) points.add(id);
+  };
+
+  graph.forEach((_, id) => {
+    if (!disc.has(id)) visit(id, null);
+  });
+  return { points, bridges };
+}
+
+export function findArticulationPoints(state) {
+  const graph = buildGraph(state);
+  const { points } = lowLink(graph);
+  return state.devices.filter((d) => points.has(d.id)).map((d) => d.id);
+}
+
+export function findBridges(state) {
+  return lowLink(buildGraph(state)).bridges;
+}
+
+// ─── Failure impact ─────────────────────────────────────────────────
+
+// Devices that lose their way out when a device or link fails. With a
+// router (or failing that, a firewall) on the map that means losing reach
+// to all of them; without one, everything outside the largest surviving
+// piece counts as cut off.
+export function internetEdge(state) {
+  for (const type of GATEWAY_TYPES) {
+    const ids = state.devices.filter((d) => d.type === type).map((d) => d.id);
+    if (ids.length) return ids;
+  }
+  return [];
+}
+
+function isolatedBy(state, graph, skipDevice, skipConn) {
+  const gateways = internetEdge(state);
+  const before = gateways.length ? reachable(graph, gateways) : null;
+
+  if (before) {
+    const after = reachable(graph, gateways, skipDevice, skipConn);
+    return [...before].filter((id) => id !== skipDevice && !after.has(id));
+  }
+
+  const remaining = [...graph.keys()].filter((id) => id !== skipDevice);
+  const pieces = [];
+  const seen = new Set();
+  remaining.forEach((id) => {
+    if (seen.has(id)) return;
+    const piece = reachable(graph, [id], skipDevice, skipConn);
+    piece.forEach((p) => seen.add(p));
+    pieces.push([...piece]);
+  });
+  pieces.sort((a, b) => b.length - a.length);
+  return pieces.slice(1).flat();
+}
+
+/**
+ * Lists articulation points and bridges with what each would cut off.
+ * Links to a single leaf device are left out: losing a desktop's own cable
+ * only affects that desktop and would drown out the real risks.
+ * Returns [{ kind: 'device' | 'connection', id, isolated, endpointsAffected }]
+ * sorted by endpoints affected, most first.
+ */
+export function findSinglePointsOfFailure(state) {
+  const graph = buildGraph(state);
+  const { points, bridges } = lowLink(graph);
+  const byId = new Map(state.devices.map((d) => [d.id, d]));
+  const results = [];
+
+  const describe = (kind, id, isolated) => ({
+    kind,
+    id,
+    isolated,
+    endpointsAffected: isolated.filter((i) => isEndpoint(byId.get(i))).length,
+  });
+
+  points.forEach((id) => {
+    const isolated = isolatedBy(state, graph, id, null);
+    if (isolated.length) results.push(describe('device', id, isolated));
+  });
+  bridges.forEach((connId) => {
+    const isolated = isolatedBy(state, graph, null, connId);
+    if (isolated.length > 1) results.push(describe('connection', connId, isolated));
+  });
+
+  return results.sort((a, b) => (b.endpointsAffected - a.endpointsAffected) || (b.isolated.length - a.isolated.length));
+}
@@ -0,0 +1,370 @@
+/**
+ * Network Mapper - Automatic hierarchical layout.
+ * Arranges devices in tiers (internet edge at the top, endpoints at the
+ * bottom) and orders each tier to reduce crossing connections.
+ */
+
+import {
+  snapToGridValue,
+  beginGroup,
+  endGroup,
+  recordUpdate,
+  computeZoneMembership,
+  syncZoneMembership,
+} from './network-mapper-logic.js';
+
+// ─── Tiers ──────────────────────────────────────────────────────────
+
+export const LAYERS = {
+  edge: 0,
+  firewall: 1,
+  core: 2,
+  access: 3,
+  wireless: 4,
+  endpoint: 5,
+  virtual: 6,
+};
+
+const LAYOUT_DEFAULTS = {
+  spacingX: 160,
+  spacingY: 160,
+  maxPerRow: 12,
+  zonePadding: 40,
+  zoneHeader: 30,
+  deviceSize: { width: 120, height: 100 },
+  snap: true,
+};
+
+function buildAdjacency(devices, connections) {
+  const ids = new Set(devices.map((d) => d.id));
+  const adjacency = new Map(devices.map((d) => [d.id, new Set()]));
+  connections.forEach((c) => {
+    if (!ids.has(c.from) || !ids.has(c.to) || c.from === c.to) return;
+    adjacency.get(c.from).add(c.to);
+    adjacency.get(c.to).add(c.from);
+  });
+  return adjacency;
+}
+
+// Switches next to a router or firewall are core; the rest are access.
+// With no gateway in sight, switches that link two or more other switches
+// are treated as the core instead.
+export function assignLayers(devices, connections) {
+  const adjacency = buildAdjacency(devices, connections);
+  const byId = new Map(devices.map((d) => [d.id, d]));
+  const neighbours = (id) => [...adjacency.get(id)].map((n) => byId.get(n));
+
+  const switches = devices.filter((d) => d.type === 'switch');
+  let core = new Set(switches
+    .filter((s) => neighbours(s.id).some((n) => n.type === 'router' || n.type === 'firewall'))
+    .map((s) => s.id));
+  if (core.size === 0) {
+    core = new Set(switches
+      .filter((s) => neighbours(s.id).filter((n) => n.type === 'switch').length >= 2)
+      .map((s) => s.id));
+  }
+
+  const layers = {};
+  devices.forEach((d) => {
+    switch (d.type) {
+      case 'router':
+        layers[d.id] = LAYERS.edge;
+        break;
+      case 'firewall':
+        layers[d.id] = LAYERS.firewall;
+        break;
+      case 'switch':
+        layers[d.id] = core.has(d.id) ? LAYERS.core : LAYERS.access;
+        break;
+      case 'ap':
+        layers[d.id] = LAYERS.wireless;
+        break;
+      case 'vm':
+        layers[d.id] = LAYERS.virtual;
+        break;
+      default:
+        layers[d.id] = LAYERS.endpoint;
+    }
+  });
+  return layers;
+}
+
+// ─── Crossing reduction ─────────────────────────────────────────────
+
+function groupByLayer(devices, layers) {
+  const rows = [];
+  // Start from the current left-to-right order so a tidy map stays recognisable
+  [...devices].sort((a, b) => (a.x - b.x) || (a.y - b.y)).forEach((d) => {
+    const layer = layers[d.id];
+    if (!rows[layer]) rows[layer] = [];
+    rows[layer].push(d.id);
+  });
+  return rows.filter(Boolean);
+}
+
+function positionsOf(rows) {
+  const pos = new Map();
+  rows.forEach((row) => {
+    row.forEach((id, i) => pos.set(id, i - (row.length - 1) / 2));
+  });
+  return pos;
+}
+
+function sortByBarycenter(row, pos, adjacency, isReference) {
+  const keyed = row.map((id, i) => {
+    const refs = [...adjacency.get(id)].filter(isReference);
+    const center = refs.length
+      ? refs.reduce((sum, n) => sum + pos.get(n), 0) / refs.length
+      : pos.get(id);
+    return { id, center, i };
+  });
+  keyed.sort((a, b) => (a.center - b.center) || (a.i - b.i));
+  return keyed.map((k) => k.id);
+}
+
+export function countCrossings(rows, connections) {
+  const rowOf = new Map();
+  const indexOf = new Map();
+  rows.forEach((row, r) => row.forEach((id, i) => {
+    rowOf.set(id, r);
+    indexOf.set(id, i);
+  }));
+
+  const edges = [];
+  connections.forEach((c) => {
+    if (!rowOf.has(c.from) || !rowOf.has(c.to)) return;
+    const [a, b] = rowOf.get(c.from) <= rowOf.get(c.to) ? [c.from, c.to] : [c.to, c.from];
+    if (rowOf.get(b) - rowOf.get(a) !== 1) return;
+    edges.push({ row: rowOf.get(a), top: indexOf.get(a), bottom: indexOf.get(b) });
+  });
+
+  let crossings = 0;
+  for (let i = 0; i < edges.length; i++) {
+    for (let j = i + 1; j < edges.length; j++) {
+      const e = edges[i];
+      const f = edges[j];
+      if (e.row === f.row && (e.top - f.top) * (e.bottom - f.bottom) < 0) crossings++;
+    }
+  }
+  return crossings;
+}
+
+export function orderLayers(devices, connections, layers, sweeps = 4) {
+  const adjacency = buildAdjacency(devices, connections);
+  let rows = groupByLayer(devices, layers);
+  const rowIndex = new Map();
+  const reindex = () => rows.forEach((row, r) => row.forEach((id) => rowIndex.set(id, r)));
+  reindex();
+
+  let best = rows.map((row) => [...row]);
+  let bestCrossings = countCrossings(rows, connections);
+
+  for (let sweep = 0; sweep < sweeps && bestCrossings > 0; sweep++) {
+    for (let r = 1; r < rows.length; r++) {
+      rows[r] = sortByBarycenter(rows[r], positionsOf(rows), adjacency, (n) => rowIndex.get(n) < r);
+    }
+    for (let r = rows.length - 2; r >= 0; r--) {
+      rows[r] = sortByBarycenter(rows[r], positionsOf(rows), adjacency, (n) => rowIndex.get(n) > r);
+    }
+    const crossings = countCrossings(rows, connections);
+    if (crossings < bestCrossings) {
+      bestCrossings = crossings;
+      best = rows.map((row) => [...row]);
+    }
+  }
+  return best;
+}
+
+// ─── Placement ──────────────────────────────────────────────────────
+
+// Lays rows out top to bottom, wrapping long tiers, each line centred on
+// the widest one. Returns relative positions plus the overall size.
+function placeRows(rows, opts) {
+  const lines = [];
+  rows.forEach((row) => {
+    for (let i = 0; i < row.length; i += opts.maxPerRow) lines.push(row.slice(i, i + opts.maxPerRow));
+  });
+  const widest = Math.max(0, ...lines.map((line) => line.length));
+
+  const positions = {};
+  lines.forEach((line, r) => {
+    const offset = ((widest - line.length) * opts.spacingX) / 2;
+    line.forEach((id, i) => {
+      positions[id] = { x: offset + i * opts.spacingX, y: r * opts.spacingY };
+    });
+  });
+
+  return {
+    positions,
+    width: widest ? (widest - 1) * opts.spacingX + opts.deviceSize.width : 0,
+    height: lines.length ? (lines.length - 1) * opts.spacingY + opts.deviceSize.height : 0,
+  };
+}
+
+function layoutGroup(devices, connections, opts) {
+  const layers = assignLayers(devices, connections);
+  return placeRows(orderLayers(devices, connections, layers), opts);
+}
+
+// ─── Zones ──────────────────────────────────────────────────────────
+
+const overlaps = (a, b) =>
+  a.x < b.x + b.width && b.x < a.x + a.width && a.y < b.y + b.height && b.y < a.y + a.height;
+
+const rightOf = (r) => r.x + r.width;
+const bottomOf = (r) => r.y + r.height;
+
+const sameFrame = (a, b) => a.x === b.x && a.y === b.y && a.width === b.width && a.height === b.height;
+
+/**
+ * Computes new positions without touching the state.
+ * options.deviceIds limits the layout to those devices (e.g. a fresh CSV
+ * import); options.origin sets where devices outside any zone start.
+ * Nested zones are arranged first and kept as blocks inside their parent;
+ * the parent's own devices go beside or below them. A zone that grows
+ * pushes siblings it would now overlap out of the way, contents and all.
+ * Returns { devices: {id: {x, y}}, zones: {id: {x, y, width, height}} }
+ * where zones only lists zones that grew or moved.
+ */
+export function computeLayout(state, options = {}) {
+  const opts = { ...LAYOUT_DEFAULTS, ...options };
+  const only = opts.deviceIds ? new Set(opts.deviceIds) : null;
+  const devices = state.devices.filter((d) => !only || only.has(d.id));
+  const result = { devices: {}, zones: {} };
+  if (devices.length === 0) return result;
+
+  const snap = (v) => snapToGridValue(v, opts.snap);
+  const zones = state.zones || [];
+  const membership = computeZoneMembership(state.devices, zones, opts.deviceSize);
+  const frames = new Map(zones.map((z) => [z.id, { x: z.x, y: z.y, width: z.width, height: z.height }]));
+  const childZones = (parentId) => zones.filter((z) => membership.zones[z.id] === parentId);
+  const direct = (zoneId) => devices.filter((d) => membership.devices[d.id] === zoneId);
+  const placed = new Set();
+
+  // Moves a zone with everything in it, including devices left out of the layout
+  const shiftZone = (zoneId, dx, dy) => {
+    const frame = frames.get(zoneId);
+    frame.x += dx;
+    frame.y += dy;
+    state.devices.filter((d) => membership.devices[d.id] === zoneId).forEach((d) => {
+      const at = result.devices[d.id] || d;
+      result.devices[d.id] = { x: at.x + dx, y: at.y + dy };
+    });
+    childZones(zoneId).forEach((z) => shiftZone(z.id, dx, dy));
+  };
+
+  // Pushes siblings right or down, whichever is shorter, off any grown
+  // zone they didn't overlap before
+  const separate = (siblings) => {
+    const done = [];
+    [...siblings].sort((a, b) => (a.y - b.y) || (a.x - b.x)).forEach((zone) => {
+      const frame = frames.get(zone.id);
+      for (let guard = 0; guard <= done.length; guard++) {
+        const hit = done.find((other) => overlaps(frames.get(other.id), frame) && !overlaps(other, zone));
+        if (!hit) break;
+        const block = frames.get(hit.id);
+        const dx = snap(rightOf(block) + opts.zonePadding) - frame.x;
+        const dy = snap(bottomOf(block) + opts.zonePadding) - frame.y;
+        if (dx <= dy) shiftZone(zone.id, dx, 0);
+        else shiftZone(zone.id, 0, dy);
+      }
+      done.push(zone);
+    });
+  };
+
+  // Lays out a zone's own devices around its arranged child zones, then
+  // grows the zone to fit. Returns true when anything inside was laid out.
+  const arrangeZone = (zone) => {
+    const children = childZones(zone.id);
+    const busy = children.map(arrangeZone).some(Boolean);
+    separate(children);
+    const frame = frames.get(zone.id);
+    const blocks = children.map((z) => frames.get(z.id));
+    const moved = children.filter((z) => !sameFrame(z, frames.get(z.id))).map((z) => frames.get(z.id));
+    let right = Math.max(rightOf(frame), ...moved.map((b) => rightOf(b) + opts.zonePadding));
+    let bottom = Math.max(bottomOf(frame), ...moved.map((b) => bottomOf(b) + opts.zonePadding));
+
+    const members = direct(zone.id);
+    if (members.length) {
+      const laid = layoutGroup(members, state.connections, opts);
+      const left = snap(frame.x + opts.zonePadding);
+      const top = snap(frame.y + opts.zoneHeader + opts.zonePadding);
+      const fits = (x, y) => !blocks.some((b) => overlaps(
+        { x: x - opts.zonePadding, y: y - opts.zonePadding, width: laid.width + opts.zonePadding * 2, height: laid.height + opts.zonePadding * 2 }, b));
+      let origin = { x: left, y: top };
+      if (!fits(left, top)) {
+        const beside = { x: snap(Math.max(left, ...blocks.map((b) => rightOf(b) + opts.zonePadding))), y: top };
+        const below = { x: left, y: snap(Math.max(top, ...blocks.map((b) => bottomOf(b) + opts.zonePadding))) };
+        const area = (o) => (Math.max(right, o.x + laid.width + opts.zonePadding) - frame.x) *
+          (Math.max(bottom, o.y + laid.height + opts.zonePadding) - frame.y);
+        origin = area(beside) < area(below) ? beside : below;
+      }
+      Object.entries(laid.positions).forEach(([id, p]) => {
+        result.devices[id] = { x: snap(origin.x + p.x), y: snap(origin.y + p.y) };
+      });
+      right = Math.max(right, origin.x + laid.width + opts.zonePadding);
+      bottom = Math.max(bottom, origin.y + laid.height + opts.zonePadding);
+    }
+
+    frame.width = Math.max(frame.width, snap(right - frame.x));
+    frame.height = Math.max(frame.height, snap(bottom - frame.y));
+    if (busy || members.length) placed.add(zone.id);
+    return busy || members.length > 0;
+  };
+
+  const roots = childZones('');
+  roots.forEach(arrangeZone);
+  separate(roots);
+
+  zones.forEach((z) => {
+    const frame = frames.get(z.id);
+    if (!sameFrame(z, frame)) result.zones[z.id] = { ...frame };
+  });
+
+  const unzoned = direct('');
+  if (unzoned.length) {
+    let origin = opts.origin;
+    if (!origin) {
+      const arranged = roots.filter((z) => placed.has(z.id) || result.zones[z.id]).map((z) => frames.get(z.id));
+      origin = arranged.length
+        ? { x: Math.max(...arranged.map(rightOf)) + opts.spacingX, y: Math.min(...arranged.map((f) => f.y)) }
+        : { x: Math.min(...unzoned.map((d) => d.x)), y: Math.min(...unzoned.map((d) => d.y)) };
+    }
+    const laid = layoutGroup(unzoned, state.connections, opts);
+    Object.entries(laid.positions).forEach(([id, p]) => {
+      result.devices[id] = { x: snap(origin.x + p.x), y: snap(origin.y + p.y) };
+    });
+  }
+
+  return result;
+}
+
+// Applies a computed layout as a single undoable step.
+export function applyLayout(state, layout) {
+  beginGroup(state, 'Auto-arrange');
+  Object.entries(layout.devices).forEach(([id, pos]) => {
+    const device = state.devices.find((d) => d.id === id);
+    if (!device) return;
+    recordUpdate(state, 'devices', id, 'x', device.x, pos.x);
+    recordUpdate(state, 'devices', id, 'y', device.y, pos.y);
+    device.x = pos.x;
+    device.y = pos.y;
+  });
+  Object.entries(layout.zones).forEach(([id, frame]) => {
+    const zone = state.zones.find((z) => z.id === id);
+    if (!zone) return;
+    ['x', 'y', 'width', 'height'].forEach((key) => {
+      if (frame[key] === undefined) return;
+      recordUpdate(state, 'zones', id, key, zone[key], frame[key]);
+      zone[key] = frame[key];
+    });
+  });
+  syncZoneMembership(state);
+  endGroup(state);
+}
+
+export function autoArrange(state, options = {}) {
+  const layout = computeLayout(state, options);
+  applyLayout(state, layout);
+  return layout;
+}
@@ -4,6 +4,8 @@
  * separated from DOM manipulation for unit testing.
  */
 
+import { buildGraph, reachable, internetEdge } from './network-graph.js';
+
 // ─── Device type definitions ────────────────────────────────────────
 
 export const types = {
@@ -69,6 +71,8 @@ export function createInitialState() {
     },
     selected: null,
     selectedZone: null,
+    // Device ids picked with shift-click or the marquee
+    selection: [],
     connType: 'wired',
     connecting: null,
     zoom: 1,
@@ -77,9 +81,201 @@ export function createInitialState() {
     counter: 0,
     zoneCounter: 0,
     exportFormat: 'pdf',
+    history: createHistory(),
   };
 }
 
+// ─── Undo / redo history ────────────────────────────────────────────
+//
+// Mutations record small invertible commands instead of whole-state
+// snapshots. A command is plain data:
+//   { op: 'insert' | 'remove', collection, item, index }
+//   { op: 'update', collection, id, key, before, after, coalesce }
+//   { op: 'assign', key, before, after }            (top-level state key)
+//   { op: 'group', label, commands }
+// Recording is a no-op when state.history is not set.
+
+export const MAX_HISTORY = 50;
+
+const COLLECTION_KEYS = {
+  devices: 'id',
+  connections: 'id',
+  zones: 'id',
+  vlans: 'id',
+  ssids: 'name',
+};
+
+export function createHistory(limit = MAX_HISTORY) {
+  return { undoStack: [], redoStack: [], limit, groups: [] };
+}
+
+export function clearHistory(state) {
+  if (!state.history) return;
+  state.history = createHistory(state.history.limit);
+}
+
+function findInCollection(state, collection, id) {
+  const key = COLLECTION_KEYS[collection];
+  return state[collection].findIndex((item) => item[key] === id);
+}
+
+function canMerge(prev, cmd) {
+  return prev && prev.op === 'update' && cmd.op === 'update' && prev.coalesce && cmd.coalesce &&
+    prev.collection === cmd.collection && prev.id === cmd.id && prev.key === cmd.key;
+}
+
+export function recordCommand(state, command) {
+  const history = state.history;
+  if (!history) return;
+
+  const openGroup = history.groups[history.groups.length - 1];
+  const target = openGroup ? openGroup.commands : history.undoStack;
+  const prev = target[target.length - 1];
+
+  // Consecutive coalescing edits of one field (typing in an input) collapse into one step
+  if (canMerge(prev, command)) {
+    prev.after = command.after;
+  } else {
+    target.push(command);
+  }
+
+  if (!openGroup) {
+    if (history.undoStack.length > history.limit) history.undoStack.shift();
+    history.redoStack = [];
+  }
+}
+
+export function recordInsert(state, collection, item) {
+  recordCommand(state, { op: 'insert', collection, item, index: state[collection].indexOf(item) });
+}
+
+export function recordRemove(state, collection, item, index) {
+  recordCommand(state, { op: 'remove', collection, item, index });
+}
+
+export function recordUpdate(state, collection, id, key, before, after, coalesce = false) {
+  if (before === after) return;
+  recordCommand(state, { op: 'update', collection, id, key, before, after, coalesce });
+}
+
+export function recordAssign(state, key, before, after) {
+  if (before === after) return;
+  recordCommand(state, { op: 'assign', key, before, after });
+}
+
+export function beginGroup(state, label) {
+  if (!state.history) return;
+  state.history.groups.push({ op: 'group', label, commands: [] });
+}
+
+export function endGroup(state) {
+  const history = state.history;
+  if (!history || history.groups.length === 0) return;
+  const group = history.groups.pop();
+  if (group.commands.length === 0) return;
+  recordCommand(state, group);
+}
+
+// ─── Recorded edits ─────────────────────────────────────────────────
+//
+// Building blocks for the importers: every change is recorded, so a whole
+// import inside beginGroup/endGroup undoes as one step.
+
+export function insertItem(state, collection, item) {
+  state[collection].push(item);
+  recordInsert(state, collection, item);
+}
+
+const sameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// Copies values onto an item and returns true when anything changed. The
+// item's id is never overwritten; options.skipBlank leaves fields alone
+// when the new value is blank instead of clearing them.
+export function updateItem(state, collection, item, values, { skipBlank = false } = {}) {
+  const idKey = COLLECTION_KEYS[collection];
+  let changed = false;
+  Object.entries(values).forEach(([key, value]) => {
+    if (key === idKey || sameValue(item[key], value)) return;
+    if (skipBlank && (value === '' || value === undefined)) return;
+    recordUpdate(state, collection, item[idKey], key, item[key], value);
+    item[key] = value;
+    changed = true;
+  });
+  return changed;
+}
+
+export function nextCounter(state, key) {
+  const before = state[key];
+  state[key]++;
+  recordAssign(state, key, before, state[key]);
+  return state[key];
+}
+
+function copyValue(value) {
+  if (Array.isArray(value)) return [...value];
+  if (value && typeof value === 'object') return { ...value };
+  return value;
+}
+
+function applyCommand(state, cmd, reverse) {
+  switch (cmd.op) {
+    case 'group': {
+      const commands = reverse ? [...cmd.commands].reverse() : cmd.commands;
+      commands.forEach((c) => applyCommand(state, c, reverse));
+      break;
+    }
+    case 'insert':
+    case 'remove': {
+      const shouldInsert = (cmd.op === 'insert') !== reverse;
+      const list = state[cmd.collection];
+      if (shouldInsert) {
+        list.splice(Math.min(Math.max(cmd.index, 0), list.length), 0, cmd.item);
+      } else {
+        const index = list.indexOf(cmd.item);
+        if (index !== -1) list.splice(index, 1);
+        if (state.selected === cmd.item) state.selected = null;
+        if (state.selectedZone === cmd.item) state.selectedZone = null;
+      }
+      break;
+    }
+    case 'update': {
+      const index = findInCollection(state, cmd.collection, cmd.id);
+      // Hand out a copy so later in-place edits can't alter the recorded value
+      if (index !== -1) state[cmd.collection][index][cmd.key] = copyValue(reverse ? cmd.before : cmd.after);
+      break;
+    }
+    case 'assign':
+      state[cmd.key] = reverse ? cmd.before : cmd.after;
+      break;
+    default:
+      break;
+  }
+}
+
+export function canUndo(state) {
+  return !!state.history && state.history.undoStack.length > 0;
+}
+
+export function canRedo(state) {
+  return !!state.history && state.history.redoStack.length > 0;
+}
+
+export function undo(state) {
+  if (!canUndo(state)) return false;
+  const cmd = state.history.undoStack.pop();
+  applyCommand(state, cmd, true);
+  state.history.redoStack.push(cmd);
+  return true;
+}
+
+export function redo(state) {
+  if (!canRedo(state)) return false;
+  const cmd = state.history.redoStack.pop();
+  applyCommand(state, cmd, false);
+  state.history.undoStack.push(cmd);
+  return true;
+}
+
 // ─── Grid snapping ──────────────────────────────────────────────────
 
 const GRID_SIZE = 20;
@@ -89,15 +285,29 @@ export function snapToGridValue(value, snapEnabled = true) {
   return Math.round(value / GRID_SIZE) * GRID_SIZE;
 }
 
+// ─── Ids ────────────────────────────────────────────────────────────
+
+// Ids are built from Date.now(), which repeats when several items are made
+// in the same millisecond. Returns the preferred id, or that id with the
+// first free "_N" suffix when a device, zone or connection already has it.
+export function uniqueId(state, preferred) {
+  const taken = new Set([...state.devices, ...state.zones, ...state.connections].map((item) => item.id));
+  let id = preferred;
+  for (let n = 2; taken.has(id); n++) id = `${preferred}_${n}`;
+  return id;
+}
+
 // ─── Device CRUD ────────────────────────────────────────────────────
 
-export function createDeviceData(state, type, x, y) {
+// Pages with extra device types pass their own deviceTypes
+export function createDeviceData(state, type, x, y, deviceTypes = types) {
+  const counterBefore = state.counter;
   state.counter++;
-  const cfg = types[type];
+  const cfg = deviceTypes[type];
   if (!cfg) return null;
 
   const device = {
-    id: 'dev' + Date.now() + '_' + state.counter,
+    id: uniqueId(state, 'dev' + Date.now() + '_' + state.counter),
     type,
     name: cfg.name + ' ' + state.counter,
     ip: '',
@@ -110,8 +320,14 @@ export function createDeviceData(state, type, x, y) {
     x,
     y,
     vms: type === 'vmhost' ? [] : null,
+    zoneId: findDeviceZone({ x, y }, state.zones)?.id || '',
   };
   state.devices.push(device);
+
+  beginGroup(state, 'Add device');
+  recordAssign(state, 'counter', counterBefore, state.counter);
+  recordInsert(state, 'devices', device);
+  endGroup(state);
   return device;
 }
 
@@ -119,11 +335,28 @@ export function deleteDeviceData(state, deviceId) {
   const index = state.devices.findIndex((d) => d.id === deviceId);
   if (index === -1) return false;
 
+  const device = state.devices[index];
+  beginGroup(state, 'Delete device');
+
   // Remove connections involving this device
+  let removed = 0;
+  state.connections.forEach((c, i) => {
+    if (c.from === deviceId || c.to === deviceId) {
+      recordRemove(state, 'connections', c, i - removed);
+      removed++;
+    }
+  });
   state.connections = state.connections.filter(
     (c) => c.from !== deviceId && c.to !== deviceId
   );
+  // Clients of a removed AP are no longer associated anywhere
+  getAPClients(state, deviceId).forEach((client) => {
+    recordUpdate(state, 'devices', client.id, 'association', client.association, null);
+    client.association = null;
+  });
   state.devices.splice(index, 1);
+  recordRemove(state, 'devices', device, index);
+  endGroup(state);
 
   if (state.selected && state.selected.id === deviceId) {
     state.selected = null;
@@ -133,6 +366,7 @@ export function deleteDeviceData(state, deviceId) {
 
 export function updateDeviceProperty(state, key, value) {
   if (!state.selected) return false;
+  recordUpdate(state, 'devices', state.selected.id, key, state.selected[key], value, true);
   state.selected[key] = value;
   return true;
 }
@@ -141,19 +375,40 @@ export function setDeviceStatus(state, status) {
   const validStatuses = ['online', 'offline', 'warning', 'retired', 'decommissioned'];
   if (!state.selected) return false;
   if (!validStatuses.includes(status)) return false;
+  recordUpdate(state, 'devices', state.selected.id, 'status', state.selected.status, status);
   state.selected.status = status;
   return true;
 }
 
 // ─── Zone CRUD ──────────────────────────────────────────────────────
 
-export function createZoneData(state, type, x, y) {
+// The blank fields each zone type starts with on top of the common ones
+export function zoneTypeFields(type) {
+  switch (type) {
+    case 'ups':
+      return { manufacturer: '', model: '', capacity: '', runtime: '', ip: '' };
+    case 'nvr':
+      return { manufacturer: '', model: '', channels: '', storage: '', ip: '' };
+    case 'mdf':
+    case 'onprem':
+      return { location: '' };
+    case 'idf':
+      return { location: '', connectedMDF: '' };
+    case 'cloud':
+      return { provider: '', region: '' };
+    default:
+      return {};
+  }
+}
+
+export function createZoneData(state, type, x, y, zoneTypeDefs = zoneTypes) {
+  const counterBefore = state.zoneCounter;
   state.zoneCounter++;
-  const cfg = zoneTypes[type];
+  const cfg = zoneTypeDefs[type];
   if (!cfg) return null;
 
   const zone = {
-    id: 'zone' + Date.now() + '_' + state.zoneCounter,
+    id: uniqueId(state, 'zone' + Date.now() + '_' + state.zoneCounter),
     type,
     name: cfg.name + ' ' + state.zoneCounter,
     x,
@@ -161,32 +416,28 @@ export function createZoneData(state, type, x, y) {
     width: 200,
     height: 150,
     notes: '',
+    parentZoneId: '',
+    ...zoneTypeFields(type),
   };
 
-  if (type === 'ups') {
-    zone.manufacturer = '';
-    zone.model = '';
-    zone.capacity = '';
-    zone.runtime = '';
-    zone.ip = '';
-  } else if (type === 'mdf' || type === 'idf') {
-    zone.location = '';
-    if (type === 'idf') zone.connectedMDF = '';
-  } else if (type === 'cloud') {
-    zone.provider = '';
-    zone.region = '';
-  } else if (type === 'onprem') {
-    zone.location = '';
-  }
-
   state.zones.push(zone);
+
+  beginGroup(state, 'Add zone');
+  recordAssign(state, 'zoneCounter', counterBefore, state.zoneCounter);
+  recordInsert(state, 'zones', zone);
+  syncZoneMembership(state);
+  endGroup(state);
   return zone;
 }
 
 export function deleteZoneData(state, zoneId) {
   const index = state.zones.findIndex((z) => z.id === zoneId);
   if (index === -1) return false;
+  beginGroup(state, 'Delete zone');
+  recordRemove(state, 'zones', state.zones[index], index);
   state.zones.splice(index, 1);
+  syncZoneMembership(state);
+  endGroup(state);
   if (state.selectedZone && state.selectedZone.id === zoneId) {
     state.selectedZone = null;
   }
@@ -195,38 +446,222 @@ export function deleteZoneData(state, zoneId) {
 
 export function updateZoneProperty(state, key, value) {
   if (!state.selectedZone) return false;
+  recordUpdate(state, 'zones', state.selectedZone.id, key, state.selectedZone[key], value, true);
   state.selectedZone[key] = value;
   return true;
 }
 
+// ─── Zone membership ────────────────────────────────────────────────
+
+// Membership follows the geometry: a device belongs to the smallest zone its
+// centre sits in, a zone to the smallest zone that fully encloses it. The
+// result is kept on the items (device.zoneId, zone.parentZoneId) so exports
+// and queries don't need to repeat the geometry.
+
+const DEFAULT_DEVICE_SIZE = { width: 120, height: 100 };
+
+const byArea = (a, b) => a.width * a.height - b.width * b.height;
+
+export function isDeviceInZone(device, zone, deviceSize = DEFAULT_DEVICE_SIZE) {
+  const cx = device.x + deviceSize.width / 2;
+  const cy = device.y + deviceSize.height / 2;
+  return cx >= zone.x && cx <= zone.x + zone.width && cy >= zone.y && cy <= zone.y + zone.height;
+}
+
+export function findDeviceZone(device, zones, deviceSize = DEFAULT_DEVICE_SIZE) {
+  return zones.filter((z) => isDeviceInZone(device, z, deviceSize)).sort(byArea)[0] || null;
+}
+
+// Strictly larger so two identical rectangles can't end up as each other's parent
+function zoneEncloses(outer, inner) {
+  return outer !== inner &&
+    inner.x >= outer.x && inner.y >= outer.y &&
+    inner.x + inner.width <= outer.x + outer.width &&
+    inner.y + inner.height <= outer.y + outer.height &&
+    outer.width * outer.height > inner.width * inner.height;
+}
+
+export function findParentZone(zone, zones) {
+  return zones.filter((z) => zoneEncloses(z, zone)).sort(byArea)[0] || null;
+}
+
+export function computeZoneMembership(devices, zones, deviceSize = DEFAULT_DEVICE_SIZE) {
+  const membership = { devices: {}, zones: {} };
+  devices.forEach((d) => {
+    membership.devices[d.id] = findDeviceZone(d, zones, deviceSize)?.id || '';
+  });
+  zones.forEach((z) => {
+    membership.zones[z.id] = findParentZone(z, zones)?.id || '';
+  });
+  return membership;
+}
+
+// Brings stored membership in line with the geometry. Changes are recorded
+// so undoing a move also restores which zone things belonged to.
+export function syncZoneMembership(state, deviceSize = DEFAULT_DEVICE_SIZE) {
+  const membership = computeZoneMembership(state.devices, state.zones, deviceSize);
+  let changed = 0;
+  beginGroup(state, 'Zone membership');
+  state.devices.forEach((d) => {
+    const zoneId = membership.devices[d.id];
+    if ((d.zoneId || '') === zoneId) return;
+    recordUpdate(state, 'devices', d.id, 'zoneId', d.zoneId, zoneId);
+    d.zoneId = zoneId;
+    changed++;
+  });
+  state.zones.forEach((z) => {
+    const parentZoneId = membership.zones[z.id];
+    if ((z.parentZoneId || '') === parentZoneId) return;
+    recordUpdate(state, 'zones', z.id, 'parentZoneId', z.parentZoneId, parentZoneId);
+    z.parentZoneId = parentZoneId;
+    changed++;
+  });
+  endGroup(state);
+  return changed;
+}
+
+export function getChildZones(state, zoneId, nested = true) {
+  const found = [];
+  const seen = new Set([zoneId]);
+  const queue = [zoneId];
+  while (queue.length) {
+    const parentId = queue.shift();
+    state.zones.forEach((z) => {
+      if (z.parentZoneId !== parentId || seen.has(z.id)) return;
+      seen.add(z.id);
+      found.push(z);
+      if (nested) queue.push(z.id);
+    });
+  }
+  return found;
+}
+
+// "Devices in IDF 2" / "devices on UPS 1". Devices in nested zones count
+// unless options.nested is false.
+export function getDevicesInZone(state, zoneId, { nested = true } = {}) {
+  const ids = new Set([zoneId, ...(nested ? getChildZones(state, zoneId).map((z) => z.id) : [])]);
+  return state.devices.filter((d) => ids.has(d.zoneId));
+}
+
+// Power follows the rectangle rather than membership: a device inside a
+// UPS zone is on it even when a smaller, partly overlapping zone such as
+// an MDF claims it. Members of zones nested in the UPS count too.
+export function getDevicesOnUPS(state, zoneId) {
+  const zone = state.zones.find((z) => z.id === zoneId);
+  if (!zone) return [];
+  const nested = new Set(getDevicesInZone(state, zoneId).map((d) => d.id));
+  return state.devices.filter((d) => nested.has(d.id) || isDeviceInZone(d, zone));
+}
+
+export function getZoneMembers(state, zoneId) {
+  return { zones: getChildZones(state, zoneId), devices: getDevicesInZone(state, zoneId) };
+}
+
+// Zones from the outermost down to zoneId.
+export function getZonePath(zones, zoneId) {
+  const path = [];
+  let zone = zones.find((z) => z.id === zoneId);
+  while (zone && !path.includes(zone)) {
+    path.unshift(zone);
+    zone = zones.find((z) => z.id === zone.parentZoneId);
+  }
+  return path;
+}
+
+// Zone path plus the nearest location set on the device's zones.
+export function describeDeviceLocation(zones, device) {
+  const path = getZonePath(zones, device.zoneId);
+  const located = [...path].reverse().find((z) => z.location);
+  return {
+    zone: path.map((z) => z.name).join(' / '),
+    location: located ? located.location : '',
+  };
+}
+
+function shiftItem(state, collection, item, dx, dy) {
+  recordUpdate(state, collection, item.id, 'x', item.x, item.x + dx);
+  recordUpdate(state, collection, item.id, 'y', item.y, item.y + dy);
+  item.x += dx;
+  item.y += dy;
+}
+
+// Moves a zone together with its devices and nested zones as one step.
+export function moveZone(state, zoneId, x, y) {
+  const zone = state.zones.find((z) => z.id === zoneId);
+  if (!zone) return false;
+  const dx = x - zone.x;
+  const dy = y - zone.y;
+  const members = getZoneMembers(state, zoneId);
+
+  beginGroup(state, 'Move zone');
+  shiftItem(state, 'zones', zone, dx, dy);
+  members.zones.forEach((z) => shiftItem(state, 'zones', z, dx, dy));
+  members.devices.forEach((d) => shiftItem(state, 'devices', d, dx, dy));
+  syncZoneMembership(state);
+  endGroup(state);
+  return true;
+}
+
+// Resizes a zone and pulls its members back inside so shrinking it doesn't
+// drop them. Nested zones move with their own contents.
+export function resizeZone(state, zoneId, width, height, deviceSize = DEFAULT_DEVICE_SIZE) {
+  const zone = state.zones.find((z) => z.id === zoneId);
+  if (!zone) return false;
+  const devices = getDevicesInZone(state, zoneId, { nested: false });
+  const children = getChildZones(state, zoneId, false);
+  const clamp = (value, start, room) => Math.max(start, Math.min(value, start + room));
+
+  beginGroup(state, 'Resize zone');
+  recordUpdate(state, 'zones', zoneId, 'width', zone.width, width);
+  recordUpdate(state, 'zones', zoneId, 'height', zone.height, height);
+  zone.width = width;
+  zone.height = height;
+  devices.forEach((d) => {
+    const x = clamp(d.x, zone.x, zone.width - deviceSize.width);
+    const y = clamp(d.y, zone.y, zone.height - deviceSize.height);
+    shiftItem(state, 'devices', d, x - d.x, y - d.y);
+  });
+  children.forEach((z) => {
+    const x = clamp(z.x, zone.x, zone.width - z.width);
+    const y = clamp(z.y, zone.y, zone.height - z.height);
+    if (x !== z.x || y !== z.y) moveZone(state, z.id, x, y);
+  });
+  syncZoneMembership(state, deviceSize);
+  endGroup(state);
+  return true;
+}
+
 // ─── Connection management ──────────────────────────────────────────
 
-export function addConnection(state, fromId, fromPos, toId, toPos) {
+// details holds the connection details plus an optional type; without
+// one the link takes the toolbar's current connection type.
+export function addConnection(state, fromId, fromPos, toId, toPos, details) {
   // Can't connect to self
   if (fromId === toId) return null;
 
-  // Check for duplicate
-  const exists = state.connections.some(
-    (c) =>
-      (c.from === fromId && c.to === toId) ||
-      (c.from === toId && c.to === fromId)
-  );
-  if (exists) return null;
-
   // Verify both devices exist
   const fromDevice = state.devices.find((d) => d.id === fromId);
   const toDevice = state.devices.find((d) => d.id === toId);
   if (!fromDevice || !toDevice) return null;
 
+  // A second link between the same two devices needs a LAG or ports of its own
+  const fields = normalizeConnectionDetails(details);
+  const duplicate = !fields.lag && state.connections.some((c) =>
+    ((c.from === fromId && c.to === toId) || (c.from === toId && c.to === fromId)) &&
+    getConnectionPort(c, fromId) === fields.fromPort && getConnectionPort(c, toId) === fields.toPort);
+  if (duplicate) return null;
+
   const connection = {
-    id: 'conn' + Date.now(),
+    id: uniqueId(state, 'conn' + Date.now()),
     from: fromId,
     fromPos,
     to: toId,
     toPos,
-    type: state.connType,
+    type: CONNECTION_TYPES.includes(details?.type) ? details.type : state.connType,
+    ...fields,
   };
   state.connections.push(connection);
+  recordInsert(state, 'connections', connection);
   return connection;
 }
 
@@ -244,17 +679,140 @@ export function getConnectedDevices(state, deviceId) {
   }).filter(Boolean);
 }
 
+// ─── Connection details ─────────────────────────────────────────────
+
+export const linkSpeeds = ['100M', '1G', '10G', '25G'];
+
+export const linkMedia = {
+  copper: 'Copper',
+  'fiber-sm': 'Fiber (SM)',
+  'fiber-mm': 'Fiber (MM)',
+  dac: 'DAC',
+  coax: 'Coax',
+};
+
+const CONNECTION_DETAIL_DEFAULTS = {
+  fromPort: '',
+  toPort: '',
+  speed: '',
+  media: '',
+  poeWatts: '',
+  lag: '',
+  label: '',
+};
+
+function normalizeConnectionDetail(key, value) {
+  if (value === undefined || value === null) return '';
+  switch (key) {
+    case 'speed':
+      return linkSpeeds.includes(value) ? value : '';
+    case 'media':
+      return linkMedia[value] ? value : '';
+    case 'poeWatts': {
+      if (value === '') return '';
+      const watts = Number(value);
+      return Number.isFinite(watts) && watts >= 0 ? watts : '';
+    }
+    default:
+      return String(value).trim();
+  }
+}
+
+export function normalizeConnectionDetails(details = {}) {
+  const normalized = {};
+  Object.keys(CONNECTION_DETAIL_DEFAULTS).forEach((key) => {
+    normalized[key] = normalizeConnectionDetail(key, details[key]);
+  });
+  return normalized;
+}
+
+export function updateConnectionProperty(state, connId, key, value) {
+  if (!(key in CONNECTION_DETAIL_DEFAULTS)) return false;
+  const conn = state.connections.find((c) => c.id === connId);
+  if (!conn) return false;
+
+  const normalized = normalizeConnectionDetail(key, value);
+  recordUpdate(state, 'connections', conn.id, key, conn[key], normalized, true);
+  conn[key] = normalized;
+  return true;
+}
+
+export function getConnectionPort(conn, deviceId) {
+  if (conn.from === deviceId) return conn.fromPort || '';
+  if (conn.to === deviceId) return conn.toPort || '';
+  return '';
+}
+
+export function formatConnectionLabel(conn) {
+  const parts = [];
+  if (conn.fromPort || conn.toPort) {
+    parts.push((conn.fromPort || '?') + ' ↔ ' + (conn.toPort || '?'));
+  }
+  const link = [conn.speed, linkMedia[conn.media]].filter(Boolean).join(' ');
+  if (link) parts.push(link);
+  if (conn.poeWatts !== '' && conn.poeWatts !== undefined) parts.push('PoE ' + conn.poeWatts + 'W');
+  if (conn.lag) parts.push('LAG ' + conn.lag);
+  if (conn.label) parts.push(conn.label);
+  return parts.join(' · ');
+}
+
+export function getConnectionLabelPoint(from, to, waypoints) {
+  const points = [from, ...(waypoints || []), to];
+  const segment = Math.floor((points.length - 1) / 2);
+  const a = points[segment];
+  const b = points[segment + 1];
+  return { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+}
+
+export function getConnectionRows(state) {
+  const nameOf = (id) => state.devices.find((d) => d.id === id)?.name || id;
+  return state.connections.map((c) => ({
+    from: nameOf(c.from),
+    fromPort: c.fromPort || '',
+    to: nameOf(c.to),
+    toPort: c.toPort || '',
+    type: c.type || '',
+    speed: c.speed || '',
+    media: linkMedia[c.media] || '',
+    poeWatts: c.poeWatts === undefined ? '' : c.poeWatts,
+    lag: c.lag || '',
+    label: c.label || '',
+  }));
+}
+
+export function exportConnectionsToCSV(state) {
+  const headers = [
+    'From', 'From Port', 'To', 'To Port', 'Type', 'Speed', 'Media', 'PoE Watts', 'LAG', 'Label',
+  ];
+
+  let csvContent = headers.join(',') + '\n';
+
+  getConnectionRows(state).forEach((r) => {
+    const row = [
+      r.from, r.fromPort, r.to, r.toPort, r.type, r.speed, r.media, r.poeWatts, r.lag, r.label,
+    ].map(escapeCSVCell);
+    csvContent += row.join(',') + '\n';
+  });
+
+  return csvContent;
+}
+
 // ─── VLAN management ────────────────────────────────────────────────
 
 export function addVlan(state, id, name, subnet, gateway) {
   if (!id || !name || !subnet) return false;
+  if (!parseCIDR(subnet)) return false;
+  if (gateway && !isIPInSubnet(gateway, subnet)) return false;
   if (state.vlans.some((v) => v.id === id)) return false;
-  state.vlans.push({ id, name, subnet, gateway: gateway || '' });
+  const vlan = { id, name, subnet, gateway: gateway || '' };
+  state.vlans.push(vlan);
+  recordInsert(state, 'vlans', vlan);
   return true;
 }
 
 export function deleteVlan(state, index) {
   if (index < 0 || index >= state.vlans.length) return false;
+  recordRemove(state, 'vlans', state.vlans[index], index);
   state.vlans.splice(index, 1);
   return true;
 }
@@ -264,72 +822,559 @@ export function getVlanName(vlans, vlanId) {
   return vlan ? `VLAN ${vlan.id} - ${vlan.name}` : 'None';
 }
 
+// ─── IP address management ──────────────────────────────────────────
+
+export function parseIPv4(ip) {
+  if (typeof ip !== 'string') return null;
+  const parts = ip.trim().split('.');
+  if (parts.length !== 4) return null;
+
+  let value = 0;
+  for (const part of parts) {
+    if (!/^\d{1,3}$/.test(part)) return null;
+    const octet = Number(part);
+    if (octet > 255) return null;
+    value = value * 256 + octet;
+  }
+  return value;
+}
+
+export function formatIPv4(value) {
+  return [
+    Math.floor(value / 16777216) % 256,
+    Math.floor(value / 65536) % 256,
+    Math.floor(value / 256) % 256,
+    value % 256,
+  ].join('.');
+}
+
+// Lowercase colon-separated form of any common MAC notation
+// (00-11-22-33-44-55, 0011.2233.4455, 001122334455); '' when it isn't one.
+export function normalizeMac(value) {
+  const hex = String(value || '').toLowerCase().replace(/[^0-9a-f]/g, '');
+  return hex.length === 12 ? hex.match(/../g).join(':') : '';
+}
+
+export function parseCIDR(cidr) {
+  if (typeof cidr !== 'string') return null;
+  const [address, prefixStr, ...rest] = cidr.trim().split('/');
+  if (rest.length || prefixStr === undefined || !/^\d{1,2}$/.test(prefixStr)) return null;
+
+  const prefix = Number(prefixStr);
+  const ip = parseIPv4(address);
+  if (ip === null || prefix > 32) return null;
+
+  const size = 2 ** (32 - prefix);
+  const network = Math.floor(ip / size) * size;
+  const broadcast = network + size - 1;
+
+  // /31 and /32 have no separate network/broadcast addresses (RFC 3021)
+  const firstHost = prefix >= 31 ? network : network + 1;
+  const lastHost = prefix >= 31 ? broadcast : broadcast - 1;
+
+  return { network, broadcast, prefix, size, firstHost, lastHost };
+}
+
+export function isIPInSubnet(ip, cidr) {
+  const value = parseIPv4(ip);
+  const subnet = parseCIDR(cidr);
+  if (value === null || !subnet) return false;
+  return value >= subnet.firstHost && value <= subnet.lastHost;
+}
+
+export function findVlan(vlans, vlanId) {
+  if (vlanId === '' || vlanId === null || vlanId === undefined) return null;
+  return vlans.find((v) => String(v.id) === String(vlanId)) || null;
+}
+
+export function findDuplicateIPs(devices) {
+  const byIP = new Map();
+  devices.forEach((d) => {
+    const value = parseIPv4(d.ip);
+    if (value === null) return;
+    const ip = formatIPv4(value);
+    if (!byIP.has(ip)) byIP.set(ip, []);
+    byIP.get(ip).push(d.id);
+  });
+
+  const duplicates = [];
+  byIP.forEach((ids, ip) => {
+    if (ids.length > 1) duplicates.push({ ip, deviceIds: ids });
+  });
+  return duplicates;
+}
+
+export function validateIPAddressing(state) {
+  const issues = [];
+
+  state.vlans.forEach((v) => {
+    if (!parseCIDR(v.subnet)) {
+      issues.push({
+        rule: 'vlan-invalid-subnet',
+        message: `VLAN ${v.id} subnet "${v.subnet}" is not a valid IPv4 CIDR`,
+        ids: [v.id],
+      });
+      return;
+    }
+    if (v.gateway && !isIPInSubnet(v.gateway, v.subnet)) {
+      issues.push({
+        rule: 'gateway-outside-subnet',
+        message: `VLAN ${v.id} gateway ${v.gateway} is not a host address in ${v.subnet}`,
+        ids: [v.id],
+      });
+    }
+  });
+
+  state.devices.forEach((d) => {
+    if (!d.ip) return;
+    if (parseIPv4(d.ip) === null) {
+      issues.push({
+        rule: 'ip-invalid',
+        message: `${d.name} has an invalid IP address "${d.ip}"`,
+        ids: [d.id],
+      });
+      return;
+    }
+
+    const vlan = findVlan(state.vlans, d.vlan);
+    if (!vlan || !parseCIDR(vlan.subnet)) return;
+    if (!isIPInSubnet(d.ip, vlan.subnet)) {
+      issues.push({
+        rule: 'ip-outside-subnet',
+        message: `${d.name} (${d.ip}) is outside VLAN ${vlan.id} subnet ${vlan.subnet}`,
+        ids: [d.id],
+      });
+    } else if (vlan.gateway && parseIPv4(vlan.gateway) === parseIPv4(d.ip) &&
+      !['router', 'firewall'].includes(d.type)) {
+      issues.push({
+        rule: 'ip-is-gateway',
+        message: `${d.name} uses the VLAN ${vlan.id} gateway address ${d.ip}`,
+        ids: [d.id],
+      });
+    }
+  });
+
+  findDuplicateIPs(state.devices).forEach(({ ip, deviceIds }) => {
+    issues.push({
+      rule: 'ip-duplicate',
+      message: `${ip} is assigned to ${formatCount(deviceIds.length, 'device')}`,
+      ids: deviceIds,
+    });
+  });
+
+  return issues;
+}
+
+export function getNextFreeIP(state, vlanId) {
+  const vlan = findVlan(state.vlans, vlanId);
+  if (!vlan) return null;
+  const subnet = parseCIDR(vlan.subnet);
+  if (!subnet) return null;
+
+  const used = new Set();
+  state.devices.forEach((d) => {
+    const value = parseIPv4(d.ip);
+    if (value !== null) used.add(value);
+  });
+  const gateway = parseIPv4(vlan.gateway);
+  if (gateway !== null) used.add(gateway);
+
+  for (let ip = subnet.firstHost; ip <= subnet.lastHost; ip++) {
+    if (!used.has(ip)) return formatIPv4(ip);
+  }
+  return null;
+}
+
 // ─── SSID management ────────────────────────────────────────────────
 
 export function addSSID(state, name, security, vlan) {
   if (!name) return false;
   if (state.ssids.some((s) => s.name === name)) return false;
-  state.ssids.push({ name, security: security || 'WPA2-Personal', vlan: vlan || '' });
+  const ssid = { name, security: security || 'WPA2-Personal', vlan: vlan || '' };
+  state.ssids.push(ssid);
+  recordInsert(state, 'ssids', ssid);
   return true;
 }
 
 export function deleteSSID(state, index) {
   if (index < 0 || index >= state.ssids.length) return false;
   const ssidName = state.ssids[index].name;
+  beginGroup(state, 'Delete SSID');
+  recordRemove(state, 'ssids', state.ssids[index], index);
   state.ssids.splice(index, 1);
   // Remove from all access points
   state.devices.forEach((d) => {
     if (d.type === 'ap' && d.ssids) {
-      d.ssids = d.ssids.filter((s) => s !== ssidName);
+      const remaining = d.ssids.filter((s) => s !== ssidName);
+      if (remaining.length !== d.ssids.length) {
+        recordUpdate(state, 'devices', d.id, 'ssids', d.ssids, remaining);
+      }
+      d.ssids = remaining;
+    }
+    if (d.association && d.association.ssid === ssidName) {
+      const association = { ...d.association, ssid: '' };
+      recordUpdate(state, 'devices', d.id, 'association', d.association, association);
+      d.association = association;
+    }
+  });
+  endGroup(state);
+  return true;
+}
+
+// ─── Switch VLAN toggle ─────────────────────────────────────────────
+
+export function toggleSwitchVLAN(device, vlanId, state) {
+  if (!device || device.type !== 'switch') return false;
+  const before = device.assignedVlans || [];
+
+  const index = before.indexOf(vlanId);
+  device.assignedVlans = index === -1
+    ? [...before, vlanId]
+    : before.filter((v) => v !== vlanId);
+  if (state) recordUpdate(state, 'devices', device.id, 'assignedVlans', before, device.assignedVlans);
+  return true;
+}
+
+// ─── Switch port map ────────────────────────────────────────────────
+//
+// device.portMap holds only the ports someone has configured:
+//   { number, description, accessVlan, taggedVlans, poe }
+// The device on a port is not stored here; a connection whose switch-side
+// port equals the port number is what plugs it in.
+
+const PORT_DEFAULTS = { description: '', accessVlan: null, taggedVlans: [], poe: false };
+
+const LAYER3_TYPES = ['router', 'firewall'];
+
+export function getPortCount(device) {
+  const count = parseInt(device?.ports, 10);
+  return Number.isFinite(count) && count > 0 ? count : 0;
+}
+
+function isCabled(conn) {
+  return conn.type !== 'wireless' && conn.type !== 'vpn';
+}
+
+function normalizePortValue(key, value) {
+  switch (key) {
+    case 'accessVlan': {
+      if (value === '' || value === null || value === undefined) return null;
+      const vlan = Number(value);
+      return Number.isInteger(vlan) ? vlan : null;
+    }
+    case 'taggedVlans':
+      return Array.isArray(value)
+        ? [...new Set(value.map(Number).filter(Number.isInteger))].sort((a, b) => a - b)
+        : [];
+    case 'poe':
+      return !!value;
+    default:
+      return value === undefined || value === null ? '' : String(value);
+  }
+}
+
+export function getSwitchPorts(state, device) {
+  const portMap = Array.isArray(device.portMap) ? device.portMap : [];
+  const connections = getDeviceConnections(state, device.id).filter(isCabled);
+
+  const numbers = new Set();
+  for (let n = 1; n <= getPortCount(device); n++) numbers.add(n);
+  portMap.forEach((p) => numbers.add(p.number));
+  connections.forEach((c) => {
+    const port = getConnectionPort(c, device.id);
+    if (/^[1-9]\d*$/.test(port)) numbers.add(Number(port));
+  });
+
+  return [...numbers].sort((a, b) => a - b).map((number) => {
+    const entry = portMap.find((p) => p.number === number) || {};
+    const conn = connections.find((c) => getConnectionPort(c, device.id) === String(number));
+    return {
+      ...PORT_DEFAULTS,
+      ...entry,
+      number,
+      taggedVlans: entry.taggedVlans || [],
+      connectionId: conn ? conn.id : null,
+      deviceId: conn ? (conn.from === device.id ? conn.to : conn.from) : null,
+    };
+  });
+}
+
+export function updateSwitchPort(state, device, number, key, value) {
+  if (!device || device.type !== 'switch') return false;
+  if (!(key in PORT_DEFAULTS) || !Number.isInteger(number) || number < 1) return false;
+
+  const before = Array.isArray(device.portMap) ? device.portMap : [];
+  const existing = before.find((p) => p.number === number);
+  const port = { number, ...PORT_DEFAULTS, ...existing, [key]: normalizePortValue(key, value) };
+  device.portMap = [...before.filter((p) => p.number !== number), port].sort((a, b) => a.number - b.number);
+  recordUpdate(state, 'devices', device.id, 'portMap', before, device.portMap, key === 'description');
+  return true;
+}
+
+// Plugs a connection into a port by writing the port number on the switch
+// end of the connection. Anything already on that port is unplugged first;
+// pass a null connId to just free the port.
+export function assignPortConnection(state, device, number, connId) {
+  if (!device || device.type !== 'switch' || !Number.isInteger(number) || number < 1) return false;
+  const connections = getDeviceConnections(state, device.id);
+  if (connId && !connections.some((c) => c.id === connId)) return false;
+
+  const port = String(number);
+  const endKey = (c) => (c.from === device.id ? 'fromPort' : 'toPort');
+  beginGroup(state, 'Assign port');
+  connections.forEach((c) => {
+    if (c.id !== connId && c[endKey(c)] === port) updateConnectionProperty(state, c.id, endKey(c), '');
+  });
+  if (connId) {
+    updateConnectionProperty(state, connId, endKey(connections.find((c) => c.id === connId)), port);
+  }
+  endGroup(state);
+  return true;
+}
+
+// Device lookup and cabled adjacency, built once per analysis so the
+// walks below don't rescan every device and connection at each step.
+function buildCableGraph(state) {
+  const byId = new Map(state.devices.map((d) => [d.id, d]));
+  const neighbours = new Map(state.devices.map((d) => [d.id, []]));
+  state.connections.filter(isCabled).forEach((c) => {
+    if (neighbours.has(c.from)) neighbours.get(c.from).push(c.to);
+    if (neighbours.has(c.to)) neighbours.get(c.to).push(c.from);
+  });
+  return { byId, neighbours };
+}
+
+// Walks outward from the start ids without crossing the switch itself or
+// routing through a layer-3 device, which terminates VLANs. Start devices
+// are always expanded.
+function reachableFrom(graph, startIds, blockedId) {
+  const starts = new Set(startIds);
+  const seen = new Set([blockedId]);
+  const reached = [];
+  const queue = [...starts];
+  for (let i = 0; i < queue.length; i++) {
+    const id = queue[i];
+    if (seen.has(id)) continue;
+    seen.add(id);
+    const d = graph.byId.get(id);
+    if (!d) continue;
+    reached.push(d);
+    if (LAYER3_TYPES.includes(d.type) && !starts.has(id)) continue;
+    graph.neighbours.get(id).forEach((next) => {
+      if (!seen.has(next)) queue.push(next);
+    });
+  }
+  return reached;
+}
+
+function vlansUsedBy(state, devices) {
+  const vlans = new Set();
+  devices.forEach((d) => {
+    if (LAYER3_TYPES.includes(d.type)) return;
+    if (d.vlan) vlans.add(Number(d.vlan));
+    if (d.type === 'switch') (d.assignedVlans || []).forEach((v) => vlans.add(Number(v)));
+    if (d.type === 'ap') {
+      (d.ssids || []).forEach((name) => {
+        const ssid = state.ssids.find((s) => s.name === name);
+        if (ssid && ssid.vlan) vlans.add(Number(ssid.vlan));
+      });
+    }
+  });
+  return [...vlans].filter(Number.isInteger).sort((a, b) => a - b);
+}
+
+// A neighbour is upstream when a router or firewall can reach it without
+// going through this switch; everything else hangs off the switch. One walk
+// from all the gateways at once finds the whole upstream side.
+function upstreamIds(state, graph, device) {
+  const gateways = state.devices.filter((d) => LAYER3_TYPES.includes(d.type) && d.id !== device.id).map((d) => d.id);
+  return new Set(reachableFrom(graph, gateways, device.id).map((d) => d.id));
+}
+
+// graph is optional; validateState passes one so every switch shares it
+export function analyzeSwitchPorts(state, device, graph = buildCableGraph(state)) {
+  const ports = getSwitchPorts(state, device);
+  const portCount = getPortCount(device);
+  const connectionCount = getDeviceConnections(state, device.id).filter(isCabled).length;
+
+  const upstream = upstreamIds(state, graph, device);
+  const downstreamVlans = new Map();
+  const uplinks = [];
+  ports.filter((p) => p.deviceId).forEach((p) => {
+    if (upstream.has(p.deviceId)) {
+      uplinks.push(p.number);
+    } else {
+      downstreamVlans.set(p.number, vlansUsedBy(state, reachableFrom(graph, [p.deviceId], device.id)));
+    }
+  });
+  const allDownstream = [...new Set([...downstreamVlans.values()].flat())].sort((a, b) => a - b);
+
+  const trunkIssues = [];
+  ports.filter((p) => p.deviceId && p.taggedVlans.length > 0).forEach((p) => {
+    const needed = uplinks.includes(p.number) ? allDownstream : downstreamVlans.get(p.number);
+    const carried = [p.accessVlan, ...p.taggedVlans];
+    const missingVlans = needed.filter((v) => !carried.includes(v));
+    if (missingVlans.length) trunkIssues.push({ number: p.number, missingVlans });
+  });
+
+  return {
+    portCount,
+    connectionCount,
+    used: ports.filter((p) => p.deviceId).length,
+    free: ports.filter((p) => p.number <= portCount && !p.deviceId).map((p) => p.number),
+    oversubscribed: portCount > 0 && connectionCount > portCount,
+    trunkIssues,
+  };
+}
+
+// ─── AP SSID toggle ─────────────────────────────────────────────────
+
+export function toggleAPSSID(device, ssidName, state) {
+  if (!device || device.type !== 'ap') return false;
+  const before = device.ssids || [];
+
+  const index = before.indexOf(ssidName);
+  device.ssids = index === -1
+    ? [...before, ssidName]
+    : before.filter((s) => s !== ssidName);
+  if (state) recordUpdate(state, 'devices', device.id, 'ssids', before, device.ssids);
+  return true;
+}
+
+// ─── AP radios ──────────────────────────────────────────────────────
+//
+// device.radios holds one entry per band the AP has switched on:
+//   { band, channel, width, txPower }
+// channel is the primary 20 MHz channel, width is in MHz and txPower in
+// dBm; a null txPower means the AP picks its own.
+
+const range = (from, to, step) => Array.from({ length: Math.floor((to - from) / step) + 1 }, (_, i) => from + i * step);
+
+export const WIFI_BANDS = {
+  '2.4': { name: '2.4 GHz', channels: range(1, 13, 1), widths: [20, 40], defaults: { channel: 1, width: 20 } },
+  '5': {
+    name: '5 GHz',
+    channels: [...range(36, 64, 4), ...range(100, 144, 4), ...range(149, 165, 4)],
+    widths: [20, 40, 80, 160],
+    defaults: { channel: 36, width: 40 },
+  },
+  '6': { name: '6 GHz', channels: range(1, 233, 4), widths: [20, 40, 80, 160], defaults: { channel: 37, width: 80 } },
+};
+
+// Object keys would put '5' and '6' ahead of '2.4'
+export const WIFI_BAND_ORDER = ['2.4', '5', '6'];
+
+export const TX_POWER_RANGE = { min: 1, max: 30 };
+
+export const WIRELESS_CLIENT_TYPES = ['laptop', 'cellphone', 'tablet', 'iot'];
+
+function normalizeRadioValue(band, key, value) {
+  const spec = WIFI_BANDS[band];
+  switch (key) {
+    case 'channel':
+    case 'width': {
+      const number = Number(value);
+      const allowed = key === 'channel' ? spec.channels : spec.widths;
+      return allowed.includes(number) ? number : null;
+    }
+    case 'txPower': {
+      if (value === '' || value === null || value === undefined) return null;
+      const dbm = Number(value);
+      return Number.isInteger(dbm) && dbm >= TX_POWER_RANGE.min && dbm <= TX_POWER_RANGE.max ? dbm : undefined;
     }
-  });
-  return true;
+    default:
+      return undefined;
+  }
 }
 
-// ─── Switch VLAN toggle ─────────────────────────────────────────────
-
-export function toggleSwitchVLAN(device, vlanId) {
-  if (!device || device.type !== 'switch') return false;
-  if (!device.assignedVlans) device.assignedVlans = [];
+// Radios in band order with unknown bands, repeats and bad values dropped
+function normalizeRadios(radios) {
+  const list = Array.isArray(radios) ? radios : [];
+  return WIFI_BAND_ORDER
+    .map((band) => list.find((r) => isPlainObject(r) && String(r.band) === band))
+    .filter(Boolean)
+    .map((r) => {
+      const band = String(r.band);
+      const txPower = normalizeRadioValue(band, 'txPower', r.txPower);
+      return {
+        band,
+        channel: normalizeRadioValue(band, 'channel', r.channel) ?? WIFI_BANDS[band].defaults.channel,
+        width: normalizeRadioValue(band, 'width', r.width) ?? WIFI_BANDS[band].defaults.width,
+        txPower: txPower === undefined ? null : txPower,
+      };
+    });
+}
 
-  const index = device.assignedVlans.indexOf(vlanId);
-  if (index === -1) {
-    device.assignedVlans.push(vlanId);
+export function setAPRadioEnabled(state, device, band, enabled) {
+  if (!device || device.type !== 'ap' || !WIFI_BANDS[band]) return false;
+  const before = Array.isArray(device.radios) ? device.radios : [];
+  const others = before.filter((r) => r.band !== band);
+  if (enabled && others.length === before.length) {
+    device.radios = normalizeRadios([...others, { band, ...WIFI_BANDS[band].defaults, txPower: null }]);
+  } else if (!enabled && others.length !== before.length) {
+    device.radios = others;
   } else {
-    device.assignedVlans.splice(index, 1);
+    return false;
   }
+  recordUpdate(state, 'devices', device.id, 'radios', before, device.radios);
   return true;
 }
 
-// ─── AP SSID toggle ─────────────────────────────────────────────────
-
-export function toggleAPSSID(device, ssidName) {
-  if (!device || device.type !== 'ap') return false;
-  if (!device.ssids) device.ssids = [];
+export function updateAPRadio(state, device, band, key, value) {
+  if (!device || device.type !== 'ap' || !WIFI_BANDS[band]) return false;
+  const before = Array.isArray(device.radios) ? device.radios : [];
+  const radio = before.find((r) => r.band === band);
+  const normalized = radio ? normalizeRadioValue(band, key, value) : undefined;
+  if (normalized === undefined || (normalized === null && key !== 'txPower')) return false;
+  device.radios = before.map((r) => (r === radio ? { ...r, [key]: normalized } : r));
+  recordUpdate(state, 'devices', device.id, 'radios', before, device.radios);
+  return true;
+}
 
-  const index = device.ssids.indexOf(ssidName);
-  if (index === -1) {
-    device.ssids.push(ssidName);
-  } else {
-    device.ssids.splice(index, 1);
+// ─── Wireless clients ───────────────────────────────────────────────
+//
+// A laptop, phone, tablet or IoT device on Wi-Fi records where it joins:
+//   device.association = { apId, ssid }
+
+// Joins a client to an AP and SSID; an empty apId clears the association.
+// The SSID must exist but may be one the AP doesn't broadcast, which
+// validation then reports.
+export function associateClient(state, device, apId, ssid = '') {
+  if (!device || !WIRELESS_CLIENT_TYPES.includes(device.type)) return false;
+  const before = device.association || null;
+  let after = null;
+  if (apId) {
+    const ap = state.devices.find((d) => d.id === apId);
+    if (!ap || ap.type !== 'ap') return false;
+    if (ssid && !state.ssids.some((s) => s.name === ssid)) return false;
+    after = { apId, ssid: ssid || '' };
   }
+  device.association = after;
+  recordUpdate(state, 'devices', device.id, 'association', before, after);
   return true;
 }
 
+export function getAPClients(state, apId) {
+  return state.devices.filter((d) => d.association && d.association.apId === apId);
+}
+
 // ─── VM management ──────────────────────────────────────────────────
 
-export function addVM(device, name, status) {
+export function addVM(device, name, status, state) {
   if (!device || device.type !== 'vmhost') return false;
   if (!name) return false;
-  if (!device.vms) device.vms = [];
-  device.vms.push({ name, status: status || 'online' });
+  const before = device.vms || [];
+  device.vms = [...before, { name, status: status || 'online' }];
+  if (state) recordUpdate(state, 'devices', device.id, 'vms', before, device.vms);
   return true;
 }
 
-export function removeVM(device, index) {
+export function removeVM(device, index, state) {
   if (!device || !device.vms) return false;
   if (index < 0 || index >= device.vms.length) return false;
-  device.vms.splice(index, 1);
+  const before = device.vms;
+  device.vms = before.filter((_, i) => i !== index);
+  if (state) recordUpdate(state, 'devices', device.id, 'vms', before, device.vms);
   return true;
 }
 
@@ -412,8 +1457,257 @@ export function formatCount(count, singular) {
 
 // ─── JSON serialization ─────────────────────────────────────────────
 
+export const SCHEMA_VERSION = 3;
+
+const ROUTING_STYLES = ['curved', 'orthogonal'];
+export const CONNECTION_TYPES = ['wired', 'wireless', 'vpn'];
+
+// Each migration upgrades a project file from version N to N + 1.
+// Files written before schemaVersion existed are treated as version 1.
+const MIGRATIONS = {
+  1: (data) => ({
+    ...data,
+    // The i-Tech mapper stored routing and port info the logic module
+    // never knew about; make them explicit so every page reads the same shape.
+    connections: Array.isArray(data.connections)
+      ? data.connections.map((c) => (isPlainObject(c)
+        ? { ...c, routingStyle: c.routingStyle || 'curved', waypoints: c.waypoints || [] }
+        : c))
+      : data.connections,
+    devices: Array.isArray(data.devices)
+      ? data.devices.map((d) => (isPlainObject(d)
+        ? { ...d, parentPorts: d.parentPorts || {} }
+        : d))
+      : data.devices,
+    schemaVersion: 2,
+  }),
+  2: (data) => {
+    // Ports used to live on the device as parentPorts[otherId] = port on the
+    // other device; they now sit on the connection, one per end.
+    const devices = Array.isArray(data.devices) ? data.devices : [];
+    const portOn = (ownerId, otherId) => {
+      const owner = devices.find((d) => isPlainObject(d) && d.id === ownerId);
+      const ports = owner && isPlainObject(owner.parentPorts) ? owner.parentPorts : {};
+      return ports[otherId] === undefined ? '' : String(ports[otherId]);
+    };
+    return {
+      ...data,
+      connections: Array.isArray(data.connections)
+        ? data.connections.map((c) => (isPlainObject(c)
+          ? { fromPort: portOn(c.to, c.from), toPort: portOn(c.from, c.to), ...c }
+          : c))
+        : data.connections,
+      devices: Array.isArray(data.devices)
+        ? data.devices.map((d) => {
+          if (!isPlainObject(d)) return d;
+          const { parentPorts, ...rest } = d;
+          return rest;
+        })
+        : data.devices,
+      schemaVersion: 3,
+    };
+  },
+};
+
+export function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isFiniteNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value);
+}
+
+export function migrateProjectData(data) {
+  let version = data.schemaVersion === undefined ? 1 : data.schemaVersion;
+  if (!Number.isInteger(version) || version < 1) {
+    throw new Error(`Unsupported schemaVersion "${data.schemaVersion}"`);
+  }
+  if (version > SCHEMA_VERSION) {
+    throw new Error(
+      `This file was saved by a newer version (schema ${version}); this page supports up to ${SCHEMA_VERSION}`
+    );
+  }
+
+  let migrated = data;
+  while (version < SCHEMA_VERSION) {
+    migrated = MIGRATIONS[version](migrated);
+    version = migrated.schemaVersion;
+  }
+  return migrated;
+}
+
+export function validateProjectData(input) {
+  const errors = [];
+  const warnings = [];
+
+  if (!isPlainObject(input)) {
+    return { valid: false, errors: ['Project file must contain a JSON object'], warnings, data: null };
+  }
+
+  let data;
+  try {
+    data = migrateProjectData(input);
+  } catch (err) {
+    return { valid: false, errors: [err.message], warnings, data: null };
+  }
+
+  ['devices', 'connections', 'zones', 'vlans', 'ssids'].forEach((key) => {
+    if (data[key] !== undefined && !Array.isArray(data[key])) {
+      errors.push(`"${key}" must be an array`);
+    }
+  });
+  if (data.config !== undefined && !isPlainObject(data.config)) {
+    errors.push('"config" must be an object');
+  }
+  if (errors.length) return { valid: false, errors, warnings, data: null };
+
+  const devices = [];
+  const deviceIds = new Set();
+  (data.devices || []).forEach((d, i) => {
+    if (!isPlainObject(d) || typeof d.id !== 'string' || !d.id) {
+      warnings.push(`Device #${i + 1} has no id and was skipped`);
+      return;
+    }
+    if (deviceIds.has(d.id)) {
+      warnings.push(`Device ${d.id} appears more than once; later copies were skipped`);
+      return;
+    }
+    if (!types[d.type]) {
+      warnings.push(`Device ${d.name || d.id} has unknown type "${d.type}" and was skipped`);
+      return;
+    }
+    const device = { ...d };
+    if (!isFiniteNumber(device.x) || !isFiniteNumber(device.y)) {
+      warnings.push(`Device ${d.name || d.id} had no valid position and was moved to 0,0`);
+      device.x = isFiniteNumber(device.x) ? device.x : 0;
+      device.y = isFiniteNumber(device.y) ? device.y : 0;
+    }
+    if (typeof device.name !== 'string') device.name = types[d.type].name;
+    if (!VALID_STATUSES.includes(device.status)) device.status = 'online';
+    if (device.type === 'vmhost' && !Array.isArray(device.vms)) device.vms = [];
+    if (device.portMap !== undefined) {
+      const portMap = Array.isArray(device.portMap)
+        ? device.portMap.filter((p) => isPlainObject(p) && Number.isInteger(p.number) && p.number > 0)
+        : [];
+      if (!Array.isArray(device.portMap) || portMap.length !== device.portMap.length) {
+        warnings.push(`Device ${device.name} had invalid port map entries that were removed`);
+      }
+      device.portMap = portMap.map((p) => ({
+        ...PORT_DEFAULTS,
+        ...p,
+        accessVlan: normalizePortValue('accessVlan', p.accessVlan),
+        taggedVlans: normalizePortValue('taggedVlans', p.taggedVlans),
+        poe: !!p.poe,
+      }));
+    }
+    if (device.radios !== undefined) {
+      const radios = normalizeRadios(device.radios);
+      if (!Array.isArray(device.radios) || JSON.stringify(radios) !== JSON.stringify(device.radios)) {
+        warnings.push(`Device ${device.name} had invalid radio settings that were repaired`);
+      }
+      device.radios = radios;
+    }
+    if (device.association !== undefined && device.association !== null &&
+      !(isPlainObject(device.association) && typeof device.association.apId === 'string' && device.association.apId)) {
+      warnings.push(`Device ${device.name} had an invalid wireless association that was removed`);
+      device.association = null;
+    } else if (device.association) {
+      device.association = { apId: device.association.apId, ssid: String(device.association.ssid ?? '') };
+    }
+    deviceIds.add(device.id);
+    devices.push(device);
+  });
+
+  const connections = [];
+  (data.connections || []).forEach((c, i) => {
+    if (!isPlainObject(c) || !deviceIds.has(c.from) || !deviceIds.has(c.to)) {
+      warnings.push(`Connection ${c?.id || '#' + (i + 1)} references a missing device and was skipped`);
+      return;
+    }
+    const conn = { ...c, ...normalizeConnectionDetails(c) };
+    if (!conn.id) conn.id = 'conn_import_' + i;
+    if (!CONNECTION_TYPES.includes(conn.type)) conn.type = 'wired';
+    if (!ROUTING_STYLES.includes(conn.routingStyle)) conn.routingStyle = 'curved';
+    if (!Array.isArray(conn.waypoints)) conn.waypoints = [];
+    const waypoints = conn.waypoints.filter((wp) => isPlainObject(wp) && isFiniteNumber(wp.x) && isFiniteNumber(wp.y));
+    if (waypoints.length !== conn.waypoints.length) {
+      warnings.push(`Connection ${conn.id} had invalid waypoints that were removed`);
+      conn.waypoints = waypoints;
+    }
+    connections.push(conn);
+  });
+
+  const zones = [];
+  (data.zones || []).forEach((z, i) => {
+    if (!isPlainObject(z) || !z.id || !zoneTypes[z.type]) {
+      warnings.push(`Zone ${z?.name || '#' + (i + 1)} is invalid and was skipped`);
+      return;
+    }
+    const zone = { ...z };
+    ['x', 'y'].forEach((k) => { if (!isFiniteNumber(zone[k])) zone[k] = 0; });
+    if (!isFiniteNumber(zone.width) || zone.width <= 0) zone.width = 200;
+    if (!isFiniteNumber(zone.height) || zone.height <= 0) zone.height = 150;
+    zones.push(zone);
+  });
+
+  // Membership is derived from the geometry, so recompute it instead of
+  // trusting whatever the file says
+  const membership = computeZoneMembership(devices, zones);
+  devices.forEach((d) => { d.zoneId = membership.devices[d.id]; });
+  zones.forEach((z) => { z.parentZoneId = membership.zones[z.id]; });
+
+  let vlans;
+  if (data.vlans) {
+    vlans = [];
+    data.vlans.forEach((v, i) => {
+      const id = isPlainObject(v) ? Number(v.id) : NaN;
+      if (!Number.isInteger(id) || id < 1 || id > 4094) {
+        warnings.push(`VLAN #${i + 1} has an invalid id and was skipped`);
+        return;
+      }
+      vlans.push({ ...v, id, name: v.name || '', subnet: v.subnet || '', gateway: v.gateway || '' });
+    });
+  }
+
+  const ssids = [];
+  (data.ssids || []).forEach((s, i) => {
+    if (!isPlainObject(s) || typeof s.name !== 'string' || !s.name) {
+      warnings.push(`SSID #${i + 1} has no name and was skipped`);
+      return;
+    }
+    ssids.push({ ...s, security: s.security || 'WPA2-Personal', vlan: s.vlan || '' });
+  });
+
+  let view;
+  if (isPlainObject(data.view)) {
+    view = {
+      zoom: isFiniteNumber(data.view.zoom) && data.view.zoom > 0 ? clampZoom(data.view.zoom) : 1,
+      panX: isFiniteNumber(data.view.panX) ? data.view.panX : 0,
+      panY: isFiniteNumber(data.view.panY) ? data.view.panY : 0,
+    };
+  }
+
+  return {
+    valid: true,
+    errors,
+    warnings,
+    data: {
+      ...data,
+      devices,
+      connections,
+      zones,
+      vlans,
+      ssids,
+      view,
+      clientName: typeof data.clientName === 'string' ? data.clientName : '',
+      siteName: typeof data.siteName === 'string' ? data.siteName : '',
+    },
+  };
+}
+
 export function exportStateToJson(state, clientName, siteName) {
   return {
+    schemaVersion: SCHEMA_VERSION,
     devices: state.devices,
     connections: state.connections,
     zones: state.zones,
@@ -426,23 +1720,31 @@ export function exportStateToJson(state, clientName, siteName) {
   };
 }
 
-export function importStateFromJson(state, data) {
-  state.devices = data.devices || [];
-  state.connections = data.connections || [];
-  state.zones = data.zones || [];
+export function importStateFromJson(state, input) {
+  const result = validateProjectData(input);
+  if (!result.valid) {
+    throw new Error(result.errors.join('; '));
+  }
+  const data = result.data;
+
+  state.devices = data.devices;
+  state.connections = data.connections;
+  state.zones = data.zones;
   state.vlans = data.vlans || state.vlans;
-  state.ssids = data.ssids || [];
-  state.config = data.config || state.config;
+  state.ssids = data.ssids;
+  state.config = data.config ? { ...state.config, ...data.config } : state.config;
+  clearHistory(state);
 
   if (data.view) {
-    state.zoom = data.view.zoom || 1;
-    state.panX = data.view.panX || 0;
-    state.panY = data.view.panY || 0;
+    state.zoom = data.view.zoom;
+    state.panX = data.view.panX;
+    state.panY = data.view.panY;
   }
 
   return {
-    clientName: data.clientName || '',
-    siteName: data.siteName || '',
+    clientName: data.clientName,
+    siteName: data.siteName,
+    warnings: result.warnings,
   };
 }
 
@@ -475,48 +1777,209 @@ export function parseCSVLine(line) {
   return result;
 }
 
-const VALID_DEVICE_TYPES = [
+export const VALID_DEVICE_TYPES = [
   'router', 'firewall', 'switch', 'ap', 'server', 'vmhost', 'nas',
   'desktop', 'laptop', 'cellphone', 'tablet', 'printer', 'phone',
   'camera', 'iot', 'otherendpoint', 'storage',
 ];
 
-const VALID_STATUSES = ['online', 'offline', 'warning', 'retired', 'decommissioned'];
+export const VALID_STATUSES = ['online', 'offline', 'warning', 'retired', 'decommissioned'];
 
-export function parseCSVContent(content) {
-  const lines = content.split('\n').filter(
-    (line) => line.trim() && !line.trim().startsWith('#')
-  );
+// Excel writes semicolons in locales where the comma is the decimal separator
+const CSV_DELIMITERS = [',', ';', '\t', '|'];
+
+// A quote only opens a quoted value at the start of a field (after any of
+// the candidate delimiters), so the inch mark in 12" rack is plain text
+function countOutsideQuotes(line, char) {
+  let count = 0;
+  let inQuotes = false;
+  let fieldStart = true;
+  for (let i = 0; i < line.length; i++) {
+    const c = line[i];
+    if (inQuotes) {
+      if (c === '"' && line[i + 1] === '"') i++;
+      else if (c === '"') inQuotes = false;
+    } else if (c === '"' && fieldStart) {
+      inQuotes = true;
+      fieldStart = false;
+    } else {
+      if (c === char) count++;
+      if (CSV_DELIMITERS.includes(c)) fieldStart = true;
+      else if (c.trim()) fieldStart = false;
+    }
+  }
+  return count;
+}
+
+// The candidate seen most often across the first few data lines; ',' if none
+export function detectCSVDelimiter(text) {
+  const lines = String(text || '').split(/\r?\n/)
+    .filter((l) => l.trim() && !l.trim().startsWith('#'))
+    .slice(0, 10);
+  let best = ',';
+  let bestCount = 0;
+  CSV_DELIMITERS.forEach((delimiter) => {
+    const count = lines.reduce((sum, line) => sum + countOutsideQuotes(line, delimiter), 0);
+    if (count > bestCount) {
+      best = delimiter;
+      bestCount = count;
+    }
+  });
+  return best;
+}
+
+/**
+ * Streams records out of CSV text one character at a time. Quoted fields may
+ * hold delimiters, doubled quotes and line breaks; a quote anywhere but the
+ * start of a field is kept as text. \r\n endings and a UTF-8 BOM are
+ * handled. Yields { cells, line } where line is the 1-based line the record
+ * starts on, plus unterminated: true if the text ends inside quotes.
+ */
+export function* tokenizeCSV(text, delimiter = detectCSVDelimiter(text)) {
+  const source = String(text || '').replace(/^\uFEFF/, '');
+  let cells = [];
+  let cell = '';
+  let inQuotes = false;
+  let line = 1;
+  let startLine = 1;
+
+  const finishRecord = () => {
+    cells.push(cell.trim());
+    const record = { cells, line: startLine };
+    cells = [];
+    cell = '';
+    return record;
+  };
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    if (char === '\n') line++;
+
+    if (inQuotes) {
+      if (char === '"' && source[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else if (char !== '\r' || source[i + 1] !== '\n') {
+        cell += char;
+      }
+    } else if (char === '"' && !cell.trim()) {
+      inQuotes = true;
+      cell = '';
+    } else if (char === delimiter) {
+      cells.push(cell.trim());
+      cell = '';
+    } else if (char === '\n') {
+      yield finishRecord();
+      startLine = line;
+    } else if (char !== '\r') {
+      cell += char;
+    }
+  }
+
+  if (cell || cells.length || inQuotes) {
+    const record = finishRecord();
+    if (inQuotes) record.unterminated = true;
+    yield record;
+  }
+}
+
+// Other names spreadsheets and inventory tools use for our columns. Headers
+// are compared lowercased with everything but letters and digits removed.
+const CSV_HEADER_ALIASES = {
+  type: ['devicetype', 'category', 'kind'],
+  name: ['hostname', 'devicename', 'host', 'computername'],
+  ipaddress: ['ip', 'ipv4', 'ipv4address', 'ipaddr'],
+  macaddress: ['mac', 'macaddr', 'physicaladdress', 'hardwareaddress'],
+  manufacturer: ['vendor', 'make', 'brand'],
+  os: ['operatingsystem'],
+  serialnumber: ['serial', 'serialno', 'sn'],
+  vlanid: ['vlan'],
+  status: ['state'],
+  notes: ['note', 'comments', 'comment', 'description'],
+  downloadmbps: ['download', 'downloadspeed'],
+  uploadmbps: ['upload', 'uploadspeed'],
+  subnetmask: ['netmask', 'mask'],
+  defaultgateway: ['gateway'],
+};
 
-  if (lines.length < 2) return [];
+const CSV_HEADER_BY_ALIAS = Object.fromEntries(
+  Object.entries(CSV_HEADER_ALIASES).flatMap(([key, aliases]) => aliases.map((a) => [a, key]))
+);
 
-  const headers = parseCSVLine(lines[0]);
-  const results = [];
+const compactKey = (value) => String(value || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+export function normalizeCSVHeader(header) {
+  const key = compactKey(header);
+  return CSV_HEADER_BY_ALIAS[key] || key;
+}
+
+// Accepts the type key or its display name ("Access Point", "desk phone")
+export function resolveDeviceType(value, validTypes = VALID_DEVICE_TYPES) {
+  const wanted = compactKey(value);
+  if (!wanted) return null;
+  return validTypes.find((t) => t === wanted || compactKey(types[t]?.name) === wanted) || null;
+}
 
-  for (let i = 1; i < lines.length; i++) {
-    const values = parseCSVLine(lines[i]);
-    if (values.length === 0) continue;
+/**
+ * Reads a device CSV. Returns { rows, errors }: rows are keyed by normalized
+ * header with type resolved to a type key, and errors are
+ * [{ line, message }] for every row that was left out.
+ */
+export function parseCSVDevices(content, options = {}) {
+  const { validTypes = VALID_DEVICE_TYPES } = options;
+  const rows = [];
+  const errors = [];
+  let headers = null;
+
+  for (const { cells, line, unterminated } of tokenizeCSV(content)) {
+    if (cells.every((c) => c === '') || cells[0].startsWith('#')) continue;
+    if (unterminated) {
+      errors.push({ line, message: 'Quoted field is never closed' });
+      continue;
+    }
+    if (!headers) {
+      headers = cells.map(normalizeCSVHeader);
+      if (!headers.includes('type')) {
+        errors.push({ line, message: 'No Type column found' });
+        break;
+      }
+      continue;
+    }
 
     const row = {};
     headers.forEach((header, index) => {
-      row[header.toLowerCase().replace(/\s+/g, '')] = values[index] || '';
+      if (header && !row[header]) row[header] = cells[index] || '';
     });
-
-    if (row.type && VALID_DEVICE_TYPES.includes(row.type.toLowerCase())) {
-      results.push(row);
+    if (!row.type) {
+      errors.push({ line, message: 'Missing device type' });
+      continue;
     }
+    const type = resolveDeviceType(row.type, validTypes);
+    if (!type) {
+      errors.push({ line, message: `Unknown device type "${row.type}"` });
+      continue;
+    }
+    rows.push({ ...row, type });
   }
 
-  return results;
+  return { rows, errors };
+}
+
+export function parseCSVContent(content) {
+  return parseCSVDevices(content).rows;
 }
 
-export function csvRowToDevice(row, index, counter, gridCols, startX, startY, snapEnabled) {
+/** Builds a device from a CSV row; with the state, its id cannot clash with one already on the map. */
+export function csvRowToDevice(row, index, counter, gridCols, startX, startY, snapEnabled, state = null) {
   const col = index % gridCols;
   const rowNum = Math.floor(index / gridCols);
   const deviceType = row.type.toLowerCase();
 
+  const id = 'dev' + Date.now() + '_' + index;
   const device = {
-    id: 'dev' + Date.now() + '_' + index,
+    id: state ? uniqueId(state, id) : id,
     type: deviceType,
     name: row.name || (types[deviceType]?.name || 'Device') + ' ' + counter,
     ip: row.ipaddress || '',
@@ -553,6 +2016,134 @@ export function csvRowToDevice(row, index, counter, gridCols, startX, startY, sn
   return device;
 }
 
+// ─── nmap import ────────────────────────────────────────────────────
+
+// nmap -oX output is flat and regular enough to read with patterns, which
+// keeps this usable outside the browser where DOMParser doesn't exist.
+function decodeXmlEntities(text) {
+  return text
+    .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(Number(dec)))
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&');
+}
+
+function xmlElements(xml, name) {
+  const pattern = new RegExp(`<${name}\\b([^>]*?)(?:/>|>([\\s\\S]*?)</${name}>)`, 'g');
+  return [...xml.matchAll(pattern)].map((m) => {
+    const attrs = {};
+    m[1].replace(/([\w:-]+)="([^"]*)"/g, (_, key, value) => {
+      attrs[key] = decodeXmlEntities(value);
+    });
+    return { attrs, body: m[2] || '' };
+  });
+}
+
+const PRINTER_PORTS = [515, 631, 9100];
+const CAMERA_PORTS = [554];
+const PHONE_PORTS = [5060, 5061];
+const SERVER_PORTS = [25, 53, 88, 110, 143, 389, 636, 993, 1433, 3306, 5432];
+
+// osclass type values nmap uses, split by how much we trust them over ports
+const NMAP_INFRASTRUCTURE_TYPES = {
+  router: 'router',
+  'broadband router': 'router',
+  firewall: 'firewall',
+  switch: 'switch',
+  WAP: 'ap',
+};
+const NMAP_DEVICE_TYPES = {
+  printer: 'printer',
+  'print server': 'printer',
+  webcam: 'camera',
+  'VoIP phone': 'phone',
+  'VoIP adapter': 'phone',
+  'storage-misc': 'nas',
+  phone: 'cellphone',
+};
+
+/**
+ * Best guess at a device type from what nmap saw.
+ * host: { ports: [open tcp/udp port numbers], osClasses: [{ type, osfamily }], os }
+ * Infrastructure OS classes win, then telltale ports (9100 printer, 554
+ * camera, 5060 phone), then other OS classes, then SMB + RDP and OS family.
+ */
+export function guessDeviceType(host) {
+  const ports = new Set(host.ports || []);
+  const osClasses = host.osClasses || [];
+  const os = host.os || '';
+  const hasAny = (list) => list.some((p) => ports.has(p));
+  const classType = (table) => osClasses.map((c) => table[c.type]).find(Boolean);
+  const family = (name) => osClasses.some((c) => c.osfamily === name);
+
+  const infrastructure = classType(NMAP_INFRASTRUCTURE_TYPES);
+  if (infrastructure) return infrastructure;
+  if (hasAny(PRINTER_PORTS)) return 'printer';
+  if (hasAny(CAMERA_PORTS)) return 'camera';
+  if (hasAny(PHONE_PORTS)) return 'phone';
+
+  const device = classType(NMAP_DEVICE_TYPES);
+  if (device) return device;
+
+  const serverLike = hasAny(SERVER_PORTS) || /server/i.test(os);
+  if (ports.has(445) && ports.has(3389)) return serverLike ? 'server' : 'desktop';
+  if (serverLike) return 'server';
+  if (family('iOS') || family('Android')) return 'cellphone';
+  if (family('Windows') || family('Mac OS X') || family('macOS')) return 'desktop';
+  return 'otherendpoint';
+}
+
+/**
+ * Turns nmap -oX output into rows shaped like parseCSVContent() results so
+ * they can go through the same preview and csvRowToDevice(). Hosts that
+ * were not up are left out. Returns null when the text isn't an nmap scan.
+ */
+export function parseNmapXML(xml) {
+  if (typeof xml !== 'string' || !/<nmaprun\b/.test(xml)) return null;
+
+  const rows = [];
+  xmlElements(xml, 'host').forEach(({ body }) => {
+    const status = xmlElements(body, 'status')[0];
+    if (status && status.attrs.state !== 'up') return;
+
+    const addresses = xmlElements(body, 'address').map((a) => a.attrs);
+    const ip = addresses.find((a) => a.addrtype === 'ipv4') || addresses.find((a) => a.addrtype === 'ipv6');
+    const mac = addresses.find((a) => a.addrtype === 'mac');
+    const hostnames = xmlElements(body, 'hostname').map((h) => h.attrs);
+    const hostname = hostnames.find((h) => h.type === 'user') || hostnames[0];
+
+    const openPorts = xmlElements(body, 'port')
+      .filter((p) => xmlElements(p.body, 'state')[0]?.attrs.state === 'open')
+      .map((p) => ({
+        number: Number(p.attrs.portid),
+        protocol: p.attrs.protocol || 'tcp',
+        service: xmlElements(p.body, 'service')[0]?.attrs.name || '',
+      }));
+
+    // nmap lists OS matches best first
+    const osMatch = xmlElements(body, 'osmatch')[0];
+    const osClasses = osMatch ? xmlElements(osMatch.body, 'osclass').map((c) => c.attrs) : [];
+    const os = osMatch ? osMatch.attrs.name || '' : '';
+
+    rows.push({
+      type: guessDeviceType({ ports: openPorts.map((p) => p.number), osClasses, os }),
+      name: hostname ? hostname.name : '',
+      ipaddress: ip ? ip.addr : '',
+      macaddress: mac ? mac.addr : '',
+      manufacturer: mac && mac.vendor ? mac.vendor : '',
+      os,
+      status: 'online',
+      notes: openPorts.length
+        ? 'Open ports: ' + openPorts.map((p) => p.number + '/' + p.protocol + (p.service ? ' ' + p.service : '')).join(', ')
+        : '',
+    });
+  });
+  return rows;
+}
+
 // ─── CSV export ─────────────────────────────────────────────────────
 
 export function escapeCSVCell(cell) {
@@ -563,21 +2154,23 @@ export function escapeCSVCell(cell) {
   return str;
 }
 
-export function exportDevicesToCSV(devices) {
+export function exportDevicesToCSV(devices, zones = []) {
   const headers = [
     'Type', 'Name', 'IP Address', 'MAC Address', 'Manufacturer', 'Model',
     'OS', 'Serial Number', 'Ports', 'PoE', 'Connection Type',
-    'Download Mbps', 'Upload Mbps', 'VLAN ID', 'Status', 'Notes',
+    'Download Mbps', 'Upload Mbps', 'VLAN ID', 'Zone', 'Location', 'Status', 'Notes',
   ];
 
   let csvContent = headers.join(',') + '\n';
 
   devices.forEach((d) => {
+    const where = describeDeviceLocation(zones, d);
     const row = [
       d.type || '', d.name || '', d.ip || '', d.mac || '',
       d.manufacturer || '', d.model || '', d.os || '', d.serial || '',
       d.ports || '', d.poe ? 'yes' : '', d.connectionType || '',
       d.downloadSpeed || '', d.uploadSpeed || '', d.vlan || '',
+      where.zone, where.location,
       d.status || '', d.notes || '',
     ].map(escapeCSVCell);
     csvContent += row.join(',') + '\n';
@@ -586,6 +2179,291 @@ export function exportDevicesToCSV(devices) {
   return csvContent;
 }
 
+// ─── Topology text export ───────────────────────────────────────────
+// DOT, Mermaid and GraphML views of the map for wikis and graph tools.
+// Zones nest the same way the canvas shows them; devices and links carry
+// their type, IP, VLAN and status so the text can be styled or queried.
+
+const TOPOLOGY_EDGE_STYLES = {
+  wired: { color: '#ff3b3b', dot: 'solid', mermaid: '---' },
+  wireless: { color: '#c084fc', dot: 'dashed', mermaid: '-.-' },
+  vpn: { color: '#d4a017', dot: 'bold', mermaid: '===' },
+};
+
+const TOPOLOGY_STATUS_COLORS = {
+  online: '#22c55e', offline: '#555555', warning: '#f97316', retired: '#555555', decommissioned: '#555555',
+};
+
+// Zones outermost first, with the zone each device and zone sits in
+function topologyTree(state) {
+  const zones = state.zones || [];
+  const membership = computeZoneMembership(state.devices, zones);
+  const ids = new Set(state.devices.map((d) => d.id));
+  const children = (parentId) => ({
+    zones: zones.filter((z) => membership.zones[z.id] === parentId),
+    devices: state.devices.filter((d) => membership.devices[d.id] === parentId),
+  });
+  return {
+    children,
+    connections: (state.connections || []).filter((c) => ids.has(c.from) && ids.has(c.to)),
+  };
+}
+
+function topologyAttributes(device) {
+  return {
+    type: device.type || '',
+    ip: device.ip || '',
+    vlan: device.vlan === undefined || device.vlan === null ? '' : String(device.vlan),
+    status: device.status || '',
+  };
+}
+
+const dotString = (value) => '"' + String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\r?\n/g, '\\n') + '"';
+
+function dotAttributes(attrs) {
+  return '[' + Object.entries(attrs).map(([k, v]) => k + '=' + dotString(v)).join(', ') + ']';
+}
+
+/**
+ * Graphviz DOT. Zones become clusters (nested as on the map) and each device
+ * keeps type, ip, vlan and status as node attributes.
+ */
+export function exportToDot(state) {
+  const tree = topologyTree(state);
+  const lines = [
+    'graph network {',
+    '  graph [rankdir="TB", fontname="Arial"];',
+    '  node [shape="box", style="rounded", fontname="Arial"];',
+    '  edge [fontname="Arial", fontsize="10"];',
+  ];
+  let clusters = 0;
+
+  const writeLevel = (parentId, indent) => {
+    const { zones, devices } = tree.children(parentId);
+    zones.forEach((zone) => {
+      lines.push(indent + 'subgraph ' + dotString('cluster_' + clusters++) + ' {');
+      lines.push(indent + '  label=' + dotString(zone.name) + ';');
+      lines.push(indent + '  color=' + dotString(zoneTypes[zone.type]?.color || '#888888') + ';');
+      writeLevel(zone.id, indent + '  ');
+      lines.push(indent + '}');
+    });
+    devices.forEach((d) => {
+      const label = [d.name, d.ip].filter(Boolean).join('\n');
+      lines.push(indent + dotString(d.id) + ' ' + dotAttributes({
+        label,
+        ...topologyAttributes(d),
+        color: TOPOLOGY_STATUS_COLORS[d.status] || '#555555',
+      }) + ';');
+    });
+  };
+  writeLevel('', '  ');
+
+  tree.connections.forEach((c) => {
+    const style = TOPOLOGY_EDGE_STYLES[c.type] || TOPOLOGY_EDGE_STYLES.wired;
+    const attrs = { type: c.type, style: style.dot, color: style.color };
+    const label = formatConnectionLabel(c);
+    if (label) attrs.label = label;
+    lines.push('  ' + dotString(c.from) + ' -- ' + dotString(c.to) + ' ' + dotAttributes(attrs) + ';');
+  });
+
+  lines.push('}');
+  return lines.join('\n') + '\n';
+}
+
+// Mermaid ids are bare words and labels can't hold raw quotes
+const mermaidText = (value) => String(value)
+  .replace(/&/g, '#amp;').replace(/"/g, '#quot;').replace(/</g, '#lt;').replace(/>/g, '#gt;')
+  .replace(/\r?\n/g, ' ');
+
+/**
+ * Mermaid flowchart for Markdown wikis. Zones become subgraphs; type, IP and
+ * VLAN go in the node label and status becomes a class so it can be styled.
+ */
+export function exportToMermaid(state) {
+  const tree = topologyTree(state);
+  const lines = ['flowchart TB'];
+  const nodeIds = new Map();
+  let zoneCount = 0;
+
+  const writeLevel = (parentId, indent) => {
+    const { zones, devices } = tree.children(parentId);
+    zones.forEach((zone) => {
+      lines.push(indent + 'subgraph zone' + ++zoneCount + '["' + mermaidText(zone.name) + '"]');
+      writeLevel(zone.id, indent + '  ');
+      lines.push(indent + 'end');
+    });
+    devices.forEach((d) => {
+      const id = 'dev' + (nodeIds.size + 1);
+      nodeIds.set(d.id, id);
+      const attrs = topologyAttributes(d);
+      const details = [types[d.type]?.name || d.type, attrs.ip, attrs.vlan && 'VLAN ' + attrs.vlan].filter(Boolean);
+      const label = '<b>' + mermaidText(d.name) + '</b><br/>' + details.map(mermaidText).join(' · ');
+      lines.push(indent + id + '["' + label + '"]:::' + (attrs.status || 'online'));
+    });
+  };
+  writeLevel('', '  ');
+
+  const linkStyles = [];
+  tree.connections.forEach((c, i) => {
+    const style = TOPOLOGY_EDGE_STYLES[c.type] || TOPOLOGY_EDGE_STYLES.wired;
+    const label = formatConnectionLabel(c);
+    lines.push('  ' + nodeIds.get(c.from) + ' ' + style.mermaid + (label ? '|"' + mermaidText(label) + '"|' : '') + ' ' + nodeIds.get(c.to));
+    linkStyles.push('  linkStyle ' + i + ' stroke:' + style.color);
+  });
+  lines.push(...linkStyles);
+
+  Object.entries(TOPOLOGY_STATUS_COLORS).forEach(([status, color]) => {
+    lines.push('  classDef ' + status + ' stroke:' + color + ',stroke-width:2px');
+  });
+  return lines.join('\n') + '\n';
+}
+
+const xmlText = (value) => String(value)
+  .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+const GRAPHML_KEYS = [
+  { id: 'name', for: 'node', name: 'name' },
+  { id: 'type', for: 'node', name: 'type' },
+  { id: 'ip', for: 'node', name: 'ip' },
+  { id: 'vlan', for: 'node', name: 'vlan' },
+  { id: 'status', for: 'node', name: 'status' },
+  { id: 'zoneType', for: 'node', name: 'zoneType' },
+  { id: 'linkType', for: 'edge', name: 'type' },
+  { id: 'label', for: 'edge', name: 'label' },
+  { id: 'color', for: 'edge', name: 'color' },
+];
+
+/**
+ * GraphML for yEd and graph-analysis tools. Zones are group nodes holding a
+ * nested graph; every node and edge carries its attributes as data keys.
+ */
+export function exportToGraphML(state) {
+  const tree = topologyTree(state);
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<graphml xmlns="http://graphml.graphdrawing.org/xmlns">',
+    ...GRAPHML_KEYS.map((k) => `  <key id="${k.id}" for="${k.for}" attr.name="${k.name}" attr.type="string"/>`),
+    '  <graph id="network" edgedefault="undirected">',
+  ];
+  const data = (indent, values) => Object.entries(values)
+    .forEach(([key, value]) => lines.push(`${indent}<data key="${key}">${xmlText(value)}</data>`));
+
+  const writeLevel = (parentId, indent) => {
+    const { zones, devices } = tree.children(parentId);
+    zones.forEach((zone) => {
+      lines.push(`${indent}<node id="${xmlText(zone.id)}">`);
+      data(indent + '  ', { name: zone.name, zoneType: zone.type });
+      lines.push(`${indent}  <graph id="${xmlText(zone.id)}:" edgedefault="undirected">`);
+      writeLevel(zone.id, indent + '    ');
+      lines.push(`${indent}  </graph>`);
+      lines.push(`${indent}</node>`);
+    });
+    devices.forEach((d) => {
+      lines.push(`${indent}<node id="${xmlText(d.id)}">`);
+      data(indent + '  ', { name: d.name, ...topologyAttributes(d) });
+      lines.push(`${indent}</node>`);
+    });
+  };
+  writeLevel('', '    ');
+
+  tree.connections.forEach((c) => {
+    const style = TOPOLOGY_EDGE_STYLES[c.type] || TOPOLOGY_EDGE_STYLES.wired;
+    lines.push(`    <edge id="${xmlText(c.id)}" source="${xmlText(c.from)}" target="${xmlText(c.to)}">`);
+    data('      ', { linkType: c.type, label: formatConnectionLabel(c), color: style.color });
+    lines.push('    </edge>');
+  });
+
+  lines.push('  </graph>', '</graphml>');
+  return lines.join('\n') + '\n';
+}
+
+// ─── PDF page layout ────────────────────────────────────────────────
+
+// Portrait sizes in millimetres; jsPDF knows each key as a format name
+export const PAPER_SIZES = {
+  letter: { name: 'Letter', width: 215.9, height: 279.4 },
+  legal: { name: 'Legal', width: 215.9, height: 355.6 },
+  a4: { name: 'A4', width: 210, height: 297 },
+  a3: { name: 'A3', width: 297, height: 420 },
+  tabloid: { name: 'Tabloid', width: 279.4, height: 431.8 },
+};
+
+// Printed size of one CSS pixel (1/96 inch) at 100%
+export const MM_PER_PX = 25.4 / 96;
+
+// A, B, ... Z, AA, AB, ... like the squares of a street map
+function sheetColumnName(index) {
+  let name = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  }
+  return name;
+}
+
+/**
+ * Splits a drawing width × height px across sheets whose printable area is
+ * areaWidth × areaHeight mm, at scale (1 = on-screen size). Neighbouring
+ * sheets share overlap mm so nothing is lost at a cut. Sheets are named by
+ * column letter and row number (A1, B1, A2, ...). Returns { cols, rows,
+ * tiles }; each tile has its name, col, row, the px rectangle it shows and
+ * the names of the sheets around it (null at the edges).
+ */
+export function planPdfTiles(width, height, { areaWidth, areaHeight, scale = 1, overlap = 10 }) {
+  const mmPerPx = MM_PER_PX * scale;
+  const tileWidth = areaWidth / mmPerPx;
+  const tileHeight = areaHeight / mmPerPx;
+  const overlapX = Math.min(overlap / mmPerPx, tileWidth / 2);
+  const overlapY = Math.min(overlap / mmPerPx, tileHeight / 2);
+  const count = (size, tile, shared) => (size <= tile ? 1 : Math.ceil((size - shared) / (tile - shared)));
+  const cols = count(width, tileWidth, overlapX);
+  const rows = count(height, tileHeight, overlapY);
+  const name = (col, row) => (col >= 0 && col < cols && row >= 0 && row < rows ? sheetColumnName(col) + (row + 1) : null);
+
+  const tiles = [];
+  for (let row = 0; row < rows; row++) {
+    for (let col = 0; col < cols; col++) {
+      const x = col * (tileWidth - overlapX);
+      const y = row * (tileHeight - overlapY);
+      tiles.push({
+        name: name(col, row),
+        col,
+        row,
+        x,
+        y,
+        width: Math.min(tileWidth, width - x),
+        height: Math.min(tileHeight, height - y),
+        neighbors: { left: name(col - 1, row), right: name(col + 1, row), top: name(col, row - 1), bottom: name(col, row + 1) },
+      });
+    }
+  }
+  return { cols, rows, tiles };
+}
+
+const CONNECTION_TYPE_NAMES = { wired: 'Wired', wireless: 'Wireless', vpn: 'VPN' };
+
+/**
+ * What a printed legend needs to explain: the device types, zone types and
+ * connection types the map actually uses, in catalogue order. deviceTypes
+ * defaults to the shared catalogue; pages with extra types pass their own.
+ */
+export function describeLegend(state, deviceTypes = types) {
+  const countBy = (items) => items.reduce((acc, item) => acc.set(item.type, (acc.get(item.type) || 0) + 1), new Map());
+  const deviceCounts = countBy(state.devices);
+  const zoneCounts = countBy(state.zones);
+  const connectionCounts = countBy(state.connections);
+  return {
+    devices: Object.entries(deviceTypes)
+      .filter(([type]) => deviceCounts.has(type))
+      .map(([type, cfg]) => ({ type, name: cfg.name, icon: cfg.icon, count: deviceCounts.get(type) })),
+    zones: Object.entries(zoneTypes)
+      .filter(([type]) => zoneCounts.has(type))
+      .map(([type, cfg]) => ({ type, name: cfg.name, color: cfg.color, count: zoneCounts.get(type) })),
+    connections: CONNECTION_TYPES
+      .filter((type) => connectionCounts.has(type))
+      .map((type) => ({ type, name: CONNECTION_TYPE_NAMES[type], count: connectionCounts.get(type) })),
+  };
+}
+
 // ─── Bounding box calculation ───────────────────────────────────────
 
 export function calculateBoundingBox(devices, zones, getDeviceDimensions) {
@@ -611,9 +2489,176 @@ export function calculateBoundingBox(devices, zones, getDeviceDimensions) {
   return { minX, minY, maxX, maxY };
 }
 
+// ─── Diagram validation ─────────────────────────────────────────────
+
+const SEVERITY_ORDER = { error: 0, warning: 1, info: 2 };
+
+const IPAM_SEVERITY = {
+  'vlan-invalid-subnet': 'error',
+  'gateway-outside-subnet': 'error',
+  'ip-invalid': 'error',
+  'ip-duplicate': 'error',
+  'ip-outside-subnet': 'warning',
+  'ip-is-gateway': 'warning',
+};
+
+export function validateState(state) {
+  const findings = [];
+  const add = (severity, rule, message, ids) => {
+    findings.push({ severity, rule, message, ids });
+  };
+
+  const deviceIds = new Set(state.devices.map((d) => d.id));
+  const deviceName = (id) => state.devices.find((d) => d.id === id)?.name || id;
+  const ssidNames = new Set(state.ssids.map((s) => s.name));
+  const vlanExists = (vlanId) => !!findVlan(state.vlans, vlanId);
+  const cableGraph = buildCableGraph(state);
+
+  // Connections
+  const seenPairs = new Map();
+  state.connections.forEach((c) => {
+    const missing = [c.from, c.to].filter((id) => !deviceIds.has(id));
+    if (missing.length) {
+      add('error', 'connection-missing-device',
+        `Connection ${c.id} references missing device ${missing.join(', ')}`, [c.id]);
+      return;
+    }
+    if (c.from === c.to) {
+      add('error', 'connection-self', `Connection ${c.id} connects ${deviceName(c.from)} to itself`, [c.id]);
+      return;
+    }
+    // Parallel links are fine when they are members of the same LAG
+    const key = [c.from, c.to].sort().join('|');
+    if (!seenPairs.has(key)) seenPairs.set(key, []);
+    const earlier = seenPairs.get(key);
+    const duplicate = earlier.find((other) => !c.lag || other.lag !== c.lag);
+    if (duplicate) {
+      add('warning', 'connection-duplicate',
+        `${deviceName(c.from)} and ${deviceName(c.to)} are connected more than once`,
+        [duplicate.id, c.id]);
+    }
+    earlier.push(c);
+  });
+
+  // Devices
+  state.devices.forEach((d) => {
+    if (!types[d.type]) {
+      add('error', 'device-unknown-type', `${d.name || d.id} has unknown type "${d.type}"`, [d.id]);
+    }
+    if (d.vlan && !vlanExists(d.vlan)) {
+      add('warning', 'device-missing-vlan', `${d.name} is on VLAN ${d.vlan}, which does not exist`, [d.id]);
+    }
+    if (d.type === 'switch' && Array.isArray(d.assignedVlans)) {
+      d.assignedVlans.filter((v) => !vlanExists(v)).forEach((v) => {
+        add('warning', 'switch-missing-vlan', `${d.name} carries VLAN ${v}, which does not exist`, [d.id]);
+      });
+    }
+    if (d.type === 'switch') {
+      const ports = analyzeSwitchPorts(state, d, cableGraph);
+      if (ports.oversubscribed) {
+        add('warning', 'switch-oversubscribed',
+          `${d.name} has ${ports.connectionCount} cabled connections but only ${ports.portCount} ports`, [d.id]);
+      }
+      ports.trunkIssues.forEach((t) => {
+        add('warning', 'trunk-missing-vlan',
+          `${d.name} port ${t.number} does not carry VLAN ${t.missingVlans.join(', ')} used beyond it`, [d.id]);
+      });
+    }
+    if (d.type === 'ap' && Array.isArray(d.ssids)) {
+      d.ssids.filter((s) => !ssidNames.has(s)).forEach((s) => {
+        add('warning', 'ap-missing-ssid', `${d.name} broadcasts SSID "${s}", which does not exist`, [d.id]);
+      });
+    }
+    // A client associated with an AP is on the network without a cable
+    if (!state.connections.some((c) => c.from === d.id || c.to === d.id) && !(d.association && d.association.apId)) {
+      add('info', 'device-orphaned', `${d.name} has no connections`, [d.id]);
+    }
+  });
+
+  // SSIDs
+  state.ssids.forEach((s) => {
+    if (s.vlan && !vlanExists(s.vlan)) {
+      add('warning', 'ssid-missing-vlan', `SSID "${s.name}" maps to VLAN ${s.vlan}, which does not exist`, [s.name]);
+    }
+  });
+
+  // Zones
+  state.zones.forEach((z) => {
+    if (!zoneTypes[z.type]) {
+      add('error', 'zone-unknown-type', `${z.name || z.id} has unknown zone type "${z.type}"`, [z.id]);
+    }
+    if (z.type === 'idf' && z.connectedMDF && !state.zones.some((m) => m.id === z.connectedMDF)) {
+      add('warning', 'zone-missing-mdf', `${z.name} links to an MDF that does not exist`, [z.id]);
+    }
+  });
+
+  // Network configuration
+  if (state.config && state.config.dhcpDevice && !deviceIds.has(state.config.dhcpDevice)) {
+    add('error', 'dhcp-device-missing', 'The configured DHCP device no longer exists', [state.config.dhcpDevice]);
+  }
+
+  validateIPAddressing(state).forEach((issue) => {
+    add(IPAM_SEVERITY[issue.rule] || 'warning', issue.rule, issue.message, issue.ids);
+  });
+
+  return findings.sort((a, b) => SEVERITY_ORDER[a.severity] - SEVERITY_ORDER[b.severity]);
+}
+
+export function summarizeFindings(findings) {
+  const summary = { error: 0, warning: 0, info: 0 };
+  findings.forEach((f) => {
+    summary[f.severity]++;
+  });
+  return summary;
+}
+
+// ─── Failure simulation ─────────────────────────────────────────────
+
+export const DOWN_STATUSES = ['offline', 'retired', 'decommissioned'];
+
+/**
+ * "What-if" view of the map. Devices with a down status, any listed in
+ * options.failedDeviceIds and every device on a failed UPS zone (see
+ * getDevicesOnUPS) are treated as removed along with their links. Maps
+ * without a router use their firewalls as the way out.
+ * Returns { down, downConnections, isolated } where isolated lists the
+ * devices that could reach the router before and no longer can.
+ */
+export function simulateFailures(state, options = {}) {
+  const { failedZoneIds = [], failedDeviceIds = [] } = options;
+  const down = new Set(state.devices.filter((d) => DOWN_STATUSES.includes(d.status)).map((d) => d.id));
+  failedDeviceIds.forEach((id) => down.add(id));
+  state.zones
+    .filter((z) => z.type === 'ups' && failedZoneIds.includes(z.id))
+    .forEach((z) => getDevicesOnUPS(state, z.id).forEach((d) => down.add(d.id)));
+
+  const gateways = internetEdge(state);
+  const before = reachable(buildGraph(state), gateways);
+  // Links to missing devices are skipped, so leaving the down ones out drops their links too
+  const after = reachable(buildGraph({ ...state, devices: state.devices.filter((d) => !down.has(d.id)) }), gateways);
+
+  return {
+    down: state.devices.filter((d) => down.has(d.id)).map((d) => d.id),
+    downConnections: state.connections
+      .filter((c) => down.has(c.from) || down.has(c.to))
+      .map((c) => c.id),
+    isolated: state.devices
+      .filter((d) => !down.has(d.id) && before.has(d.id) && !after.has(d.id))
+      .map((d) => d.id),
+  };
+}
+
 // ─── Clear all ──────────────────────────────────────────────────────
 
 export function clearAllData(state) {
+  const before = {
+    devices: state.devices,
+    connections: state.connections,
+    zones: state.zones,
+    counter: state.counter,
+    zoneCounter: state.zoneCounter,
+  };
+
   state.devices = [];
   state.connections = [];
   state.zones = [];
@@ -621,4 +2666,9 @@ export function clearAllData(state) {
   state.zoneCounter = 0;
   state.selected = null;
   state.selectedZone = null;
+  state.selection = [];
+
+  beginGroup(state, 'Clear all');
+  Object.keys(before).forEach((key) => recordAssign(state, key, before[key], state[key]));
+  endGroup(state);
 }
@@ -0,0 +1,344 @@
+/**
+ * Network Mapper - LLDP / CDP neighbor import.
+ * Reads neighbor tables from switch CLI output (Cisco IOS LLDP and CDP,
+ * Aruba, lldpd) or a simple CSV, matches neighbors to devices on the map
+ * and turns them into connections with both ports filled in.
+ */
+
+import {
+  types,
+  parseCSVLine,
+  snapToGridValue,
+  createDeviceData,
+  addConnection,
+  getDeviceConnections,
+  getConnectionPort,
+  updateConnectionProperty,
+  beginGroup,
+  endGroup,
+  normalizeMac,
+} from './network-mapper-logic.js';
+
+// ─── Parsing ────────────────────────────────────────────────────────
+
+// CLI labels differ per vendor; they are compared lowercased with
+// everything but letters and digits removed.
+const FIELD_ALIASES = {
+  localPort: ['localintf', 'localport', 'interface', 'port'],
+  name: ['systemname', 'sysname', 'deviceid', 'neighborchassisname'],
+  mac: ['chassisid', 'neighborchassisid'],
+  remotePort: ['portid', 'portidoutgoingport', 'neighborportid'],
+  ip: ['ip', 'ipaddress', 'address', 'mgmtip', 'neighbormanagementaddress'],
+  capabilities: ['systemcapabilities', 'capabilities', 'systemcapabilitiessupported', 'chassiscapabilitiesavailable'],
+  enabledCapabilities: ['enabledcapabilities', 'systemcapabilitiesenabled', 'chassiscapabilitiesenabled'],
+  description: ['systemdescription', 'sysdescr', 'systemdescr', 'platform', 'neighborchassisdescription'],
+};
+
+const FIELD_BY_KEY = Object.fromEntries(
+  Object.entries(FIELD_ALIASES).flatMap(([field, keys]) => keys.map((k) => [k, field]))
+);
+
+// A repeat of one of these means the next neighbor has started
+const RECORD_START_FIELDS = ['localPort', 'name'];
+
+const normalizeKey = (key) => key.toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// lldpd prefixes ids with their subtype ("mac 00:11:..", "ifname Gi0/1")
+const stripSubtype = (value) => value.replace(/^(mac|ifname|ifalias|local|ip)\s+/i, '');
+
+function cleanValue(field, value) {
+  const trimmed = value.trim();
+  if (field === 'mac') return normalizeMac(stripSubtype(trimmed));
+  if (field === 'localPort' || field === 'remotePort' || field === 'ip') return stripSubtype(trimmed);
+  return trimmed;
+}
+
+// CDP and lldpd put several "Key: value" pairs on one line, comma separated
+function splitPairs(line) {
+  return line.split(/,\s+(?=[A-Za-z][\w ()/.-]*?\s*:\s)/);
+}
+
+function emptyNeighbor() {
+  return { localDevice: '', localPort: '', name: '', ip: '', mac: '', remotePort: '', capabilities: [], description: '' };
+}
+
+function capabilityList(value) {
+  return value.split(/[\s,]+/).map((c) => c.trim()).filter(Boolean);
+}
+
+function finishNeighbor(raw) {
+  const neighbor = { ...emptyNeighbor(), ...raw };
+  neighbor.capabilities = raw.enabledCapabilities && raw.enabledCapabilities.length
+    ? raw.enabledCapabilities
+    : raw.capabilities || [];
+  delete neighbor.enabledCapabilities;
+  return neighbor;
+}
+
+/**
+ * Parses `show lldp neighbors detail`, `show cdp neighbors detail`, Aruba
+ * `show lldp info remote-device detail` / `show lldp neighbor-info detail`
+ * and `lldpctl` output. Returns neighbors that at least have a name or a
+ * chassis MAC.
+ */
+export function parseLldpText(text) {
+  const records = [];
+  let current = {};
+
+  const flush = () => {
+    if (current.name || current.mac) records.push(finishNeighbor(current));
+    current = {};
+  };
+
+  String(text || '').split(/\r?\n/).forEach((line) => {
+    splitPairs(line).forEach((pair) => {
+      const match = pair.match(/^\s*([A-Za-z][\w ()/.-]*?)\s*:\s*(.*)$/);
+      if (!match) return;
+      const field = FIELD_BY_KEY[normalizeKey(match[1])];
+      if (!field) return;
+      const value = cleanValue(field, match[2]);
+
+      if (field === 'capabilities' || field === 'enabledCapabilities') {
+        current[field] = capabilityList(value);
+        return;
+      }
+      // Section headers such as lldpd's bare "Port:" carry no value
+      if (value && RECORD_START_FIELDS.includes(field) && current[field]) flush();
+      // Keep the first address; CDP repeats it under "Management address(es)"
+      if (value && !current[field]) current[field] = value;
+    });
+
+    // lldpd lists one capability per line: "Capability: Bridge, on"
+    const lldpdCapability = line.match(/^\s*Capability:\s*([\w-]+),\s*on\s*$/i);
+    if (lldpdCapability) {
+      current.enabledCapabilities = [...(current.enabledCapabilities || []), lldpdCapability[1]];
+    }
+  });
+  flush();
+  return records;
+}
+
+const CSV_COLUMNS = {
+  localDevice: ['localdevice', 'localswitch', 'device'],
+  localPort: ['localport', 'localinterface', 'interface'],
+  name: ['remotedevice', 'neighbor', 'neighbour', 'systemname', 'remotename'],
+  remotePort: ['remoteport', 'portid', 'remoteinterface'],
+  ip: ['remoteip', 'ip', 'managementip'],
+  mac: ['remotemac', 'chassisid', 'mac'],
+  capabilities: ['capabilities'],
+  description: ['description', 'platform'],
+};
+
+/**
+ * Simple LLDP CSV, one neighbor per row. Recognised headers include
+ * Local Device, Local Port, Remote Device, Remote Port, Remote IP,
+ * Remote MAC and Capabilities. Local Device is optional.
+ */
+export function parseLldpCsv(text) {
+  const lines = String(text || '').split(/\r?\n/).filter((l) => l.trim() && !l.trim().startsWith('#'));
+  if (lines.length < 2) return [];
+  const headers = parseCSVLine(lines[0]).map(normalizeKey);
+  const column = (field) => headers.findIndex((h) => CSV_COLUMNS[field].includes(h));
+  const index = Object.fromEntries(Object.keys(CSV_COLUMNS).map((f) => [f, column(f)]));
+
+  return lines.slice(1).map((line) => {
+    const values = parseCSVLine(line);
+    const get = (field) => (index[field] === -1 ? '' : values[index[field]] || '');
+    return {
+      ...emptyNeighbor(),
+      localDevice: get('localDevice'),
+      localPort: get('localPort'),
+      name: get('name'),
+      ip: get('ip'),
+      mac: normalizeMac(get('mac')),
+      remotePort: get('remotePort'),
+      capabilities: capabilityList(get('capabilities')),
+      description: get('description'),
+    };
+  }).filter((n) => n.name || n.mac || n.ip);
+}
+
+// CSV when the first line reads like a header row, CLI output otherwise.
+export function parseNeighborTable(text) {
+  const firstLine = String(text || '').split(/\r?\n/).find((l) => l.trim()) || '';
+  const looksLikeCsv = firstLine.includes(',') && !firstLine.includes(':');
+  return looksLikeCsv ? parseLldpCsv(text) : parseLldpText(text);
+}
+
+// ─── Matching ───────────────────────────────────────────────────────
+
+// "SW-1.corp.local" and CDP's "SW-1(FOC1234X)" both match a device named "SW-1"
+export function normalizeHostname(name) {
+  return String(name || '').trim().toLowerCase().replace(/\(.*\)$/, '').split('.')[0];
+}
+
+export function findNeighborDevice(state, neighbor) {
+  const mac = normalizeMac(neighbor.mac);
+  if (mac) {
+    const byMac = state.devices.find((d) => normalizeMac(d.mac) === mac);
+    if (byMac) return byMac;
+  }
+  if (neighbor.ip) {
+    const byIp = state.devices.find((d) => d.ip && d.ip === neighbor.ip);
+    if (byIp) return byIp;
+  }
+  const host = normalizeHostname(neighbor.name);
+  if (host) return state.devices.find((d) => normalizeHostname(d.name) === host) || null;
+  return null;
+}
+
+const FIREWALL_PATTERN = /firewall|fortigate|\basa(\b|\d)|palo alto|pa-\d|sonicwall|pfsense|opnsense/i;
+
+/**
+ * Device type for a neighbor we don't have on the map yet, or null when it
+ * isn't network infrastructure (phones and hosts are reported instead).
+ * Accepts Cisco letter codes (R, B, W, T, S) as well as spelled out names.
+ */
+export function guessNeighborType(neighbor) {
+  const caps = neighbor.capabilities.map((c) => c.toLowerCase());
+  const has = (...names) => names.some((n) => caps.includes(n));
+  if (FIREWALL_PATTERN.test(neighbor.description)) return 'firewall';
+  if (has('w', 'wlan', 'wlan-access-point', 'trans-bridge')) return 'ap';
+  if (has('t', 'telephone', 'phone', 'station-only', 'station')) return null;
+  if (has('b', 's', 'bridge', 'switch')) return 'switch';
+  if (has('r', 'router')) return 'router';
+  return null;
+}
+
+// The link a neighbor entry describes: the one on the same local port, or
+// failing that a link to the neighbor with no local port filled in yet, so
+// each member of a LAG gets its own connection. A local port already
+// cabled to some other device is returned as the conflict instead.
+function matchNeighborLink(state, local, remoteId, localPort) {
+  const links = getDeviceConnections(state, local.id);
+  const otherEnd = (c) => (c.from === local.id ? c.to : c.from);
+  if (!localPort) return { conn: links.find((c) => otherEnd(c) === remoteId) || null, conflict: null };
+
+  const onPort = links.filter((c) => getConnectionPort(c, local.id) === localPort);
+  const conn = onPort.find((c) => otherEnd(c) === remoteId) ||
+    (onPort.length ? null : links.find((c) => otherEnd(c) === remoteId && !getConnectionPort(c, local.id)));
+  const conflict = conn || !onPort.length ? null : state.devices.find((d) => d.id === otherEnd(onPort[0]));
+  return { conn: conn || null, conflict: conflict || null };
+}
+
+const conflictReason = (local, localPort, other) =>
+  `Port ${localPort} on ${local.name} is already connected to ${other.name}`;
+
+/**
+ * Dry run of an import: what would happen to each neighbor. sourceId is the
+ * device the CLI output came from; CSV rows may name their own local device.
+ * Returns [{ neighbor, local, remote, action, type, reason }] where action is
+ * 'connect', 'update' (already linked on that port, ports refreshed),
+ * 'create' (new infrastructure device plus connection) or 'unmatched'.
+ */
+export function planNeighborImport(state, neighbors, sourceId) {
+  const source = state.devices.find((d) => d.id === sourceId) || null;
+  return neighbors.map((neighbor) => {
+    const local = neighbor.localDevice
+      ? findNeighborDevice(state, { name: neighbor.localDevice, ip: neighbor.localDevice })
+      : source;
+    const entry = { neighbor, local, remote: null, action: 'unmatched', type: null, reason: '' };
+    if (!local) {
+      entry.reason = neighbor.localDevice
+        ? 'Local device "' + neighbor.localDevice + '" is not on the map'
+        : 'No source device selected';
+      return entry;
+    }
+
+    const remote = findNeighborDevice(state, neighbor);
+    if (remote && remote.id === local.id) {
+      entry.reason = 'Neighbor is the local device itself';
+      return entry;
+    }
+    const { conn, conflict } = matchNeighborLink(state, local, remote?.id, neighbor.localPort);
+    if (conflict) {
+      entry.reason = conflictReason(local, neighbor.localPort, conflict);
+      return entry;
+    }
+    if (remote) return { ...entry, remote, action: conn ? 'update' : 'connect' };
+
+    const type = guessNeighborType(neighbor);
+    if (!type) {
+      entry.reason = 'No matching device and not recognisable as infrastructure';
+      return entry;
+    }
+    return { ...entry, action: 'create', type };
+  });
+}
+
+// ─── Import ─────────────────────────────────────────────────────────
+
+function setConnectionPorts(state, conn, localId, localPort, remotePort) {
+  const [fromPort, toPort] = conn.from === localId ? [localPort, remotePort] : [remotePort, localPort];
+  if (fromPort) updateConnectionProperty(state, conn.id, 'fromPort', fromPort);
+  if (toPort) updateConnectionProperty(state, conn.id, 'toPort', toPort);
+}
+
+/**
+ * Applies planNeighborImport() as one undoable step. New devices are placed
+ * in a row under the device that reported them.
+ * Returns { created, connected, updated, unmatched } where unmatched holds
+ * the plan entries that were skipped, with their reason.
+ */
+export function importNeighbors(state, neighbors, sourceId, options = {}) {
+  const { spacing = 160, snap = true } = options;
+  const plan = planNeighborImport(state, neighbors, sourceId);
+  const result = { created: [], connected: [], updated: [], unmatched: [] };
+  const placedUnder = new Map();
+
+  beginGroup(state, 'Import neighbors');
+  plan.forEach((entry) => {
+    const { neighbor, local } = entry;
+    let remote = entry.remote;
+
+    if (entry.action === 'unmatched') {
+      result.unmatched.push(entry);
+      return;
+    }
+    // Earlier rows may have created the neighbor or cabled the port
+    if (entry.action === 'create') remote = findNeighborDevice(state, neighbor);
+    const match = matchNeighborLink(state, local, remote?.id, neighbor.localPort);
+    if (match.conflict) {
+      result.unmatched.push({ ...entry, action: 'unmatched', reason: conflictReason(local, neighbor.localPort, match.conflict) });
+      return;
+    }
+    if (!remote) {
+      const slot = placedUnder.get(local.id) || 0;
+      placedUnder.set(local.id, slot + 1);
+      remote = createDeviceData(
+        state,
+        entry.type,
+        snapToGridValue(local.x + slot * spacing, snap),
+        snapToGridValue(local.y + spacing, snap)
+      );
+      remote.name = neighbor.name.replace(/\(.*\)$/, '').trim() || types[entry.type].name;
+      remote.ip = neighbor.ip;
+      remote.mac = neighbor.mac;
+      result.created.push(remote.id);
+    }
+
+    let conn = match.conn;
+
+    if (conn) {
+      setConnectionPorts(state, conn, local.id, neighbor.localPort, neighbor.remotePort);
+      if (!result.connected.includes(conn.id) && !result.updated.includes(conn.id)) result.updated.push(conn.id);
+      return;
+    }
+
+    const below = remote.y >= local.y;
+    // Discovered links are cables, whatever link type the toolbar is on
+    conn = addConnection(state, local.id, below ? 'bottom' : 'top', remote.id, below ? 'top' : 'bottom', {
+      type: 'wired',
+      fromPort: neighbor.localPort,
+      toPort: neighbor.remotePort,
+    });
+    if (!conn) {
+      result.unmatched.push({ ...entry, action: 'unmatched', reason: 'Could not connect these devices' });
+      return;
+    }
+    result.connected.push(conn.id);
+  });
+  endGroup(state);
+
+  return result;
+}
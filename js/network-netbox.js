@@ -0,0 +1,683 @@
+/**
+ * Network Mapper - NetBox import and export.
+ * Reads NetBox API responses saved as files (dcim/sites, dcim/racks,
+ * dcim/devices, dcim/cables, ipam/vlans, ipam/prefixes, ipam/ip-addresses)
+ * and turns them into zones, devices, connections and VLANs. Sites become
+ * On-Prem zones and racks become MDF/IDF zones inside them. The export goes
+ * the other way, as rows NetBox's bulk import accepts, and can itself be
+ * loaded back. Nothing here talks to a NetBox server.
+ */
+
+import {
+  types,
+  zoneTypeFields,
+  parseIPv4,
+  parseCIDR,
+  findVlan,
+  resolveDeviceType,
+  normalizeConnectionDetails,
+  computeZoneMembership,
+  snapToGridValue,
+  syncZoneMembership,
+  insertItem,
+  updateItem,
+  nextCounter,
+  uniqueId,
+  beginGroup,
+  endGroup,
+} from './network-mapper-logic.js';
+
+// ─── Reading files ──────────────────────────────────────────────────
+
+// Sections of a combined file (our own export) and the kind each holds
+const SECTION_KINDS = {
+  'dcim/sites': 'sites',
+  'dcim/racks': 'racks',
+  'dcim/devices': 'devices',
+  'dcim/cables': 'cables',
+  'ipam/vlans': 'vlans',
+  'ipam/prefixes': 'prefixes',
+  'ipam/ip-addresses': 'ipAddresses',
+};
+
+// Only the tables we import; interfaces, roles and the like are skipped
+function classifyRecord(item) {
+  if ('a_terminations' in item || 'termination_a_type' in item || 'side_a_device' in item) return 'cables';
+  if ('vid' in item) return 'vlans';
+  if ('prefix' in item) return 'prefixes';
+  if ('address' in item) return 'ipAddresses';
+  if ('u_height' in item) return 'racks';
+  if ('device_type' in item || 'role' in item || 'device_role' in item) return 'devices';
+  if ('slug' in item && 'name' in item) return 'sites';
+  return null;
+}
+
+const emptyData = () => ({ sites: [], racks: [], devices: [], cables: [], vlans: [], prefixes: [], ipAddresses: [] });
+
+/**
+ * Sorts the records in a set of files into { sites, racks, devices, cables,
+ * vlans, prefixes, ipAddresses }. Files are { name, text }. Each may be a
+ * saved API page ({ results: [...] }), a plain array, or a combined file
+ * keyed by endpoint like exportNetbox writes. Returns { data, warnings }.
+ */
+export function parseNetboxFiles(files) {
+  const data = emptyData();
+  const warnings = [];
+
+  const addRecords = (records, file, kind) => {
+    records.forEach((item) => {
+      if (!item || typeof item !== 'object' || Array.isArray(item)) return;
+      const bucket = kind || classifyRecord(item);
+      if (bucket) data[bucket].push(item);
+    });
+    if (!kind && records.length > 0 && !records.some((item) => item && typeof item === 'object' && classifyRecord(item))) {
+      warnings.push(`${file.name} has no NetBox sites, racks, devices, cables, VLANs or prefixes`);
+    }
+  };
+
+  files.forEach((file) => {
+    let json;
+    try {
+      json = JSON.parse(file.text);
+    } catch {
+      warnings.push(`${file.name} is not valid JSON`);
+      return;
+    }
+    if (Array.isArray(json)) {
+      addRecords(json, file);
+    } else if (json && Array.isArray(json.results)) {
+      addRecords(json.results, file);
+      if (json.next) warnings.push(`${file.name} is one page of a longer list; save the other pages too (or use ?limit=0)`);
+    } else if (json && Object.keys(json).some((key) => SECTION_KINDS[key])) {
+      Object.entries(json).forEach(([key, records]) => {
+        if (SECTION_KINDS[key] && Array.isArray(records)) addRecords(records, file, SECTION_KINDS[key]);
+      });
+    } else {
+      warnings.push(`${file.name} is not a NetBox export`);
+    }
+  });
+
+  return { data, warnings };
+}
+
+// API responses nest related objects; bulk rows name them
+function refName(value) {
+  if (value === undefined || value === null) return '';
+  if (typeof value === 'object') return String(value.name ?? value.display ?? value.slug ?? '');
+  return String(value);
+}
+
+// Choice fields come back as { value, label }
+const choice = (value) => String((value && typeof value === 'object' ? value.value : value) ?? '').toLowerCase();
+
+const stripPrefixLength = (address) => String(address || '').split('/')[0].trim();
+
+// ─── Mapping ────────────────────────────────────────────────────────
+
+const NETBOX_STATUS = {
+  active: 'online',
+  offline: 'offline',
+  failed: 'offline',
+  planned: 'warning',
+  staged: 'warning',
+  inventory: 'retired',
+  decommissioning: 'decommissioned',
+};
+
+const STATUS_TO_NETBOX = {
+  online: 'active',
+  offline: 'offline',
+  warning: 'staged',
+  retired: 'inventory',
+  decommissioned: 'decommissioning',
+};
+
+// Tried in order against the role, then the model, then the device name
+const ROLE_PATTERNS = [
+  [/firewall|utm|fortigate|palo alto|sonicwall|pfsense|opnsense/i, 'firewall'],
+  [/access.?point|wireless|wifi|wlan|\bwap\b|\bap\b/i, 'ap'],
+  [/router|gateway|\bwan\b|\bedge\b/i, 'router'],
+  [/switch|\bcore\b|distribution|\baccess\b/i, 'switch'],
+  [/hypervisor|vm.?host|esxi|proxmox|hyper-v/i, 'vmhost'],
+  [/virtual machine|\bvm\b/i, 'vm'],
+  [/\bnas\b|synology|qnap/i, 'nas'],
+  [/storage|\bsan\b/i, 'storage'],
+  [/server/i, 'server'],
+  [/printer|\bmfp\b|copier/i, 'printer'],
+  [/camera|cctv|\bnvr\b/i, 'camera'],
+  [/phone|voip/i, 'phone'],
+  [/laptop|notebook/i, 'laptop'],
+  [/desktop|workstation|\bpc\b/i, 'desktop'],
+  [/\biot\b|sensor/i, 'iot'],
+];
+
+/**
+ * Picks a device type for a NetBox device from its role, device type model
+ * and name, falling back to Other Endpoint.
+ */
+export function guessNetboxType(role, model, name) {
+  const exact = resolveDeviceType(role);
+  if (exact) return exact;
+  for (const value of [role, model, name]) {
+    const match = ROLE_PATTERNS.find(([pattern]) => pattern.test(value || ''));
+    if (match) return match[1];
+  }
+  return 'otherendpoint';
+}
+
+function mediaFromCableType(type) {
+  const value = choice(type);
+  if (/^(cat|mrj21)/.test(value)) return 'copper';
+  if (/^dac/.test(value)) return 'dac';
+  if (/^coax/.test(value)) return 'coax';
+  if (/^smf/.test(value)) return 'fiber-sm';
+  if (/^mmf/.test(value)) return 'fiber-mm';
+  return '';
+}
+
+const CABLE_TYPES = { copper: 'cat6', 'fiber-sm': 'smf', 'fiber-mm': 'mmf', dac: 'dac-passive', coax: 'coaxial' };
+
+const POWER_TERMINATIONS = /power/;
+
+// Both ends of a cable as [{ device, port, kind }], whatever API version wrote it
+function cableEnds(cable) {
+  if ('side_a_device' in cable) {
+    return ['a', 'b'].map((side) => ({
+      device: refName(cable[`side_${side}_device`]),
+      port: refName(cable[`side_${side}_name`]),
+      kind: choice(cable[`side_${side}_type`]),
+    }));
+  }
+  if ('a_terminations' in cable) {
+    return ['a', 'b'].map((side) => {
+      const term = (cable[`${side}_terminations`] || [])[0] || {};
+      const object = term.object || {};
+      return { device: object.device || null, port: refName(object), kind: choice(term.object_type) };
+    });
+  }
+  return ['a', 'b'].map((side) => {
+    const object = cable[`termination_${side}`] || {};
+    return { device: object.device || null, port: refName(object), kind: choice(cable[`termination_${side}_type`]) };
+  });
+}
+
+// Racks named like the main room are MDFs; otherwise a site's first rack is
+const MDF_PATTERN = /\bmdf\b|main|core|server room|data ?cent(er|re)|\bdc\b|comms/i;
+
+// ─── Import ─────────────────────────────────────────────────────────
+
+// Fills in what NetBox knows; blank values never clear anything
+const FILL_BLANKS = { skipBlank: true };
+
+const findNamed = (list, name, accept = () => true) => {
+  const named = name ? list.filter((item) => item.name === name && accept(item)) : [];
+  return named.length === 1 ? named[0] : null;
+};
+
+/**
+ * Merges parsed NetBox data into the map as one undoable step. Sites, racks,
+ * devices and VLANs that already exist (by name, or VLAN id) are updated in
+ * place; new ones are laid out from options.origin with racks inside their
+ * site and devices inside their rack. Cables become connections between the
+ * devices they join. Returns { added, updated, warnings }.
+ */
+export function importNetbox(state, data, options = {}) {
+  const { origin = { x: 0, y: 0 }, spacing = 160, snap = true } = options;
+  const counts = () => ({ devices: 0, connections: 0, zones: 0, vlans: 0 });
+  const added = counts();
+  const updated = counts();
+  const warnings = [];
+  const pad = 40;
+  const header = 40;
+
+  beginGroup(state, 'Import NetBox');
+
+  // VLANs, with subnets and gateways from the prefixes pointing at them
+  const prefixByVid = new Map();
+  data.prefixes.forEach((p) => {
+    const vid = Number(p.vlan && typeof p.vlan === 'object' ? p.vlan.vid : p.vlan_vid);
+    if (!Number.isInteger(vid) || prefixByVid.has(vid) || !parseCIDR(String(p.prefix || ''))) return;
+    const gateway = String(p.description || '').match(/gateway[:\s]+(\d{1,3}(?:\.\d{1,3}){3})/i)?.[1] || '';
+    prefixByVid.set(vid, { subnet: String(p.prefix), gateway });
+  });
+  const seenVids = new Map();
+  data.vlans.forEach((v) => {
+    const vid = Number(v.vid);
+    if (!Number.isInteger(vid) || vid < 1 || vid > 4094) {
+      warnings.push(`VLAN ${refName(v.name) || '?'} has an invalid VID and was skipped`);
+      return;
+    }
+    if (seenVids.has(vid)) {
+      warnings.push(`VLAN ${vid} appears more than once; kept ${seenVids.get(vid)}`);
+      return;
+    }
+    seenVids.set(vid, refName(v.name));
+    const values = { name: refName(v.name), ...(prefixByVid.get(vid) || {}) };
+    const vlan = state.vlans.find((existing) => existing.id === vid);
+    if (vlan) {
+      if (updateItem(state, 'vlans', vlan, values, FILL_BLANKS)) updated.vlans++;
+    } else {
+      insertItem(state, 'vlans', { id: vid, name: values.name || 'VLAN ' + vid, subnet: values.subnet || '', gateway: values.gateway || '' });
+      added.vlans++;
+    }
+  });
+
+  // Sites and racks, including ones only named by devices
+  const sites = new Map();
+  const racks = new Map();
+  const addSite = (name, record = {}) => {
+    if (!name) return null;
+    if (!sites.has(name)) sites.set(name, { name, record, racks: [], devices: [] });
+    const site = sites.get(name);
+    if (Object.keys(record).length) site.record = record;
+    return site;
+  };
+  // NetBox racks always belong to a site; a rack named without one is ignored
+  const addRack = (siteName, name, record = {}) => {
+    if (!name || !siteName) return null;
+    const key = siteName + '\u0000' + name;
+    if (!racks.has(key)) {
+      const rack = { name, site: addSite(siteName), record, devices: [] };
+      racks.set(key, rack);
+      rack.site?.racks.push(rack);
+    }
+    const rack = racks.get(key);
+    if (Object.keys(record).length) rack.record = record;
+    return rack;
+  };
+  data.sites.forEach((s) => addSite(refName(s.name), s));
+  data.racks.forEach((r) => addRack(refName(r.site), refName(r.name), r));
+
+  // Devices, keyed by NetBox id (API files) and name (bulk rows) for the cables
+  const primaryIps = new Map();
+  data.ipAddresses.forEach((ip) => {
+    const owner = refName(ip.assigned_object?.device ?? ip.device);
+    if (owner && (!primaryIps.has(owner) || ip.is_primary)) primaryIps.set(owner, stripPrefixLength(ip.address));
+  });
+
+  const byNetboxId = new Map();
+  const byName = new Map();
+  const loose = [];
+  data.devices.forEach((d, i) => {
+    const name = refName(d.name);
+    const role = refName(d.role ?? d.device_role);
+    const model = d.device_type?.model || refName(d.device_type);
+    const type = guessNetboxType(role, model, name);
+    const manufacturer = refName(d.device_type?.manufacturer ?? d.manufacturer);
+    const status = NETBOX_STATUS[choice(d.status)] || 'online';
+    if (d.status && !NETBOX_STATUS[choice(d.status)]) {
+      warnings.push(`Device ${name || i + 1} has unknown status "${choice(d.status)}"; kept as online`);
+    }
+    const values = {
+      ip: stripPrefixLength(d.primary_ip4?.address || d.primary_ip?.address) || primaryIps.get(name) || '',
+      manufacturer,
+      model,
+      serial: refName(d.serial),
+      os: refName(d.platform),
+      status,
+      notes: refName(d.comments || d.description),
+    };
+    const siteName = refName(d.site);
+    const rack = addRack(siteName, refName(d.rack), {});
+    const site = rack ? rack.site : addSite(siteName);
+
+    const existing = findNamed(state.devices, name);
+    let device = existing;
+    if (existing) {
+      if (updateItem(state, 'devices', existing, values, FILL_BLANKS)) updated.devices++;
+    } else {
+      device = { type, name, values };
+      (rack || site || { devices: loose }).devices.push(device);
+    }
+    if (d.id !== undefined) byNetboxId.set(d.id, device);
+    if (name) byName.set(name, device);
+  });
+
+  // ── Layout: racks in a row inside their site, sites in a row from origin
+  const gridOf = (count) => {
+    const cols = Math.max(1, Math.min(4, Math.ceil(Math.sqrt(count))));
+    return { cols, rows: Math.ceil(count / cols) };
+  };
+  const blockSize = (count) => {
+    if (count === 0) return { width: 0, height: 0 };
+    const { cols, rows } = gridOf(count);
+    return { width: cols * spacing - (spacing - 120), height: rows * spacing - (spacing - 100) };
+  };
+  const zoneFor = (type, name) =>
+    findNamed(state.zones, name, (z) => (type === 'onprem' ? z.type === 'onprem' || z.type === 'cloud' : z.type === 'mdf' || z.type === 'idf'));
+
+  const placements = [];
+  const placeDevices = (devices, x, y) => {
+    const { cols } = gridOf(devices.length);
+    devices.forEach((device, i) => placements.push({ device, x: x + (i % cols) * spacing, y: y + Math.floor(i / cols) * spacing }));
+  };
+
+  const newZones = [];
+  let cursorX = origin.x;
+  sites.forEach((site) => {
+    site.zone = zoneFor('onprem', site.name);
+    const racksHere = site.racks.map((rack) => {
+      rack.zone = zoneFor('rack', rack.name);
+      return rack;
+    });
+    // Anything going into a zone that already exists is placed loose below the import
+    racksHere.filter((r) => r.zone).forEach((r) => loose.push(...r.devices));
+    const newRacks = racksHere.filter((r) => !r.zone);
+    if (site.zone) {
+      loose.push(...site.devices);
+      newRacks.forEach((rack) => {
+        const size = blockSize(rack.devices.length);
+        const width = Math.max(200, size.width + pad * 2);
+        newZones.push({ rack, site, x: cursorX, y: origin.y, width, height: Math.max(150, size.height + header + pad) });
+        placeDevices(rack.devices, cursorX + pad, origin.y + header);
+        cursorX += width + pad * 2;
+      });
+      return;
+    }
+
+    let x = cursorX + pad;
+    let height = 0;
+    const siteZone = { site, x: cursorX, y: origin.y };
+    newZones.push(siteZone);
+    newRacks.forEach((rack) => {
+      const size = blockSize(rack.devices.length);
+      const width = Math.max(200, size.width + pad * 2);
+      const rackHeight = Math.max(150, size.height + header + pad);
+      newZones.push({ rack, site, x, y: origin.y + header, width, height: rackHeight });
+      placeDevices(rack.devices, x + pad, origin.y + header * 2);
+      x += width + pad;
+      height = Math.max(height, rackHeight);
+    });
+    if (site.devices.length > 0) {
+      const size = blockSize(site.devices.length);
+      placeDevices(site.devices, x, origin.y + header);
+      x += size.width + pad;
+      height = Math.max(height, size.height);
+    }
+    siteZone.width = Math.max(200, x - cursorX);
+    siteZone.height = Math.max(150, height + header + pad);
+    cursorX += siteZone.width + pad * 2;
+  });
+
+  const zonesBottom = newZones.reduce((bottom, z) => Math.max(bottom, z.y + z.height), origin.y);
+  placeDevices(loose, origin.x, newZones.length ? zonesBottom + spacing / 2 : origin.y);
+
+  // Racks marked as the main room are MDFs; otherwise each new site's first rack is
+  const mdfSites = new Set();
+  newZones.filter((z) => z.rack && MDF_PATTERN.test(z.rack.name + ' ' + refName(z.rack.record.role))).forEach((z) => mdfSites.add(z.site));
+
+  newZones.forEach((z) => {
+    let type = 'onprem';
+    if (z.rack) {
+      type = MDF_PATTERN.test(z.rack.name + ' ' + refName(z.rack.record.role)) || !mdfSites.has(z.site) ? 'mdf' : 'idf';
+      if (type === 'mdf') mdfSites.add(z.site);
+    }
+    const counter = nextCounter(state, 'zoneCounter');
+    const record = z.rack ? z.rack.record : z.site.record;
+    const zone = {
+      id: uniqueId(state, 'zone' + Date.now() + '_' + counter),
+      type,
+      name: z.rack ? z.rack.name : z.site.name,
+      x: snapToGridValue(z.x, snap),
+      y: snapToGridValue(z.y, snap),
+      width: snapToGridValue(z.width, snap),
+      height: snapToGridValue(z.height, snap),
+      notes: refName(record.description || record.comments),
+      parentZoneId: '',
+      ...zoneTypeFields(type),
+    };
+    if ('location' in zone) zone.location = refName(record.physical_address || record.facility || record.location);
+    if (z.rack) z.rack.zone = zone;
+    else z.site.zone = zone;
+    insertItem(state, 'zones', zone);
+    added.zones++;
+  });
+
+  // IDFs hang off their site's MDF
+  racks.forEach((rack) => {
+    const zone = rack.zone;
+    if (!zone || zone.type !== 'idf' || zone.connectedMDF) return;
+    const mdf = rack.site?.racks.find((r) => r.zone?.type === 'mdf')?.zone;
+    if (mdf && newZones.some((z) => z.rack === rack)) updateItem(state, 'zones', zone, { connectedMDF: mdf.id });
+  });
+
+  placements.forEach(({ device, x, y }) => {
+    const counter = nextCounter(state, 'counter');
+    const created = {
+      id: uniqueId(state, 'dev' + Date.now() + '_' + counter),
+      type: device.type,
+      name: device.name || types[device.type].name + ' ' + counter,
+      ip: '',
+      mac: '',
+      status: 'online',
+      vlan: '',
+      notes: '',
+      manufacturer: '',
+      os: '',
+      x: snapToGridValue(x, snap),
+      y: snapToGridValue(y, snap),
+      vms: device.type === 'vmhost' ? [] : null,
+      zoneId: '',
+    };
+    Object.entries(device.values).forEach(([key, value]) => {
+      if (value !== '') created[key] = value;
+    });
+    device.created = created;
+    insertItem(state, 'devices', created);
+    added.devices++;
+  });
+
+  // Cables
+  const resolve = (ref) => {
+    const entry = ref && typeof ref === 'object'
+      ? (ref.id !== undefined && byNetboxId.get(ref.id)) || byName.get(refName(ref))
+      : byName.get(refName(ref));
+    const device = entry?.created || entry;
+    return device && device.id ? device : findNamed(state.devices, refName(ref));
+  };
+  let powerCables = 0;
+  data.cables.forEach((cable, i) => {
+    const label = `Cable ${refName(cable.label) || cable.id || i + 1}`;
+    const [a, b] = cableEnds(cable);
+    if (POWER_TERMINATIONS.test(a.kind) || POWER_TERMINATIONS.test(b.kind) || choice(cable.type) === 'power') {
+      powerCables++;
+      return;
+    }
+    const from = resolve(a.device);
+    const to = resolve(b.device);
+    if (!from || !to || from === to) {
+      warnings.push(`${label} does not join two devices in the import and was skipped`);
+      return;
+    }
+
+    const details = normalizeConnectionDetails({
+      fromPort: a.port,
+      toPort: b.port,
+      media: mediaFromCableType(cable.type),
+      label: refName(cable.label),
+    });
+    const conn = state.connections.find((c) => (c.from === from.id && c.to === to.id) || (c.from === to.id && c.to === from.id));
+    if (conn) {
+      const flipped = conn.from === to.id;
+      const values = { ...details, fromPort: flipped ? details.toPort : details.fromPort, toPort: flipped ? details.fromPort : details.toPort };
+      if (updateItem(state, 'connections', conn, values, FILL_BLANKS)) updated.connections++;
+      return;
+    }
+    const below = to.y >= from.y;
+    insertItem(state, 'connections', {
+      id: uniqueId(state, 'conn' + Date.now() + '_' + state.connections.length),
+      from: from.id,
+      fromPos: below ? 'bottom' : 'top',
+      to: to.id,
+      toPos: below ? 'top' : 'bottom',
+      type: 'wired',
+      routingStyle: 'curved',
+      waypoints: [],
+      ...details,
+    });
+    added.connections++;
+  });
+  if (powerCables > 0) warnings.push(`${powerCables} power cable(s) were skipped`);
+
+  syncZoneMembership(state);
+  endGroup(state);
+
+  return { added, updated, warnings };
+}
+
+// ─── Export ─────────────────────────────────────────────────────────
+
+const slugify = (value) => String(value).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'item';
+
+function interfaceType(conn) {
+  const fiber = conn.media === 'fiber-sm' || conn.media === 'fiber-mm' || conn.media === 'dac';
+  const bySpeed = fiber
+    ? { '1G': '1000base-x-sfp', '10G': '10gbase-x-sfpp', '25G': '25gbase-x-sfp28' }
+    : { '100M': '100base-tx', '1G': '1000base-t', '10G': '10gbase-t' };
+  return bySpeed[conn.speed] || 'other';
+}
+
+/**
+ * Writes the map as NetBox bulk-import rows, one list per endpoint, in the
+ * order they have to be loaded. Devices go in the site of their outermost
+ * On-Prem or Cloud zone (options.siteName when they have none) and the rack
+ * of their MDF/IDF zone. Only wired connections become cables, and ports
+ * without a name get one so the cable has an interface to end on.
+ */
+export function exportNetbox(state, options = {}) {
+  const defaultSite = options.siteName || 'Default Site';
+  const membership = computeZoneMembership(state.devices, state.zones);
+  const zoneById = new Map(state.zones.map((z) => [z.id, z]));
+
+  const ancestors = (zoneId) => {
+    const chain = [];
+    for (let zone = zoneById.get(zoneId); zone && !chain.includes(zone); zone = zoneById.get(membership.zones[zone.id])) {
+      chain.push(zone);
+    }
+    return chain;
+  };
+  const siteOf = (chain) => [...chain].reverse().find((z) => z.type === 'onprem' || z.type === 'cloud')?.name || defaultSite;
+  const rackOf = (chain) => chain.find((z) => z.type === 'mdf' || z.type === 'idf') || null;
+
+  const sites = new Map();
+  const useSite = (name, zone) => {
+    if (!sites.has(name)) {
+      const row = { name, slug: slugify(name), status: 'active' };
+      if (zone?.location) row.physical_address = zone.location;
+      if (zone?.notes) row.description = zone.notes;
+      sites.set(name, row);
+    }
+    return name;
+  };
+  state.zones.filter((z) => z.type === 'onprem' || z.type === 'cloud').forEach((z) => useSite(z.name, z));
+
+  const racks = state.zones.filter((z) => z.type === 'mdf' || z.type === 'idf').map((z) => {
+    const row = { site: useSite(siteOf(ancestors(z.id))), name: z.name, status: 'active' };
+    if (z.notes) row.description = z.notes;
+    return row;
+  });
+
+  const manufacturers = new Map();
+  const roles = new Map();
+  const deviceTypes = new Map();
+  const interfaces = [];
+  const interfaceNames = new Map();
+  const addInterface = (device, name, type, extra = {}) => {
+    const names = interfaceNames.get(device.id) || new Set();
+    interfaceNames.set(device.id, names);
+    if (names.has(name)) return name;
+    names.add(name);
+    interfaces.push({ device: device.name, name, type, ...extra });
+    return name;
+  };
+
+  const devices = state.devices.map((d) => {
+    const chain = ancestors(membership.devices[d.id]);
+    const manufacturer = d.manufacturer || 'Generic';
+    const model = d.model || types[d.type]?.name || d.type;
+    const role = types[d.type]?.name || d.type;
+    manufacturers.set(manufacturer, { name: manufacturer, slug: slugify(manufacturer) });
+    roles.set(role, { name: role, slug: slugify(role) });
+    deviceTypes.set(manufacturer + '\u0000' + model, { manufacturer, model, slug: slugify(manufacturer + ' ' + model) });
+
+    const row = {
+      name: d.name,
+      role,
+      manufacturer,
+      device_type: model,
+      site: useSite(siteOf(chain)),
+      status: STATUS_TO_NETBOX[d.status] || 'active',
+    };
+    const rack = rackOf(chain);
+    if (rack) row.rack = rack.name;
+    if (d.serial) row.serial = d.serial;
+    if (d.os) row.platform = d.os;
+    if (d.notes) row.comments = d.notes;
+    return row;
+  });
+
+  const ipAddresses = [];
+  state.devices.forEach((d) => {
+    if (parseIPv4(d.ip || '') === null) return;
+    const subnet = parseCIDR(findVlan(state.vlans, d.vlan)?.subnet || '');
+    addInterface(d, 'mgmt0', 'virtual', { mgmt_only: true });
+    ipAddresses.push({
+      address: d.ip + '/' + (subnet ? subnet.prefix : 32),
+      status: 'active',
+      device: d.name,
+      interface: 'mgmt0',
+      is_primary: true,
+    });
+  });
+
+  const deviceById = new Map(state.devices.map((d) => [d.id, d]));
+  const portCounters = new Map();
+  const portName = (device, port) => {
+    if (port) return port;
+    const n = (portCounters.get(device.id) || 0) + 1;
+    portCounters.set(device.id, n);
+    return 'eth' + n;
+  };
+  const cables = [];
+  state.connections.forEach((c) => {
+    const from = deviceById.get(c.from);
+    const to = deviceById.get(c.to);
+    if (!from || !to || c.type !== 'wired') return;
+    const row = {
+      side_a_device: from.name,
+      side_a_type: 'dcim.interface',
+      side_a_name: addInterface(from, portName(from, c.fromPort), interfaceType(c)),
+      side_b_device: to.name,
+      side_b_type: 'dcim.interface',
+      side_b_name: addInterface(to, portName(to, c.toPort), interfaceType(c)),
+      status: 'connected',
+    };
+    if (CABLE_TYPES[c.media]) row.type = CABLE_TYPES[c.media];
+    if (c.label) row.label = c.label;
+    cables.push(row);
+  });
+
+  const prefixes = [];
+  const vlans = state.vlans.map((v) => {
+    if (parseCIDR(v.subnet || '')) {
+      const row = { prefix: v.subnet, status: 'active', vlan_vid: v.id };
+      if (v.gateway) row.description = 'Gateway ' + v.gateway;
+      prefixes.push(row);
+    }
+    return { vid: v.id, name: v.name, status: 'active' };
+  });
+
+  return {
+    'dcim/sites': [...sites.values()],
+    'dcim/racks': racks,
+    'dcim/manufacturers': [...manufacturers.values()],
+    'dcim/device-roles': [...roles.values()],
+    'dcim/device-types': [...deviceTypes.values()],
+    'dcim/devices': devices,
+    'dcim/interfaces': interfaces,
+    'ipam/vlans': vlans,
+    'ipam/prefixes': prefixes,
+    'ipam/ip-addresses': ipAddresses,
+    'dcim/cables': cables,
+  };
+}
@@ -0,0 +1,312 @@
+/**
+ * Network Mapper - multi-site projects.
+ * One project file holds every site of a client. Each site is stored exactly
+ * as a single-site save writes it (exportStateToJson), so the pages keep one
+ * site on the canvas and swap the others in and out. Site-to-site VPN links
+ * join a device in one site to a device in another; the WAN overview draws
+ * every site as a single node with those links between them.
+ */
+
+import { validateProjectData, formatCount, isPlainObject } from './network-mapper-logic.js';
+
+export const PROJECT_VERSION = 1;
+
+// ─── Sites ──────────────────────────────────────────────────────────
+
+export function createProject(clientName = '') {
+  return {
+    projectVersion: PROJECT_VERSION,
+    clientName,
+    activeSiteId: '',
+    sites: [],
+    siteLinks: [],
+    siteCounter: 0,
+    linkCounter: 0,
+  };
+}
+
+/** data is the site's saved JSON, or null for a site nobody has drawn yet. */
+export function addSite(project, name, data = null) {
+  project.siteCounter++;
+  const site = { id: 'site' + project.siteCounter, name: name || 'Site ' + project.siteCounter, data };
+  project.sites.push(site);
+  if (!project.activeSiteId) project.activeSiteId = site.id;
+  return site;
+}
+
+export function getSite(project, siteId) {
+  return project.sites.find((s) => s.id === siteId) || null;
+}
+
+export function updateSite(project, siteId, data) {
+  const site = getSite(project, siteId);
+  if (!site) return false;
+  site.data = data;
+  if (data && data.siteName) site.name = data.siteName;
+  return true;
+}
+
+export function renameSite(project, siteId, name) {
+  const site = getSite(project, siteId);
+  const trimmed = String(name || '').trim();
+  if (!site || !trimmed) return false;
+  site.name = trimmed;
+  if (site.data) site.data = { ...site.data, siteName: trimmed };
+  return true;
+}
+
+// The last site stays; links that touch a removed site go with it
+export function removeSite(project, siteId) {
+  const index = project.sites.findIndex((s) => s.id === siteId);
+  if (index === -1 || project.sites.length <= 1) return false;
+  project.sites.splice(index, 1);
+  project.siteLinks = project.siteLinks.filter((l) => l.from.siteId !== siteId && l.to.siteId !== siteId);
+  if (project.activeSiteId === siteId) project.activeSiteId = project.sites[0].id;
+  return true;
+}
+
+const siteDevices = (site) => (site && site.data && Array.isArray(site.data.devices) ? site.data.devices : []);
+
+export function findSiteDevice(project, siteId, deviceId) {
+  return siteDevices(getSite(project, siteId)).find((d) => d.id === deviceId) || null;
+}
+
+// ─── Site-to-site links ─────────────────────────────────────────────
+
+const sameEnd = (a, b) => a.siteId === b.siteId && a.deviceId === b.deviceId;
+
+/**
+ * Links two devices in different sites with a VPN. from and to are
+ * { siteId, deviceId }. Returns the link, or null when both ends are in the
+ * same site, either device is missing or the two are already linked.
+ */
+export function addSiteLink(project, from, to, details = {}) {
+  if (from.siteId === to.siteId) return null;
+  if (!findSiteDevice(project, from.siteId, from.deviceId) || !findSiteDevice(project, to.siteId, to.deviceId)) {
+    return null;
+  }
+  const linked = project.siteLinks.some((l) => (sameEnd(l.from, from) && sameEnd(l.to, to))
+    || (sameEnd(l.from, to) && sameEnd(l.to, from)));
+  if (linked) return null;
+
+  project.linkCounter++;
+  const link = {
+    id: 'sitelink' + project.linkCounter,
+    type: 'vpn',
+    from: { siteId: from.siteId, deviceId: from.deviceId },
+    to: { siteId: to.siteId, deviceId: to.deviceId },
+    label: details.label || '',
+  };
+  project.siteLinks.push(link);
+  return link;
+}
+
+export function removeSiteLink(project, linkId) {
+  const before = project.siteLinks.length;
+  project.siteLinks = project.siteLinks.filter((l) => l.id !== linkId);
+  return project.siteLinks.length < before;
+}
+
+/**
+ * The links of one site, seen from that site: { id, label, device,
+ * remoteSite, remoteDevice } with the device objects (null once a device has
+ * been deleted from its site).
+ */
+export function getSiteLinks(project, siteId) {
+  return project.siteLinks
+    .filter((l) => l.from.siteId === siteId || l.to.siteId === siteId)
+    .map((l) => {
+      const [local, remote] = l.from.siteId === siteId ? [l.from, l.to] : [l.to, l.from];
+      return {
+        id: l.id,
+        label: l.label,
+        device: findSiteDevice(project, local.siteId, local.deviceId),
+        remoteSite: getSite(project, remote.siteId),
+        remoteDevice: findSiteDevice(project, remote.siteId, remote.deviceId),
+      };
+    });
+}
+
+// ─── JSON serialization ─────────────────────────────────────────────
+
+/** Multi-site files carry projectVersion and a sites array; single-site saves have neither. */
+export function isMultiSiteFile(input) {
+  return isPlainObject(input) && input.projectVersion !== undefined && Array.isArray(input.sites);
+}
+
+export function exportProjectToJson(project) {
+  return {
+    projectVersion: PROJECT_VERSION,
+    clientName: project.clientName || '',
+    activeSiteId: project.activeSiteId,
+    sites: project.sites.map((s) => ({ id: s.id, name: s.name, data: s.data })),
+    siteLinks: project.siteLinks,
+  };
+}
+
+// Highest N among ids like "site3", so new ids never collide with loaded ones
+const highestSuffix = (items, prefix) => items.reduce((max, item) => {
+  const match = String(item.id).match(new RegExp(`^${prefix}(\\d+)$`));
+  return match ? Math.max(max, Number(match[1])) : max;
+}, 0);
+
+/**
+ * Checks a multi-site file the way validateProjectData checks a single site.
+ * A site whose data is unreadable is skipped with a warning, as is a link
+ * whose sites or devices are missing. Returns { valid, errors, warnings,
+ * project }.
+ */
+export function validateMultiSiteProject(input) {
+  const errors = [];
+  const warnings = [];
+
+  if (!isMultiSiteFile(input)) {
+    return { valid: false, errors: ['Not a multi-site project file'], warnings, project: null };
+  }
+  if (!Number.isInteger(input.projectVersion) || input.projectVersion < 1) {
+    return { valid: false, errors: [`Unsupported projectVersion "${input.projectVersion}"`], warnings, project: null };
+  }
+  if (input.projectVersion > PROJECT_VERSION) {
+    errors.push(
+      `This file was saved by a newer version (project ${input.projectVersion}); this page supports up to ${PROJECT_VERSION}`
+    );
+    return { valid: false, errors, warnings, project: null };
+  }
+
+  const project = createProject(typeof input.clientName === 'string' ? input.clientName : '');
+  const siteIds = new Set();
+  input.sites.forEach((s, i) => {
+    if (!isPlainObject(s) || typeof s.id !== 'string' || !s.id || siteIds.has(s.id)) {
+      warnings.push(`Site #${i + 1} has no usable id and was skipped`);
+      return;
+    }
+    const name = typeof s.name === 'string' && s.name ? s.name : 'Site ' + (i + 1);
+    let data = null;
+    if (s.data !== null && s.data !== undefined) {
+      const result = validateProjectData(s.data);
+      if (!result.valid) {
+        warnings.push(`Site "${name}" could not be read and was skipped: ${result.errors.join('; ')}`);
+        return;
+      }
+      result.warnings.forEach((w) => warnings.push(`${name}: ${w}`));
+      data = result.data;
+    }
+    siteIds.add(s.id);
+    project.sites.push({ id: s.id, name, data });
+  });
+  if (project.sites.length === 0) {
+    return { valid: false, errors: ['Project has no readable sites'], warnings, project: null };
+  }
+
+  const isEnd = (end) => isPlainObject(end) && findSiteDevice(project, end.siteId, end.deviceId);
+  (Array.isArray(input.siteLinks) ? input.siteLinks : []).forEach((l, i) => {
+    if (!isPlainObject(l) || typeof l.id !== 'string' || !isEnd(l.from) || !isEnd(l.to) || l.from.siteId === l.to.siteId) {
+      warnings.push(`Site link #${i + 1} does not join two existing devices in different sites and was skipped`);
+      return;
+    }
+    project.siteLinks.push({
+      id: l.id,
+      type: 'vpn',
+      from: { siteId: l.from.siteId, deviceId: l.from.deviceId },
+      to: { siteId: l.to.siteId, deviceId: l.to.deviceId },
+      label: typeof l.label === 'string' ? l.label : '',
+    });
+  });
+
+  project.activeSiteId = siteIds.has(input.activeSiteId) ? input.activeSiteId : project.sites[0].id;
+  project.siteCounter = Math.max(highestSuffix(project.sites, 'site'), project.sites.length);
+  project.linkCounter = Math.max(highestSuffix(project.siteLinks, 'sitelink'), project.siteLinks.length);
+
+  return { valid: true, errors, warnings, project };
+}
+
+// ─── WAN overview ───────────────────────────────────────────────────
+
+export const WAN_NODE_WIDTH = 180;
+export const WAN_NODE_HEIGHT = 70;
+
+/**
+ * Collapses each site into one node and the links between a pair of sites
+ * into one edge. Nodes sit on a circle (a row for two sites) with x/y as the
+ * top-left corner; edges list the device pairs they stand for.
+ */
+export function buildWanOverview(project) {
+  const count = project.sites.length;
+  const radius = count <= 2 ? 160 : Math.max(180, count * 55);
+  const nodes = project.sites.map((site, i) => {
+    const angle = count <= 2 ? Math.PI * (1 - i) : -Math.PI / 2 + (2 * Math.PI * i) / count;
+    const cx = count === 1 ? 0 : Math.round(radius * Math.cos(angle));
+    const cy = count === 1 ? 0 : Math.round(radius * Math.sin(angle));
+    const data = site.data || {};
+    return {
+      id: site.id,
+      name: site.name,
+      devices: Array.isArray(data.devices) ? data.devices.length : 0,
+      zones: Array.isArray(data.zones) ? data.zones.length : 0,
+      x: cx - WAN_NODE_WIDTH / 2,
+      y: cy - WAN_NODE_HEIGHT / 2,
+    };
+  });
+
+  const edges = [];
+  project.siteLinks.forEach((l) => {
+    const [a, b] = [l.from, l.to].sort((p, q) => project.sites.findIndex((s) => s.id === p.siteId)
+      - project.sites.findIndex((s) => s.id === q.siteId));
+    let edge = edges.find((e) => e.from === a.siteId && e.to === b.siteId);
+    if (!edge) {
+      edge = { from: a.siteId, to: b.siteId, links: [] };
+      edges.push(edge);
+    }
+    edge.links.push({
+      id: l.id,
+      label: l.label,
+      fromDevice: findSiteDevice(project, a.siteId, a.deviceId)?.name || '',
+      toDevice: findSiteDevice(project, b.siteId, b.deviceId)?.name || '',
+    });
+  });
+
+  return { nodes, edges };
+}
+
+const escapeXml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+/** The WAN overview as a standalone SVG document. */
+export function exportWanOverviewSvg(project, options = {}) {
+  const { nodes, edges } = buildWanOverview(project);
+  const margin = 40;
+  const top = options.title ? 40 : 0;
+  const minX = Math.min(...nodes.map((n) => n.x)) - margin;
+  const minY = Math.min(...nodes.map((n) => n.y)) - margin - top;
+  const width = Math.max(...nodes.map((n) => n.x)) + WAN_NODE_WIDTH + margin - minX;
+  const height = Math.max(...nodes.map((n) => n.y)) + WAN_NODE_HEIGHT + margin - minY;
+  const center = (id) => {
+    const n = nodes.find((node) => node.id === id);
+    return { x: n.x + WAN_NODE_WIDTH / 2 - minX, y: n.y + WAN_NODE_HEIGHT / 2 - minY };
+  };
+
+  const lines = edges.map((e) => {
+    const a = center(e.from);
+    const b = center(e.to);
+    const label = e.links.length === 1
+      ? e.links[0].label || `${e.links[0].fromDevice} - ${e.links[0].toDevice}`
+      : `${e.links.length} VPN tunnels`;
+    return `<line x1="${a.x}" y1="${a.y}" x2="${b.x}" y2="${b.y}" stroke="#d4a017" stroke-width="3" stroke-dasharray="8 5"/>`
+      + `<text x="${(a.x + b.x) / 2}" y="${(a.y + b.y) / 2 - 6}" text-anchor="middle" font-size="11" fill="#52525b">${escapeXml(label)}</text>`;
+  });
+
+  const boxes = nodes.map((n) => {
+    const x = n.x - minX;
+    const y = n.y - minY;
+    return `<g><rect x="${x}" y="${y}" width="${WAN_NODE_WIDTH}" height="${WAN_NODE_HEIGHT}" rx="10" fill="#ffffff" stroke="#0F71F0" stroke-width="2"/>`
+      + `<text x="${x + WAN_NODE_WIDTH / 2}" y="${y + 30}" text-anchor="middle" font-size="14" font-weight="bold" fill="#1a1a1a">${escapeXml(n.name)}</text>`
+      + `<text x="${x + WAN_NODE_WIDTH / 2}" y="${y + 50}" text-anchor="middle" font-size="11" fill="#52525b">${formatCount(n.devices, 'device')} &#183; ${formatCount(n.zones, 'zone')}</text></g>`;
+  });
+
+  const title = options.title
+    ? `<text x="${margin}" y="${margin}" font-size="18" font-weight="bold" fill="#1a1a1a">${escapeXml(options.title)}</text>`
+    : '';
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="Arial, Helvetica, sans-serif">`
+    + `<rect width="${width}" height="${height}" fill="#ffffff"/>${title}${lines.join('')}${boxes.join('')}</svg>`;
+}
@@ -0,0 +1,236 @@
+/**
+ * Network Mapper - site documentation report.
+ * Collects what a handover document needs from one site's map: network
+ * configuration, VLANs, SSIDs, switch VLAN assignments, access points, VM
+ * hosts, UPS zones, devices, connections and notes. The report renders to a
+ * single standalone HTML file, which the pages also print to PDF.
+ */
+
+import {
+  types,
+  findVlan,
+  getConnectionRows,
+  getDevicesOnUPS,
+  describeDeviceLocation,
+  formatCount,
+} from './network-mapper-logic.js';
+
+// ─── Building ───────────────────────────────────────────────────────
+
+const STATUS_NAMES = {
+  online: 'Online',
+  offline: 'Offline',
+  warning: 'Warning',
+  retired: 'Retired',
+  decommissioned: 'Decommissioned',
+};
+
+const CONNECTION_NAMES = { wired: 'Wired', wireless: 'Wireless', vpn: 'VPN' };
+
+const vlanLabel = (vlans, vlanId) => {
+  const vlan = findVlan(vlans, vlanId);
+  if (vlan) return `${vlan.id} - ${vlan.name}`;
+  return vlanId === '' || vlanId === null || vlanId === undefined ? '' : String(vlanId);
+};
+
+const deviceLabel = (device) => (device ? device.name + (device.ip ? ` (${device.ip})` : '') : '');
+
+// Configured switch ports as "1: access 10, tagged 20/30 (Uplink)"
+function describePorts(device) {
+  return (Array.isArray(device.portMap) ? device.portMap : [])
+    .filter((p) => Number.isInteger(p.accessVlan) || (p.taggedVlans || []).length > 0 || p.description)
+    .sort((a, b) => a.number - b.number)
+    .map((p) => {
+      const parts = [];
+      if (Number.isInteger(p.accessVlan)) parts.push(`access ${p.accessVlan}`);
+      if ((p.taggedVlans || []).length > 0) parts.push(`tagged ${p.taggedVlans.join('/')}`);
+      const vlans = parts.join(', ');
+      if (!p.description) return `${p.number}: ${vlans}`;
+      return `${p.number}: ${vlans ? `${vlans} (${p.description})` : p.description}`;
+    })
+    .join('; ');
+}
+
+/**
+ * Builds the report for one site. options: clientName, siteName, title,
+ * author, date, deviceTypes (pages with extra types pass their own) and
+ * siteLinks, rows of { device, remoteSite, remoteDevice, label } for the
+ * site-to-site VPNs of a multi-site project. Returns { title, clientName,
+ * siteName, author, date, summary, sections }; every section is a table of
+ * { id, title, columns, rows, empty } and rows hold plain strings.
+ */
+export function buildSiteReport(state, options = {}) {
+  const deviceTypes = options.deviceTypes || types;
+  const typeName = (type) => deviceTypes[type]?.name || type;
+  const deviceById = new Map(state.devices.map((d) => [d.id, d]));
+  const connectedTo = (device) => state.connections
+    .filter((c) => c.from === device.id || c.to === device.id)
+    .map((c) => deviceById.get(c.from === device.id ? c.to : c.from)?.name)
+    .filter(Boolean)
+    .join(', ');
+  const ofType = (type) => state.devices.filter((d) => d.type === type);
+  const config = state.config || {};
+
+  const sections = [];
+  const add = (id, title, columns, rows, empty) => sections.push({ id, title, columns, rows, empty });
+
+  add('config', 'Network Configuration', ['Setting', 'Value'], [
+    ['DNS Provider', config.dnsProvider || ''],
+    ...(config.dnsServer ? [['DNS Server', deviceLabel(deviceById.get(config.dnsServer)) || config.dnsServer]] : []),
+    ['Primary DNS', config.dnsPrimary || ''],
+    ['Secondary DNS', config.dnsSecondary || ''],
+    ['DHCP', config.dhcpType || ''],
+    ['DHCP Server', deviceLabel(deviceById.get(config.dhcpDevice))],
+  ], '');
+
+  add('vlans', 'VLANs', ['VLAN', 'Name', 'Subnet', 'Gateway', 'Devices'],
+    state.vlans.map((v) => [
+      String(v.id), v.name || '', v.subnet || '', v.gateway || '',
+      String(state.devices.filter((d) => findVlan([v], d.vlan)).length),
+    ]),
+    'No VLANs configured.');
+
+  add('ssids', 'Wireless Networks', ['SSID', 'Security', 'VLAN', 'Access Points'],
+    state.ssids.map((s) => [
+      s.name, s.security || '', vlanLabel(state.vlans, s.vlan),
+      ofType('ap').filter((ap) => (ap.ssids || []).includes(s.name)).map((ap) => ap.name).join(', '),
+    ]),
+    'No SSIDs configured.');
+
+  add('switches', 'Switch VLAN Assignments', ['Switch', 'IP Address', 'Ports', 'VLANs', 'Configured Ports'],
+    ofType('switch').map((d) => [
+      d.name, d.ip || '', d.ports ? String(d.ports) + (d.poe ? ' (PoE)' : '') : '',
+      (d.assignedVlans || []).map((id) => vlanLabel(state.vlans, id)).join(', '),
+      describePorts(d),
+    ]),
+    'No switches on the map.');
+
+  add('aps', 'Access Points', ['Access Point', 'IP Address', 'Model', 'SSIDs', 'Connected To'],
+    ofType('ap').map((d) => [
+      d.name, d.ip || '', [d.manufacturer, d.model].filter(Boolean).join(' '), (d.ssids || []).join(', '), connectedTo(d),
+    ]),
+    'No access points on the map.');
+
+  add('vmhosts', 'VM Hosts', ['Host', 'IP Address', 'OS', 'Virtual Machines'],
+    ofType('vmhost').map((d) => [
+      d.name, d.ip || '', d.os || '',
+      (d.vms || []).map((vm) => `${vm.name} (${STATUS_NAMES[vm.status] || vm.status || 'Online'})`).join(', '),
+    ]),
+    'No VM hosts on the map.');
+
+  add('ups', 'UPS Zones', ['Zone', 'Model', 'Capacity (VA)', 'Runtime (min)', 'IP Address', 'Protected Devices'],
+    state.zones.filter((z) => z.type === 'ups').map((z) => [
+      z.name, [z.manufacturer, z.model].filter(Boolean).join(' '), z.capacity ? String(z.capacity) : '',
+      z.runtime ? String(z.runtime) : '', z.ip || '',
+      getDevicesOnUPS(state, z.id).map((d) => d.name).join(', '),
+    ]),
+    'No UPS zones on the map.');
+
+  add('devices', 'Devices', ['Name', 'Type', 'IP Address', 'MAC Address', 'VLAN', 'Model', 'Status', 'Location'],
+    state.devices.map((d) => {
+      const place = describeDeviceLocation(state.zones, d);
+      return [
+        d.name, typeName(d.type), d.ip || '', d.mac || '', vlanLabel(state.vlans, d.vlan),
+        [d.manufacturer, d.model].filter(Boolean).join(' '), STATUS_NAMES[d.status] || d.status || '',
+        [place.zone, place.location].filter(Boolean).join(' - '),
+      ];
+    }),
+    'No devices on the map.');
+
+  add('connections', 'Connections', ['From', 'From Port', 'To', 'To Port', 'Type', 'Speed', 'Media', 'Label'],
+    getConnectionRows(state).map((r) => [
+      r.from, r.fromPort, r.to, r.toPort, CONNECTION_NAMES[r.type] || r.type, r.speed, r.media, r.label,
+    ]),
+    'No connections on the map.');
+
+  if (options.siteLinks && options.siteLinks.length > 0) {
+    add('sitelinks', 'Site-to-Site VPNs', ['Device', 'Remote Site', 'Remote Device', 'Label'],
+      options.siteLinks.map((l) => [l.device, l.remoteSite, l.remoteDevice, l.label || '']), '');
+  }
+
+  add('notes', 'Device Notes', ['Device', 'Type', 'Notes'],
+    state.devices.filter((d) => d.notes).map((d) => [d.name, typeName(d.type), d.notes]),
+    'No device has notes.');
+
+  return {
+    title: options.title || 'Site Documentation',
+    clientName: options.clientName || '',
+    siteName: options.siteName || '',
+    author: options.author || '',
+    date: options.date || new Date().toLocaleDateString(),
+    summary: [
+      ['Devices', formatCount(state.devices.length, 'device')],
+      ['Connections', formatCount(state.connections.length, 'connection')],
+      ['Zones', formatCount(state.zones.length, 'zone')],
+      ['VLANs', formatCount(state.vlans.length, 'VLAN')],
+      ['SSIDs', formatCount(state.ssids.length, 'SSID')],
+    ],
+    sections,
+  };
+}
+
+// ─── Rendering ──────────────────────────────────────────────────────
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+// Scoped to .site-report so the pages can render the body inline for the PDF
+export const REPORT_CSS = `
+.site-report { font-family: Arial, Helvetica, sans-serif; font-size: 12px; color: #1a1a1a; background: #ffffff; max-width: 960px; margin: 0 auto; padding: 24px; }
+.site-report header { border-bottom: 3px solid #dc2626; padding-bottom: 12px; margin-bottom: 16px; }
+.site-report h1 { font-size: 22px; margin: 0 0 4px; }
+.site-report .meta { color: #555; }
+.site-report .summary { display: flex; flex-wrap: wrap; gap: 8px; margin-bottom: 8px; }
+.site-report .summary span { background: #f4f4f5; border-radius: 6px; padding: 4px 10px; }
+.site-report h2 { font-size: 15px; margin: 22px 0 8px; padding-bottom: 4px; border-bottom: 1px solid #d4d4d8; }
+.site-report table { width: 100%; border-collapse: collapse; }
+.site-report th, .site-report td { text-align: left; vertical-align: top; padding: 4px 6px; border-bottom: 1px solid #e4e4e7; }
+.site-report th { background: #f4f4f5; font-size: 11px; text-transform: uppercase; color: #52525b; }
+.site-report td { white-space: pre-wrap; word-break: break-word; }
+.site-report .empty { color: #71717a; font-style: italic; }
+.site-report section { break-inside: avoid-page; }
+@media print { .site-report { padding: 0; } }
+`;
+
+/** The report as an HTML fragment: one div.site-report, without styles. */
+export function renderReportBody(report) {
+  const meta = [
+    report.clientName && `Client: ${escapeHtml(report.clientName)}`,
+    report.siteName && `Site: ${escapeHtml(report.siteName)}`,
+    report.author && `Prepared by: ${escapeHtml(report.author)}`,
+    `Date: ${escapeHtml(report.date)}`,
+  ].filter(Boolean).join(' &middot; ');
+
+  const sections = report.sections.map((s) => {
+    const body = s.rows.length === 0
+      ? `<p class="empty">${escapeHtml(s.empty)}</p>`
+      : '<table><thead><tr>' + s.columns.map((c) => `<th>${escapeHtml(c)}</th>`).join('') + '</tr></thead><tbody>' +
+        s.rows.map((row) => '<tr>' + row.map((cell) => `<td>${escapeHtml(cell)}</td>`).join('') + '</tr>').join('') +
+        '</tbody></table>';
+    return `<section id="${s.id}"><h2>${escapeHtml(s.title)}</h2>${body}</section>`;
+  }).join('\n');
+
+  return `<div class="site-report">
+<header><h1>${escapeHtml(report.title)}</h1><div class="meta">${meta}</div></header>
+<div class="summary">${report.summary.map(([label, value]) => `<span title="${escapeHtml(label)}">${escapeHtml(value)}</span>`).join('')}</div>
+${sections}
+</div>`;
+}
+
+/** A complete HTML document that opens and prints on its own. */
+export function renderReportHtml(report) {
+  const title = [report.title, report.siteName].filter(Boolean).join(' - ');
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>${escapeHtml(title)}</title>
+<style>body { margin: 0; background: #ffffff; }${REPORT_CSS}</style>
+</head>
+<body>
+${renderReportBody(report)}
+</body>
+</html>
+`;
+}
@@ -0,0 +1,174 @@
+/**
+ * Network Mapper - device search.
+ * Free text matches name, IP, MAC, manufacturer, model, serial, notes and
+ * VM names; key:value filters such as "type:camera vlan:20 status:offline"
+ * narrow the result, and a leading "-" excludes. Also works out the view
+ * that centres one result on the canvas.
+ */
+
+import {
+  types,
+  findVlan,
+  getZonePath,
+  isIPInSubnet,
+  clampZoom,
+  calculateZoomPan,
+} from './network-mapper-logic.js';
+
+// ─── Query parsing ──────────────────────────────────────────────────
+
+export const FILTER_KEYS = ['type', 'vlan', 'status', 'zone', 'ip', 'mac', 'name', 'manufacturer', 'model', 'serial', 'os', 'notes', 'vm'];
+
+const KEY_ALIASES = { mfg: 'manufacturer', vendor: 'manufacturer', make: 'manufacturer', note: 'notes' };
+
+// Words, "quoted phrases" and key:"quoted values"
+const TOKEN_PATTERN = /(-?)(?:([a-z]+):)?(?:"([^"]*)"?|(\S+))/gi;
+
+/**
+ * Splits a search into free-text terms and filters. Returns { terms,
+ * excluded, filters: [{ key, value, negate }], warnings }; excluded holds
+ * the "-word" terms and everything is lowercased. An unknown key is
+ * searched as plain text with a warning.
+ */
+export function parseSearchQuery(text) {
+  const query = { terms: [], excluded: [], filters: [], warnings: [] };
+  for (const match of String(text || '').matchAll(TOKEN_PATTERN)) {
+    const [raw, minus, rawKey, quoted, word] = match;
+    // A "-" on its own is a half-typed exclusion, not a search for hyphens
+    if (raw === '-') continue;
+    const value = (quoted ?? word ?? '').trim().toLowerCase();
+    const terms = minus === '-' ? query.excluded : query.terms;
+    if (!rawKey) {
+      if (value) terms.push(value);
+      continue;
+    }
+    const key = KEY_ALIASES[rawKey.toLowerCase()] || rawKey.toLowerCase();
+    if (!FILTER_KEYS.includes(key)) {
+      query.warnings.push(`Unknown filter "${rawKey}:" searched as text`);
+      terms.push(raw.replace(/^-/, '').toLowerCase());
+      continue;
+    }
+    if (value) query.filters.push({ key, value, negate: minus === '-' });
+  }
+  return query;
+}
+
+// ─── Matching ───────────────────────────────────────────────────────
+
+const lower = (value) => String(value ?? '').toLowerCase();
+const macDigits = (value) => lower(value).replace(/[^0-9a-f]/g, '');
+
+// Text fields free terms look at, with the labels the result list shows
+const TEXT_FIELDS = [
+  ['name', 'Name'],
+  ['ip', 'IP'],
+  ['mac', 'MAC'],
+  ['manufacturer', 'Manufacturer'],
+  ['model', 'Model'],
+  ['serial', 'Serial'],
+  ['notes', 'Notes'],
+];
+
+// Every { field, value } a free-text term can hit on this device
+function searchableValues(device) {
+  const values = TEXT_FIELDS
+    .filter(([key]) => device[key])
+    .map(([key, field]) => ({ field, value: String(device[key]) }));
+  (Array.isArray(device.vms) ? device.vms : [])
+    .filter((vm) => vm && vm.name)
+    .forEach((vm) => values.push({ field: 'VM', value: vm.name }));
+  return values;
+}
+
+function termHits(term, entry) {
+  if (lower(entry.value).includes(term)) return true;
+  // MACs also match without separators, or with other ones
+  if (entry.field !== 'MAC' || !/^[0-9a-f:.-]+$/.test(term)) return false;
+  const digits = macDigits(term);
+  return digits.length >= 4 && macDigits(entry.value).includes(digits);
+}
+
+function filterHits(filter, device, state, deviceTypes) {
+  const { key, value } = filter;
+  switch (key) {
+    case 'type':
+      // An exact type key wins so "type:vm" doesn't also catch VM hosts
+      if (deviceTypes[value]) return device.type === value;
+      return lower(deviceTypes[device.type]?.name || device.type).includes(value);
+    case 'vlan': {
+      if (lower(device.vlan) === value) return true;
+      const vlan = findVlan(state.vlans, device.vlan);
+      return !!vlan && lower(vlan.name).includes(value);
+    }
+    case 'status':
+      return lower(device.status) === value;
+    case 'zone':
+      return getZonePath(state.zones, device.zoneId).some((z) => lower(z.name).includes(value));
+    case 'ip':
+      return value.includes('/') ? isIPInSubnet(device.ip, value) : lower(device.ip).startsWith(value);
+    case 'mac': {
+      const digits = macDigits(value);
+      return digits !== '' && macDigits(device.mac).includes(digits);
+    }
+    case 'vm':
+      return (Array.isArray(device.vms) ? device.vms : []).some((vm) => lower(vm && vm.name).includes(value));
+    default:
+      return lower(device[key]).includes(value);
+  }
+}
+
+/**
+ * Checks one device against a parsed query. Returns null when it doesn't
+ * match, otherwise { device, hits } where hits are the { field, value }
+ * pairs the free-text terms found.
+ */
+export function matchDevice(state, device, query, deviceTypes = types) {
+  const filtersPass = query.filters.every((f) => filterHits(f, device, state, deviceTypes) !== f.negate);
+  if (!filtersPass) return null;
+  const values = searchableValues(device);
+  if (query.excluded.some((term) => values.some((entry) => termHits(term, entry)))) return null;
+  const hits = [];
+  for (const term of query.terms) {
+    const found = values.filter((entry) => termHits(term, entry));
+    if (found.length === 0) return null;
+    found.forEach((entry) => {
+      if (!hits.includes(entry)) hits.push(entry);
+    });
+  }
+  return { device, hits };
+}
+
+/**
+ * Runs a search over the map. Returns { active, results, warnings }; active
+ * is false for a blank search, which leaves the map as it is. Results keep
+ * the map's device order. options: deviceTypes.
+ */
+export function searchDevices(state, text, options = {}) {
+  const query = parseSearchQuery(text);
+  if (query.terms.length === 0 && query.excluded.length === 0 && query.filters.length === 0) {
+    return { active: false, results: [], warnings: query.warnings };
+  }
+  const results = state.devices
+    .map((d) => matchDevice(state, d, query, options.deviceTypes || types))
+    .filter(Boolean);
+  return { active: true, results, warnings: query.warnings };
+}
+
+// ─── Jumping to a result ────────────────────────────────────────────
+
+export const FOCUS_ZOOM = 1.25;
+const DEVICE_SIZE = { width: 120, height: 100 };
+
+/**
+ * The { zoom, panX, panY } that puts a device in the middle of a viewport
+ * of the given size, zooming in to at least FOCUS_ZOOM. The canvas maps a
+ * point x to the screen at panX + zoom * (x - 4000).
+ */
+export function focusView(device, view, viewport, deviceSize = DEVICE_SIZE) {
+  const centerX = viewport.width / 2;
+  const centerY = viewport.height / 2;
+  const panX = centerX - view.zoom * (device.x + deviceSize.width / 2 - 4000);
+  const panY = centerY - view.zoom * (device.y + deviceSize.height / 2 - 4000);
+  const zoom = clampZoom(Math.max(view.zoom, FOCUS_ZOOM));
+  return { zoom, ...calculateZoomPan(view.zoom, zoom, centerX, centerY, panX, panY) };
+}
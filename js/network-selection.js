@@ -0,0 +1,228 @@
+/**
+ * Network Mapper - multi-selection and group operations.
+ * Works on a list of device ids (state.selection): marquee hit testing,
+ * moving a group, bulk property edits, align and distribute, and copy/paste
+ * of devices together with the connections between them. Each operation is
+ * a single undo step.
+ */
+
+import {
+  beginGroup,
+  endGroup,
+  recordUpdate,
+  insertItem,
+  nextCounter,
+  syncZoneMembership,
+  deleteDeviceData,
+  findDeviceZone,
+  snapToGridValue,
+  uniqueId,
+  VALID_STATUSES,
+} from './network-mapper-logic.js';
+
+const DEVICE_SIZE = { width: 120, height: 100 };
+
+// Devices for the ids that still exist, in selection order
+const pick = (state, ids) => ids.map((id) => state.devices.find((d) => d.id === id)).filter(Boolean);
+
+// ─── Selecting ──────────────────────────────────────────────────────
+
+/** A rectangle from two corners in any order. */
+export function normalizeRect(x1, y1, x2, y2) {
+  return { x: Math.min(x1, x2), y: Math.min(y1, y2), width: Math.abs(x2 - x1), height: Math.abs(y2 - y1) };
+}
+
+/** Ids of the devices a marquee rectangle touches. */
+export function devicesInRect(devices, rect, deviceSize = DEVICE_SIZE) {
+  return devices
+    .filter((d) => d.x < rect.x + rect.width && d.x + deviceSize.width > rect.x &&
+      d.y < rect.y + rect.height && d.y + deviceSize.height > rect.y)
+    .map((d) => d.id);
+}
+
+/** Shift-click: adds the id, or takes it out when already selected. */
+export function toggleInSelection(selection, id) {
+  return selection.includes(id) ? selection.filter((s) => s !== id) : [...selection, id];
+}
+
+// ─── Moving and arranging ───────────────────────────────────────────
+
+// Writes new positions as one undo step and refreshes zone membership
+function applyPositions(state, label, positions) {
+  let moved = 0;
+  beginGroup(state, label);
+  positions.forEach(({ device, x, y }) => {
+    if (device.x === x && device.y === y) return;
+    recordUpdate(state, 'devices', device.id, 'x', device.x, x);
+    recordUpdate(state, 'devices', device.id, 'y', device.y, y);
+    device.x = x;
+    device.y = y;
+    moved++;
+  });
+  if (moved > 0) syncZoneMembership(state);
+  endGroup(state);
+  return moved;
+}
+
+/** Moves every device in ids by the same offset. Returns how many moved. */
+export function moveDevices(state, ids, dx, dy) {
+  return applyPositions(state, 'Move devices', pick(state, ids).map((d) => ({ device: d, x: d.x + dx, y: d.y + dy })));
+}
+
+export const ALIGN_EDGES = ['left', 'center', 'right', 'top', 'middle', 'bottom'];
+
+/**
+ * Lines devices up on one edge of their bounding box; center and middle
+ * use its horizontal and vertical centre line. options: snap, deviceSize.
+ */
+export function alignDevices(state, ids, edge, options = {}) {
+  const { snap = false, deviceSize = DEVICE_SIZE } = options;
+  const devices = pick(state, ids);
+  if (devices.length < 2 || !ALIGN_EDGES.includes(edge)) return 0;
+
+  const left = Math.min(...devices.map((d) => d.x));
+  const right = Math.max(...devices.map((d) => d.x + deviceSize.width));
+  const top = Math.min(...devices.map((d) => d.y));
+  const bottom = Math.max(...devices.map((d) => d.y + deviceSize.height));
+  const target = {
+    left,
+    center: snapToGridValue((left + right) / 2 - deviceSize.width / 2, snap),
+    right: right - deviceSize.width,
+    top,
+    middle: snapToGridValue((top + bottom) / 2 - deviceSize.height / 2, snap),
+    bottom: bottom - deviceSize.height,
+  }[edge];
+  const horizontal = ['left', 'center', 'right'].includes(edge);
+
+  return applyPositions(state, 'Align devices', devices.map((d) => ({
+    device: d,
+    x: horizontal ? target : d.x,
+    y: horizontal ? d.y : target,
+  })));
+}
+
+/**
+ * Spaces devices evenly along an axis ('horizontal' or 'vertical'). The
+ * outermost two stay put; needs at least three devices.
+ */
+export function distributeDevices(state, ids, axis, options = {}) {
+  const { snap = false } = options;
+  const key = axis === 'vertical' ? 'y' : 'x';
+  const devices = pick(state, ids).sort((a, b) => a[key] - b[key]);
+  if (devices.length < 3 || !['horizontal', 'vertical'].includes(axis)) return 0;
+
+  const first = devices[0][key];
+  const step = (devices[devices.length - 1][key] - first) / (devices.length - 1);
+  return applyPositions(state, 'Distribute devices', devices.map((d, i) => {
+    const value = i === 0 || i === devices.length - 1 ? d[key] : snapToGridValue(first + step * i, snap);
+    return { device: d, x: key === 'x' ? value : d.x, y: key === 'y' ? value : d.y };
+  }));
+}
+
+// ─── Bulk edits ─────────────────────────────────────────────────────
+
+export const BULK_FIELDS = ['status', 'vlan', 'manufacturer'];
+
+/** Sets one field on every device in ids. Returns how many changed. */
+export function updateDevicesProperty(state, ids, key, value) {
+  if (!BULK_FIELDS.includes(key)) return 0;
+  if (key === 'status' && !VALID_STATUSES.includes(value)) return 0;
+  let changed = 0;
+  beginGroup(state, 'Edit devices');
+  pick(state, ids).forEach((d) => {
+    if ((d[key] ?? '') === value) return;
+    recordUpdate(state, 'devices', d.id, key, d[key], value);
+    d[key] = value;
+    changed++;
+  });
+  endGroup(state);
+  return changed;
+}
+
+/** Deletes every device in ids with its connections. Returns how many went. */
+export function deleteDevices(state, ids) {
+  beginGroup(state, 'Delete devices');
+  const deleted = ids.filter((id) => deleteDeviceData(state, id)).length;
+  endGroup(state);
+  return deleted;
+}
+
+// ─── Copy and paste ─────────────────────────────────────────────────
+
+// Fields that identify one physical device, so a copy starts without them
+const IDENTITY_FIELDS = ['ip', 'mac', 'serial'];
+
+const clone = (value) => JSON.parse(JSON.stringify(value));
+
+/**
+ * Copies devices and the connections running between them. Returns
+ * { devices, connections } of plain copies, or null when ids is empty.
+ */
+export function copyDevices(state, ids) {
+  const devices = pick(state, ids);
+  if (devices.length === 0) return null;
+  const copied = new Set(devices.map((d) => d.id));
+  return {
+    devices: clone(devices),
+    connections: clone(state.connections.filter((c) => copied.has(c.from) && copied.has(c.to))),
+  };
+}
+
+// "Switch 3" becomes the first free "Switch N" after it, "Core" becomes "Core 2"
+export function nextFreeName(name, taken) {
+  const match = String(name).match(/^(.*?)(\d+)$/);
+  const stem = match ? match[1] : `${name} `;
+  let n = match ? Number(match[2]) + 1 : 2;
+  while (taken.has(`${stem}${n}`)) n++;
+  return `${stem}${n}`;
+}
+
+/**
+ * Adds the clipboard's devices offset by dx/dy with fresh ids and names,
+ * and reconnects them as they were. IP, MAC and serial are left blank.
+ * Returns the new device ids.
+ */
+export function pasteDevices(state, clipboard, { dx = 40, dy = 40 } = {}) {
+  if (!clipboard || clipboard.devices.length === 0) return [];
+  const names = new Set(state.devices.map((d) => d.name));
+  const idMap = new Map();
+
+  beginGroup(state, 'Paste devices');
+  clipboard.devices.forEach((source) => {
+    const counter = nextCounter(state, 'counter');
+    const device = {
+      ...clone(source),
+      id: uniqueId(state, 'dev' + Date.now() + '_' + counter),
+      name: nextFreeName(source.name, names),
+      x: source.x + dx,
+      y: source.y + dy,
+    };
+    IDENTITY_FIELDS.forEach((key) => {
+      if (key in device) device[key] = '';
+    });
+    device.zoneId = findDeviceZone(device, state.zones)?.id || '';
+    names.add(device.name);
+    idMap.set(source.id, device.id);
+    insertItem(state, 'devices', device);
+  });
+
+  clipboard.connections.forEach((source) => {
+    const conn = {
+      ...clone(source),
+      id: uniqueId(state, 'conn' + Date.now()),
+      from: idMap.get(source.from),
+      to: idMap.get(source.to),
+    };
+    // Routed connections keep their shape next to the copies
+    if (Array.isArray(source.waypoints)) conn.waypoints = source.waypoints.map((wp) => ({ x: wp.x + dx, y: wp.y + dy }));
+    insertItem(state, 'connections', conn);
+  });
+  endGroup(state);
+
+  return [...idMap.values()];
+}
+
+/** Copy and paste in one go, next to the originals. */
+export function duplicateDevices(state, ids, offset) {
+  return pasteDevices(state, copyDevices(state, ids), offset);
+}
@@ -0,0 +1,258 @@
+/**
+ * Network Mapper - browser storage.
+ * Autosaves the JSON a "Save as JSON" would write into IndexedDB, keeps a
+ * library of recent maps with small SVG thumbnails, finds work that never
+ * reached a saved file and stores named revisions. Nothing leaves the
+ * browser. Every function takes a store: IndexedDB in the pages, or the
+ * in-memory store with the same interface.
+ */
+
+import { zoneTypes, formatCount } from './network-mapper-logic.js';
+import { isMultiSiteFile } from './network-project.js';
+
+export const DB_NAME = 'network-mapper';
+export const DB_VERSION = 1;
+const COLLECTIONS = ['maps', 'revisions'];
+
+// ─── Stores ─────────────────────────────────────────────────────────
+//
+// A store is { get(collection, id), put(collection, record),
+// delete(collection, id), getAll(collection) }, each returning a Promise.
+// Records are plain data with an id; reads return copies.
+
+const copy = (record) => (record === undefined || record === null ? null : JSON.parse(JSON.stringify(record)));
+
+export function createMemoryStore() {
+  const data = Object.fromEntries(COLLECTIONS.map((c) => [c, new Map()]));
+  return {
+    get: (collection, id) => Promise.resolve(copy(data[collection].get(id))),
+    put: (collection, record) => {
+      data[collection].set(record.id, copy(record));
+      return Promise.resolve(record);
+    },
+    delete: (collection, id) => Promise.resolve(data[collection].delete(id)),
+    getAll: (collection) => Promise.resolve([...data[collection].values()].map(copy)),
+  };
+}
+
+/** Opens (and on first use creates) the IndexedDB database; rejects where the browser blocks it. */
+export function openIndexedDbStore(idb = globalThis.indexedDB, name = DB_NAME) {
+  return new Promise((resolve, reject) => {
+    if (!idb) {
+      reject(new Error('IndexedDB is not available'));
+      return;
+    }
+    const request = idb.open(name, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      COLLECTIONS.forEach((c) => {
+        if (!db.objectStoreNames.contains(c)) db.createObjectStore(c, { keyPath: 'id' });
+      });
+    };
+    request.onerror = () => reject(request.error);
+    request.onsuccess = () => {
+      const db = request.result;
+      const run = (collection, mode, action) => new Promise((done, fail) => {
+        const tx = db.transaction(collection, mode);
+        const req = action(tx.objectStore(collection));
+        tx.oncomplete = () => done(req.result);
+        tx.onerror = () => fail(tx.error);
+        // A full disk aborts the transaction without an error event
+        tx.onabort = () => fail(tx.error || new Error('The storage transaction was aborted'));
+      });
+      resolve({
+        get: (collection, id) => run(collection, 'readonly', (s) => s.get(id)).then((r) => r ?? null),
+        put: (collection, record) => run(collection, 'readwrite', (s) => s.put(record)).then(() => record),
+        delete: (collection, id) => run(collection, 'readwrite', (s) => s.delete(id)).then(() => true),
+        getAll: (collection) => run(collection, 'readonly', (s) => s.getAll()),
+      });
+    };
+  });
+}
+
+// ─── Payloads ───────────────────────────────────────────────────────
+
+export function newMapId(now = Date.now()) {
+  return 'map' + now + '_' + Math.random().toString(36).slice(2, 8);
+}
+
+// The site a thumbnail shows: the only one, or the open one of a project
+function primarySite(payload) {
+  if (!isMultiSiteFile(payload)) return payload;
+  const site = payload.sites.find((s) => s.id === payload.activeSiteId) || payload.sites[0];
+  return (site && site.data) || {};
+}
+
+const count = (data, key) => (data && Array.isArray(data[key]) ? data[key].length : 0);
+
+/** Names and counts for the library: { clientName, siteName, deviceCount, siteCount }. */
+export function describePayload(payload) {
+  if (isMultiSiteFile(payload)) {
+    return {
+      clientName: payload.clientName || '',
+      siteName: payload.sites.map((s) => s.name).join(', '),
+      deviceCount: payload.sites.reduce((sum, s) => sum + count(s.data, 'devices'), 0),
+      siteCount: payload.sites.length,
+    };
+  }
+  return {
+    clientName: payload.clientName || '',
+    siteName: payload.siteName || '',
+    deviceCount: count(payload, 'devices'),
+    siteCount: 1,
+  };
+}
+
+/** True for a map nobody has drawn on yet, which is not worth autosaving. */
+export function isEmptyPayload(payload) {
+  const data = primarySite(payload);
+  return !isMultiSiteFile(payload) && count(data, 'devices') === 0 && count(data, 'zones') === 0;
+}
+
+export function mapTitle(record) {
+  return [record.clientName, record.siteName].filter(Boolean).join(' - ') || 'Untitled map';
+}
+
+// ─── Thumbnails ─────────────────────────────────────────────────────
+
+export const THUMBNAIL_WIDTH = 160;
+export const THUMBNAIL_HEIGHT = 100;
+const DEVICE_SIZE = { width: 120, height: 100 };
+
+/** A small SVG sketch of the map: zones as outlines, devices as dots, connections as lines. */
+export function renderThumbnail(payload) {
+  const data = primarySite(payload);
+  const devices = Array.isArray(data.devices) ? data.devices : [];
+  const zones = Array.isArray(data.zones) ? data.zones : [];
+  const connections = Array.isArray(data.connections) ? data.connections : [];
+  const open = `<svg xmlns="http://www.w3.org/2000/svg" width="${THUMBNAIL_WIDTH}" height="${THUMBNAIL_HEIGHT}" viewBox="0 0 ${THUMBNAIL_WIDTH} ${THUMBNAIL_HEIGHT}">`
+    + `<rect width="${THUMBNAIL_WIDTH}" height="${THUMBNAIL_HEIGHT}" fill="#ffffff"/>`;
+  if (devices.length === 0 && zones.length === 0) return open + '</svg>';
+
+  const boxes = [
+    ...zones.map((z) => ({ x: z.x, y: z.y, width: z.width, height: z.height })),
+    ...devices.map((d) => ({ x: d.x, y: d.y, ...DEVICE_SIZE })),
+  ];
+  const minX = Math.min(...boxes.map((b) => b.x));
+  const minY = Math.min(...boxes.map((b) => b.y));
+  const maxX = Math.max(...boxes.map((b) => b.x + b.width));
+  const maxY = Math.max(...boxes.map((b) => b.y + b.height));
+  const pad = 6;
+  const scale = Math.min((THUMBNAIL_WIDTH - pad * 2) / (maxX - minX), (THUMBNAIL_HEIGHT - pad * 2) / (maxY - minY));
+  const offsetX = (THUMBNAIL_WIDTH - (maxX - minX) * scale) / 2;
+  const offsetY = (THUMBNAIL_HEIGHT - (maxY - minY) * scale) / 2;
+  const px = (x) => Math.round(((x - minX) * scale + offsetX) * 10) / 10;
+  const py = (y) => Math.round(((y - minY) * scale + offsetY) * 10) / 10;
+  const center = new Map(devices.map((d) => [d.id, { x: px(d.x + DEVICE_SIZE.width / 2), y: py(d.y + DEVICE_SIZE.height / 2) }]));
+
+  const parts = zones.map((z) => `<rect x="${px(z.x)}" y="${py(z.y)}" width="${Math.round(z.width * scale * 10) / 10}" height="${Math.round(z.height * scale * 10) / 10}" rx="3" fill="none" stroke="${zoneTypes[z.type]?.color || '#888888'}"/>`);
+  connections.forEach((c) => {
+    const a = center.get(c.from);
+    const b = center.get(c.to);
+    if (a && b) parts.push(`<line x1="${a.x}" y1="${a.y}" x2="${b.x}" y2="${b.y}" stroke="#a1a1aa"/>`);
+  });
+  center.forEach((p) => parts.push(`<circle cx="${p.x}" cy="${p.y}" r="3" fill="#0F71F0"/>`));
+  return open + parts.join('') + '</svg>';
+}
+
+export function thumbnailUrl(svg) {
+  return 'data:image/svg+xml;charset=utf-8,' + encodeURIComponent(svg);
+}
+
+// ─── Library ────────────────────────────────────────────────────────
+
+/**
+ * Writes the map's latest state under its id. The record keeps when it was
+ * created, last saved to a file (exportedAt) and whether the user turned
+ * down restoring it.
+ */
+export function autosaveMap(store, id, payload, now = Date.now()) {
+  return store.get('maps', id).then((existing) => store.put('maps', {
+    id,
+    ...describePayload(payload),
+    createdAt: existing ? existing.createdAt : now,
+    updatedAt: now,
+    exportedAt: existing ? existing.exportedAt : null,
+    dismissed: false,
+    thumbnail: renderThumbnail(payload),
+    payload,
+  }));
+}
+
+function updateMap(store, id, changes) {
+  return store.get('maps', id).then((record) => (record ? store.put('maps', { ...record, ...changes }) : null));
+}
+
+/** Called once the map has been saved to a file, so it no longer counts as unsaved work. */
+export function markMapExported(store, id, now = Date.now()) {
+  return updateMap(store, id, { exportedAt: now });
+}
+
+export function dismissRecovery(store, id) {
+  return updateMap(store, id, { dismissed: true });
+}
+
+const isUnsaved = (record) => !record.exportedAt || record.exportedAt < record.updatedAt;
+
+/** Every stored map without its payload, most recently changed first. */
+export function listMaps(store) {
+  return store.getAll('maps').then((records) => records
+    .map(({ payload, ...summary }) => ({ ...summary, unsaved: isUnsaved(summary) }))
+    .sort((a, b) => b.updatedAt - a.updatedAt));
+}
+
+export function loadMap(store, id) {
+  return store.get('maps', id);
+}
+
+export function deleteMap(store, id) {
+  return listRevisions(store, id)
+    .then((revisions) => Promise.all(revisions.map((r) => store.delete('revisions', r.id))))
+    .then(() => store.delete('maps', id));
+}
+
+/**
+ * The most recent map with changes that were never saved to a file and
+ * that the user has not already declined to restore, or null.
+ */
+export function findRecoverable(store, currentId = null) {
+  return listMaps(store).then((maps) => {
+    const found = maps.find((m) => m.unsaved && !m.dismissed && m.id !== currentId);
+    return found ? loadMap(store, found.id) : null;
+  });
+}
+
+// ─── Named revisions ────────────────────────────────────────────────
+
+export function saveRevision(store, mapId, name, payload, now = Date.now()) {
+  return store.put('revisions', {
+    id: 'rev' + now + '_' + Math.random().toString(36).slice(2, 8),
+    mapId,
+    name: String(name || '').trim() || 'Revision of ' + new Date(now).toLocaleString(),
+    createdAt: now,
+    ...describePayload(payload),
+    payload,
+  });
+}
+
+/** A map's revisions without payloads, newest first. */
+export function listRevisions(store, mapId) {
+  return store.getAll('revisions').then((records) => records
+    .filter((r) => r.mapId === mapId)
+    .map(({ payload, ...summary }) => summary)
+    .sort((a, b) => b.createdAt - a.createdAt));
+}
+
+export function loadRevision(store, id) {
+  return store.get('revisions', id);
+}
+
+export function deleteRevision(store, id) {
+  return store.delete('revisions', id);
+}
+
+/** "12 devices" or "3 sites, 40 devices" for library rows. */
+export function describeContents(record) {
+  const devices = formatCount(record.deviceCount || 0, 'device');
+  return record.siteCount > 1 ? `${formatCount(record.siteCount, 'site')}, ${devices}` : devices;
+}
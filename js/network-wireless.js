@@ -0,0 +1,267 @@
+/**
+ * Network Mapper - wireless planning.
+ * Checks AP radio channels against nearby APs, SSID VLANs against the
+ * upstream switch port, SSID security and client associations, and builds
+ * the SSID/AP report. Findings use the { severity, rule, message, ids }
+ * shape of validateState; the report renders with renderReportHtml.
+ */
+
+import {
+  types,
+  findVlan,
+  getDeviceConnections,
+  getConnectionPort,
+  getAPClients,
+  formatCount,
+  WIFI_BANDS,
+  WIFI_BAND_ORDER,
+} from './network-mapper-logic.js';
+
+// ─── Channels ───────────────────────────────────────────────────────
+
+// APs closer than this on the canvas are treated as hearing each other
+export const NEIGHBOR_DISTANCE = 400;
+
+const CHANNEL_BASE_MHZ = { '2.4': 2407, '5': 5000, '6': 5950 };
+
+/** The { low, high } frequency range in MHz a radio occupies. */
+export function channelSpan(band, channel, width = 20) {
+  const center = (ch) => CHANNEL_BASE_MHZ[band] + 5 * ch;
+  if (band === '2.4') {
+    // 40 MHz bonds the channel four above, or four below from channel 8 up
+    const f = center(channel);
+    if (width === 40) return channel <= 7 ? { low: f - 10, high: f + 30 } : { low: f - 30, high: f + 10 };
+    return { low: f - 10, high: f + 10 };
+  }
+  // 5 and 6 GHz bond aligned blocks of 20 MHz channels
+  const step = width / 5;
+  const base = band === '6' ? 1 : channel >= 149 ? 149 : 36;
+  const first = base + Math.floor((channel - base) / step) * step;
+  const low = center(first) - 10;
+  return { low, high: low + width };
+}
+
+/**
+ * How two radios interfere: 'co-channel' when they share a channel or the
+ * same bonded block, 'overlap' when their ranges only partly cover each
+ * other, otherwise null.
+ */
+export function radioConflict(a, b) {
+  if (a.band !== b.band) return null;
+  const spanA = channelSpan(a.band, a.channel, a.width);
+  const spanB = channelSpan(b.band, b.channel, b.width);
+  if (spanA.low >= spanB.high || spanB.low >= spanA.high) return null;
+  if (a.channel === b.channel || (spanA.low === spanB.low && spanA.high === spanB.high)) return 'co-channel';
+  return 'overlap';
+}
+
+/** "ch 36, 40 MHz, 17 dBm", with "auto" power when none is set. */
+export function formatRadio(radio) {
+  if (!radio) return 'Off';
+  return `ch ${radio.channel}, ${radio.width} MHz, ${radio.txPower === null || radio.txPower === undefined ? 'auto' : `${radio.txPower} dBm`}`;
+}
+
+// ─── Upstream switch ────────────────────────────────────────────────
+
+const LAYER3_TYPES = ['router', 'firewall'];
+
+const isCabled = (conn) => conn.type !== 'wireless' && conn.type !== 'vpn';
+
+/**
+ * The first switch an AP is cabled to, possibly through a PoE injector or
+ * similar, without crossing a router or firewall. Returns { device, port }
+ * where port is the switch port number as a string ('' when not set), or
+ * null when the AP doesn't reach a switch.
+ */
+export function findUpstreamSwitch(state, ap) {
+  const byId = new Map(state.devices.map((d) => [d.id, d]));
+  const seen = new Set([ap.id]);
+  const queue = [ap.id];
+  while (queue.length) {
+    const id = queue.shift();
+    for (const conn of getDeviceConnections(state, id).filter(isCabled)) {
+      const nextId = conn.from === id ? conn.to : conn.from;
+      const next = byId.get(nextId);
+      if (!next || seen.has(nextId)) continue;
+      seen.add(nextId);
+      if (next.type === 'switch') return { device: next, port: getConnectionPort(conn, nextId) };
+      if (!LAYER3_TYPES.includes(next.type) && next.type !== 'ap') queue.push(nextId);
+    }
+  }
+  return null;
+}
+
+// VLANs the switch sends to the AP: the configured port when there is one,
+// otherwise the switch's own VLAN list; null when neither is set up
+function carriedVlans(upstream) {
+  const { device, port } = upstream;
+  const entry = (device.portMap || []).find((p) => String(p.number) === port);
+  if (entry && (Number.isInteger(entry.accessVlan) || (entry.taggedVlans || []).length > 0)) {
+    return { vlans: [entry.accessVlan, ...(entry.taggedVlans || [])].filter(Number.isInteger), where: `${device.name} port ${port}` };
+  }
+  if ((device.assignedVlans || []).length > 0) {
+    return { vlans: device.assignedVlans.map(Number), where: device.name };
+  }
+  return null;
+}
+
+// ─── Checks ─────────────────────────────────────────────────────────
+
+const SEVERITY_ORDER = { error: 0, warning: 1, info: 2 };
+
+/** 'open' or 'wep' for SSID security that protects nothing, otherwise null. */
+export function weakSecurity(security) {
+  const value = String(security || '').trim();
+  if (/\bwep\b/i.test(value)) return 'wep';
+  return /^(open|none)$/i.test(value) ? 'open' : null;
+}
+
+/**
+ * Lints the wireless side of a map. options: neighborDistance. Returns
+ * findings sorted errors first, like validateState.
+ */
+export function checkWireless(state, options = {}) {
+  const neighborDistance = options.neighborDistance ?? NEIGHBOR_DISTANCE;
+  const findings = [];
+  const add = (severity, rule, message, ids) => {
+    findings.push({ severity, rule, message, ids });
+  };
+  const aps = state.devices.filter((d) => d.type === 'ap');
+
+  // Channels of APs within earshot of each other
+  aps.forEach((a, i) => {
+    aps.slice(i + 1).forEach((b) => {
+      if (Math.hypot(a.x - b.x, a.y - b.y) > neighborDistance) return;
+      (a.radios || []).forEach((radioA) => {
+        const radioB = (b.radios || []).find((r) => r.band === radioA.band);
+        const conflict = radioB && radioConflict(radioA, radioB);
+        if (!conflict) return;
+        const band = WIFI_BANDS[radioA.band].name;
+        if (conflict === 'co-channel') {
+          add('warning', 'wifi-co-channel',
+            `${a.name} and ${b.name} are near each other on the same ${band} channel (${radioA.channel} and ${radioB.channel})`, [a.id, b.id]);
+        } else {
+          add('warning', 'wifi-channel-overlap',
+            `${a.name} and ${b.name} are near each other on overlapping ${band} channels (${radioA.channel} and ${radioB.channel})`, [a.id, b.id]);
+        }
+      });
+    });
+  });
+
+  // SSID VLANs the upstream switch has to carry
+  aps.forEach((ap) => {
+    const upstream = findUpstreamSwitch(state, ap);
+    const carried = upstream && carriedVlans(upstream);
+    if (!carried) return;
+    (ap.ssids || []).forEach((name) => {
+      const ssid = state.ssids.find((s) => s.name === name);
+      const vlan = ssid && Number(ssid.vlan);
+      if (!ssid || !ssid.vlan || !Number.isInteger(vlan) || carried.vlans.includes(vlan)) return;
+      add('warning', 'ap-ssid-vlan-not-carried',
+        `${ap.name} broadcasts "${name}" on VLAN ${vlan}, which ${carried.where} does not carry`, [ap.id, upstream.device.id]);
+    });
+  });
+
+  // SSID security
+  state.ssids.forEach((s) => {
+    const weak = weakSecurity(s.security);
+    if (weak === 'wep') {
+      add('error', 'ssid-wep', `SSID "${s.name}" uses WEP, which can be cracked in minutes`, [s.name]);
+    } else if (weak === 'open') {
+      add('warning', 'ssid-open', `SSID "${s.name}" is open and unencrypted`, [s.name]);
+    }
+  });
+
+  // Client associations
+  state.devices.filter((d) => d.association && d.association.apId).forEach((client) => {
+    const ap = aps.find((d) => d.id === client.association.apId);
+    if (!ap) {
+      add('warning', 'client-missing-ap', `${client.name} is associated with an access point that does not exist`, [client.id]);
+      return;
+    }
+    const ssid = client.association.ssid;
+    if (ssid && !(ap.ssids || []).includes(ssid)) {
+      add('warning', 'client-ssid-not-on-ap', `${client.name} joins "${ssid}" on ${ap.name}, which does not broadcast it`, [client.id, ap.id]);
+    }
+  });
+
+  return findings.sort((a, b) => SEVERITY_ORDER[a.severity] - SEVERITY_ORDER[b.severity]);
+}
+
+// ─── SSID/AP report ─────────────────────────────────────────────────
+
+const SEVERITY_NAMES = { error: 'Error', warning: 'Warning', info: 'Note' };
+
+const vlanLabel = (vlans, vlanId) => {
+  const vlan = findVlan(vlans, vlanId);
+  if (vlan) return `${vlan.id} - ${vlan.name}`;
+  return vlanId === '' || vlanId === null || vlanId === undefined ? '' : String(vlanId);
+};
+
+/**
+ * Builds the SSID/AP report: SSIDs, access points with their radios and
+ * upstream switch, wireless clients and the checkWireless findings.
+ * options: clientName, siteName, title, date, deviceTypes and
+ * neighborDistance. Returns the { title, ..., summary, sections } shape
+ * buildSiteReport uses.
+ */
+export function buildWirelessReport(state, options = {}) {
+  const deviceTypes = options.deviceTypes || types;
+  const aps = state.devices.filter((d) => d.type === 'ap');
+  const clients = state.devices.filter((d) => d.association && d.association.apId);
+  const deviceName = (id) => state.devices.find((d) => d.id === id)?.name || '';
+  const findings = checkWireless(state, options);
+
+  const sections = [];
+  const add = (id, title, columns, rows, empty) => sections.push({ id, title, columns, rows, empty });
+
+  add('ssids', 'SSIDs', ['SSID', 'Security', 'VLAN', 'Access Points', 'Clients'],
+    state.ssids.map((s) => [
+      s.name, s.security || '', vlanLabel(state.vlans, s.vlan),
+      aps.filter((ap) => (ap.ssids || []).includes(s.name)).map((ap) => ap.name).join(', '),
+      String(clients.filter((c) => c.association.ssid === s.name).length),
+    ]),
+    'No SSIDs configured.');
+
+  add('aps', 'Access Points', ['Access Point', 'Upstream Switch', 'SSIDs', ...WIFI_BAND_ORDER.map((band) => WIFI_BANDS[band].name), 'Clients'],
+    aps.map((ap) => {
+      const upstream = findUpstreamSwitch(state, ap);
+      return [
+        ap.name,
+        upstream ? upstream.device.name + (upstream.port ? ` port ${upstream.port}` : '') : '',
+        (ap.ssids || []).join(', '),
+        ...WIFI_BAND_ORDER.map((band) => formatRadio((ap.radios || []).find((r) => r.band === band))),
+        String(getAPClients(state, ap.id).length),
+      ];
+    }),
+    'No access points on the map.');
+
+  add('clients', 'Wireless Clients', ['Client', 'Type', 'IP Address', 'Access Point', 'SSID', 'VLAN'],
+    clients.map((c) => {
+      const ssid = state.ssids.find((s) => s.name === c.association.ssid);
+      return [
+        c.name, deviceTypes[c.type]?.name || c.type, c.ip || '', deviceName(c.association.apId),
+        c.association.ssid || '', ssid ? vlanLabel(state.vlans, ssid.vlan) : '',
+      ];
+    }),
+    'No clients are associated with an access point.');
+
+  add('checks', 'Wireless Checks', ['Severity', 'Issue'],
+    findings.map((f) => [SEVERITY_NAMES[f.severity], f.message]),
+    'No wireless problems found.');
+
+  return {
+    title: options.title || 'SSID & Access Point Report',
+    clientName: options.clientName || '',
+    siteName: options.siteName || '',
+    author: options.author || '',
+    date: options.date || new Date().toLocaleDateString(),
+    summary: [
+      ['Access Points', formatCount(aps.length, 'access point')],
+      ['SSIDs', formatCount(state.ssids.length, 'SSID')],
+      ['Clients', formatCount(clients.length, 'wireless client')],
+      ['Issues', formatCount(findings.length, 'issue')],
+    ],
+    sections,
+  };
+}
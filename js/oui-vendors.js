@@ -0,0 +1,66 @@
+/**
+ * Network Mapper - bundled OUI table.
+ * A short list of the MAC prefixes we actually run into on client sites,
+ * not the full IEEE registry. Vendor names match the manufacturer lists
+ * in network-mapper-logic.js where one fits.
+ */
+
+const VENDOR_PREFIXES = {
+  'Apple': ['000393', '000A95', '0017F2', '001B63', '002500', '28CFE9', '3C0754', 'A45E60', 'ACBC32', 'F01898'],
+  'APC': ['00C0B7', '282986'],
+  'Amazon': ['44650D', '6837E9', '74C246', 'F0272D'],
+  'Aruba': ['000B86', '24DEC6', '6CF37F', '94B40F'],
+  'Asus': ['04D4C4', '2C56DC', '50465D', 'AC220B'],
+  'Axis': ['00408C', 'ACCC8E', 'B8A44F'],
+  'Brother': ['001BA9', '008077', '30055C'],
+  'Canon': ['000085', '001E8F', 'F48139'],
+  'Cisco': ['00000C', '000142', '004096'],
+  'Cisco Meraki': ['00180A', '0C8DDB', '881544', 'AC17C8', 'E0553D'],
+  'Dell': ['001422', '001EC9', '180373', '141877', 'B8AC6F', 'D4BED9', 'F8BC12'],
+  'Epson': ['000048', '0026AB', '64EB8C'],
+  'Extreme Networks': ['000496', '00E02B'],
+  'Fortinet': ['00090F', '085B0E', '704CA5', '906CAC'],
+  'Google': ['3C5AB4', '546009', 'F4F5D8', 'F88FCA'],
+  'Grandstream': ['000B82'],
+  'Hikvision': ['2857BE', '4419B6', 'BCAD28', 'C056E3'],
+  'HP': ['00215A', '0017A4', '3CD92B', '9C8E99'],
+  'HP/HPE': ['94F128'],
+  'Huawei': ['001882', '00E0FC'],
+  'IBM': ['0004AC'],
+  'Intel': ['001517', '001B21', '3C970E', 'A0369F'],
+  'Juniper': ['000585', '288A1C', '3C6104', '88E0F3'],
+  'Kyocera': ['00C0EE'],
+  'Lenovo': ['54EE75'],
+  'Lexmark': ['000400', '002000'],
+  'Microsoft': ['0050F2', '281878', '7C1E52'],
+  'Hyper-V': ['00155D'],
+  'MikroTik': ['000C42', '2CC81B', '488F5A', '4C5E0C', '64D154', '6C3B6B', '744D28', 'B869F4', 'CC2DE0', 'D4CA6D', 'E48D8C'],
+  'Netgear': ['00095B', '00146C', '001B2F', '204E7F', 'A040A0'],
+  'Palo Alto Networks': ['001B17', '08306B', 'B40C25'],
+  'Polycom': ['0004F2', '64167F'],
+  'Proxmox': ['BC2411'],
+  'QEMU/KVM': ['525400'],
+  'QNAP': ['00089B', '245EBE'],
+  'Raspberry Pi': ['B827EB', 'D83ADD', 'DCA632', 'E45F01'],
+  'Ricoh': ['000074', '002673'],
+  'Ruckus': ['2C5D93', '74911A', 'C4108A'],
+  'Samsung': ['0012FB', '001632', '5C0A5B', '8C7712'],
+  'SonicWall': ['0017C5', '18B169', 'C0EAE4'],
+  'Sonos': ['000E58', '5CAAFD', '949F3E', 'B8E937'],
+  'Sophos': ['001A8C', '7C5A1C'],
+  'Supermicro': ['002590', '0CC47A', '3CECEF', 'AC1F6B'],
+  'Synology': ['001132'],
+  'TP-Link': ['14CC20', '50C7BF', '98DAC4', 'EC086B', 'F4F26D'],
+  'Ubiquiti': ['00156D', '002722', '0418D6', '24A43C', '44D9E7', '7483C2', '788A20', '802AA8', 'B4FBE4', 'E063DA', 'F09FC2', 'FCECDA'],
+  'VirtualBox': ['080027'],
+  'VMware': ['000569', '000C29', '001C14', '005056'],
+  'WatchGuard': ['00907F'],
+  'Xen': ['00163E'],
+  'Xerox': ['0000AA', '9C934E'],
+  'Xiaomi': ['286C07', '640980'],
+  'Yealink': ['001565', '805EC0'],
+};
+
+export const OUI_VENDORS = Object.fromEntries(
+  Object.entries(VENDOR_PREFIXES).flatMap(([vendor, prefixes]) => prefixes.map((p) => [p, vendor]))
+);
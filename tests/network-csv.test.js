@@ -0,0 +1,185 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import {
+  createInitialState,
+  createDeviceData,
+  createZoneData,
+  addConnection,
+  addSSID,
+  exportDevicesToCSV,
+  undo,
+  canUndo,
+  clearHistory,
+} from '../js/network-mapper-logic.js';
+import {
+  exportProjectToCSV,
+  isProjectCSV,
+  parseProjectCSV,
+  importProjectCSV,
+} from '../js/network-csv.js';
+
+// ─── Helpers ────────────────────────────────────────────────────────
+
+let state;
+
+function buildProject() {
+  const s = createInitialState();
+  const zone = createZoneData(s, 'idf', 0, 0);
+  zone.width = 600;
+  zone.height = 400;
+  zone.location = 'Room 12, 2nd floor';
+
+  const sw = createDeviceData(s, 'switch', 100, 100);
+  sw.ports = '24';
+  sw.poe = true;
+  sw.assignedVlans = [1, 10];
+  sw.portMap = [{ number: 1, description: 'Uplink, "core"', accessVlan: null, taggedVlans: [1, 10], poe: false }];
+  sw.notes = 'Line one\nLine two, with a comma';
+  const ap = createDeviceData(s, 'ap', 300, 100);
+  ap.ssids = ['Staff'];
+  ap.radios = [{ band: '5', channel: 36, width: 40, txPower: 17 }];
+  const host = createDeviceData(s, 'vmhost', 900, 100);
+  host.vms = [{ name: 'web01', status: 'online' }, { name: 'db01', status: 'offline' }];
+  host.rackUnit = 12;
+
+  addSSID(s, 'Staff', 'WPA3-Enterprise', '10');
+  const conn = addConnection(s, sw.id, 'bottom', ap.id, 'top', {
+    fromPort: 'Gi1/0/1', toPort: 'eth0', speed: '1G', media: 'cat6', poeWatts: 12.5, label: 'AP uplink',
+  });
+  conn.routingStyle = 'orthogonal';
+  conn.waypoints = [{ x: 200, y: 180 }];
+  clearHistory(s);
+  return s;
+}
+
+const strip = (items) => items.map(({ zoneId, parentZoneId, ...rest }) => rest);
+
+beforeEach(() => {
+  state = buildProject();
+});
+
+// ─── Parsing ────────────────────────────────────────────────────────
+
+describe('isProjectCSV / parseProjectCSV', () => {
+  it('tells a project CSV from a plain device CSV', () => {
+    expect(isProjectCSV(exportProjectToCSV(state))).toBe(true);
+    expect(isProjectCSV(exportDevicesToCSV(state.devices))).toBe(false);
+  });
+
+  it('reads a file a spreadsheet saved with semicolons', () => {
+    const csv = exportProjectToCSV(state).replace(/,/g, ';');
+    expect(parseProjectCSV(csv).devices.rows).toHaveLength(3);
+  });
+
+  it('ignores the padding spreadsheets add to marker rows', () => {
+    const sections = parseProjectCSV('[Devices],,,\nID,Type,Name\ndev1,switch,Core\n,,\n[Unknown]\nA\n1\n');
+    expect(Object.keys(sections)).toEqual(['devices']);
+    expect(sections.devices.rows).toEqual([['dev1', 'switch', 'Core']]);
+  });
+});
+
+// ─── Round trip ─────────────────────────────────────────────────────
+
+describe('exportProjectToCSV / importProjectCSV', () => {
+  it('rebuilds the whole project in an empty map', () => {
+    const copy = createInitialState();
+    copy.vlans = [];
+    const result = importProjectCSV(copy, exportProjectToCSV(state));
+
+    expect(result.warnings).toEqual([]);
+    expect(result.added).toEqual({ devices: 3, connections: 1, zones: 1, vlans: 3, ssids: 1 });
+    expect(strip(copy.devices)).toEqual(strip(state.devices));
+    expect(copy.connections).toEqual(state.connections);
+    expect(strip(copy.zones)).toEqual(strip(state.zones));
+    expect(copy.vlans).toEqual(state.vlans);
+    expect(copy.ssids).toEqual(state.ssids);
+    expect(copy.devices[0].zoneId).toBe(copy.zones[0].id);
+  });
+
+  it('changes nothing when the same file comes back', () => {
+    const before = JSON.stringify(state.devices);
+    const result = importProjectCSV(state, exportProjectToCSV(state));
+    expect(result.updated).toEqual({ devices: 0, connections: 0, zones: 0, vlans: 0, ssids: 0 });
+    expect(result.added).toEqual({ devices: 0, connections: 0, zones: 0, vlans: 0, ssids: 0 });
+    expect(JSON.stringify(state.devices)).toBe(before);
+    expect(canUndo(state)).toBe(false);
+  });
+
+  it('updates edited rows in place and adds rows without an id', () => {
+    const csv = exportProjectToCSV(state)
+      .replace('Room 12, 2nd floor', 'Room 14')
+      .replace('AP uplink', 'Lobby AP')
+      .replace('[Connections]', 'dev-new,printer,Front Printer,10.0.0.50\n\n[Connections]')
+      .replace(/\n(dev\d+_2),ap,Access Point 2,/, '\n$1,ap,Lobby AP,');
+    const result = importProjectCSV(state, csv);
+
+    expect(result.updated).toMatchObject({ devices: 1, connections: 1, zones: 1 });
+    expect(result.added.devices).toBe(1);
+    expect(state.devices).toHaveLength(4);
+    expect(state.devices[1].name).toBe('Lobby AP');
+    expect(state.zones[0].location).toBe('Room 14');
+    expect(state.connections[0].label).toBe('Lobby AP');
+    expect(state.devices[3]).toMatchObject({ id: 'dev-new', type: 'printer', ip: '10.0.0.50', x: 0, y: 0 });
+
+    undo(state);
+    expect(state.devices).toHaveLength(3);
+    expect(state.devices[1].name).toBe('Access Point 2');
+    expect(state.zones[0].location).toBe('Room 12, 2nd floor');
+  });
+
+  it('matches by name when the id column is left blank', () => {
+    const csv = '[Devices]\nID,Type,Name,IP Address\n,switch,Switch 1,10.0.0.2\n' +
+      '[Connections]\nID,From ID,From,To ID,To,Speed,Media\n,,Switch 1,,Virtual Host,10G,Fiber (SM)\n';
+    const result = importProjectCSV(state, csv);
+    expect(result.updated.devices).toBe(1);
+    expect(state.devices[0].ip).toBe('10.0.0.2');
+    expect(result.warnings).toEqual(['Connection row 1 does not join two devices on the map and was skipped']);
+  });
+
+  it('keeps LAG members and links with new ids apart', () => {
+    const [sw, ap, host] = state.devices;
+    const csv = '[Connections]\nID,From ID,From Port,To ID,To Port,LAG\n' +
+      `,${sw.id},Gi1/0/47,${host.id},eth0,Po1\n,${sw.id},Gi1/0/48,${host.id},eth1,Po1\n` +
+      `conn-new,${sw.id},Gi1/0/2,${ap.id},eth1,\n`;
+    const result = importProjectCSV(state, csv);
+
+    expect(result.added.connections).toBe(3);
+    expect(result.updated.connections).toBe(0);
+    expect(state.connections[0]).toMatchObject({ fromPort: 'Gi1/0/1', label: 'AP uplink' });
+    const lag = state.connections.filter((c) => c.lag === 'Po1');
+    expect(lag.map((c) => c.fromPort)).toEqual(['Gi1/0/47', 'Gi1/0/48']);
+    expect(state.connections.find((c) => c.id === 'conn-new')).toMatchObject({ from: sw.id, to: ap.id, fromPort: 'Gi1/0/2' });
+  });
+
+  it('reports rows it cannot use', () => {
+    const csv = '[Devices]\nID,Type,Name,X,Status\nd1,toaster,Toast,0,online\nd2,server,Box,left,lost\n' +
+      '[VLANs]\nID,Name,Subnet\n9999,Bad,10.0.0.0/24\n';
+    const result = importProjectCSV(state, csv);
+    expect(result.warnings).toEqual([
+      'VLAN row 1 has an invalid id and was skipped',
+      'Device Toast has unknown type "toaster" and was skipped',
+      'Device Box: "left" is not a valid X',
+      'Device Box has unknown status "lost"; kept as online',
+    ]);
+    expect(state.devices.find((d) => d.id === 'd2').status).toBe('online');
+  });
+
+  it('gives rows without an id ids that are not already taken', () => {
+    const now = vi.spyOn(Date, 'now').mockReturnValue(1000);
+    state.zones.push({ id: 'zone1000_2' });
+    state.devices.push({ id: 'dev1000_4' });
+    state.connections.push({ id: 'conn1000_0' });
+    const [sw, , host] = state.devices;
+    const csv = '[Devices]\nID,Type,Name\n,printer,Front Printer\n[Zones]\nID,Type,Name\n,mdf,Core\n' +
+      `[Connections]\nID,From ID,To ID\n,${sw.id},${host.id}\n`;
+    importProjectCSV(state, csv);
+    now.mockRestore();
+
+    const ids = [...state.devices, ...state.zones, ...state.connections].map((item) => item.id);
+    expect(new Set(ids).size).toBe(ids.length);
+    expect(ids).toEqual(expect.arrayContaining(['dev1000_4_2', 'zone1000_2_2', 'conn1000_0_2']));
+  });
+
+  it('returns null for text without sections', () => {
+    expect(importProjectCSV(state, 'Type,Name\nswitch,Core\n')).toBeNull();
+  });
+});
@@ -0,0 +1,163 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import {
+  types,
+  createInitialState,
+  createDeviceData,
+  createZoneData,
+  addConnection,
+  clearHistory,
+} from '../js/network-mapper-logic.js';
+import { exportToDrawio, exportToVsdx, createZip } from '../js/network-diagram-export.js';
+
+// ─── Helpers ────────────────────────────────────────────────────────
+
+let state;
+let zone, sw, ap, fw, conn;
+
+beforeEach(() => {
+  state = createInitialState();
+  zone = createZoneData(state, 'idf', 4000, 4000);
+  zone.width = 400;
+  zone.height = 300;
+  sw = createDeviceData(state, 'switch', 4040, 4060);
+  sw.ip = '10.0.0.2';
+  sw.notes = 'Closet <A> & "B"';
+  ap = createDeviceData(state, 'ap', 4240, 4160);
+  fw = createDeviceData(state, 'firewall', 4600, 4060);
+  conn = addConnection(state, sw.id, 'right', fw.id, 'left', { fromPort: 'Gi1/0/48', speed: '1G' });
+  conn.id = 'conn-uplink';
+  conn.routingStyle = 'orthogonal';
+  conn.waypoints = [{ x: 4400, y: 4110 }, { x: 4400, y: 4110 }];
+  addConnection(state, sw.id, 'bottom', ap.id, 'top').id = 'conn-ap';
+  clearHistory(state);
+});
+
+// The opening <object ...> tag and its mxCell for one id
+function drawioCell(xml, id) {
+  const match = xml.match(new RegExp(`<object id="${id}"[^>]*>(<mxCell[^>]*>)(.*?)</mxCell>`));
+  return match && { object: match[0].slice(0, match[0].indexOf('>') + 1), cell: match[1], body: match[2] };
+}
+
+const attr = (tag, name) => tag.match(new RegExp(` ${name}="([^"]*)"`))?.[1];
+
+// Reads back the stored entries createZip writes
+function readZip(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const decoder = new TextDecoder();
+  const files = {};
+  let offset = 0;
+  while (view.getUint32(offset, true) === 0x04034b50) {
+    const size = view.getUint32(offset + 18, true);
+    const nameLength = view.getUint16(offset + 26, true);
+    const name = decoder.decode(bytes.subarray(offset + 30, offset + 30 + nameLength));
+    const start = offset + 30 + nameLength;
+    files[name] = decoder.decode(bytes.subarray(start, start + size));
+    offset = start + size;
+  }
+  return files;
+}
+
+function visioShape(page, name) {
+  return page.match(new RegExp(`<Shape ID="(\\d+)" NameU="${name}"[^>]*>.*?</Shape>`));
+}
+
+// ─── draw.io ────────────────────────────────────────────────────────
+
+describe('exportToDrawio', () => {
+  it('puts devices inside their zone container with shape data', () => {
+    const xml = exportToDrawio(state);
+    expect(attr(drawioCell(xml, zone.id).cell, 'style')).toMatch(/^swimlane;container=1;/);
+
+    const device = drawioCell(xml, sw.id);
+    expect(attr(device.object, 'IPAddress')).toBe('10.0.0.2');
+    expect(attr(device.object, 'Notes')).toBe('Closet &lt;A&gt; &amp; &quot;B&quot;');
+    expect(attr(device.object, 'DeviceType')).toBe('Switch');
+    expect(attr(device.cell, 'parent')).toBe(zone.id);
+    expect(device.body).toContain('x="40" y="60"');
+
+    const outside = drawioCell(xml, fw.id);
+    expect(attr(outside.cell, 'parent')).toBe('1');
+    expect(outside.body).toContain('x="640" y="100"');
+  });
+
+  it('attaches connectors to both devices and keeps waypoints', () => {
+    const edge = drawioCell(exportToDrawio(state), 'conn-uplink');
+    expect(attr(edge.cell, 'source')).toBe(sw.id);
+    expect(attr(edge.cell, 'target')).toBe(fw.id);
+    expect(attr(edge.cell, 'style')).toContain('edgeStyle=orthogonalEdgeStyle');
+    expect(attr(edge.cell, 'style')).toContain('exitX=1;exitY=0.5');
+    expect(edge.body).toContain('<Array as="points"><mxPoint x="440" y="150"/><mxPoint x="440" y="150"/></Array>');
+    expect(attr(edge.object, 'FromPort')).toBe('Gi1/0/48');
+  });
+
+  it('nests zones inside the zone that encloses them', () => {
+    const inner = createZoneData(state, 'ups', 4020, 4020);
+    const xml = exportToDrawio(state);
+    expect(attr(drawioCell(xml, inner.id).cell, 'parent')).toBe(zone.id);
+    expect(xml.indexOf(`id="${zone.id}"`)).toBeLessThan(xml.indexOf(`id="${inner.id}"`));
+  });
+
+  it('labels devices of types only the page knows', () => {
+    const vpn = createDeviceData(state, 'switch', 5000, 5000);
+    vpn.type = 'vpn';
+    const xml = exportToDrawio(state, { types: { ...types, vpn: { name: 'VPN', icon: '' } } });
+    expect(attr(drawioCell(xml, vpn.id).object, 'DeviceType')).toBe('VPN');
+  });
+});
+
+// ─── Visio ──────────────────────────────────────────────────────────
+
+describe('exportToVsdx', () => {
+  it('writes a package with the parts Visio needs', () => {
+    const files = readZip(exportToVsdx(state, { title: 'HQ' }));
+    expect(Object.keys(files)).toEqual([
+      '[Content_Types].xml',
+      '_rels/.rels',
+      'docProps/core.xml',
+      'docProps/app.xml',
+      'visio/document.xml',
+      'visio/_rels/document.xml.rels',
+      'visio/pages/pages.xml',
+      'visio/pages/_rels/pages.xml.rels',
+      'visio/pages/page1.xml',
+    ]);
+    expect(files['visio/pages/pages.xml']).toContain('Name="HQ"');
+    expect(files['[Content_Types].xml']).toContain('PartName="/visio/pages/page1.xml"');
+  });
+
+  it('glues connectors to the device connection points', () => {
+    const page = readZip(exportToVsdx(state))['visio/pages/page1.xml'];
+    const swId = visioShape(page, sw.name)[1];
+    const fwId = visioShape(page, fw.name)[1];
+    expect(page).toContain(`FromCell="BeginX" FromPart="9" ToSheet="${swId}" ToCell="Connections.X2" ToPart="101"`);
+    expect(page).toContain(`FromCell="EndX" FromPart="12" ToSheet="${fwId}" ToCell="Connections.X4" ToPart="103"`);
+
+    const connector = page.match(/<Shape ID="\d+" NameU="Dynamic connector[^>]*>.*?<\/Shape>/)[0];
+    expect(connector.match(/<Row T="(MoveTo|LineTo)"/g)).toHaveLength(4);
+    expect(connector).toContain(`F="PAR(PNT(Sheet.${swId}!Connections.X2,Sheet.${swId}!Connections.Y2))"`);
+  });
+
+  it('marks zones as containers and records their members', () => {
+    const page = readZip(exportToVsdx(state))['visio/pages/page1.xml'];
+    const [zoneShape, zoneId] = visioShape(page, zone.name);
+    const [swShape, swId] = visioShape(page, sw.name);
+    const apId = visioShape(page, ap.name)[1];
+
+    expect(zoneShape).toContain('<Row N="msvStructureType"><Cell N="Value" V="Container" U="STR"/>');
+    expect(zoneShape).toContain(`F="SUM(DEPENDSON(3,Sheet.${swId}!SheetRef(),Sheet.${apId}!SheetRef()))"`);
+    expect(swShape).toContain(`F="SUM(DEPENDSON(4,Sheet.${zoneId}!SheetRef()))"`);
+    expect(visioShape(page, fw.name)[0]).not.toContain('Relationships');
+    expect(swShape).toContain('<Row N="IPAddress"><Cell N="Value" V="10.0.0.2" U="STR"/><Cell N="Label" V="IP Address"/>');
+  });
+});
+
+describe('createZip', () => {
+  it('stores entries with their CRC-32', () => {
+    const bytes = createZip([['a.txt', 'hello']]);
+    const view = new DataView(bytes.buffer);
+    expect(view.getUint32(14, true)).toBe(0x3610a686);
+    expect(readZip(bytes)).toEqual({ 'a.txt': 'hello' });
+    expect(view.getUint32(bytes.length - 22, true)).toBe(0x06054b50);
+    expect(view.getUint32(bytes.length - 10, true)).toBe(46 + 5);
+  });
+});
@@ -0,0 +1,169 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import {
+  createInitialState,
+  createDeviceData,
+  createZoneData,
+  addConnection,
+  exportStateToJson,
+} from '../js/network-mapper-logic.js';
+import { diffStates, buildChangeLog, mergeStates, describeConflict } from '../js/network-diff.js';
+
+// A saved copy, so edits to one version never leak into another
+const save = (state) => JSON.parse(JSON.stringify(exportStateToJson(state, 'Acme', 'HQ')));
+
+let state, fw, sw, ap, conn;
+
+beforeEach(() => {
+  state = createInitialState();
+  createZoneData(state, 'mdf', 4000, 4000).name = 'MDF';
+  fw = createDeviceData(state, 'firewall', 4040, 4040);
+  fw.name = 'FW';
+  fw.mac = 'aa:bb:cc:00:00:01';
+  sw = createDeviceData(state, 'switch', 4100, 4040);
+  sw.name = 'Core';
+  sw.ip = '10.0.0.2';
+  ap = createDeviceData(state, 'ap', 5000, 5000);
+  ap.name = 'AP1';
+  conn = addConnection(state, fw.id, 'right', sw.id, 'left', { fromPort: 'WAN', toPort: '1' });
+  conn.id = 'c1';
+});
+
+describe('diffStates', () => {
+  it('reports nothing for identical maps, ignoring layout', () => {
+    const before = save(state);
+    const after = save(state);
+    after.devices[0].x += 300;
+    after.devices[2].vms = [];
+    const diff = diffStates(before, after);
+    expect(diff.summary.total).toBe(0);
+  });
+
+  it('finds added, removed and changed devices', () => {
+    const before = save(state);
+    state.devices = state.devices.filter((d) => d !== ap);
+    sw.ip = '10.0.0.3';
+    sw.notes = 'Replaced';
+    createDeviceData(state, 'printer', 4200, 4200).name = 'PRN';
+    const diff = diffStates(before, save(state));
+
+    expect(diff.devices.added.map((d) => d.name)).toEqual(['PRN']);
+    expect(diff.devices.removed.map((d) => d.name)).toEqual(['AP1']);
+    expect(diff.devices.modified).toHaveLength(1);
+    expect(diff.devices.modified[0].changes).toEqual([
+      { field: 'ip', before: '10.0.0.2', after: '10.0.0.3' },
+      { field: 'notes', before: '', after: 'Replaced' },
+    ]);
+    expect(diff.summary).toEqual({ added: 1, removed: 1, modified: 1, total: 3 });
+  });
+
+  it('matches devices by MAC, IP and then name when ids differ', () => {
+    const before = save(state);
+    const after = save(state);
+    after.devices.forEach((d) => { d.id = 'new-' + d.id; });
+    after.connections[0].from = 'new-' + fw.id;
+    after.connections[0].to = 'new-' + sw.id;
+    after.connections[0].id = 'c-new';
+    after.devices[0].name = 'Edge FW';
+    after.devices[2].name = 'ap1 ';
+
+    const diff = diffStates(before, after);
+    expect(diff.devices.added).toEqual([]);
+    expect(diff.devices.idMap[sw.id]).toBe('new-' + sw.id);
+    expect(diff.devices.modified.map((m) => [m.matchedBy, m.after.name])).toEqual([['mac', 'Edge FW'], ['name', 'ap1 ']]);
+    expect(diff.connections).toEqual({ added: [], removed: [], modified: [] });
+  });
+
+  it('compares ports on reversed connections and tracks VLAN, SSID and config changes', () => {
+    const before = save(state);
+    Object.assign(conn, { from: sw.id, to: fw.id, fromPort: '1', toPort: 'WAN', speed: '10G' });
+    state.vlans[0].name = 'Users';
+    state.ssids.push({ name: 'Guest', security: 'WPA2', vlan: 1 });
+    state.config.dnsPrimary = '1.1.1.1';
+    state.config.dhcpDevice = fw.id;
+    const diff = diffStates(before, save(state));
+
+    expect(diff.connections.modified[0].changes).toEqual([{ field: 'speed', before: '', after: '10G' }]);
+    expect(diff.vlans.modified[0].changes).toEqual([{ field: 'name', before: 'Default', after: 'Users' }]);
+    expect(diff.ssids.added.map((s) => s.name)).toEqual(['Guest']);
+    expect(diff.config.map((c) => c.field)).toEqual(['dnsPrimary', 'dhcpDevice']);
+  });
+
+  it('notices a device moving to another zone', () => {
+    const before = save(state);
+    const idf = createZoneData(state, 'idf', 6000, 6000);
+    idf.name = 'IDF 2';
+    sw.zoneId = idf.id;
+    const change = diffStates(before, save(state)).devices.modified[0].changes;
+    expect(change).toEqual([{ field: 'zone', before: 'MDF', after: 'IDF 2' }]);
+  });
+});
+
+describe('buildChangeLog', () => {
+  it('lists changes per kind of item in the report shape', () => {
+    const before = save(state);
+    state.devices = state.devices.filter((d) => d !== ap);
+    sw.name = 'Core 2';
+    state.config.dhcpDevice = sw.id;
+    const after = save(state);
+    const log = buildChangeLog(diffStates(before, after), before, after, { fromLabel: 'March', toLabel: 'Today' });
+
+    const section = (id) => log.sections.find((s) => s.id === id);
+    expect(log.title).toBe('Change Log');
+    expect(log.summary[0]).toEqual(['Compared', 'March → Today']);
+    expect(section('devices').rows).toEqual([
+      ['Removed', 'AP1', ''],
+      ['Changed', 'Core → Core 2', 'Name: Core → Core 2'],
+    ]);
+    expect(section('config').rows).toEqual([['DHCP Server', '(none)', 'Core 2']]);
+    expect(section('vlans').rows).toEqual([]);
+    expect(log.summary[2]).toEqual(['Removed', '1 item removed']);
+  });
+});
+
+describe('mergeStates', () => {
+  it('takes each side\'s changes and reports clashing fields', () => {
+    const base = save(state);
+    const ours = save(state);
+    const theirs = save(state);
+    ours.devices[1].ip = '10.0.0.9';
+    ours.devices[0].notes = 'ours';
+    theirs.devices[0].notes = 'theirs';
+    theirs.devices[2].model = 'U6-Pro';
+    theirs.vlans.push({ id: 30, name: 'Guest', subnet: '10.30.0.0/24', gateway: '' });
+    theirs.config.dnsPrimary = '9.9.9.9';
+
+    const { data, conflicts, warnings } = mergeStates(base, ours, theirs);
+    expect(data.devices.map((d) => [d.ip, d.notes, d.model || ''])).toEqual([
+      ['', 'ours', ''], ['10.0.0.9', '', ''], ['', '', 'U6-Pro'],
+    ]);
+    expect(data.vlans.map((v) => v.id)).toEqual([1, 10, 20, 30]);
+    expect(data.config.dnsPrimary).toBe('9.9.9.9');
+    expect(conflicts).toEqual([{ collection: 'devices', name: 'FW', field: 'notes', base: '', ours: 'ours', theirs: 'theirs' }]);
+    expect(warnings).toEqual([]);
+    expect(describeConflict(conflicts[0])).toBe('Device FW, Notes: mine "ours", theirs "theirs"');
+
+    expect(mergeStates(base, ours, theirs, { prefer: 'theirs' }).data.devices[0].notes).toBe('theirs');
+  });
+
+  it('applies deletions, keeps deleted-but-edited items and drops orphaned connections', () => {
+    const base = save(state);
+    const ours = save(state);
+    const theirs = save(state);
+    ours.devices = ours.devices.filter((d) => d.id !== ap.id);
+    theirs.devices = theirs.devices.filter((d) => d.id !== fw.id);
+    ours.devices.find((d) => d.id === fw.id).ip = '10.0.0.1';
+    theirs.devices.push({ ...theirs.devices[0], id: 'dev-new', name: 'New' });
+
+    const { data, conflicts, warnings } = mergeStates(base, ours, theirs);
+    expect(data.devices.map((d) => d.name)).toEqual(['FW', 'Core', 'New']);
+    expect(conflicts).toHaveLength(1);
+    expect(conflicts[0]).toMatchObject({ collection: 'devices', name: 'FW', field: null, theirs: null });
+    expect(describeConflict(conflicts[0])).toBe('Device FW: edited here, deleted in the other copy; kept');
+    expect(warnings).toEqual([]);
+
+    ours.devices = ours.devices.filter((d) => d.id !== fw.id);
+    const second = mergeStates(base, ours, theirs);
+    expect(second.data.connections).toEqual([]);
+    expect(second.warnings).toEqual(['Connection c1 was dropped because one of its devices was deleted']);
+  });
+});
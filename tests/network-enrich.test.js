@@ -0,0 +1,208 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { createInitialState, createDeviceData, undo } from '../js/network-mapper-logic.js';
+import {
+  lookupVendor,
+  guessVendorType,
+  parseDhcpdLeases,
+  parseDnsmasqLeases,
+  parseDhcpCsv,
+  parseArpTable,
+  parseAddressTable,
+  planEnrichment,
+  applyEnrichment,
+} from '../js/network-enrich.js';
+
+// ─── Sample tables ──────────────────────────────────────────────────
+
+const DHCPD_LEASES = `# The format of this file is documented in the dhcpd.leases(5) manual page.
+lease 192.168.1.50 {
+  starts 4 2024/01/11 10:00:00;
+  ends 4 2024/01/11 22:00:00;
+  binding state active;
+  next binding state free;
+  hardware ethernet 00:14:22:aa:bb:01;
+  client-hostname "reception-pc";
+}
+lease 192.168.1.51 {
+  binding state active;
+  hardware ethernet 00:80:77:aa:bb:02;
+}
+lease 192.168.1.51 {
+  binding state free;
+  hardware ethernet 00:80:77:aa:bb:02;
+}
+lease 192.168.1.52 {
+  binding state active;
+  hardware ethernet 00:80:77:aa:bb:03;
+  client-hostname "printer-2";
+}`;
+
+const DNSMASQ_LEASES = `1704967200 b8:27:eb:00:00:01 10.0.0.40 sensor-hub *
+1704967300 52:54:00:12:34:56 10.0.0.41 * 01:52:54:00:12:34:56`;
+
+const WINDOWS_CSV = `#TYPE Microsoft.Management.Infrastructure.CimInstance
+"IPAddress","ScopeId","ClientId","HostName","AddressState"
+"10.1.0.20","10.1.0.0","3c-d9-2b-00-00-01","ACCT-LAPTOP.corp.local","Active"`;
+
+const WINDOWS_EXPORT = 'Client IP Address\tName\tLease Expiration\tType\tUnique ID\tDescription\n' +
+  '10.1.0.21\tfront-desk.corp.local\t1/12/2024 9:00:00 AM\tDHCP\t0050f2000002\t';
+
+const WINDOWS_ARP = `
+Interface: 192.168.1.10 --- 0xb
+  Internet Address      Physical Address      Type
+  192.168.1.1           00-1b-17-00-00-01     dynamic
+  192.168.1.255         ff-ff-ff-ff-ff-ff     static
+  224.0.0.22            01-00-5e-00-00-16     static`;
+
+const LINUX_ARP = `gateway.lan (192.168.1.1) at 00:1b:17:00:00:01 [ether] on eth0
+? (192.168.1.60) at <incomplete> on eth0
+? (192.168.1.61) at 00:0c:29:00:00:61 [ether] on eth0`;
+
+// ─── Helpers ────────────────────────────────────────────────────────
+
+let state;
+
+beforeEach(() => {
+  state = createInitialState();
+});
+
+// ─── Vendor lookup ──────────────────────────────────────────────────
+
+describe('lookupVendor / guessVendorType', () => {
+  it('finds the vendor from the OUI in any MAC notation', () => {
+    expect(lookupVendor('00-14-22-AA-BB-01')).toBe('Dell');
+    expect(lookupVendor('0080.77aa.bb02')).toBe('Brother');
+    expect(lookupVendor('02:00:00:00:00:01')).toBe('');
+    expect(lookupVendor('garbage')).toBe('');
+  });
+
+  it('only guesses a type for single-purpose vendors', () => {
+    expect(guessVendorType('Brother')).toBe('printer');
+    expect(guessVendorType('VMware')).toBe('server');
+    expect(guessVendorType('Dell')).toBe('otherendpoint');
+  });
+});
+
+// ─── Parsing ────────────────────────────────────────────────────────
+
+describe('address table parsers', () => {
+  it('keeps the last state of each ISC dhcpd lease', () => {
+    expect(parseDhcpdLeases(DHCPD_LEASES)).toEqual([
+      { ip: '192.168.1.50', mac: '00:14:22:aa:bb:01', name: 'reception-pc', source: 'dhcpd' },
+      { ip: '192.168.1.52', mac: '00:80:77:aa:bb:03', name: 'printer-2', source: 'dhcpd' },
+    ]);
+  });
+
+  it('reads dnsmasq leases with and without hostnames', () => {
+    const rows = parseDnsmasqLeases(DNSMASQ_LEASES);
+    expect(rows.map((r) => r.name)).toEqual(['sensor-hub', '']);
+    expect(rows[1].mac).toBe('52:54:00:12:34:56');
+  });
+
+  it('reads Windows DHCP exports from PowerShell and the console', () => {
+    expect(parseDhcpCsv(WINDOWS_CSV)).toEqual([
+      { ip: '10.1.0.20', mac: '3c:d9:2b:00:00:01', name: 'ACCT-LAPTOP', source: 'dhcp' },
+    ]);
+    expect(parseDhcpCsv(WINDOWS_EXPORT)[0]).toMatchObject({ ip: '10.1.0.21', mac: '00:50:f2:00:00:02', name: 'front-desk' });
+  });
+
+  it('reads Windows and Linux ARP tables, skipping broadcast and incomplete entries', () => {
+    expect(parseArpTable(WINDOWS_ARP)).toEqual([
+      { ip: '192.168.1.1', mac: '00:1b:17:00:00:01', name: '', source: 'arp' },
+    ]);
+    expect(parseArpTable(LINUX_ARP).map((r) => [r.ip, r.name])).toEqual([
+      ['192.168.1.1', 'gateway'],
+      ['192.168.1.61', ''],
+    ]);
+  });
+
+  it('detects the format', () => {
+    expect(parseAddressTable(DHCPD_LEASES)[0].source).toBe('dhcpd');
+    expect(parseAddressTable(DNSMASQ_LEASES)[0].source).toBe('dnsmasq');
+    expect(parseAddressTable(WINDOWS_CSV)[0].source).toBe('dhcp');
+    expect(parseAddressTable(WINDOWS_EXPORT)[0].source).toBe('dhcp');
+    expect(parseAddressTable(WINDOWS_ARP)[0].source).toBe('arp');
+    expect(parseAddressTable('')).toEqual([]);
+  });
+});
+
+// ─── Enrichment ─────────────────────────────────────────────────────
+
+describe('planEnrichment / applyEnrichment', () => {
+  it('fills blank fields on devices matched by MAC or IP', () => {
+    const pc = createDeviceData(state, 'desktop', 0, 0);
+    pc.mac = '00-14-22-AA-BB-01';
+    const printer = createDeviceData(state, 'printer', 0, 0);
+    printer.ip = '192.168.1.52';
+    printer.name = 'Front Printer';
+
+    const plan = planEnrichment(state, parseDhcpdLeases(DHCPD_LEASES));
+    expect(plan.conflicts).toEqual([]);
+    expect(plan.updates.map((u) => u.changes)).toEqual([
+      { ip: '192.168.1.50', name: 'reception-pc', manufacturer: 'Dell' },
+      { mac: '00:80:77:AA:BB:03', manufacturer: 'Brother' },
+    ]);
+
+    expect(applyEnrichment(state, plan)).toBe(2);
+    expect(pc).toMatchObject({ ip: '192.168.1.50', name: 'reception-pc', manufacturer: 'Dell' });
+    expect(printer.name).toBe('Front Printer');
+  });
+
+  it('reports conflicts and only applies the accepted ones', () => {
+    const pc = createDeviceData(state, 'desktop', 0, 0);
+    pc.mac = '00:14:22:AA:BB:01';
+    pc.ip = '192.168.1.9';
+    const other = createDeviceData(state, 'printer', 0, 0);
+    other.ip = '192.168.1.52';
+    other.mac = '00:11:22:33:44:55';
+
+    const plan = planEnrichment(state, parseDhcpdLeases(DHCPD_LEASES));
+    expect(plan.conflicts.map((c) => [c.device.id, c.field, c.current, c.incoming])).toEqual([
+      [pc.id, 'ip', '192.168.1.9', '192.168.1.50'],
+      [other.id, 'mac', '00:11:22:33:44:55', '00:80:77:AA:BB:03'],
+    ]);
+
+    plan.conflicts[0].accept = true;
+    applyEnrichment(state, plan);
+    expect(pc.ip).toBe('192.168.1.50');
+    expect(other.mac).toBe('00:11:22:33:44:55');
+  });
+
+  it('flags an address already used by a different device', () => {
+    const a = createDeviceData(state, 'desktop', 0, 0);
+    a.mac = '00:14:22:aa:bb:01';
+    const b = createDeviceData(state, 'desktop', 0, 0);
+    b.ip = '192.168.1.50';
+
+    const [conflict] = planEnrichment(state, parseDhcpdLeases(DHCPD_LEASES)).conflicts;
+    expect(conflict).toMatchObject({ device: a, field: 'ip', current: '', incoming: '192.168.1.50', otherDevice: b });
+  });
+
+  it('offers unmatched addresses as new device rows', () => {
+    const plan = planEnrichment(state, parseAddressTable(DHCPD_LEASES));
+    expect(plan.updates).toEqual([]);
+    expect(plan.unmatched[1]).toEqual({
+      type: 'printer',
+      name: 'printer-2',
+      ipaddress: '192.168.1.52',
+      macaddress: '00:80:77:AA:BB:03',
+      manufacturer: 'Brother',
+      status: 'online',
+      notes: 'Seen in dhcpd table',
+    });
+  });
+
+  it('merges repeated addresses and undoes as one step', () => {
+    const gw = createDeviceData(state, 'firewall', 0, 0);
+    gw.ip = '192.168.1.1';
+    const rows = [...parseArpTable(WINDOWS_ARP), ...parseArpTable(LINUX_ARP)];
+    const plan = planEnrichment(state, rows);
+    expect(plan.updates).toHaveLength(1);
+    expect(plan.updates[0].changes).toEqual({ mac: '00:1B:17:00:00:01', name: 'gateway', manufacturer: 'Palo Alto Networks' });
+    expect(plan.unmatched).toHaveLength(1);
+
+    applyEnrichment(state, plan);
+    undo(state);
+    expect(gw).toMatchObject({ mac: '', name: 'Firewall 1', manufacturer: '' });
+  });
+});
@@ -0,0 +1,160 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { createInitialState, createDeviceData, addConnection } from '../js/network-mapper-logic.js';
+import {
+  isEndpoint,
+  buildGraph,
+  findPath,
+  getUpstreamChain,
+  findArticulationPoints,
+  findBridges,
+  findSinglePointsOfFailure,
+} from '../js/network-graph.js';
+
+// ─── Helpers ────────────────────────────────────────────────────────
+
+let state;
+
+beforeEach(() => {
+  state = createInitialState();
+});
+
+const link = (a, b, details) => addConnection(state, a.id, 'bottom', b.id, 'top', details).id;
+
+// router - firewall - core - { sw1 - pc1, pc2 ; sw2 - pc3 }
+function buildOffice() {
+  const router = createDeviceData(state, 'router', 0, 0);
+  const fw = createDeviceData(state, 'firewall', 0, 0);
+  const core = createDeviceData(state, 'switch', 0, 0);
+  const sw1 = createDeviceData(state, 'switch', 0, 0);
+  const sw2 = createDeviceData(state, 'switch', 0, 0);
+  const pc1 = createDeviceData(state, 'desktop', 0, 0);
+  const pc2 = createDeviceData(state, 'desktop', 0, 0);
+  const pc3 = createDeviceData(state, 'printer', 0, 0);
+  const links = [
+    link(router, fw),
+    link(fw, core),
+    link(core, sw1),
+    link(core, sw2),
+    link(sw1, pc1),
+    link(sw1, pc2),
+    link(sw2, pc3),
+  ];
+  return { router, fw, core, sw1, sw2, pc1, pc2, pc3, links };
+}
+
+// ─── Graph construction ─────────────────────────────────────────────
+
+describe('buildGraph', () => {
+  it('ignores links to missing devices and self-links', () => {
+    const a = createDeviceData(state, 'desktop', 0, 0);
+    state.connections.push({ id: 'x', from: a.id, to: 'ghost' }, { id: 'y', from: a.id, to: a.id });
+    expect(buildGraph(state).get(a.id)).toEqual([]);
+  });
+
+  it('tells endpoints from infrastructure', () => {
+    expect(isEndpoint({ type: 'desktop' })).toBe(true);
+    expect(isEndpoint({ type: 'switch' })).toBe(false);
+  });
+});
+
+// ─── Paths ──────────────────────────────────────────────────────────
+
+describe('findPath', () => {
+  it('returns the shortest path with its connections', () => {
+    const { pc1, pc3, sw1, core, sw2, links } = buildOffice();
+    const path = findPath(state, pc1.id, pc3.id);
+    expect(path.devices).toEqual([pc1.id, sw1.id, core.id, sw2.id, pc3.id]);
+    expect(path.connections).toEqual([links[4], links[2], links[3], links[6]]);
+  });
+
+  it('returns a single-device path to itself', () => {
+    const { pc1 } = buildOffice();
+    expect(findPath(state, pc1.id, pc1.id)).toEqual({ devices: [pc1.id], connections: [] });
+  });
+
+  it('returns null for disconnected or unknown devices', () => {
+    const { pc1 } = buildOffice();
+    const loner = createDeviceData(state, 'laptop', 0, 0);
+    expect(findPath(state, pc1.id, loner.id)).toBeNull();
+    expect(findPath(state, pc1.id, 'ghost')).toBeNull();
+  });
+});
+
+describe('getUpstreamChain', () => {
+  it('walks up to the router', () => {
+    const { router, fw, core, sw2, pc3 } = buildOffice();
+    expect(getUpstreamChain(state, pc3.id).devices).toEqual([pc3.id, sw2.id, core.id, fw.id, router.id]);
+  });
+
+  it('falls back to a firewall when there is no router', () => {
+    const fw = createDeviceData(state, 'firewall', 0, 0);
+    const pc = createDeviceData(state, 'desktop', 0, 0);
+    link(pc, fw);
+    expect(getUpstreamChain(state, pc.id).devices).toEqual([pc.id, fw.id]);
+  });
+
+  it('returns null when nothing upstream is reachable', () => {
+    const pc = createDeviceData(state, 'desktop', 0, 0);
+    expect(getUpstreamChain(state, pc.id)).toBeNull();
+  });
+});
+
+// ─── Articulation points and bridges ────────────────────────────────
+
+describe('findArticulationPoints / findBridges', () => {
+  it('finds cut devices and links in a tree', () => {
+    const { fw, core, sw1, sw2 } = buildOffice();
+    expect(findArticulationPoints(state).sort()).toEqual([fw.id, core.id, sw1.id, sw2.id].sort());
+    expect(findBridges(state)).toHaveLength(7);
+  });
+
+  it('treats links in a redundant ring as safe', () => {
+    const { sw1, sw2, links } = buildOffice();
+    link(sw1, sw2);
+    const bridges = findBridges(state);
+    expect(bridges).not.toContain(links[2]);
+    expect(bridges).not.toContain(links[3]);
+    expect(bridges).toContain(links[1]);
+  });
+
+  it('does not treat parallel cables as a bridge', () => {
+    const a = createDeviceData(state, 'switch', 0, 0);
+    const b = createDeviceData(state, 'switch', 0, 0);
+    link(a, b, { fromPort: '1', toPort: '1' });
+    link(a, b, { fromPort: '2', toPort: '2' });
+    expect(findBridges(state)).toEqual([]);
+  });
+});
+
+describe('findSinglePointsOfFailure', () => {
+  it('counts affected endpoints, worst first', () => {
+    const { fw, core, sw1 } = buildOffice();
+    const spofs = findSinglePointsOfFailure(state);
+    expect(spofs[0].endpointsAffected).toBe(3);
+    expect(spofs.find((s) => s.id === fw.id).endpointsAffected).toBe(3);
+    expect(spofs.find((s) => s.id === core.id).endpointsAffected).toBe(3);
+    const sw1Failure = spofs.find((s) => s.id === sw1.id);
+    expect(sw1Failure.endpointsAffected).toBe(2);
+    expect(sw1Failure.isolated).toHaveLength(2);
+  });
+
+  it('skips links that only strand a single leaf device', () => {
+    const { links } = buildOffice();
+    const spofs = findSinglePointsOfFailure(state).filter((s) => s.kind === 'connection');
+    expect(spofs.map((s) => s.id).sort()).toEqual(links.slice(0, 4).sort());
+  });
+
+  it('uses the largest surviving piece when there is no gateway', () => {
+    const hub = createDeviceData(state, 'switch', 0, 0);
+    const a = createDeviceData(state, 'desktop', 0, 0);
+    const b = createDeviceData(state, 'desktop', 0, 0);
+    const sw = createDeviceData(state, 'switch', 0, 0);
+    const c = createDeviceData(state, 'desktop', 0, 0);
+    link(hub, a);
+    link(hub, b);
+    link(hub, sw);
+    link(sw, c);
+    const hubFailure = findSinglePointsOfFailure(state).find((s) => s.id === hub.id);
+    expect(hubFailure.isolated).toHaveLength(2);
+  });
+});
@@ -0,0 +1,189 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import {
+  createInitialState,
+  createDeviceData,
+  createZoneData,
+  addConnection,
+  syncZoneMembership,
+  findDeviceZone,
+  undo,
+} from '../js/network-mapper-logic.js';
+import {
+  LAYERS,
+  assignLayers,
+  countCrossings,
+  orderLayers,
+  computeLayout,
+  autoArrange,
+} from '../js/network-layout.js';
+
+// ─── Helpers ────────────────────────────────────────────────────────
+
+let state;
+
+beforeEach(() => {
+  state = createInitialState();
+});
+
+const connect = (a, b) => addConnection(state, a.id, 'bottom', b.id, 'top');
+
+const overlapping = (a, b) =>
+  a.x < b.x + b.width && b.x < a.x + a.width && a.y < b.y + b.height && b.y < a.y + a.height;
+
+// ─── Layer assignment ───────────────────────────────────────────────
+
+describe('assignLayers', () => {
+  it('stacks router, firewall, core, access, APs and endpoints', () => {
+    const router = createDeviceData(state, 'router', 0, 0);
+    const fw = createDeviceData(state, 'firewall', 0, 0);
+    const core = createDeviceData(state, 'switch', 0, 0);
+    const access = createDeviceData(state, 'switch', 0, 0);
+    const ap = createDeviceData(state, 'ap', 0, 0);
+    const pc = createDeviceData(state, 'desktop', 0, 0);
+    connect(router, fw);
+    connect(fw, core);
+    connect(core, access);
+    connect(access, ap);
+    connect(access, pc);
+
+    const layers = assignLayers(state.devices, state.connections);
+    expect(layers[router.id]).toBe(LAYERS.edge);
+    expect(layers[fw.id]).toBe(LAYERS.firewall);
+    expect(layers[core.id]).toBe(LAYERS.core);
+    expect(layers[access.id]).toBe(LAYERS.access);
+    expect(layers[ap.id]).toBe(LAYERS.wireless);
+    expect(layers[pc.id]).toBe(LAYERS.endpoint);
+  });
+
+  it('falls back to switch-to-switch links to find the core', () => {
+    const hub = createDeviceData(state, 'switch', 0, 0);
+    const a = createDeviceData(state, 'switch', 0, 0);
+    const b = createDeviceData(state, 'switch', 0, 0);
+    connect(hub, a);
+    connect(hub, b);
+    const layers = assignLayers(state.devices, state.connections);
+    expect(layers[hub.id]).toBe(LAYERS.core);
+    expect(layers[a.id]).toBe(LAYERS.access);
+  });
+});
+
+// ─── Crossing reduction ─────────────────────────────────────────────
+
+describe('orderLayers', () => {
+  it('untangles crossed connections', () => {
+    const s1 = createDeviceData(state, 'switch', 0, 0);
+    const s2 = createDeviceData(state, 'switch', 200, 0);
+    const p1 = createDeviceData(state, 'desktop', 0, 200);
+    const p2 = createDeviceData(state, 'desktop', 200, 200);
+    connect(s1, p2);
+    connect(s2, p1);
+
+    const layers = assignLayers(state.devices, state.connections);
+    expect(countCrossings([[s1.id, s2.id], [p1.id, p2.id]], state.connections)).toBe(1);
+    const rows = orderLayers(state.devices, state.connections, layers);
+    expect(countCrossings(rows, state.connections)).toBe(0);
+  });
+});
+
+// ─── Layout ─────────────────────────────────────────────────────────
+
+describe('computeLayout', () => {
+  it('puts higher tiers above lower ones on the grid', () => {
+    const router = createDeviceData(state, 'router', 500, 500);
+    const sw = createDeviceData(state, 'switch', 13, 7);
+    const pc = createDeviceData(state, 'desktop', 300, 300);
+    connect(router, sw);
+    connect(sw, pc);
+
+    const { devices } = computeLayout(state);
+    expect(devices[router.id].y).toBeLessThan(devices[sw.id].y);
+    expect(devices[sw.id].y).toBeLessThan(devices[pc.id].y);
+    Object.values(devices).forEach((p) => {
+      expect(p.x % 20).toBe(0);
+      expect(p.y % 20).toBe(0);
+    });
+  });
+
+  it('wraps wide tiers', () => {
+    for (let i = 0; i < 5; i++) createDeviceData(state, 'desktop', 0, 0);
+    const { devices } = computeLayout(state, { maxPerRow: 2, origin: { x: 0, y: 0 } });
+    const rows = new Set(Object.values(devices).map((p) => p.y));
+    expect(rows.size).toBe(3);
+  });
+
+  it('keeps zoned devices inside their zone and grows it to fit', () => {
+    const zone = createZoneData(state, 'mdf', 1000, 1000);
+    const inside = [0, 1, 2].map(() => createDeviceData(state, 'server', 1010, 1010));
+    const outside = createDeviceData(state, 'desktop', 0, 0);
+
+    const layout = computeLayout(state);
+    inside.forEach((d) => {
+      expect(findDeviceZone({ ...d, ...layout.devices[d.id] }, [{ ...zone, ...layout.zones[zone.id] }])).toBeTruthy();
+    });
+    expect(layout.zones[zone.id].width).toBeGreaterThan(zone.width);
+    expect(layout.devices[outside.id].x).toBeGreaterThanOrEqual(zone.x + layout.zones[zone.id].width);
+  });
+
+  it('lays out a zone around its nested zones without changing membership', () => {
+    const site = Object.assign(createZoneData(state, 'onprem', 0, 0), { width: 800, height: 600 });
+    const idf = Object.assign(createZoneData(state, 'idf', 20, 40), { width: 300, height: 250 });
+    const router = createDeviceData(state, 'router', 500, 100);
+    const sw = createDeviceData(state, 'switch', 500, 300);
+    const pc = createDeviceData(state, 'desktop', 60, 100);
+    connect(router, sw);
+    connect(sw, pc);
+    syncZoneMembership(state);
+    expect([router.zoneId, sw.zoneId, pc.zoneId]).toEqual([site.id, site.id, idf.id]);
+
+    autoArrange(state);
+    expect([router.zoneId, sw.zoneId, pc.zoneId]).toEqual([site.id, site.id, idf.id]);
+    expect(idf.parentZoneId).toBe(site.id);
+    const box = (d) => ({ x: d.x, y: d.y, width: 120, height: 100 });
+    [router, sw].forEach((d) => expect(overlapping(box(d), idf)).toBe(false));
+  });
+
+  it('pushes siblings aside when a zone grows', () => {
+    const left = createZoneData(state, 'mdf', 0, 0);
+    const right = createZoneData(state, 'idf', 240, 0);
+    const crowd = [0, 1, 2, 3].map(() => createDeviceData(state, 'server', 20, 20));
+    const lone = createDeviceData(state, 'desktop', 280, 20);
+    syncZoneMembership(state);
+
+    const layout = computeLayout(state);
+    const grown = { ...left, ...layout.zones[left.id] };
+    const moved = { ...right, ...layout.zones[right.id] };
+    expect(grown.width).toBeGreaterThan(200);
+    expect(overlapping(grown, moved)).toBe(false);
+    crowd.forEach((d) => expect(findDeviceZone(layout.devices[d.id], [grown, moved]).id).toBe(left.id));
+    expect(findDeviceZone(layout.devices[lone.id], [grown, moved]).id).toBe(right.id);
+  });
+
+  it('only moves the requested devices', () => {
+    const fixed = createDeviceData(state, 'desktop', 33, 33);
+    const moved = createDeviceData(state, 'desktop', 0, 0);
+    const { devices } = computeLayout(state, { deviceIds: [moved.id], origin: { x: 400, y: 400 } });
+    expect(devices[fixed.id]).toBeUndefined();
+    expect(devices[moved.id]).toEqual({ x: 400, y: 400 });
+  });
+
+  it('respects disabled snapping', () => {
+    createDeviceData(state, 'desktop', 0, 0);
+    const { devices } = computeLayout(state, { snap: false, origin: { x: 7, y: 9 } });
+    expect(Object.values(devices)[0]).toEqual({ x: 7, y: 9 });
+  });
+});
+
+describe('autoArrange', () => {
+  it('applies the layout as one undo step', () => {
+    const router = createDeviceData(state, 'router', 900, 900);
+    const pc = createDeviceData(state, 'desktop', 0, 0);
+    connect(router, pc);
+
+    autoArrange(state);
+    expect(router.y).toBeLessThan(pc.y);
+    undo(state);
+    expect(router.x).toBe(900);
+    expect(router.y).toBe(900);
+    expect(state.devices).toHaveLength(2);
+  });
+});
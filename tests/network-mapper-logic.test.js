@@ -1,10 +1,25 @@
-import { describe, it, expect, beforeEach } from 'vitest';
+import { describe, it, expect, beforeEach, vi } from 'vitest';
 import {
   types,
   zoneTypes,
   manufacturers,
   createInitialState,
+  MAX_HISTORY,
+  createHistory,
+  clearHistory,
+  recordUpdate,
+  beginGroup,
+  endGroup,
+  insertItem,
+  updateItem,
+  nextCounter,
+  isPlainObject,
+  canUndo,
+  canRedo,
+  undo,
+  redo,
   snapToGridValue,
+  uniqueId,
   createDeviceData,
   deleteDeviceData,
   updateDeviceProperty,
@@ -15,13 +30,36 @@ import {
   addConnection,
   getDeviceConnections,
   getConnectedDevices,
+  linkMedia,
+  normalizeConnectionDetails,
+  updateConnectionProperty,
+  getConnectionPort,
+  formatConnectionLabel,
+  getConnectionLabelPoint,
+  exportConnectionsToCSV,
   addVlan,
   deleteVlan,
   getVlanName,
+  parseIPv4,
+  formatIPv4,
+  parseCIDR,
+  isIPInSubnet,
+  findDuplicateIPs,
+  validateIPAddressing,
+  getNextFreeIP,
   addSSID,
   deleteSSID,
   toggleSwitchVLAN,
+  getPortCount,
+  getSwitchPorts,
+  updateSwitchPort,
+  assignPortConnection,
+  analyzeSwitchPorts,
   toggleAPSSID,
+  setAPRadioEnabled,
+  updateAPRadio,
+  associateClient,
+  getAPClients,
   addVM,
   removeVM,
   calculateConnectionPoint,
@@ -33,12 +71,42 @@ import {
   formatCount,
   exportStateToJson,
   importStateFromJson,
+  SCHEMA_VERSION,
+  migrateProjectData,
+  validateProjectData,
   parseCSVLine,
   parseCSVContent,
+  detectCSVDelimiter,
+  tokenizeCSV,
+  normalizeCSVHeader,
+  resolveDeviceType,
+  parseCSVDevices,
   csvRowToDevice,
+  guessDeviceType,
+  parseNmapXML,
   escapeCSVCell,
   exportDevicesToCSV,
+  exportToDot,
+  exportToMermaid,
+  exportToGraphML,
   calculateBoundingBox,
+  PAPER_SIZES,
+  MM_PER_PX,
+  planPdfTiles,
+  describeLegend,
+  validateState,
+  summarizeFindings,
+  isDeviceInZone,
+  findParentZone,
+  syncZoneMembership,
+  getChildZones,
+  getDevicesInZone,
+  getDevicesOnUPS,
+  getZonePath,
+  describeDeviceLocation,
+  moveZone,
+  resizeZone,
+  simulateFailures,
   clearAllData,
 } from '../js/network-mapper-logic.js';
 
@@ -108,6 +176,209 @@ describe('createInitialState', () => {
   });
 });
 
+// ─── Undo / redo history ────────────────────────────────────────────
+
+describe('undo/redo history', () => {
+  it('starts with an empty history', () => {
+    expect(canUndo(state)).toBe(false);
+    expect(canRedo(state)).toBe(false);
+    expect(undo(state)).toBe(false);
+  });
+
+  it('undoes and redoes device creation including the counter', () => {
+    const d = createDeviceData(state, 'desktop', 0, 0);
+    expect(undo(state)).toBe(true);
+    expect(state.devices).toHaveLength(0);
+    expect(state.counter).toBe(0);
+    expect(redo(state)).toBe(true);
+    expect(state.devices).toEqual([d]);
+    expect(state.counter).toBe(1);
+  });
+
+  it('restores a deleted device together with its connections', () => {
+    const a = createDeviceData(state, 'router', 0, 0);
+    const b = createDeviceData(state, 'switch', 0, 0);
+    const c = createDeviceData(state, 'desktop', 0, 0);
+    addConnection(state, a.id, 'right', b.id, 'left');
+    addConnection(state, a.id, 'bottom', c.id, 'top');
+    addConnection(state, b.id, 'right', c.id, 'left');
+    const before = [...state.connections];
+
+    deleteDeviceData(state, a.id);
+    expect(state.connections).toHaveLength(1);
+
+    undo(state);
+    expect(state.devices.map((d) => d.id)).toEqual([a.id, b.id, c.id]);
+    expect(state.connections).toEqual(before);
+
+    redo(state);
+    expect(state.devices).toHaveLength(2);
+    expect(state.connections).toHaveLength(1);
+  });
+
+  it('clears the selection when undo removes the selected device', () => {
+    const d = createDeviceData(state, 'desktop', 0, 0);
+    state.selected = d;
+    undo(state);
+    expect(state.selected).toBeNull();
+  });
+
+  it('collapses consecutive edits of the same field into one step', () => {
+    const d = createDeviceData(state, 'desktop', 0, 0);
+    state.selected = d;
+    updateDeviceProperty(state, 'name', 'P');
+    updateDeviceProperty(state, 'name', 'PC');
+    updateDeviceProperty(state, 'name', 'PC-01');
+    undo(state);
+    expect(d.name).toBe('Desktop 1');
+    expect(state.history.undoStack).toHaveLength(1);
+  });
+
+  it('undoes status, zone and VLAN/SSID changes', () => {
+    const d = createDeviceData(state, 'switch', 0, 0);
+    state.selected = d;
+    setDeviceStatus(state, 'offline');
+    toggleSwitchVLAN(d, 10, state);
+    addVlan(state, 30, 'Guest', '192.168.30.0/24', '');
+    addSSID(state, 'Guest', 'WPA2-Personal', '30');
+    const z = createZoneData(state, 'mdf', 0, 0);
+    state.selectedZone = z;
+    updateZoneProperty(state, 'location', 'Closet');
+
+    while (undo(state)) { /* unwind */ }
+    expect(d.status).toBe('online');
+    expect(d.assignedVlans).toEqual([]);
+    expect(state.vlans).toHaveLength(3);
+    expect(state.ssids).toHaveLength(0);
+    expect(state.zones).toHaveLength(0);
+  });
+
+  it('restores SSIDs removed from access points by deleteSSID', () => {
+    const ap = createDeviceData(state, 'ap', 0, 0);
+    addSSID(state, 'Corp', 'WPA2-Personal', '');
+    toggleAPSSID(ap, 'Corp', state);
+    deleteSSID(state, 0);
+    expect(ap.ssids).toEqual([]);
+    undo(state);
+    expect(ap.ssids).toEqual(['Corp']);
+    expect(state.ssids[0].name).toBe('Corp');
+  });
+
+  it('undoes VM changes', () => {
+    const host = createDeviceData(state, 'vmhost', 0, 0);
+    addVM(host, 'DC01', 'online', state);
+    addVM(host, 'FS01', 'online', state);
+    removeVM(host, 0, state);
+    undo(state);
+    expect(host.vms.map((v) => v.name)).toEqual(['DC01', 'FS01']);
+  });
+
+  it('groups multi-step actions into a single undo step', () => {
+    beginGroup(state, 'Import');
+    createDeviceData(state, 'desktop', 0, 0);
+    createDeviceData(state, 'laptop', 0, 0);
+    createDeviceData(state, 'printer', 0, 0);
+    endGroup(state);
+    expect(state.history.undoStack).toHaveLength(1);
+    undo(state);
+    expect(state.devices).toHaveLength(0);
+    expect(state.counter).toBe(0);
+  });
+
+  it('records a drag as explicit position updates', () => {
+    const d = createDeviceData(state, 'desktop', 0, 0);
+    beginGroup(state, 'Move');
+    recordUpdate(state, 'devices', d.id, 'x', 0, 100);
+    recordUpdate(state, 'devices', d.id, 'y', 0, 60);
+    endGroup(state);
+    d.x = 100;
+    d.y = 60;
+    undo(state);
+    expect([d.x, d.y]).toEqual([0, 0]);
+    redo(state);
+    expect([d.x, d.y]).toEqual([100, 60]);
+  });
+
+  it('undoes clearAllData', () => {
+    createDeviceData(state, 'desktop', 0, 0);
+    createZoneData(state, 'cloud', 0, 0);
+    clearAllData(state);
+    undo(state);
+    expect(state.devices).toHaveLength(1);
+    expect(state.zones).toHaveLength(1);
+    expect(state.counter).toBe(1);
+  });
+
+  it('drops the redo stack after a new change', () => {
+    createDeviceData(state, 'desktop', 0, 0);
+    undo(state);
+    createDeviceData(state, 'laptop', 0, 0);
+    expect(canRedo(state)).toBe(false);
+  });
+
+  it('caps the undo stack at its limit', () => {
+    state.history = createHistory(3);
+    for (let i = 0; i < 5; i++) createDeviceData(state, 'desktop', 0, 0);
+    expect(state.history.undoStack).toHaveLength(3);
+  });
+
+  it('starts a fresh history when a project is imported', () => {
+    createDeviceData(state, 'desktop', 0, 0);
+    importStateFromJson(state, {});
+    expect(canUndo(state)).toBe(false);
+    clearHistory(state);
+    expect(state.history.limit).toBe(MAX_HISTORY);
+  });
+
+  it('skips recording when the state has no history', () => {
+    delete state.history;
+    expect(() => createDeviceData(state, 'desktop', 0, 0)).not.toThrow();
+    expect(undo(state)).toBe(false);
+  });
+
+  it('uses far less memory than full snapshots on large maps', () => {
+    for (let i = 0; i < 500; i++) createDeviceData(state, 'desktop', i * 10, 0);
+    state.history = createHistory();
+    const snapshotSize = JSON.stringify({ devices: state.devices, connections: state.connections }).length;
+
+    state.devices.slice(0, MAX_HISTORY).forEach((d) => {
+      recordUpdate(state, 'devices', d.id, 'x', d.x, d.x + 20);
+      d.x += 20;
+    });
+
+    const historySize = JSON.stringify(state.history).length;
+    expect(historySize).toBeLessThan(snapshotSize / 10);
+  });
+});
+
+describe('recorded edits', () => {
+  it('inserts, updates and counts as undoable steps', () => {
+    beginGroup(state, 'Import');
+    insertItem(state, 'vlans', { id: 50, name: 'Cameras', subnet: '', gateway: '' });
+    const vlan = state.vlans.find((v) => v.id === 50);
+    expect(updateItem(state, 'vlans', vlan, { id: 51, name: 'CCTV', subnet: '' })).toBe(true);
+    expect(nextCounter(state, 'counter')).toBe(1);
+    endGroup(state);
+    expect(vlan).toMatchObject({ id: 50, name: 'CCTV' });
+
+    undo(state);
+    expect(state.vlans.some((v) => v.id === 50)).toBe(false);
+    expect(state.counter).toBe(0);
+  });
+
+  it('can leave fields alone when the new value is blank', () => {
+    const device = createDeviceData(state, 'switch', 0, 0);
+    device.ip = '10.0.0.2';
+    expect(updateItem(state, 'devices', device, { ip: '', model: 'C9300' }, { skipBlank: true })).toBe(true);
+    expect(device).toMatchObject({ ip: '10.0.0.2', model: 'C9300' });
+    expect(updateItem(state, 'devices', device, { model: 'C9300' })).toBe(false);
+  });
+
+  it('tells plain objects from arrays and null', () => {
+    expect([{}, [], null, 'x'].map(isPlainObject)).toEqual([true, false, false, false]);
+  });
+});
+
 // ─── Grid snapping ──────────────────────────────────────────────────
 
 describe('snapToGridValue', () => {
@@ -145,6 +416,12 @@ describe('createDeviceData', () => {
     expect(state.counter).toBe(1);
   });
 
+  it('takes the device types a page passes', () => {
+    expect(createDeviceData(state, 'vpn', 0, 0)).toBeNull();
+    const device = createDeviceData(state, 'vpn', 0, 0, { ...types, vpn: { name: 'VPN' } });
+    expect(device.name).toBe('VPN 2');
+  });
+
   it('increments counter for each device', () => {
     createDeviceData(state, 'desktop', 0, 0);
     createDeviceData(state, 'laptop', 0, 0);
@@ -179,6 +456,27 @@ describe('createDeviceData', () => {
   });
 });
 
+describe('uniqueId', () => {
+  it('keeps a free id and suffixes a taken one', () => {
+    state.devices.push({ id: 'dev1' });
+    state.zones.push({ id: 'dev1_2' });
+    expect(uniqueId(state, 'conn1')).toBe('conn1');
+    expect(uniqueId(state, 'dev1')).toBe('dev1_3');
+  });
+
+  it('gives connections made in the same millisecond different ids', () => {
+    const now = vi.spyOn(Date, 'now').mockReturnValue(1000);
+    const a = createDeviceData(state, 'switch', 0, 0);
+    const b = createDeviceData(state, 'desktop', 0, 200);
+    const c = createDeviceData(state, 'desktop', 200, 200);
+    const c1 = addConnection(state, a.id, 'bottom', b.id, 'top');
+    const c2 = addConnection(state, a.id, 'bottom', c.id, 'top');
+    now.mockRestore();
+    expect(c1.id).toBe('conn1000');
+    expect(c2.id).toBe('conn1000_2');
+  });
+});
+
 describe('deleteDeviceData', () => {
   it('removes device from state', () => {
     const device = createDeviceData(state, 'desktop', 0, 0);
@@ -266,6 +564,11 @@ describe('createZoneData', () => {
     expect(state.zones).toHaveLength(1);
   });
 
+  it('takes the zone types a page passes', () => {
+    const zone = createZoneData(state, 'nvr', 0, 0, { ...zoneTypes, nvr: { name: 'NVR' } });
+    expect(zone).toMatchObject({ name: 'NVR 1', channels: '', storage: '' });
+  });
+
   it('adds cloud-specific properties', () => {
     const zone = createZoneData(state, 'cloud', 0, 0);
     expect(zone).toHaveProperty('provider', '');
@@ -341,6 +644,112 @@ describe('updateZoneProperty', () => {
   });
 });
 
+describe('zone membership', () => {
+  // On-Prem 1 (0,0 1000x800) holds IDF 2 (100,100 400x300), which holds a switch
+  function buildSite() {
+    const site = createZoneData(state, 'onprem', 0, 0);
+    site.width = 1000;
+    site.height = 800;
+    const idf = createZoneData(state, 'idf', 100, 100);
+    idf.width = 400;
+    idf.height = 300;
+    const sw = createDeviceData(state, 'switch', 200, 200);
+    const pc = createDeviceData(state, 'desktop', 700, 500);
+    const outside = createDeviceData(state, 'laptop', 2000, 2000);
+    return { site, idf, sw, pc, outside };
+  }
+
+  it('stores the smallest enclosing zone on devices and zones', () => {
+    const { site, idf, sw, pc, outside } = buildSite();
+    expect(sw.zoneId).toBe(idf.id);
+    expect(pc.zoneId).toBe(site.id);
+    expect(outside.zoneId).toBe('');
+    expect(idf.parentZoneId).toBe(site.id);
+    expect(site.parentZoneId).toBe('');
+  });
+
+  it('does not make identical zones parents of each other', () => {
+    const a = createZoneData(state, 'ups', 0, 0);
+    const b = createZoneData(state, 'ups', 0, 0);
+    expect(findParentZone(a, state.zones)).toBeNull();
+    expect(findParentZone(b, state.zones)).toBeNull();
+  });
+
+  it('answers devices-in-zone queries with and without nesting', () => {
+    const { site, idf, sw, pc } = buildSite();
+    expect(getDevicesInZone(state, idf.id)).toEqual([sw]);
+    expect(getDevicesInZone(state, site.id)).toEqual([sw, pc]);
+    expect(getDevicesInZone(state, site.id, { nested: false })).toEqual([pc]);
+    expect(getChildZones(state, site.id)).toEqual([idf]);
+  });
+
+  it('counts devices inside a UPS that a partly overlapping zone claims', () => {
+    const ups = Object.assign(createZoneData(state, 'ups', 400, 400), { width: 400, height: 400 });
+    const mdf = Object.assign(createZoneData(state, 'mdf', 520, 300), { width: 200, height: 300 });
+    const sw = createDeviceData(state, 'switch', 500, 500);
+    syncZoneMembership(state);
+    expect(sw.zoneId).toBe(mdf.id);
+    expect(getDevicesOnUPS(state, ups.id)).toEqual([sw]);
+  });
+
+  it('describes a device location by zone path and nearest location', () => {
+    const { site, idf, sw } = buildSite();
+    site.location = 'Main St';
+    expect(getZonePath(state.zones, idf.id)).toEqual([site, idf]);
+    expect(describeDeviceLocation(state.zones, sw)).toEqual({ zone: 'On-Prem 1 / IDF 2', location: 'Main St' });
+    idf.location = '2nd floor';
+    expect(describeDeviceLocation(state.zones, sw).location).toBe('2nd floor');
+  });
+
+  it('records membership changes so undo restores them', () => {
+    const { idf, sw } = buildSite();
+    sw.x = 2000;
+    expect(syncZoneMembership(state)).toBe(1);
+    expect(sw.zoneId).toBe('');
+    undo(state);
+    expect(sw.zoneId).toBe(idf.id);
+  });
+
+  it('moves a zone with its devices and nested zones as one step', () => {
+    const { site, idf, sw, pc, outside } = buildSite();
+    moveZone(state, site.id, 100, 50);
+    expect([idf.x, idf.y, sw.x, sw.y, pc.x, pc.y]).toEqual([200, 150, 300, 250, 800, 550]);
+    expect(outside.x).toBe(2000);
+    expect(sw.zoneId).toBe(idf.id);
+    undo(state);
+    expect([site.x, idf.x, sw.x, pc.x]).toEqual([0, 100, 200, 700]);
+  });
+
+  it('keeps members inside when a zone shrinks', () => {
+    const { site, idf, sw, pc } = buildSite();
+    resizeZone(state, site.id, 600, 500);
+    expect(pc.x + 120).toBeLessThanOrEqual(600);
+    expect(pc.y + 100).toBeLessThanOrEqual(500);
+    expect(pc.zoneId).toBe(site.id);
+    expect(sw.zoneId).toBe(idf.id);
+    undo(state);
+    expect([site.width, pc.x, pc.y]).toEqual([1000, 700, 500]);
+  });
+
+  it('moves nested zones back inside with their contents', () => {
+    const { site, idf, sw } = buildSite();
+    idf.x = 500;
+    sw.x = 600;
+    resizeZone(state, site.id, 700, 800);
+    expect(idf.x).toBe(300);
+    expect(sw.x).toBe(400);
+    expect(sw.zoneId).toBe(idf.id);
+  });
+
+  it('releases members when their zone is deleted', () => {
+    const { site, idf, sw } = buildSite();
+    deleteZoneData(state, idf.id);
+    expect(sw.zoneId).toBe(site.id);
+    undo(state);
+    expect(sw.zoneId).toBe(idf.id);
+  });
+});
+
 // ─── Connections ────────────────────────────────────────────────────
 
 describe('addConnection', () => {
@@ -378,6 +787,22 @@ describe('addConnection', () => {
     expect(state.connections).toHaveLength(1);
   });
 
+  it('allows a second link between the same devices on other ports', () => {
+    addConnection(state, d1.id, 'right', d2.id, 'left', { fromPort: '1', toPort: '1' });
+    expect(addConnection(state, d2.id, 'left', d1.id, 'right', { fromPort: '1', toPort: '1' })).toBeNull();
+    expect(addConnection(state, d2.id, 'left', d1.id, 'right', { fromPort: '2', toPort: '2' })).not.toBeNull();
+    expect(state.connections).toHaveLength(2);
+  });
+
+  it('allows parallel links so a LAG can have several members', () => {
+    const a = addConnection(state, d1.id, 'right', d2.id, 'left', { fromPort: '47', lag: 'Po1' });
+    const b = addConnection(state, d2.id, 'left', d1.id, 'right', { toPort: '48', lag: 'Po1' });
+    expect(a.id).not.toBe(b.id);
+    expect(state.connections).toHaveLength(2);
+    expect(state.connections.map((c) => c.lag)).toEqual(['Po1', 'Po1']);
+    expect(validateState(state).map((f) => f.rule)).not.toContain('connection-duplicate');
+  });
+
   it('returns null when source device does not exist', () => {
     expect(addConnection(state, 'nonexistent', 'right', d2.id, 'left')).toBeNull();
   });
@@ -392,6 +817,12 @@ describe('addConnection', () => {
     expect(conn.type).toBe('wireless');
   });
 
+  it('takes an explicit connection type over the state one', () => {
+    state.connType = 'wireless';
+    expect(addConnection(state, d1.id, 'right', d2.id, 'left', { type: 'wired' }).type).toBe('wired');
+    expect(addConnection(state, d1.id, 'right', d3.id, 'left', { type: 'bogus' }).type).toBe('wireless');
+  });
+
   it('allows multiple connections from same device to different devices', () => {
     addConnection(state, d1.id, 'right', d2.id, 'left');
     addConnection(state, d1.id, 'bottom', d3.id, 'top');
@@ -399,6 +830,79 @@ describe('addConnection', () => {
   });
 });
 
+describe('connection details', () => {
+  let d1, d2;
+
+  beforeEach(() => {
+    d1 = createDeviceData(state, 'switch', 0, 0);
+    d2 = createDeviceData(state, 'ap', 200, 0);
+  });
+
+  it('defaults every detail to empty', () => {
+    const conn = addConnection(state, d1.id, 'right', d2.id, 'left');
+    expect(conn).toMatchObject({
+      fromPort: '', toPort: '', speed: '', media: '', poeWatts: '', lag: '', label: '',
+    });
+  });
+
+  it('stores details passed at creation', () => {
+    const conn = addConnection(state, d1.id, 'right', d2.id, 'left', {
+      fromPort: 'Gi1/0/5', toPort: 'eth0', speed: '1G', media: 'copper', poeWatts: '15.4',
+    });
+    expect(conn.fromPort).toBe('Gi1/0/5');
+    expect(conn.speed).toBe('1G');
+    expect(conn.poeWatts).toBe(15.4);
+  });
+
+  it('drops unknown speeds, media and invalid PoE budgets', () => {
+    expect(normalizeConnectionDetails({ speed: '40G', media: 'string', poeWatts: -3 })).toMatchObject({
+      speed: '', media: '', poeWatts: '',
+    });
+  });
+
+  it('updates a detail and records it for undo', () => {
+    const conn = addConnection(state, d1.id, 'right', d2.id, 'left');
+    expect(updateConnectionProperty(state, conn.id, 'media', 'fiber-sm')).toBe(true);
+    expect(conn.media).toBe('fiber-sm');
+    undo(state);
+    expect(conn.media).toBe('');
+  });
+
+  it('refuses unknown keys and connections', () => {
+    const conn = addConnection(state, d1.id, 'right', d2.id, 'left');
+    expect(updateConnectionProperty(state, conn.id, 'from', d2.id)).toBe(false);
+    expect(updateConnectionProperty(state, 'missing', 'label', 'x')).toBe(false);
+  });
+
+  it('reads the port at either end', () => {
+    const conn = addConnection(state, d1.id, 'right', d2.id, 'left', { fromPort: '5', toPort: 'eth0' });
+    expect(getConnectionPort(conn, d1.id)).toBe('5');
+    expect(getConnectionPort(conn, d2.id)).toBe('eth0');
+    expect(getConnectionPort(conn, 'other')).toBe('');
+  });
+
+  it('formats a compact label', () => {
+    const conn = addConnection(state, d1.id, 'right', d2.id, 'left', {
+      fromPort: '5', speed: '10G', media: 'dac', poeWatts: 30, lag: 'Po1', label: 'uplink',
+    });
+    expect(formatConnectionLabel(conn)).toBe('5 ↔ ? · 10G DAC · PoE 30W · LAG Po1 · uplink');
+    expect(formatConnectionLabel(addConnection(state, d2.id, 'right', createDeviceData(state, 'desktop', 0, 0).id, 'left'))).toBe('');
+  });
+
+  it('places the label on the middle segment', () => {
+    expect(getConnectionLabelPoint({ x: 0, y: 0 }, { x: 100, y: 0 })).toEqual({ x: 50, y: 0 });
+    expect(getConnectionLabelPoint({ x: 0, y: 0 }, { x: 100, y: 100 }, [{ x: 50, y: 0 }, { x: 50, y: 100 }]))
+      .toEqual({ x: 50, y: 50 });
+  });
+
+  it('exports connections to CSV with device names', () => {
+    const conn = addConnection(state, d1.id, 'right', d2.id, 'left', { media: 'fiber-mm', label: 'a, b' });
+    const lines = exportConnectionsToCSV(state).trim().split('\n');
+    expect(lines[0]).toBe('From,From Port,To,To Port,Type,Speed,Media,PoE Watts,LAG,Label');
+    expect(lines[1]).toBe(`${d1.name},,${d2.name},,${conn.type},,${linkMedia['fiber-mm']},,,"a, b"`);
+  });
+});
+
 describe('getDeviceConnections', () => {
   it('returns all connections for a device', () => {
     const d1 = createDeviceData(state, 'desktop', 0, 0);
@@ -469,6 +973,162 @@ describe('VLAN management', () => {
   });
 });
 
+// ─── IP address management ──────────────────────────────────────────
+
+describe('parseIPv4 / formatIPv4', () => {
+  it('parses dotted quads to integers and back', () => {
+    expect(parseIPv4('192.168.1.10')).toBe(3232235786);
+    expect(formatIPv4(3232235786)).toBe('192.168.1.10');
+    expect(parseIPv4('0.0.0.0')).toBe(0);
+    expect(formatIPv4(4294967295)).toBe('255.255.255.255');
+  });
+
+  it('rejects malformed addresses', () => {
+    expect(parseIPv4('')).toBeNull();
+    expect(parseIPv4('192.168.1')).toBeNull();
+    expect(parseIPv4('192.168.1.256')).toBeNull();
+    expect(parseIPv4('192.168.one.1')).toBeNull();
+    expect(parseIPv4(undefined)).toBeNull();
+  });
+});
+
+describe('parseCIDR', () => {
+  it('computes network, broadcast and host range', () => {
+    const subnet = parseCIDR('192.168.1.0/24');
+    expect(formatIPv4(subnet.network)).toBe('192.168.1.0');
+    expect(formatIPv4(subnet.broadcast)).toBe('192.168.1.255');
+    expect(formatIPv4(subnet.firstHost)).toBe('192.168.1.1');
+    expect(formatIPv4(subnet.lastHost)).toBe('192.168.1.254');
+    expect(subnet.size).toBe(256);
+  });
+
+  it('normalizes a host address to its network', () => {
+    expect(formatIPv4(parseCIDR('10.1.2.3/16').network)).toBe('10.1.0.0');
+  });
+
+  it('treats /31 and /32 as all-host subnets', () => {
+    const p2p = parseCIDR('10.0.0.0/31');
+    expect(p2p.firstHost).toBe(p2p.network);
+    expect(p2p.lastHost).toBe(p2p.broadcast);
+  });
+
+  it('rejects invalid CIDRs', () => {
+    expect(parseCIDR('192.168.1.0')).toBeNull();
+    expect(parseCIDR('192.168.1.0/33')).toBeNull();
+    expect(parseCIDR('192.168.1.0/abc')).toBeNull();
+    expect(parseCIDR('not a subnet')).toBeNull();
+  });
+});
+
+describe('isIPInSubnet', () => {
+  it('accepts host addresses inside the subnet', () => {
+    expect(isIPInSubnet('192.168.1.50', '192.168.1.0/24')).toBe(true);
+  });
+
+  it('rejects network, broadcast and outside addresses', () => {
+    expect(isIPInSubnet('192.168.1.0', '192.168.1.0/24')).toBe(false);
+    expect(isIPInSubnet('192.168.1.255', '192.168.1.0/24')).toBe(false);
+    expect(isIPInSubnet('192.168.2.1', '192.168.1.0/24')).toBe(false);
+  });
+});
+
+describe('addVlan subnet validation', () => {
+  it('rejects an invalid subnet', () => {
+    expect(addVlan(state, 30, 'Guest', '192.168.30.0', '')).toBe(false);
+    expect(state.vlans).toHaveLength(3);
+  });
+
+  it('rejects a gateway outside the subnet', () => {
+    expect(addVlan(state, 30, 'Guest', '192.168.30.0/24', '192.168.31.1')).toBe(false);
+  });
+});
+
+describe('findDuplicateIPs', () => {
+  it('groups devices sharing an address', () => {
+    const devices = [
+      { id: 'a', ip: '10.0.0.5' },
+      { id: 'b', ip: '10.0.0.5' },
+      { id: 'c', ip: '10.0.0.6' },
+      { id: 'd', ip: '' },
+    ];
+    expect(findDuplicateIPs(devices)).toEqual([{ ip: '10.0.0.5', deviceIds: ['a', 'b'] }]);
+  });
+});
+
+describe('validateIPAddressing', () => {
+  it('reports nothing for a clean state', () => {
+    const d = createDeviceData(state, 'desktop', 0, 0);
+    d.vlan = '1';
+    d.ip = '192.168.1.20';
+    expect(validateIPAddressing(state)).toEqual([]);
+  });
+
+  it('flags devices outside their VLAN subnet', () => {
+    const d = createDeviceData(state, 'desktop', 0, 0);
+    d.vlan = '10';
+    d.ip = '192.168.1.20';
+    const issues = validateIPAddressing(state);
+    expect(issues).toHaveLength(1);
+    expect(issues[0].rule).toBe('ip-outside-subnet');
+    expect(issues[0].ids).toEqual([d.id]);
+  });
+
+  it('flags invalid and duplicate addresses', () => {
+    const a = createDeviceData(state, 'desktop', 0, 0);
+    const b = createDeviceData(state, 'laptop', 0, 0);
+    const c = createDeviceData(state, 'printer', 0, 0);
+    a.ip = '192.168.1.20';
+    b.ip = '192.168.1.20';
+    c.ip = '192.168.1.300';
+    const rules = validateIPAddressing(state).map((i) => i.rule);
+    expect(rules).toContain('ip-duplicate');
+    expect(rules).toContain('ip-invalid');
+  });
+
+  it('flags endpoints using the gateway address but not routers', () => {
+    const pc = createDeviceData(state, 'desktop', 0, 0);
+    pc.vlan = '1';
+    pc.ip = '192.168.1.1';
+    const issues = validateIPAddressing(state);
+    expect(issues.map((i) => i.rule)).toEqual(['ip-is-gateway']);
+
+    pc.type = 'router';
+    expect(validateIPAddressing(state)).toEqual([]);
+  });
+
+  it('flags VLAN gateways outside the subnet and invalid subnets', () => {
+    state.vlans.push({ id: 40, name: 'Bad GW', subnet: '10.40.0.0/24', gateway: '10.41.0.1' });
+    state.vlans.push({ id: 50, name: 'Bad Net', subnet: '10.50.0.0', gateway: '' });
+    const issues = validateIPAddressing(state);
+    expect(issues.find((i) => i.rule === 'gateway-outside-subnet').ids).toEqual([40]);
+    expect(issues.find((i) => i.rule === 'vlan-invalid-subnet').ids).toEqual([50]);
+  });
+});
+
+describe('getNextFreeIP', () => {
+  it('skips the network and gateway addresses', () => {
+    expect(getNextFreeIP(state, 1)).toBe('192.168.1.2');
+  });
+
+  it('skips addresses already in use', () => {
+    const d = createDeviceData(state, 'desktop', 0, 0);
+    d.ip = '192.168.1.2';
+    expect(getNextFreeIP(state, '1')).toBe('192.168.1.3');
+  });
+
+  it('never hands out the broadcast address', () => {
+    state.vlans.push({ id: 60, name: 'Tiny', subnet: '10.60.0.0/30', gateway: '10.60.0.1' });
+    expect(getNextFreeIP(state, 60)).toBe('10.60.0.2');
+    const d = createDeviceData(state, 'desktop', 0, 0);
+    d.ip = '10.60.0.2';
+    expect(getNextFreeIP(state, 60)).toBeNull();
+  });
+
+  it('returns null for unknown VLANs', () => {
+    expect(getNextFreeIP(state, 999)).toBeNull();
+  });
+});
+
 // ─── SSID management ────────────────────────────────────────────────
 
 describe('SSID management', () => {
@@ -538,6 +1198,130 @@ describe('toggleSwitchVLAN', () => {
   });
 });
 
+// ─── Switch port map ────────────────────────────────────────────────
+
+describe('switch port map', () => {
+  let sw, pc;
+
+  beforeEach(() => {
+    sw = createDeviceData(state, 'switch', 0, 0);
+    sw.ports = '8';
+    pc = createDeviceData(state, 'desktop', 200, 0);
+  });
+
+  it('reads the port count from the ports string', () => {
+    expect(getPortCount(sw)).toBe(8);
+    expect(getPortCount({ ports: '' })).toBe(0);
+  });
+
+  it('lists every port with defaults', () => {
+    const ports = getSwitchPorts(state, sw);
+    expect(ports).toHaveLength(8);
+    expect(ports[0]).toMatchObject({
+      number: 1, description: '', accessVlan: null, taggedVlans: [], poe: false, deviceId: null,
+    });
+  });
+
+  it('links a port to the device whose connection names it', () => {
+    const conn = addConnection(state, sw.id, 'right', pc.id, 'left', { fromPort: '3' });
+    const port = getSwitchPorts(state, sw)[2];
+    expect(port.connectionId).toBe(conn.id);
+    expect(port.deviceId).toBe(pc.id);
+  });
+
+  it('updates a port copy-on-write and records it', () => {
+    const before = sw.portMap;
+    expect(updateSwitchPort(state, sw, 2, 'accessVlan', '20')).toBe(true);
+    expect(updateSwitchPort(state, sw, 2, 'taggedVlans', ['30', 10, 30])).toBe(true);
+    expect(sw.portMap).not.toBe(before);
+    expect(sw.portMap).toEqual([{ number: 2, description: '', accessVlan: 20, taggedVlans: [10, 30], poe: false }]);
+    undo(state);
+    expect(sw.portMap[0].taggedVlans).toEqual([]);
+  });
+
+  it('rejects unknown keys, bad port numbers and non-switches', () => {
+    expect(updateSwitchPort(state, sw, 1, 'vlan', 10)).toBe(false);
+    expect(updateSwitchPort(state, sw, 0, 'poe', true)).toBe(false);
+    expect(updateSwitchPort(state, pc, 1, 'poe', true)).toBe(false);
+  });
+
+  it('assigns a connection to a port and unplugs the previous one', () => {
+    const other = createDeviceData(state, 'printer', 0, 200);
+    const c1 = addConnection(state, pc.id, 'left', sw.id, 'right', { toPort: '4' });
+    const c2 = addConnection(state, sw.id, 'bottom', other.id, 'top');
+    expect(assignPortConnection(state, sw, 4, c2.id)).toBe(true);
+    expect(c1.toPort).toBe('');
+    expect(c2.fromPort).toBe('4');
+    undo(state);
+    expect(c1.toPort).toBe('4');
+    expect(c2.fromPort).toBe('');
+  });
+
+  it('refuses connections that do not touch the switch', () => {
+    const a = createDeviceData(state, 'desktop', 0, 0);
+    const conn = addConnection(state, a.id, 'right', pc.id, 'left');
+    expect(assignPortConnection(state, sw, 1, conn.id)).toBe(false);
+  });
+
+  it('reports free ports and over-subscription', () => {
+    sw.ports = '2';
+    addConnection(state, sw.id, 'right', pc.id, 'left', { fromPort: '1' });
+    addConnection(state, sw.id, 'bottom', createDeviceData(state, 'desktop', 0, 0).id, 'top');
+    addConnection(state, sw.id, 'top', createDeviceData(state, 'desktop', 0, 0).id, 'top');
+    const report = analyzeSwitchPorts(state, sw);
+    expect(report.free).toEqual([2]);
+    expect(report.connectionCount).toBe(3);
+    expect(report.oversubscribed).toBe(true);
+  });
+
+  it('ignores wireless links when counting ports', () => {
+    sw.ports = '1';
+    state.connType = 'wireless';
+    addConnection(state, sw.id, 'right', pc.id, 'left');
+    expect(analyzeSwitchPorts(state, sw).connectionCount).toBe(0);
+  });
+
+  it('flags trunks missing VLANs used downstream', () => {
+    const router = createDeviceData(state, 'router', 0, -200);
+    const edge = createDeviceData(state, 'switch', 400, 0);
+    const phone = createDeviceData(state, 'phone', 600, 0);
+    pc.vlan = '10';
+    phone.vlan = '20';
+    addConnection(state, router.id, 'bottom', sw.id, 'top', { toPort: '1' });
+    addConnection(state, sw.id, 'right', edge.id, 'left', { fromPort: '2' });
+    addConnection(state, edge.id, 'right', pc.id, 'left');
+    addConnection(state, edge.id, 'bottom', phone.id, 'top');
+    updateSwitchPort(state, sw, 1, 'taggedVlans', [10]);
+    updateSwitchPort(state, sw, 2, 'accessVlan', 10);
+    updateSwitchPort(state, sw, 2, 'taggedVlans', [30]);
+
+    expect(analyzeSwitchPorts(state, sw).trunkIssues).toEqual([
+      { number: 1, missingVlans: [20] },
+      { number: 2, missingVlans: [20] },
+    ]);
+  });
+
+  it('treats every port that reaches a gateway around the switch as an uplink', () => {
+    const firewall = createDeviceData(state, 'firewall', 0, -400);
+    const router = createDeviceData(state, 'router', 0, -200);
+    const core = createDeviceData(state, 'switch', 400, -200);
+    pc.vlan = '10';
+    addConnection(state, firewall.id, 'bottom', router.id, 'top');
+    addConnection(state, router.id, 'bottom', sw.id, 'top', { toPort: '1' });
+    addConnection(state, firewall.id, 'right', core.id, 'top');
+    addConnection(state, core.id, 'bottom', sw.id, 'right', { toPort: '2' });
+    addConnection(state, sw.id, 'left', pc.id, 'right', { fromPort: '3' });
+    [1, 2, 3].forEach((n) => updateSwitchPort(state, sw, n, 'taggedVlans', [99]));
+
+    // Both uplinks need what hangs off port 3; port 3 needs only its own
+    expect(analyzeSwitchPorts(state, sw).trunkIssues).toEqual([
+      { number: 1, missingVlans: [10] },
+      { number: 2, missingVlans: [10] },
+      { number: 3, missingVlans: [10] },
+    ]);
+  });
+});
+
 // ─── AP SSID toggle ─────────────────────────────────────────────────
 
 describe('toggleAPSSID', () => {
@@ -560,6 +1344,73 @@ describe('toggleAPSSID', () => {
   });
 });
 
+// ─── AP radios ──────────────────────────────────────────────────────
+
+describe('AP radios', () => {
+  it('turns bands on with defaults and keeps them in band order', () => {
+    const ap = createDeviceData(state, 'ap', 0, 0);
+    expect(setAPRadioEnabled(state, ap, '5', true)).toBe(true);
+    expect(setAPRadioEnabled(state, ap, '2.4', true)).toBe(true);
+    expect(setAPRadioEnabled(state, ap, '2.4', true)).toBe(false);
+    expect(ap.radios).toEqual([
+      { band: '2.4', channel: 1, width: 20, txPower: null },
+      { band: '5', channel: 36, width: 40, txPower: null },
+    ]);
+    expect(setAPRadioEnabled(state, ap, '5', false)).toBe(true);
+    expect(ap.radios.map((r) => r.band)).toEqual(['2.4']);
+    undo(state);
+    expect(ap.radios).toHaveLength(2);
+  });
+
+  it('accepts only channels, widths and power the band allows', () => {
+    const ap = createDeviceData(state, 'ap', 0, 0);
+    expect(updateAPRadio(state, ap, '5', 'channel', 44)).toBe(false);
+    setAPRadioEnabled(state, ap, '5', true);
+    expect(updateAPRadio(state, ap, '5', 'channel', '149')).toBe(true);
+    expect(updateAPRadio(state, ap, '5', 'channel', 6)).toBe(false);
+    expect(updateAPRadio(state, ap, '5', 'width', 80)).toBe(true);
+    expect(updateAPRadio(state, ap, '5', 'txPower', '18')).toBe(true);
+    expect(updateAPRadio(state, ap, '5', 'txPower', 99)).toBe(false);
+    expect(ap.radios[0]).toEqual({ band: '5', channel: 149, width: 80, txPower: 18 });
+    expect(updateAPRadio(state, ap, '5', 'txPower', '')).toBe(true);
+    expect(ap.radios[0].txPower).toBeNull();
+    expect(setAPRadioEnabled(state, createDeviceData(state, 'switch', 0, 0), '5', true)).toBe(false);
+  });
+});
+
+// ─── Wireless clients ───────────────────────────────────────────────
+
+describe('wireless clients', () => {
+  let ap, laptop;
+
+  beforeEach(() => {
+    ap = createDeviceData(state, 'ap', 0, 0);
+    laptop = createDeviceData(state, 'laptop', 200, 0);
+    addSSID(state, 'Corp', 'WPA2-Enterprise', '10');
+  });
+
+  it('associates a client with an AP and SSID', () => {
+    expect(associateClient(state, laptop, ap.id, 'Corp')).toBe(true);
+    expect(laptop.association).toEqual({ apId: ap.id, ssid: 'Corp' });
+    expect(getAPClients(state, ap.id)).toEqual([laptop]);
+    expect(associateClient(state, laptop, ap.id, 'Nope')).toBe(false);
+    expect(associateClient(state, laptop, laptop.id)).toBe(false);
+    expect(associateClient(state, createDeviceData(state, 'server', 0, 0), ap.id)).toBe(false);
+    expect(associateClient(state, laptop, '')).toBe(true);
+    expect(laptop.association).toBeNull();
+  });
+
+  it('drops associations when the AP or SSID goes away', () => {
+    associateClient(state, laptop, ap.id, 'Corp');
+    deleteSSID(state, 0);
+    expect(laptop.association).toEqual({ apId: ap.id, ssid: '' });
+    deleteDeviceData(state, ap.id);
+    expect(laptop.association).toBeNull();
+    undo(state);
+    expect(laptop.association).toEqual({ apId: ap.id, ssid: '' });
+  });
+});
+
 // ─── VM management ──────────────────────────────────────────────────
 
 describe('VM management', () => {
@@ -793,6 +1644,126 @@ describe('JSON serialization', () => {
   });
 });
 
+describe('project schema', () => {
+  const legacyFile = () => ({
+    devices: [
+      { id: 'd1', type: 'router', name: 'R1', x: 0, y: 0, status: 'online' },
+      { id: 'd2', type: 'switch', name: 'SW1', x: 100, y: 0, status: 'online' },
+    ],
+    connections: [{ id: 'c1', from: 'd1', fromPos: 'right', to: 'd2', toPos: 'left', type: 'wired' }],
+    zones: [],
+    vlans: [{ id: 1, name: 'Default', subnet: '192.168.1.0/24', gateway: '192.168.1.1' }],
+    ssids: [],
+  });
+
+  it('stamps exports with the current schema version', () => {
+    expect(exportStateToJson(state).schemaVersion).toBe(SCHEMA_VERSION);
+  });
+
+  it('migrates unversioned files to the current version', () => {
+    const migrated = migrateProjectData(legacyFile());
+    expect(migrated.schemaVersion).toBe(SCHEMA_VERSION);
+    expect(migrated.connections[0].routingStyle).toBe('curved');
+    expect(migrated.connections[0].waypoints).toEqual([]);
+    expect(migrated.devices[0].parentPorts).toBeUndefined();
+    expect(migrated.connections[0].fromPort).toBe('');
+  });
+
+  it('keeps i-Tech routing and port data through migration', () => {
+    const file = legacyFile();
+    file.connections[0].routingStyle = 'orthogonal';
+    file.connections[0].waypoints = [{ x: 50, y: 0 }];
+    file.devices[1].parentPorts = { d1: '24' };
+    const migrated = migrateProjectData(file);
+    expect(migrated.connections[0].routingStyle).toBe('orthogonal');
+    expect(migrated.connections[0].waypoints).toEqual([{ x: 50, y: 0 }]);
+    expect(migrated.connections[0].fromPort).toBe('24');
+    expect(migrated.devices[1].parentPorts).toBeUndefined();
+  });
+
+  it('cleans up switch port maps', () => {
+    const file = legacyFile();
+    file.devices[1].portMap = [{ number: 1, accessVlan: '10', taggedVlans: ['20', 'x'] }, { number: 'a' }];
+    const result = validateProjectData(file);
+    expect(result.data.devices[1].portMap).toEqual([
+      { number: 1, description: '', accessVlan: 10, taggedVlans: [20], poe: false },
+    ]);
+    expect(result.warnings.some((w) => w.includes('port map'))).toBe(true);
+  });
+
+  it('repairs AP radios and wireless associations', () => {
+    const file = legacyFile();
+    file.devices.push(
+      { id: 'ap', type: 'ap', name: 'AP1', x: 0, y: 200, radios: [{ band: 5, channel: 7, width: 40, txPower: 'hot' }, { band: '9' }] },
+      { id: 'pc', type: 'laptop', name: 'PC', x: 0, y: 300, association: { apId: 'ap' } },
+      { id: 'tab', type: 'tablet', name: 'Tab', x: 0, y: 400, association: 'ap' },
+    );
+    const { data, warnings } = validateProjectData(file);
+    const [ap, pc, tab] = data.devices.slice(2);
+    expect(ap.radios).toEqual([{ band: '5', channel: 36, width: 40, txPower: null }]);
+    expect(pc.association).toEqual({ apId: 'ap', ssid: '' });
+    expect(tab.association).toBeNull();
+    expect(warnings.filter((w) => w.includes('radio') || w.includes('wireless association'))).toHaveLength(2);
+  });
+
+  it('recomputes zone membership from positions', () => {
+    const file = legacyFile();
+    file.zones = [{ id: 'z1', type: 'mdf', name: 'MDF', x: -50, y: -50, width: 300, height: 200 }];
+    file.devices[0].zoneId = 'stale';
+    const { devices, zones } = validateProjectData(file).data;
+    expect(devices.map((d) => d.zoneId)).toEqual(['z1', 'z1']);
+    expect(zones[0].parentZoneId).toBe('');
+  });
+
+  it('rejects files from a newer schema', () => {
+    expect(() => migrateProjectData({ schemaVersion: SCHEMA_VERSION + 1 })).toThrow(/newer version/);
+  });
+
+  it('rejects non-object files and wrongly typed collections', () => {
+    expect(validateProjectData([]).errors).toEqual(['Project file must contain a JSON object']);
+    const result = validateProjectData({ devices: 'nope', config: [] });
+    expect(result.valid).toBe(false);
+    expect(result.errors).toEqual(['"devices" must be an array', '"config" must be an object']);
+  });
+
+  it('repairs malformed entries with warnings', () => {
+    const file = legacyFile();
+    file.devices.push({ type: 'desktop' });
+    file.devices.push({ id: 'd3', type: 'toaster' });
+    file.devices[1].x = 'left';
+    file.connections.push({ id: 'c2', from: 'd1', to: 'gone' });
+    file.connections[0].waypoints = [{ x: 1, y: 2 }, { x: 'a' }];
+    file.vlans.push({ id: 'abc', name: 'Bad' });
+
+    const result = validateProjectData(file);
+    expect(result.valid).toBe(true);
+    expect(result.data.devices.map((d) => d.id)).toEqual(['d1', 'd2']);
+    expect(result.data.devices[1].x).toBe(0);
+    expect(result.data.connections.map((c) => c.id)).toEqual(['c1']);
+    expect(result.data.connections[0].waypoints).toEqual([{ x: 1, y: 2 }]);
+    expect(result.data.vlans).toHaveLength(1);
+    expect(result.warnings).toHaveLength(6);
+  });
+
+  it('importStateFromJson throws with a readable message for invalid files', () => {
+    expect(() => importStateFromJson(state, { zones: {} })).toThrow('"zones" must be an array');
+  });
+
+  it('importStateFromJson reports repairs', () => {
+    const file = legacyFile();
+    file.connections.push({ id: 'c9', from: 'd1', to: 'missing' });
+    const meta = importStateFromJson(state, file);
+    expect(state.connections).toHaveLength(1);
+    expect(meta.warnings).toEqual(['Connection c9 references a missing device and was skipped']);
+  });
+
+  it('fills missing config keys from the current config', () => {
+    importStateFromJson(state, { config: { dnsProvider: 'Cloudflare' } });
+    expect(state.config.dnsProvider).toBe('Cloudflare');
+    expect(state.config.dhcpType).toBe('Router');
+  });
+});
+
 // ─── CSV parsing ────────────────────────────────────────────────────
 
 describe('parseCSVLine', () => {
@@ -869,6 +1840,81 @@ describe('parseCSVContent', () => {
   });
 });
 
+describe('tokenizeCSV', () => {
+  const records = (text, delimiter) => [...tokenizeCSV(text, delimiter)];
+
+  it('keeps quoted line breaks, delimiters and doubled quotes in one cell', () => {
+    expect(records('a,"b\r\nc, d"\r\n"e ""f""",\n')).toEqual([
+      { cells: ['a', 'b\nc, d'], line: 1 },
+      { cells: ['e "f"', ''], line: 3 },
+    ]);
+  });
+
+  it('keeps a quote inside an unquoted field as text', () => {
+    expect(records('rack,12" rack,Dell\nswitch,"Core, A"\n', ',')).toEqual([
+      { cells: ['rack', '12" rack', 'Dell'], line: 1 },
+      { cells: ['switch', 'Core, A'], line: 2 },
+    ]);
+  });
+
+  it('drops a leading BOM', () => {
+    expect(records('\uFEFFType,Name\n')[0].cells).toEqual(['Type', 'Name']);
+  });
+
+  it('flags text that ends inside quotes', () => {
+    expect(records('a,"b\nc')).toEqual([{ cells: ['a', 'b\nc'], line: 1, unterminated: true }]);
+  });
+});
+
+describe('detectCSVDelimiter', () => {
+  it('picks the delimiter used outside quotes', () => {
+    expect(detectCSVDelimiter('Type;Name;Notes\ndesktop;PC1;"a, b, c"')).toBe(';');
+    expect(detectCSVDelimiter('Type\tName\ndesktop\tPC1')).toBe('\t');
+    expect(detectCSVDelimiter('# a, b, c\nType|Name')).toBe('|');
+    expect(detectCSVDelimiter('single')).toBe(',');
+  });
+
+  it('ignores quotes that do not start a field', () => {
+    expect(detectCSVDelimiter('Type;Name;Notes\nserver;R1;12" rack, 2U; top, left, "a;b"')).toBe(';');
+    expect(detectCSVDelimiter('Type,Name\nswitch,"a;b;c;d"')).toBe(',');
+  });
+});
+
+describe('parseCSVDevices', () => {
+  it('maps header aliases and type display names', () => {
+    expect(normalizeCSVHeader('IPv4')).toBe('ipaddress');
+    expect(normalizeCSVHeader('Device Type')).toBe('type');
+    expect(normalizeCSVHeader('Serial Number')).toBe('serialnumber');
+    expect(resolveDeviceType('Access Point')).toBe('ap');
+    expect(resolveDeviceType('SWITCH')).toBe('switch');
+    expect(resolveDeviceType('vpn')).toBeNull();
+    expect(resolveDeviceType('vpn', ['vpn'])).toBe('vpn');
+  });
+
+  it('reads semicolon files from Excel with multi-line notes', () => {
+    const csv = '\uFEFFDevice Type;Hostname;IP;Notes\r\nDesk Phone;RECEPTION;10.0.0.5;"Line one\r\nLine two; still notes"\r\n';
+    expect(parseCSVDevices(csv)).toEqual({
+      rows: [{ type: 'phone', name: 'RECEPTION', ipaddress: '10.0.0.5', notes: 'Line one\nLine two; still notes' }],
+      errors: [],
+    });
+  });
+
+  it('reports the rows it leaves out with their line numbers', () => {
+    const csv = 'Type,Name,Notes\ndesktop,PC1,"two\nlines"\ntoaster,T1,\n,Nameless,\nlaptop,L1,"never closed\n';
+    const { rows, errors } = parseCSVDevices(csv);
+    expect(rows.map((r) => r.name)).toEqual(['PC1']);
+    expect(errors).toEqual([
+      { line: 4, message: 'Unknown device type "toaster"' },
+      { line: 5, message: 'Missing device type' },
+      { line: 6, message: 'Quoted field is never closed' },
+    ]);
+  });
+
+  it('needs a Type column', () => {
+    expect(parseCSVDevices('Name,IP\nPC1,10.0.0.1').errors).toEqual([{ line: 1, message: 'No Type column found' }]);
+  });
+});
+
 describe('csvRowToDevice', () => {
   it('creates device from CSV row', () => {
     const row = { type: 'desktop', name: 'PC1', ipaddress: '10.0.0.1', status: 'online' };
@@ -907,6 +1953,14 @@ describe('csvRowToDevice', () => {
     expect(device.assignedVlans).toEqual([]);
   });
 
+  it('keeps the id clear of ones already on the map', () => {
+    const now = vi.spyOn(Date, 'now').mockReturnValue(1000);
+    state.devices.push({ id: 'dev1000_0' });
+    const device = csvRowToDevice({ type: 'desktop', name: 'PC1' }, 0, 1, 5, 4000, 4000, true, state);
+    now.mockRestore();
+    expect(device.id).toBe('dev1000_0_2');
+  });
+
   it('creates vmhost with empty vms array', () => {
     const row = { type: 'vmhost', name: 'ESXi' };
     const device = csvRowToDevice(row, 0, 1, 5, 4000, 4000, true);
@@ -927,6 +1981,96 @@ describe('csvRowToDevice', () => {
   });
 });
 
+// ─── nmap import ────────────────────────────────────────────────────
+
+const NMAP_SAMPLE = `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE nmaprun>
+<nmaprun scanner="nmap" args="nmap -O -oX scan.xml 192.168.1.0/24" version="7.94">
+<host starttime="1" endtime="2"><status state="up" reason="arp-response"/>
+<address addr="192.168.1.20" addrtype="ipv4"/>
+<address addr="00:11:22:33:44:55" addrtype="mac" vendor="Hewlett Packard"/>
+<hostnames><hostname name="hp-laserjet.lan" type="PTR"/></hostnames>
+<ports><extraports state="closed" count="997"/>
+<port protocol="tcp" portid="80"><state state="open" reason="syn-ack"/><service name="http"/></port>
+<port protocol="tcp" portid="9100"><state state="open" reason="syn-ack"/><service name="jetdirect"/></port>
+<port protocol="tcp" portid="631"><state state="filtered" reason="no-response"/></port>
+</ports>
+</host>
+<host><status state="up"/>
+<address addr="192.168.1.30" addrtype="ipv4"/>
+<ports>
+<port protocol="tcp" portid="445"><state state="open"/><service name="microsoft-ds"/></port>
+<port protocol="tcp" portid="3389"><state state="open"/><service name="ms-wbt-server"/></port>
+</ports>
+<os><osmatch name="Microsoft Windows 10 1607" accuracy="98">
+<osclass type="general purpose" vendor="Microsoft" osfamily="Windows" osgen="10" accuracy="98"/>
+</osmatch><osmatch name="Microsoft Windows 8" accuracy="90"/></os>
+</host>
+<host><status state="down" reason="no-response"/><address addr="192.168.1.40" addrtype="ipv4"/></host>
+<host><status state="up"/><address addr="192.168.1.50" addrtype="ipv4"/>
+<hostnames><hostname name="r&amp;d-box" type="user"/></hostnames></host>
+<runstats><hosts up="3" down="1" total="4"/></runstats>
+</nmaprun>`;
+
+describe('parseNmapXML', () => {
+  it('turns up hosts into CSV-style rows', () => {
+    const rows = parseNmapXML(NMAP_SAMPLE);
+    expect(rows).toHaveLength(3);
+    expect(rows[0]).toEqual({
+      type: 'printer',
+      name: 'hp-laserjet.lan',
+      ipaddress: '192.168.1.20',
+      macaddress: '00:11:22:33:44:55',
+      manufacturer: 'Hewlett Packard',
+      os: '',
+      status: 'online',
+      notes: 'Open ports: 80/tcp http, 9100/tcp jetdirect',
+    });
+  });
+
+  it('uses the best OS match and decodes entities', () => {
+    const rows = parseNmapXML(NMAP_SAMPLE);
+    expect(rows[1].os).toBe('Microsoft Windows 10 1607');
+    expect(rows[1].type).toBe('desktop');
+    expect(rows[2]).toMatchObject({ name: 'r&d-box', type: 'otherendpoint', notes: '' });
+  });
+
+  it('feeds csvRowToDevice', () => {
+    const device = csvRowToDevice(parseNmapXML(NMAP_SAMPLE)[0], 0, 1, 2, 0, 0, false);
+    expect(device).toMatchObject({ type: 'printer', ip: '192.168.1.20', manufacturer: 'Hewlett Packard' });
+  });
+
+  it('returns null for anything that is not an nmap scan', () => {
+    expect(parseNmapXML('type,name\ndesktop,PC')).toBeNull();
+    expect(parseNmapXML(undefined)).toBeNull();
+  });
+});
+
+describe('guessDeviceType', () => {
+  it('recognises telltale ports', () => {
+    expect(guessDeviceType({ ports: [554, 80] })).toBe('camera');
+    expect(guessDeviceType({ ports: [5060] })).toBe('phone');
+    expect(guessDeviceType({ ports: [9100] })).toBe('printer');
+  });
+
+  it('tells Windows servers from desktops', () => {
+    expect(guessDeviceType({ ports: [445, 3389] })).toBe('desktop');
+    expect(guessDeviceType({ ports: [445, 3389, 88, 389] })).toBe('server');
+    expect(guessDeviceType({ ports: [445, 3389], os: 'Microsoft Windows Server 2019' })).toBe('server');
+  });
+
+  it('trusts infrastructure OS classes over ports', () => {
+    expect(guessDeviceType({ ports: [5060, 80], osClasses: [{ type: 'broadband router' }] })).toBe('router');
+    expect(guessDeviceType({ osClasses: [{ type: 'WAP' }] })).toBe('ap');
+    expect(guessDeviceType({ osClasses: [{ type: 'general purpose', osfamily: 'Android' }] })).toBe('cellphone');
+  });
+
+  it('falls back to otherendpoint', () => {
+    expect(guessDeviceType({ ports: [8080] })).toBe('otherendpoint');
+    expect(guessDeviceType({})).toBe('otherendpoint');
+  });
+});
+
 // ─── CSV export ─────────────────────────────────────────────────────
 
 describe('escapeCSVCell', () => {
@@ -964,6 +2108,16 @@ describe('exportDevicesToCSV', () => {
     expect(lines[1]).toContain('desktop,PC1');
   });
 
+  it('adds zone path and location columns', () => {
+    const site = createZoneData(state, 'onprem', 0, 0);
+    site.location = 'HQ';
+    const pc = createDeviceData(state, 'desktop', 10, 10);
+    const lines = exportDevicesToCSV(state.devices, state.zones).trim().split('\n');
+    expect(lines[0]).toContain('VLAN ID,Zone,Location,Status');
+    expect(lines[1]).toContain(',On-Prem 1,HQ,online');
+    expect(pc.zoneId).toBe(site.id);
+  });
+
   it('handles empty device list', () => {
     const csv = exportDevicesToCSV([]);
     const lines = csv.trim().split('\n');
@@ -971,6 +2125,58 @@ describe('exportDevicesToCSV', () => {
   });
 });
 
+// ─── Topology text export ───────────────────────────────────────────
+
+describe('topology text export', () => {
+  // Fixed ids so the snapshots don't depend on Date.now()
+  function buildTopology() {
+    const s = createInitialState();
+    s.zones = [
+      { id: 'zone-hq', type: 'onprem', name: 'HQ "Main"', x: 0, y: 0, width: 800, height: 600, notes: '', parentZoneId: '' },
+      { id: 'zone-idf', type: 'idf', name: 'IDF 1', x: 20, y: 20, width: 300, height: 300, notes: '', parentZoneId: 'zone-hq' },
+    ];
+    s.devices = [
+      { id: 'fw', type: 'firewall', name: 'Edge FW', ip: '10.0.0.1', vlan: '', status: 'online', x: 400, y: 40 },
+      { id: 'sw', type: 'switch', name: 'Core <SW>', ip: '10.0.0.2', vlan: 10, status: 'warning', x: 60, y: 60 },
+      { id: 'ap', type: 'ap', name: 'Lobby AP', ip: '', vlan: '20', status: 'offline', x: 1000, y: 40 },
+      { id: 'branch', type: 'router', name: 'Branch', ip: '10.9.0.1', vlan: '', status: 'online', x: 1000, y: 400 },
+    ];
+    s.connections = [
+      { id: 'c1', from: 'fw', to: 'sw', type: 'wired', fromPort: 'port2', toPort: 'Gi1/0/48', speed: '1G', media: 'cat6' },
+      { id: 'c2', from: 'sw', to: 'ap', type: 'wireless' },
+      { id: 'c3', from: 'fw', to: 'branch', type: 'vpn', label: 'IPsec' },
+      { id: 'c4', from: 'fw', to: 'ghost', type: 'wired' },
+    ];
+    return s;
+  }
+
+  it('writes Graphviz DOT with zones as nested clusters', () => {
+    const dot = exportToDot(buildTopology());
+    expect(dot).toMatchSnapshot();
+    expect(dot).toContain('subgraph "cluster_1" {');
+    expect(dot).not.toContain('ghost');
+  });
+
+  it('writes a Mermaid flowchart', () => {
+    const mermaid = exportToMermaid(buildTopology());
+    expect(mermaid).toMatchSnapshot();
+    expect(mermaid).toContain('dev1 -.- dev3');
+  });
+
+  it('writes GraphML with zones as nested graphs', () => {
+    const graphml = exportToGraphML(buildTopology());
+    expect(graphml).toMatchSnapshot();
+    expect(graphml).toContain('<data key="name">Core &lt;SW&gt;</data>');
+  });
+
+  it('handles an empty map', () => {
+    const empty = createInitialState();
+    expect(exportToDot(empty)).toContain('graph network {');
+    expect(exportToMermaid(empty).trim().split('\n')[0]).toBe('flowchart TB');
+    expect(exportToGraphML(empty)).toContain('<graph id="network" edgedefault="undirected">\n  </graph>');
+  });
+});
+
 // ─── Bounding box ───────────────────────────────────────────────────
 
 describe('calculateBoundingBox', () => {
@@ -999,6 +2205,296 @@ describe('calculateBoundingBox', () => {
   });
 });
 
+// ─── PDF page layout ────────────────────────────────────────────────
+
+describe('planPdfTiles', () => {
+  // Areas given in px at 100% so the expected rectangles stay readable
+  const area = (w, h) => ({ areaWidth: w * MM_PER_PX, areaHeight: h * MM_PER_PX });
+  const rect = (t) => [t.x, t.y, t.width, t.height].map((v) => Math.round(v));
+
+  it('uses one sheet when the drawing fits', () => {
+    const plan = planPdfTiles(500, 300, { ...area(800, 600), overlap: 0 });
+    expect(plan.cols).toBe(1);
+    expect(plan.rows).toBe(1);
+    expect(plan.tiles).toEqual([{
+      name: 'A1', col: 0, row: 0, x: 0, y: 0, width: 500, height: 300,
+      neighbors: { left: null, right: null, top: null, bottom: null },
+    }]);
+  });
+
+  it('overlaps neighbouring sheets and trims the last row and column', () => {
+    const plan = planPdfTiles(250, 60, { ...area(100, 50), overlap: 10 * MM_PER_PX });
+    expect(plan.tiles.map((t) => t.name)).toEqual(['A1', 'B1', 'C1', 'A2', 'B2', 'C2']);
+    expect(plan.tiles.map(rect)).toEqual([
+      [0, 0, 100, 50], [90, 0, 100, 50], [180, 0, 70, 50],
+      [0, 40, 100, 20], [90, 40, 100, 20], [180, 40, 70, 20],
+    ]);
+    expect(plan.tiles[4].neighbors).toEqual({ left: 'A2', right: 'C2', top: 'B1', bottom: null });
+  });
+
+  it('needs fewer sheets at a smaller scale', () => {
+    const options = { ...area(100, 100), overlap: 0 };
+    expect(planPdfTiles(400, 400, options).tiles).toHaveLength(16);
+    expect(planPdfTiles(400, 400, { ...options, scale: 0.5 }).tiles).toHaveLength(4);
+  });
+
+  it('names columns past Z like a spreadsheet', () => {
+    const plan = planPdfTiles(2800, 50, { ...area(100, 100), overlap: 0 });
+    expect(plan.cols).toBe(28);
+    expect(plan.tiles.slice(-3).map((t) => t.name)).toEqual(['Z1', 'AA1', 'AB1']);
+  });
+
+  it('knows the paper sizes jsPDF accepts', () => {
+    expect(Object.keys(PAPER_SIZES)).toEqual(['letter', 'legal', 'a4', 'a3', 'tabloid']);
+    expect(PAPER_SIZES.a4).toEqual({ name: 'A4', width: 210, height: 297 });
+  });
+});
+
+describe('describeLegend', () => {
+  it('lists only the types the map uses, with counts', () => {
+    const sw1 = createDeviceData(state, 'switch', 0, 0);
+    createDeviceData(state, 'switch', 200, 0);
+    const ap = createDeviceData(state, 'ap', 400, 0);
+    createZoneData(state, 'idf', 0, 0);
+    addConnection(state, sw1.id, 'right', ap.id, 'left');
+
+    expect(describeLegend(state)).toEqual({
+      devices: [
+        { type: 'switch', name: 'Switch', icon: types.switch.icon, count: 2 },
+        { type: 'ap', name: 'Access Point', icon: types.ap.icon, count: 1 },
+      ],
+      zones: [{ type: 'idf', name: 'IDF', color: '#f97316', count: 1 }],
+      connections: [{ type: 'wired', name: 'Wired', count: 1 }],
+    });
+  });
+
+  it('names device types only the page knows', () => {
+    createDeviceData(state, 'router', 0, 0).type = 'vpn';
+    const legend = describeLegend(state, { ...types, vpn: { name: 'VPN', icon: 'V' } });
+    expect(legend.devices).toEqual([{ type: 'vpn', name: 'VPN', icon: 'V', count: 1 }]);
+    expect(describeLegend(state).devices).toEqual([]);
+  });
+});
+
+// ─── Diagram validation ─────────────────────────────────────────────
+
+describe('validateState', () => {
+  const rulesOf = (findings) => findings.map((f) => f.rule);
+
+  it('reports only orphaned devices for an unconnected map', () => {
+    const d = createDeviceData(state, 'desktop', 0, 0);
+    const findings = validateState(state);
+    expect(findings).toEqual([
+      { severity: 'info', rule: 'device-orphaned', message: 'Desktop 1 has no connections', ids: [d.id] },
+    ]);
+  });
+
+  it('returns no findings for a connected, consistent map', () => {
+    const r = createDeviceData(state, 'router', 0, 0);
+    const pc = createDeviceData(state, 'desktop', 200, 0);
+    addConnection(state, r.id, 'right', pc.id, 'left');
+    expect(validateState(state)).toEqual([]);
+  });
+
+  it('does not count a client associated with an AP as orphaned', () => {
+    const sw = createDeviceData(state, 'switch', 0, 0);
+    const ap = createDeviceData(state, 'ap', 0, 200);
+    addConnection(state, sw.id, 'bottom', ap.id, 'top');
+    const phone = createDeviceData(state, 'cellphone', 200, 200);
+    associateClient(state, phone, ap.id);
+    expect(validateState(state)).toEqual([]);
+  });
+
+  it('flags connections to missing devices', () => {
+    const d = createDeviceData(state, 'desktop', 0, 0);
+    state.connections.push({ id: 'c1', from: d.id, to: 'ghost', type: 'wired' });
+    const finding = validateState(state).find((f) => f.rule === 'connection-missing-device');
+    expect(finding.severity).toBe('error');
+    expect(finding.ids).toEqual(['c1']);
+  });
+
+  it('flags duplicate connections', () => {
+    const a = createDeviceData(state, 'desktop', 0, 0);
+    const b = createDeviceData(state, 'switch', 0, 0);
+    state.connections.push({ id: 'c1', from: a.id, to: b.id }, { id: 'c2', from: b.id, to: a.id });
+    const finding = validateState(state).find((f) => f.rule === 'connection-duplicate');
+    expect(finding.ids).toEqual(['c1', 'c2']);
+  });
+
+  it('flags parallel links unless they share a LAG', () => {
+    const a = createDeviceData(state, 'switch', 0, 0);
+    const b = createDeviceData(state, 'switch', 0, 0);
+    state.connections.push(
+      { id: 'c1', from: a.id, to: b.id, lag: 'Po1' },
+      { id: 'c2', from: b.id, to: a.id, lag: 'Po1' },
+      { id: 'c3', from: a.id, to: b.id, lag: 'Po2' },
+    );
+    const findings = validateState(state).filter((f) => f.rule === 'connection-duplicate');
+    expect(findings.map((f) => f.ids)).toEqual([['c1', 'c3']]);
+  });
+
+  it('flags over-subscribed switches', () => {
+    const sw = createDeviceData(state, 'switch', 0, 0);
+    sw.ports = '1';
+    state.connections.push(
+      { id: 'c1', from: sw.id, to: createDeviceData(state, 'desktop', 0, 0).id, type: 'wired' },
+      { id: 'c2', from: sw.id, to: createDeviceData(state, 'desktop', 0, 0).id, type: 'wired' },
+    );
+    const finding = validateState(state).find((f) => f.rule === 'switch-oversubscribed');
+    expect(finding.severity).toBe('warning');
+    expect(finding.ids).toEqual([sw.id]);
+  });
+
+  it('flags APs broadcasting unknown SSIDs', () => {
+    const ap = createDeviceData(state, 'ap', 0, 0);
+    addSSID(state, 'Corp', 'WPA2-Personal', '');
+    ap.ssids = ['Corp', 'Gone'];
+    const findings = validateState(state).filter((f) => f.rule === 'ap-missing-ssid');
+    expect(findings).toHaveLength(1);
+    expect(findings[0].message).toContain('Gone');
+  });
+
+  it('flags switch VLANs removed by deleteVlan', () => {
+    const sw = createDeviceData(state, 'switch', 0, 0);
+    toggleSwitchVLAN(sw, 20);
+    deleteVlan(state, 2);
+    expect(rulesOf(validateState(state))).toContain('switch-missing-vlan');
+  });
+
+  it('flags devices and SSIDs on unknown VLANs', () => {
+    const d = createDeviceData(state, 'desktop', 0, 0);
+    d.vlan = '99';
+    addSSID(state, 'Guest', 'WPA2-Personal', '98');
+    const rules = rulesOf(validateState(state));
+    expect(rules).toContain('device-missing-vlan');
+    expect(rules).toContain('ssid-missing-vlan');
+  });
+
+  it('flags a missing DHCP device', () => {
+    state.config.dhcpDevice = 'dev-deleted';
+    const finding = validateState(state).find((f) => f.rule === 'dhcp-device-missing');
+    expect(finding.severity).toBe('error');
+    expect(finding.ids).toEqual(['dev-deleted']);
+  });
+
+  it('flags unknown device and zone types', () => {
+    state.devices.push({ id: 'x', type: 'toaster', name: 'Toaster' });
+    state.zones.push({ id: 'z', type: 'basement', name: 'Basement' });
+    const rules = rulesOf(validateState(state));
+    expect(rules).toContain('device-unknown-type');
+    expect(rules).toContain('zone-unknown-type');
+  });
+
+  it('flags IDFs linked to a missing MDF', () => {
+    const idf = createZoneData(state, 'idf', 0, 0);
+    idf.connectedMDF = 'zone-gone';
+    expect(rulesOf(validateState(state))).toContain('zone-missing-mdf');
+  });
+
+  it('includes IP addressing issues with a severity', () => {
+    const a = createDeviceData(state, 'desktop', 0, 0);
+    const b = createDeviceData(state, 'desktop', 0, 0);
+    a.ip = '10.0.0.1';
+    b.ip = '10.0.0.1';
+    const finding = validateState(state).find((f) => f.rule === 'ip-duplicate');
+    expect(finding.severity).toBe('error');
+    expect(finding.ids).toEqual([a.id, b.id]);
+  });
+
+  it('sorts findings by severity', () => {
+    createDeviceData(state, 'desktop', 0, 0);
+    state.config.dhcpDevice = 'missing';
+    const severities = validateState(state).map((f) => f.severity);
+    expect(severities).toEqual(['error', 'info']);
+  });
+});
+
+describe('summarizeFindings', () => {
+  it('counts findings per severity', () => {
+    const findings = [
+      { severity: 'error' }, { severity: 'warning' }, { severity: 'warning' },
+    ];
+    expect(summarizeFindings(findings)).toEqual({ error: 1, warning: 2, info: 0 });
+  });
+});
+
+// ─── Failure simulation ─────────────────────────────────────────────
+
+describe('simulateFailures', () => {
+  // router - switch - { pc1, pc2 }
+  function buildChain() {
+    const router = createDeviceData(state, 'router', 0, 0);
+    const sw = createDeviceData(state, 'switch', 0, 200);
+    const pc1 = createDeviceData(state, 'desktop', 0, 400);
+    const pc2 = createDeviceData(state, 'desktop', 200, 400);
+    [[router, sw], [sw, pc1], [sw, pc2]].forEach(([a, b]) => addConnection(state, a.id, 'bottom', b.id, 'top'));
+    return { router, sw, pc1, pc2 };
+  }
+
+  it('reports nothing when every device is up', () => {
+    buildChain();
+    expect(simulateFailures(state)).toEqual({ down: [], downConnections: [], isolated: [] });
+  });
+
+  it('treats offline, retired and decommissioned devices as removed', () => {
+    const { sw, pc1, pc2 } = buildChain();
+    sw.status = 'retired';
+    pc2.status = 'warning';
+    const result = simulateFailures(state);
+    expect(result.down).toEqual([sw.id]);
+    expect(result.downConnections).toEqual(state.connections.map((c) => c.id));
+    expect(result.isolated).toEqual([pc1.id, pc2.id]);
+  });
+
+  it('takes down every device inside a failed UPS zone', () => {
+    const { sw, pc1, pc2 } = buildChain();
+    const ups = createZoneData(state, 'ups', -20, 180);
+    const result = simulateFailures(state, { failedZoneIds: [ups.id] });
+    expect(result.down).toEqual([sw.id]);
+    expect(result.isolated).toEqual([pc1.id, pc2.id]);
+  });
+
+  it('takes down devices inside a UPS that a partly overlapping zone claims', () => {
+    const ups = Object.assign(createZoneData(state, 'ups', 400, 400), { width: 400, height: 400 });
+    Object.assign(createZoneData(state, 'mdf', 520, 300), { width: 200, height: 300 });
+    const sw = createDeviceData(state, 'switch', 500, 500);
+    syncZoneMembership(state);
+    expect(simulateFailures(state, { failedZoneIds: [ups.id] }).down).toEqual([sw.id]);
+  });
+
+  it('ignores zones that are not UPS zones', () => {
+    buildChain();
+    const mdf = createZoneData(state, 'mdf', -20, 180);
+    expect(simulateFailures(state, { failedZoneIds: [mdf.id] }).down).toEqual([]);
+  });
+
+  it('does not count devices that were never connected as isolated', () => {
+    const { router } = buildChain();
+    createDeviceData(state, 'laptop', 800, 800);
+    const result = simulateFailures(state, { failedDeviceIds: [router.id] });
+    expect(result.isolated).toHaveLength(3);
+  });
+
+  it('uses the firewall as the way out when there is no router', () => {
+    const fw = createDeviceData(state, 'firewall', 0, 0);
+    const pc = createDeviceData(state, 'desktop', 0, 200);
+    addConnection(state, fw.id, 'bottom', pc.id, 'top');
+    fw.status = 'offline';
+    expect(simulateFailures(state).isolated).toEqual([pc.id]);
+  });
+
+  it('places devices by their centre', () => {
+    const zone = { x: 0, y: 0, width: 200, height: 150 };
+    expect(isDeviceInZone({ x: 100, y: 50 }, zone)).toBe(true);
+    expect(isDeviceInZone({ x: 150, y: 50 }, zone)).toBe(false);
+    const ups = createZoneData(state, 'ups', 0, 0);
+    const inside = createDeviceData(state, 'server', 10, 10);
+    createDeviceData(state, 'server', 500, 500);
+    expect(getDevicesInZone(state, ups.id)).toEqual([inside]);
+    expect(getDevicesInZone(state, 'ghost')).toEqual([]);
+  });
+});
+
 // ─── Clear all ──────────────────────────────────────────────────────
 
 describe('clearAllData', () => {
@@ -0,0 +1,311 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { createInitialState, createDeviceData, addConnection, undo, normalizeMac } from '../js/network-mapper-logic.js';
+import {
+  parseLldpText,
+  parseLldpCsv,
+  parseNeighborTable,
+  normalizeHostname,
+  findNeighborDevice,
+  guessNeighborType,
+  planNeighborImport,
+  importNeighbors,
+} from '../js/network-neighbors.js';
+
+// ─── Sample output ──────────────────────────────────────────────────
+
+const CISCO_LLDP = `Capability codes:
+    (R) Router, (B) Bridge, (T) Telephone, (C) DOCSIS Cable Device
+    (W) WLAN Access Point, (P) Repeater, (S) Station, (O) Other
+------------------------------------------------
+Local Intf: Gi1/0/1
+Chassis id: 0011.2233.4455
+Port id: Gi0/48
+Port Description: GigabitEthernet0/48
+System Name: ACCESS-SW-1.corp.local
+
+System Description:
+Cisco IOS Software, C2960X Software (C2960X-UNIVERSALK9-M), Version 15.2(2)E7
+Technical Support: http://www.cisco.com/techsupport
+
+Time remaining: 105 seconds
+System Capabilities: B,R
+Enabled Capabilities: B
+Management Addresses:
+    IP: 10.0.0.11
+------------------------------------------------
+Local Intf: Gi1/0/5
+Chassis id: 10.0.0.55
+Port id: 0011.2233.aabb:P1
+System Name: SEP001122AABBCC
+System Capabilities: B,T
+Enabled Capabilities: B,T
+Management Addresses:
+    IP: 10.0.0.55
+
+Total entries displayed: 2`;
+
+const CISCO_CDP = `-------------------------
+Device ID: AP-LOBBY(FGL1234ABCD)
+Entry address(es):
+  IP address: 10.0.0.21
+Platform: cisco AIR-AP2802I-B-K9,  Capabilities: Trans-Bridge Source-Route-Bridge IGMP
+Interface: GigabitEthernet1/0/7,  Port ID (outgoing port): GigabitEthernet0
+Holdtime : 150 sec
+
+Version :
+Cisco AP Software, ap3g3-k9w8 Version: 8.10.130.0
+
+advertisement version: 2
+Management address(es):
+  IP address: 10.0.0.21
+-------------------------
+Device ID: EDGE-FW
+Entry address(es):
+  IP address: 10.0.0.1
+Platform: Cisco ASA5516,  Capabilities: Router
+Interface: GigabitEthernet1/0/48,  Port ID (outgoing port): GigabitEthernet1/2
+`;
+
+const ARUBA_OS = ` LLDP Remote Device Information Detail
+
+  Local Port   : 24
+  ChassisType  : mac-address
+  ChassisId    : 94 f1 28 00 11 22
+  PortType     : local
+  PortId       : 49
+  SysName      : core-sw
+  System Descr : Aruba JL256A 2930F-48G-PoE+-4SFP+
+  PortDescr    : 49
+
+  System Capabilities Supported  : bridge, router
+  System Capabilities Enabled    : bridge, router
+
+  Remote Management Address
+     Type    : ipv4
+     Address : 10.0.0.2
+`;
+
+const LLDPCTL = `-------------------------------------------------------------------------------
+LLDP neighbors:
+-------------------------------------------------------------------------------
+Interface:    eth0, via: LLDP, RID: 1, Time: 0 day, 00:00:59
+  Chassis:
+    ChassisID:    mac 00:11:22:33:44:66
+    SysName:      dist-sw
+    MgmtIP:       10.0.0.3
+    Capability:   Bridge, on
+    Capability:   Router, off
+  Port:
+    PortID:       ifname ge-0/0/12
+    PortDescr:    ge-0/0/12
+-------------------------------------------------------------------------------`;
+
+// ─── Helpers ────────────────────────────────────────────────────────
+
+let state;
+
+beforeEach(() => {
+  state = createInitialState();
+});
+
+// ─── Parsing ────────────────────────────────────────────────────────
+
+describe('parseLldpText', () => {
+  it('reads Cisco LLDP detail output', () => {
+    const [sw, phone] = parseLldpText(CISCO_LLDP);
+    expect(sw).toMatchObject({
+      localPort: 'Gi1/0/1',
+      name: 'ACCESS-SW-1.corp.local',
+      mac: '00:11:22:33:44:55',
+      remotePort: 'Gi0/48',
+      ip: '10.0.0.11',
+      capabilities: ['B'],
+    });
+    expect(phone.capabilities).toEqual(['B', 'T']);
+    expect(phone.mac).toBe('');
+  });
+
+  it('reads CDP detail output with several pairs per line', () => {
+    const [ap, fw] = parseLldpText(CISCO_CDP);
+    expect(ap).toMatchObject({
+      name: 'AP-LOBBY(FGL1234ABCD)',
+      ip: '10.0.0.21',
+      localPort: 'GigabitEthernet1/0/7',
+      remotePort: 'GigabitEthernet0',
+      description: 'cisco AIR-AP2802I-B-K9',
+    });
+    expect(ap.capabilities).toContain('Trans-Bridge');
+    expect(fw).toMatchObject({ name: 'EDGE-FW', localPort: 'GigabitEthernet1/0/48', ip: '10.0.0.1' });
+  });
+
+  it('reads Aruba remote-device detail output', () => {
+    expect(parseLldpText(ARUBA_OS)).toEqual([{
+      localDevice: '',
+      localPort: '24',
+      name: 'core-sw',
+      ip: '10.0.0.2',
+      mac: '94:f1:28:00:11:22',
+      remotePort: '49',
+      capabilities: ['bridge', 'router'],
+      description: 'Aruba JL256A 2930F-48G-PoE+-4SFP+',
+    }]);
+  });
+
+  it('reads lldpctl output and keeps only enabled capabilities', () => {
+    expect(parseLldpText(LLDPCTL)[0]).toMatchObject({
+      localPort: 'eth0',
+      name: 'dist-sw',
+      mac: '00:11:22:33:44:66',
+      ip: '10.0.0.3',
+      remotePort: 'ge-0/0/12',
+      capabilities: ['Bridge'],
+    });
+  });
+});
+
+describe('parseLldpCsv / parseNeighborTable', () => {
+  const csv = 'Local Device,Local Port,Remote Device,Remote Port,Remote IP,Remote MAC,Capabilities\n' +
+    'core-sw,1/1/1,access-1,49,10.0.0.11,00-11-22-33-44-55,B\n' +
+    ',,,,,,\n';
+
+  it('reads the simple CSV layout', () => {
+    const rows = parseLldpCsv(csv);
+    expect(rows).toHaveLength(1);
+    expect(rows[0]).toMatchObject({ localDevice: 'core-sw', localPort: '1/1/1', name: 'access-1', mac: '00:11:22:33:44:55' });
+  });
+
+  it('picks the parser from the first line', () => {
+    expect(parseNeighborTable(csv)[0].localDevice).toBe('core-sw');
+    expect(parseNeighborTable(ARUBA_OS)[0].name).toBe('core-sw');
+    expect(parseNeighborTable('')).toEqual([]);
+  });
+});
+
+// ─── Matching ───────────────────────────────────────────────────────
+
+describe('matching', () => {
+  it('normalizes MACs and hostnames', () => {
+    expect(normalizeMac('0011.2233.4455')).toBe('00:11:22:33:44:55');
+    expect(normalizeMac('not a mac')).toBe('');
+    expect(normalizeHostname('AP-LOBBY(FGL1234ABCD)')).toBe('ap-lobby');
+    expect(normalizeHostname('ACCESS-SW-1.corp.local')).toBe('access-sw-1');
+  });
+
+  it('finds devices by MAC, IP or name', () => {
+    const a = createDeviceData(state, 'switch', 0, 0);
+    a.mac = '00:11:22:33:44:55';
+    const b = createDeviceData(state, 'switch', 0, 0);
+    b.ip = '10.0.0.12';
+    const c = createDeviceData(state, 'switch', 0, 0);
+    c.name = 'Dist-SW';
+    expect(findNeighborDevice(state, { mac: '0011.2233.4455' })).toBe(a);
+    expect(findNeighborDevice(state, { ip: '10.0.0.12' })).toBe(b);
+    expect(findNeighborDevice(state, { name: 'dist-sw.corp.local' })).toBe(c);
+    expect(findNeighborDevice(state, { name: 'nope' })).toBeNull();
+  });
+
+  it('only guesses infrastructure types', () => {
+    expect(guessNeighborType({ capabilities: ['B', 'R'], description: '' })).toBe('switch');
+    expect(guessNeighborType({ capabilities: ['Router'], description: 'Cisco ASA5516' })).toBe('firewall');
+    expect(guessNeighborType({ capabilities: ['Trans-Bridge'], description: '' })).toBe('ap');
+    expect(guessNeighborType({ capabilities: ['B', 'T'], description: '' })).toBeNull();
+    expect(guessNeighborType({ capabilities: [], description: '' })).toBeNull();
+  });
+});
+
+// ─── Import ─────────────────────────────────────────────────────────
+
+describe('planNeighborImport / importNeighbors', () => {
+  let core;
+
+  beforeEach(() => {
+    core = createDeviceData(state, 'switch', 400, 0);
+    core.name = 'core-sw';
+  });
+
+  it('plans connects, creates and unmatched neighbors', () => {
+    const access = createDeviceData(state, 'switch', 0, 200);
+    access.name = 'ACCESS-SW-1';
+    const plan = planNeighborImport(state, parseLldpText(CISCO_LLDP), core.id);
+    expect(plan.map((p) => p.action)).toEqual(['connect', 'unmatched']);
+    expect(plan[0].remote).toBe(access);
+    expect(plan[1].reason).toMatch(/infrastructure/);
+
+    expect(planNeighborImport(state, parseLldpText(CISCO_CDP), core.id).map((p) => [p.action, p.type]))
+      .toEqual([['create', 'ap'], ['create', 'firewall']]);
+  });
+
+  it('creates devices and connections with both ports as one undo step', () => {
+    const result = importNeighbors(state, parseLldpText(CISCO_CDP), core.id);
+    expect(result.created).toHaveLength(2);
+    expect(result.connected).toHaveLength(2);
+    expect(new Set(result.connected).size).toBe(2);
+
+    const ap = state.devices.find((d) => d.name === 'AP-LOBBY');
+    expect(ap).toMatchObject({ type: 'ap', ip: '10.0.0.21' });
+    expect(ap.y).toBeGreaterThan(core.y);
+    const conn = state.connections.find((c) => c.to === ap.id);
+    expect(conn).toMatchObject({ from: core.id, fromPort: 'GigabitEthernet1/0/7', toPort: 'GigabitEthernet0' });
+
+    undo(state);
+    expect(state.devices).toEqual([core]);
+    expect(state.connections).toEqual([]);
+  });
+
+  it('refreshes ports on existing links, whichever way round they were drawn', () => {
+    const dist = createDeviceData(state, 'switch', 0, 0);
+    dist.name = 'dist-sw';
+    const conn = addConnection(state, dist.id, 'bottom', core.id, 'top');
+    const result = importNeighbors(state, parseLldpText(LLDPCTL), core.id);
+    expect(result.updated).toEqual([conn.id]);
+    expect(conn.fromPort).toBe('ge-0/0/12');
+    expect(conn.toPort).toBe('eth0');
+  });
+
+  it('keeps one link per local port for LAG members', () => {
+    const dist = createDeviceData(state, 'switch', 0, 200);
+    dist.name = 'dist-sw';
+    const csv = 'Local Device,Local Port,Remote Device,Remote Port,Capabilities\n' +
+      'core-sw,Gi1/0/47,dist-sw,Gi0/1,B\n' +
+      'core-sw,Gi1/0/48,dist-sw,Gi0/2,B\n';
+    const result = importNeighbors(state, parseLldpCsv(csv), null);
+    expect(result.connected).toHaveLength(2);
+    expect(state.connections.map((c) => [c.fromPort, c.toPort])).toEqual([['Gi1/0/47', 'Gi0/1'], ['Gi1/0/48', 'Gi0/2']]);
+
+    // A second run refreshes both links instead of adding more
+    expect(importNeighbors(state, parseLldpCsv(csv), null).updated).toHaveLength(2);
+    expect(state.connections).toHaveLength(2);
+  });
+
+  it('reports a local port that is already cabled to another device', () => {
+    const other = createDeviceData(state, 'server', 0, 200);
+    other.name = 'file-srv';
+    addConnection(state, core.id, 'bottom', other.id, 'top', { fromPort: '1/1/1' });
+    const csv = 'Local Device,Local Port,Remote Device,Remote Port,Capabilities\ncore-sw,1/1/1,access-9,49,B\n';
+    expect(planNeighborImport(state, parseLldpCsv(csv), null)[0].action).toBe('unmatched');
+    const result = importNeighbors(state, parseLldpCsv(csv), null);
+    expect(result.created).toEqual([]);
+    expect(result.unmatched[0].reason).toBe('Port 1/1/1 on core-sw is already connected to file-srv');
+  });
+
+  it('creates wired links whatever the toolbar link type', () => {
+    state.connType = 'wireless';
+    importNeighbors(state, parseLldpText(CISCO_CDP), core.id);
+    expect(state.connections.map((c) => c.type)).toEqual(['wired', 'wired']);
+  });
+
+  it('uses the CSV local device and reports unknown ones', () => {
+    const csv = 'Local Device,Local Port,Remote Device,Remote Port,Capabilities\n' +
+      'core-sw,1/1/1,access-9,49,B\n' +
+      'ghost,1,core-sw,2,B\n';
+    const result = importNeighbors(state, parseLldpCsv(csv), null);
+    expect(result.created).toHaveLength(1);
+    expect(result.unmatched).toHaveLength(1);
+    expect(result.unmatched[0].reason).toMatch(/ghost/);
+  });
+
+  it('needs a source device for CLI output', () => {
+    const result = importNeighbors(state, parseLldpText(ARUBA_OS), null);
+    expect(result.unmatched[0].reason).toMatch(/source device/);
+  });
+});
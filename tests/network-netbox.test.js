@@ -0,0 +1,288 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import {
+  createInitialState,
+  createDeviceData,
+  createZoneData,
+  addConnection,
+  undo,
+  canUndo,
+  clearHistory,
+} from '../js/network-mapper-logic.js';
+import { parseNetboxFiles, guessNetboxType, importNetbox, exportNetbox } from '../js/network-netbox.js';
+
+// ─── Mock API responses ─────────────────────────────────────────────
+
+const page = (results, next = null) => JSON.stringify({ count: results.length, next, previous: null, results });
+
+const site = { id: 1, name: 'HQ', slug: 'hq', status: { value: 'active', label: 'Active' }, facility: '', physical_address: '1 Main St' };
+const ref = (obj) => ({ id: obj.id, name: obj.name });
+
+const SITES = page([site]);
+const RACKS = page([
+  { id: 11, name: 'Closet 2', site: ref(site), u_height: 24, role: null },
+  { id: 10, name: 'Server Room', site: ref(site), u_height: 42, role: { id: 1, name: 'Main' } },
+]);
+
+function apiDevice(id, name, role, model, extra = {}) {
+  return {
+    id,
+    name,
+    device_type: { id: id + 100, manufacturer: { id: 1, name: extra.manufacturer || 'Cisco' }, model },
+    role: { id: 1, name: role, slug: role.toLowerCase() },
+    site: ref(site),
+    rack: extra.rack || null,
+    status: { value: extra.status || 'active', label: '' },
+    primary_ip4: extra.ip ? { id: 1, address: extra.ip } : null,
+    serial: extra.serial || '',
+    platform: extra.platform || null,
+    comments: '',
+  };
+}
+
+const DEVICES = page([
+  apiDevice(1, 'core-sw', 'Core Switch', 'C9300-48P', { rack: { id: 10, name: 'Server Room' }, ip: '10.0.10.2/24', serial: 'FOC123' }),
+  apiDevice(2, 'edge-fw', 'Firewall', 'FortiGate 60F', { rack: { id: 10, name: 'Server Room' }, manufacturer: 'Fortinet' }),
+  apiDevice(3, 'idf-sw', 'Access Switch', 'C9200-24P', { rack: { id: 11, name: 'Closet 2' }, status: 'planned' }),
+  apiDevice(4, 'lobby-ap', 'Wireless', 'MR46', { manufacturer: 'Cisco Meraki', platform: { id: 1, name: 'Meraki' } }),
+  apiDevice(5, 'pdu-1', 'PDU', 'AP7900', { rack: { id: 10, name: 'Server Room' }, manufacturer: 'APC' }),
+]);
+
+const iface = (deviceId, deviceName, name) => ({ object_type: 'dcim.interface', object_id: 1, object: { id: 1, device: { id: deviceId, name: deviceName }, name } });
+
+const CABLES = page([
+  { id: 1, type: 'cat6', label: 'U-1', a_terminations: [iface(1, 'core-sw', 'Gi1/0/1')], b_terminations: [iface(2, 'edge-fw', 'port1')] },
+  { id: 2, type: 'smf', label: '', a_terminations: [iface(1, 'core-sw', 'Te1/1/1')], b_terminations: [iface(3, 'idf-sw', 'Te1/0/1')] },
+  { id: 3, type: 'power', a_terminations: [{ object_type: 'dcim.powerport', object: { device: { id: 1, name: 'core-sw' }, name: 'PS1' } }], b_terminations: [{ object_type: 'dcim.poweroutlet', object: { device: { id: 5, name: 'pdu-1' }, name: '1' } }] },
+  // NetBox before 3.3
+  { id: 4, type: 'cat6', termination_a_type: 'dcim.interface', termination_a: { device: { id: 3, name: 'idf-sw' }, name: 'Gi1/0/24' }, termination_b_type: 'dcim.interface', termination_b: { device: { id: 4, name: 'lobby-ap' }, name: 'eth0' } },
+  { id: 5, type: 'cat6', termination_a_type: 'circuits.circuittermination', termination_a: { circuit: { cid: 'ISP-1' } }, termination_b_type: 'dcim.interface', termination_b: { device: { id: 2, name: 'edge-fw' }, name: 'wan1' } },
+]);
+
+const VLANS = page([
+  { id: 1, vid: 10, name: 'Staff', site: ref(site) },
+  { id: 2, vid: 20, name: 'Guest', site: ref(site) },
+  { id: 3, vid: 20, name: 'Guest-Branch', site: null },
+]);
+
+const PREFIXES = page([
+  { id: 1, prefix: '10.0.10.0/24', vlan: { id: 1, vid: 10, name: 'Staff' }, description: 'Gateway 10.0.10.1' },
+  { id: 2, prefix: '10.0.0.0/16', vlan: null },
+]);
+
+const FILES = [
+  { name: 'sites.json', text: SITES },
+  { name: 'racks.json', text: RACKS },
+  { name: 'devices.json', text: DEVICES },
+  { name: 'cables.json', text: CABLES },
+  { name: 'vlans.json', text: VLANS },
+  { name: 'prefixes.json', text: PREFIXES },
+];
+
+// ─── Helpers ────────────────────────────────────────────────────────
+
+let state;
+
+beforeEach(() => {
+  state = createInitialState();
+  state.vlans = [];
+});
+
+const named = (name) => state.devices.find((d) => d.name === name);
+const zoneNamed = (name) => state.zones.find((z) => z.name === name);
+
+// ─── Parsing ────────────────────────────────────────────────────────
+
+describe('parseNetboxFiles', () => {
+  it('sorts API pages by what they hold', () => {
+    const { data, warnings } = parseNetboxFiles(FILES);
+    expect(warnings).toEqual([]);
+    expect(Object.fromEntries(Object.entries(data).map(([k, v]) => [k, v.length]))).toEqual({
+      sites: 1, racks: 2, devices: 5, cables: 5, vlans: 3, prefixes: 2, ipAddresses: 0,
+    });
+  });
+
+  it('reports files it cannot use', () => {
+    const { warnings } = parseNetboxFiles([
+      { name: 'broken.json', text: '{ nope' },
+      { name: 'page1.json', text: page([{ id: 1, vid: 5, name: 'x' }], 'https://netbox/api/ipam/vlans/?offset=50') },
+      { name: 'tenants.json', text: page([{ id: 1, group: null }]) },
+      { name: 'other.json', text: '{"hello": 1}' },
+    ]);
+    expect(warnings).toEqual([
+      'broken.json is not valid JSON',
+      'page1.json is one page of a longer list; save the other pages too (or use ?limit=0)',
+      'tenants.json has no NetBox sites, racks, devices, cables, VLANs or prefixes',
+      'other.json is not a NetBox export',
+    ]);
+  });
+});
+
+describe('guessNetboxType', () => {
+  it('reads the role first, then the model and name', () => {
+    expect(guessNetboxType('Access Point', '', '')).toBe('ap');
+    expect(guessNetboxType('Core Switch', '', '')).toBe('switch');
+    expect(guessNetboxType('Network', 'FortiGate 60F', '')).toBe('firewall');
+    expect(guessNetboxType('', '', 'lobby-printer')).toBe('printer');
+    expect(guessNetboxType('PDU', 'AP7900', 'pdu-1')).toBe('otherendpoint');
+  });
+});
+
+// ─── Import ─────────────────────────────────────────────────────────
+
+describe('importNetbox', () => {
+  it('builds sites, racks, devices, cables and VLANs', () => {
+    const result = importNetbox(state, parseNetboxFiles(FILES).data, { origin: { x: 4000, y: 4000 } });
+
+    expect(result.added).toEqual({ devices: 5, connections: 3, zones: 3, vlans: 2 });
+    expect(result.warnings).toEqual([
+      'VLAN 20 appears more than once; kept Guest',
+      'Cable 5 does not join two devices in the import and was skipped',
+      '1 power cable(s) were skipped',
+    ]);
+
+    const hq = zoneNamed('HQ');
+    expect(hq).toMatchObject({ type: 'onprem', location: '1 Main St' });
+    expect(zoneNamed('Server Room')).toMatchObject({ type: 'mdf', parentZoneId: hq.id });
+    expect(zoneNamed('Closet 2')).toMatchObject({ type: 'idf', parentZoneId: hq.id, connectedMDF: zoneNamed('Server Room').id });
+
+    expect(named('core-sw')).toMatchObject({
+      type: 'switch', ip: '10.0.10.2', manufacturer: 'Cisco', model: 'C9300-48P', serial: 'FOC123', zoneId: zoneNamed('Server Room').id,
+    });
+    expect(named('edge-fw').type).toBe('firewall');
+    expect(named('idf-sw')).toMatchObject({ status: 'warning', zoneId: zoneNamed('Closet 2').id });
+    expect(named('lobby-ap')).toMatchObject({ type: 'ap', os: 'Meraki', zoneId: hq.id });
+
+    const link = (a, b) => state.connections.find((c) => c.from === named(a).id && c.to === named(b).id);
+    expect(link('core-sw', 'edge-fw')).toMatchObject({ fromPort: 'Gi1/0/1', toPort: 'port1', media: 'copper', label: 'U-1' });
+    expect(link('core-sw', 'idf-sw').media).toBe('fiber-sm');
+    expect(link('idf-sw', 'lobby-ap').toPort).toBe('eth0');
+
+    expect(state.vlans).toEqual([
+      { id: 10, name: 'Staff', subnet: '10.0.10.0/24', gateway: '10.0.10.1' },
+      { id: 20, name: 'Guest', subnet: '', gateway: '' },
+    ]);
+  });
+
+  it('undoes the whole import as one step', () => {
+    importNetbox(state, parseNetboxFiles(FILES).data);
+    undo(state);
+    expect(state.devices).toEqual([]);
+    expect(state.zones).toEqual([]);
+    expect(state.connections).toEqual([]);
+    expect(canUndo(state)).toBe(false);
+  });
+
+  it('updates what is already on the map instead of duplicating it', () => {
+    const { data } = parseNetboxFiles(FILES);
+    importNetbox(state, data);
+    named('core-sw').serial = '';
+    clearHistory(state);
+
+    const again = importNetbox(state, data);
+    expect(again.added).toEqual({ devices: 0, connections: 0, zones: 0, vlans: 0 });
+    expect(again.updated.devices).toBe(1);
+    expect(named('core-sw').serial).toBe('FOC123');
+    expect(state.devices).toHaveLength(5);
+  });
+
+  it('gives new items ids that are not already taken', () => {
+    const now = vi.spyOn(Date, 'now').mockReturnValue(1000);
+    state.zones.push({ id: 'zone1000_1', type: 'onprem', name: 'Old', x: -900, y: -900, width: 10, height: 10 });
+    state.devices.push({ id: 'dev1000_1', type: 'desktop', name: 'Old', x: -900, y: -900 });
+    state.connections.push({ id: 'conn1000_0', from: 'dev1000_1', to: 'dev1000_1' });
+    importNetbox(state, parseNetboxFiles(FILES).data);
+    now.mockRestore();
+
+    const ids = [...state.devices, ...state.zones, ...state.connections].map((item) => item.id);
+    expect(new Set(ids).size).toBe(ids.length);
+  });
+
+  it('places new devices of an existing rack outside the import', () => {
+    const room = createZoneData(state, 'mdf', 0, 0);
+    room.name = 'Server Room';
+    const fw = createDeviceData(state, 'firewall', 20, 40);
+    fw.name = 'edge-fw';
+    clearHistory(state);
+
+    const result = importNetbox(state, parseNetboxFiles(FILES).data);
+    expect(result.added.zones).toBe(2);
+    expect(result.updated.devices).toBe(1);
+    expect(state.zones.filter((z) => z.name === 'Server Room')).toHaveLength(1);
+    expect(named('edge-fw')).toBe(fw);
+  });
+});
+
+// ─── Export ─────────────────────────────────────────────────────────
+
+describe('exportNetbox', () => {
+  function buildMap() {
+    const hq = createZoneData(state, 'onprem', 0, 0);
+    hq.name = 'HQ';
+    hq.width = 1000;
+    hq.height = 600;
+    hq.location = '1 Main St';
+    const mdf = createZoneData(state, 'mdf', 20, 40);
+    mdf.width = 400;
+    mdf.height = 300;
+    state.vlans = [{ id: 10, name: 'Staff', subnet: '10.0.10.0/24', gateway: '10.0.10.1' }];
+    const sw = createDeviceData(state, 'switch', 60, 100);
+    sw.name = 'core-sw';
+    sw.ip = '10.0.10.2';
+    sw.vlan = 10;
+    sw.manufacturer = 'Cisco';
+    sw.model = 'C9300';
+    const ap = createDeviceData(state, 'ap', 600, 300);
+    ap.name = 'lobby-ap';
+    ap.status = 'warning';
+    const laptop = createDeviceData(state, 'laptop', 2000, 2000);
+    addConnection(state, sw.id, 'bottom', ap.id, 'top', { fromPort: 'Gi1/0/1', media: 'copper', speed: '1G' });
+    state.connType = 'wireless';
+    addConnection(state, ap.id, 'bottom', laptop.id, 'top');
+    return { sw, ap, laptop };
+  }
+
+  it('writes bulk import rows for each endpoint', () => {
+    const { laptop } = buildMap();
+    const out = exportNetbox(state, { siteName: 'Branch' });
+
+    expect(out['dcim/sites']).toEqual([
+      { name: 'HQ', slug: 'hq', status: 'active', physical_address: '1 Main St' },
+      { name: 'Branch', slug: 'branch', status: 'active' },
+    ]);
+    expect(out['dcim/racks']).toEqual([{ site: 'HQ', name: 'MDF 2', status: 'active' }]);
+    expect(out['dcim/devices']).toEqual([
+      { name: 'core-sw', role: 'Switch', manufacturer: 'Cisco', device_type: 'C9300', site: 'HQ', rack: 'MDF 2', status: 'active' },
+      { name: 'lobby-ap', role: 'Access Point', manufacturer: 'Generic', device_type: 'Access Point', site: 'HQ', status: 'staged' },
+      { name: laptop.name, role: 'Laptop', manufacturer: 'Generic', device_type: 'Laptop', site: 'Branch', status: 'active' },
+    ]);
+    expect(out['dcim/interfaces']).toEqual([
+      { device: 'core-sw', name: 'mgmt0', type: 'virtual', mgmt_only: true },
+      { device: 'core-sw', name: 'Gi1/0/1', type: '1000base-t' },
+      { device: 'lobby-ap', name: 'eth1', type: '1000base-t' },
+    ]);
+    expect(out['ipam/ip-addresses']).toEqual([
+      { address: '10.0.10.2/24', status: 'active', device: 'core-sw', interface: 'mgmt0', is_primary: true },
+    ]);
+    expect(out['ipam/prefixes']).toEqual([{ prefix: '10.0.10.0/24', status: 'active', vlan_vid: 10, description: 'Gateway 10.0.10.1' }]);
+    expect(out['dcim/cables']).toEqual([{
+      side_a_device: 'core-sw', side_a_type: 'dcim.interface', side_a_name: 'Gi1/0/1',
+      side_b_device: 'lobby-ap', side_b_type: 'dcim.interface', side_b_name: 'eth1',
+      status: 'connected', type: 'cat6',
+    }]);
+  });
+
+  it('loads back into an empty map', () => {
+    buildMap();
+    const file = { name: 'netbox.json', text: JSON.stringify(exportNetbox(state)) };
+    const copy = createInitialState();
+    copy.vlans = [];
+    const result = importNetbox(copy, parseNetboxFiles([file]).data);
+
+    expect(result.warnings).toEqual([]);
+    expect(result.added).toEqual({ devices: 3, connections: 1, zones: 3, vlans: 1 });
+    const strip = ({ name, type, ip, manufacturer, status }) => ({ name, type, ip, manufacturer, status });
+    expect(copy.devices.map(strip)).toEqual(state.devices.map((d) => strip({ ...d, manufacturer: d.manufacturer || 'Generic' })));
+    expect(copy.vlans).toEqual(state.vlans);
+    expect(copy.zones.map((z) => [z.type, z.name]).sort()).toEqual([['mdf', 'MDF 2'], ['onprem', 'Default Site'], ['onprem', 'HQ']]);
+  });
+});
@@ -0,0 +1,144 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import {
+  createInitialState,
+  createDeviceData,
+  exportStateToJson,
+} from '../js/network-mapper-logic.js';
+import {
+  createProject,
+  addSite,
+  updateSite,
+  renameSite,
+  removeSite,
+  addSiteLink,
+  removeSiteLink,
+  getSiteLinks,
+  isMultiSiteFile,
+  exportProjectToJson,
+  validateMultiSiteProject,
+  buildWanOverview,
+  exportWanOverviewSvg,
+} from '../js/network-project.js';
+
+// One saved site with a firewall, as the pages store it
+function siteData(siteName, deviceName) {
+  const state = createInitialState();
+  const fw = createDeviceData(state, 'firewall', 4000, 4000);
+  fw.name = deviceName;
+  return { data: exportStateToJson(state, 'Acme', siteName), fw };
+}
+
+let project, hq, branch, hqFw, branchFw;
+
+beforeEach(() => {
+  project = createProject('Acme');
+  const a = siteData('HQ', 'HQ-FW');
+  const b = siteData('Branch', 'BR-FW');
+  hq = addSite(project, 'HQ', a.data);
+  branch = addSite(project, 'Branch', b.data);
+  hqFw = a.fw;
+  branchFw = b.fw;
+});
+
+describe('sites', () => {
+  it('activates the first site and numbers the rest', () => {
+    expect(project.activeSiteId).toBe('site1');
+    expect(addSite(project, '').name).toBe('Site 3');
+  });
+
+  it('renames a site and its saved data together', () => {
+    expect(renameSite(project, branch.id, '  Warehouse ')).toBe(true);
+    expect(branch.data.siteName).toBe('Warehouse');
+    expect(renameSite(project, branch.id, ' ')).toBe(false);
+    updateSite(project, hq.id, { ...hq.data, siteName: 'Head Office' });
+    expect(hq.name).toBe('Head Office');
+  });
+
+  it('keeps the last site and drops links with a removed one', () => {
+    addSiteLink(project, { siteId: hq.id, deviceId: hqFw.id }, { siteId: branch.id, deviceId: branchFw.id });
+    project.activeSiteId = branch.id;
+    expect(removeSite(project, branch.id)).toBe(true);
+    expect(project.siteLinks).toEqual([]);
+    expect(project.activeSiteId).toBe(hq.id);
+    expect(removeSite(project, hq.id)).toBe(false);
+  });
+});
+
+describe('site links', () => {
+  it('links devices in different sites once', () => {
+    const from = { siteId: hq.id, deviceId: hqFw.id };
+    const to = { siteId: branch.id, deviceId: branchFw.id };
+    const link = addSiteLink(project, from, to, { label: 'IPsec' });
+    expect(link).toMatchObject({ id: 'sitelink1', type: 'vpn', label: 'IPsec' });
+    expect(addSiteLink(project, to, from)).toBeNull();
+    expect(addSiteLink(project, from, { siteId: hq.id, deviceId: hqFw.id })).toBeNull();
+    expect(addSiteLink(project, from, { siteId: branch.id, deviceId: 'missing' })).toBeNull();
+  });
+
+  it('describes links from either side', () => {
+    addSiteLink(project, { siteId: hq.id, deviceId: hqFw.id }, { siteId: branch.id, deviceId: branchFw.id });
+    const [row] = getSiteLinks(project, branch.id);
+    expect(row.device.name).toBe('BR-FW');
+    expect(row.remoteSite.name).toBe('HQ');
+    expect(row.remoteDevice.name).toBe('HQ-FW');
+    expect(removeSiteLink(project, row.id)).toBe(true);
+    expect(getSiteLinks(project, hq.id)).toEqual([]);
+  });
+});
+
+describe('validateMultiSiteProject', () => {
+  it('round-trips a saved project and continues its numbering', () => {
+    addSiteLink(project, { siteId: hq.id, deviceId: hqFw.id }, { siteId: branch.id, deviceId: branchFw.id });
+    const saved = JSON.parse(JSON.stringify(exportProjectToJson(project)));
+    expect(isMultiSiteFile(saved)).toBe(true);
+    expect(isMultiSiteFile(hq.data)).toBe(false);
+
+    const result = validateMultiSiteProject(saved);
+    expect(result.valid).toBe(true);
+    expect(result.project.sites.map((s) => s.name)).toEqual(['HQ', 'Branch']);
+    expect(result.project.siteLinks).toHaveLength(1);
+    expect(addSite(result.project, 'New').id).toBe('site3');
+  });
+
+  it('skips unreadable sites and dangling links with warnings', () => {
+    const saved = exportProjectToJson(project);
+    saved.sites.push({ id: 'site9', name: 'Broken', data: { devices: 'nope' } });
+    saved.siteLinks = [{ id: 'sitelink1', from: { siteId: hq.id, deviceId: hqFw.id }, to: { siteId: 'site9', deviceId: 'x' } }];
+    saved.activeSiteId = 'site9';
+    const result = validateMultiSiteProject(saved);
+    expect(result.project.sites).toHaveLength(2);
+    expect(result.project.activeSiteId).toBe(hq.id);
+    expect(result.warnings).toHaveLength(2);
+    expect(result.warnings[0]).toContain('Site "Broken" could not be read');
+  });
+
+  it('rejects files from a newer version or without sites', () => {
+    expect(validateMultiSiteProject({ projectVersion: 99, sites: [] }).errors[0]).toContain('newer version');
+    expect(validateMultiSiteProject({ projectVersion: 1, sites: [] }).errors).toEqual(['Project has no readable sites']);
+    expect(validateMultiSiteProject({ devices: [] }).valid).toBe(false);
+  });
+});
+
+describe('WAN overview', () => {
+  it('collapses sites to nodes and merges links between the same pair', () => {
+    const hqSw = createDeviceData({ ...createInitialState(), devices: hq.data.devices }, 'switch', 0, 0);
+    hqSw.id = 'hq-switch';
+    addSiteLink(project, { siteId: hq.id, deviceId: hqFw.id }, { siteId: branch.id, deviceId: branchFw.id });
+    addSiteLink(project, { siteId: branch.id, deviceId: branchFw.id }, { siteId: hq.id, deviceId: hqSw.id });
+
+    const { nodes, edges } = buildWanOverview(project);
+    expect(nodes.map((n) => [n.name, n.devices])).toEqual([['HQ', 2], ['Branch', 1]]);
+    expect(edges).toHaveLength(1);
+    expect(edges[0]).toMatchObject({ from: hq.id, to: branch.id });
+    expect(edges[0].links.map((l) => `${l.fromDevice}>${l.toDevice}`)).toEqual(['HQ-FW>BR-FW', `${hqSw.name}>BR-FW`]);
+  });
+
+  it('draws a standalone SVG', () => {
+    addSiteLink(project, { siteId: hq.id, deviceId: hqFw.id }, { siteId: branch.id, deviceId: branchFw.id }, { label: 'A&B' });
+    const svg = exportWanOverviewSvg(project, { title: 'Acme WAN' });
+    expect(svg.startsWith('<svg xmlns="http://www.w3.org/2000/svg"')).toBe(true);
+    expect(svg).toContain('>A&amp;B</text>');
+    expect(svg).toContain('>Acme WAN</text>');
+    expect(svg.match(/<rect x=/g)).toHaveLength(2);
+  });
+});
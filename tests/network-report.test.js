@@ -0,0 +1,102 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import {
+  types,
+  createInitialState,
+  createDeviceData,
+  createZoneData,
+  addConnection,
+  addVlan,
+  addSSID,
+} from '../js/network-mapper-logic.js';
+import { buildSiteReport, renderReportBody, renderReportHtml } from '../js/network-report.js';
+
+let state;
+let sw, ap, host, ups;
+
+beforeEach(() => {
+  state = createInitialState();
+  state.vlans = [];
+  state.ssids = [];
+  addVlan(state, 10, 'Data', '10.0.10.0/24', '10.0.10.1');
+  addVlan(state, 20, 'Voice', '10.0.20.0/24', '10.0.20.1');
+  addSSID(state, 'Corp', 'WPA3', 10);
+  ups = createZoneData(state, 'ups', 4000, 4000);
+  ups.name = 'Rack UPS';
+  ups.capacity = 1500;
+  ups.runtime = 12;
+  sw = createDeviceData(state, 'switch', 4040, 4040);
+  sw.name = 'Core SW';
+  sw.ip = '10.0.10.2';
+  sw.vlan = 10;
+  sw.assignedVlans = [10, 20];
+  sw.portMap = [
+    { number: 2, description: '', accessVlan: 20, taggedVlans: [], poe: false },
+    { number: 1, description: 'Uplink', accessVlan: 10, taggedVlans: [20], poe: false },
+    { number: 3, description: '', accessVlan: null, taggedVlans: [], poe: true },
+  ];
+  ap = createDeviceData(state, 'ap', 5000, 5000);
+  ap.name = 'AP Lobby';
+  ap.ssids = ['Corp'];
+  host = createDeviceData(state, 'vmhost', 5200, 5000);
+  host.name = 'ESX1';
+  host.vms = [{ name: 'DC01', status: 'online' }, { name: 'Old', status: 'offline' }];
+  host.notes = 'Warranty ends <2027>';
+  addConnection(state, sw.id, 'right', ap.id, 'left', { fromPort: '1', speed: '1G' });
+});
+
+const section = (report, id) => report.sections.find((s) => s.id === id);
+
+describe('buildSiteReport', () => {
+  it('covers every part of the site in a fixed order', () => {
+    const report = buildSiteReport(state, { siteName: 'HQ', date: '2026-01-01' });
+    expect(report.sections.map((s) => s.id)).toEqual([
+      'config', 'vlans', 'ssids', 'switches', 'aps', 'vmhosts', 'ups', 'devices', 'connections', 'notes',
+    ]);
+    expect(report.title).toBe('Site Documentation');
+    expect(report.summary[0]).toEqual(['Devices', '3 devices']);
+  });
+
+  it('lists switch VLANs and configured ports', () => {
+    const row = section(buildSiteReport(state), 'switches').rows[0];
+    expect(row[0]).toBe('Core SW');
+    expect(row[3]).toBe('10 - Data, 20 - Voice');
+    expect(row[4]).toBe('1: access 10, tagged 20 (Uplink); 2: access 20');
+  });
+
+  it('ties SSIDs, APs, VMs and UPS zones to their devices', () => {
+    const report = buildSiteReport(state);
+    expect(section(report, 'ssids').rows).toEqual([['Corp', 'WPA3', '10 - Data', 'AP Lobby']]);
+    expect(section(report, 'aps').rows[0][4]).toBe('Core SW');
+    expect(section(report, 'vmhosts').rows[0][3]).toBe('DC01 (Online), Old (Offline)');
+    expect(section(report, 'ups').rows[0]).toEqual(['Rack UPS', '', '1500', '12', '', 'Core SW']);
+    expect(section(report, 'notes').rows).toEqual([['ESX1', 'VM Host', 'Warranty ends <2027>']]);
+  });
+
+  it('adds site-to-site VPNs and page device types when given', () => {
+    const vpn = createDeviceData(state, 'switch', 6000, 6000);
+    vpn.type = 'vpn';
+    const report = buildSiteReport(state, {
+      deviceTypes: { ...types, vpn: { name: 'VPN Gateway' } },
+      siteLinks: [{ device: 'FW', remoteSite: 'Branch', remoteDevice: 'FW2', label: 'IPsec' }],
+    });
+    expect(section(report, 'sitelinks').rows).toEqual([['FW', 'Branch', 'FW2', 'IPsec']]);
+    expect(section(report, 'devices').rows.find((r) => r[0] === vpn.name)[1]).toBe('VPN Gateway');
+  });
+});
+
+describe('renderReportHtml', () => {
+  it('escapes content and shows empty sections as a note', () => {
+    state.devices = state.devices.filter((d) => d.type !== 'switch');
+    const body = renderReportBody(buildSiteReport(state, { clientName: 'A & B' }));
+    expect(body).toContain('Client: A &amp; B');
+    expect(body).toContain('<td>Warranty ends &lt;2027&gt;</td>');
+    expect(body).toContain('<section id="switches"><h2>Switch VLAN Assignments</h2><p class="empty">No switches on the map.</p>');
+  });
+
+  it('writes a standalone document with the styles inline', () => {
+    const html = renderReportHtml(buildSiteReport(state, { siteName: 'HQ' }));
+    expect(html.startsWith('<!DOCTYPE html>')).toBe(true);
+    expect(html).toContain('<title>Site Documentation - HQ</title>');
+    expect(html).toContain('.site-report table');
+  });
+});
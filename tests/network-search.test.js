@@ -0,0 +1,126 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import {
+  createInitialState,
+  createDeviceData,
+  createZoneData,
+} from '../js/network-mapper-logic.js';
+import {
+  parseSearchQuery,
+  searchDevices,
+  focusView,
+  FOCUS_ZOOM,
+} from '../js/network-search.js';
+
+let state, cam, sw, host, pc;
+
+beforeEach(() => {
+  state = createInitialState();
+  const zone = createZoneData(state, 'idf', 0, 0);
+  zone.name = 'Warehouse IDF';
+  zone.width = 600;
+  zone.height = 400;
+  cam = createDeviceData(state, 'camera', 100, 100);
+  Object.assign(cam, { name: 'Dock Cam', ip: '192.168.20.31', vlan: '20', status: 'offline', manufacturer: 'Axis', model: 'P3265' });
+  sw = createDeviceData(state, 'switch', 300, 100);
+  Object.assign(sw, { name: 'Core Switch', ip: '192.168.10.2', mac: 'AA:BB:CC:00:11:22', vlan: '10', manufacturer: 'Cisco', serial: 'FOC1234' });
+  host = createDeviceData(state, 'vmhost', 1000, 1000);
+  Object.assign(host, { name: 'ESX1', ip: '192.168.20.5', vlan: '20', notes: 'Rack B, lower half' });
+  host.vms = [{ name: 'web01', status: 'online' }, { name: 'sql01', status: 'online' }];
+  pc = createDeviceData(state, 'vm', 1200, 1000);
+  pc.name = 'Jump VM';
+});
+
+const names = (text) => searchDevices(state, text).results.map((r) => r.device.name);
+
+describe('parseSearchQuery', () => {
+  it('splits terms, filters, quoted phrases and exclusions', () => {
+    expect(parseSearchQuery('Core type:camera -status:"online" "dock cam" mfg:Axis')).toEqual({
+      terms: ['core', 'dock cam'],
+      excluded: [],
+      filters: [
+        { key: 'type', value: 'camera', negate: false },
+        { key: 'status', value: 'online', negate: true },
+        { key: 'manufacturer', value: 'axis', negate: false },
+      ],
+      warnings: [],
+    });
+  });
+
+  it('searches unknown keys as text with a warning', () => {
+    const query = parseSearchQuery('rack:b');
+    expect(query.terms).toEqual(['rack:b']);
+    expect(query.warnings).toEqual(['Unknown filter "rack:" searched as text']);
+  });
+
+  it('keeps "-word" terms apart as exclusions', () => {
+    const query = parseSearchQuery('switch -printer -"dock cam" -rack:b');
+    expect(query.terms).toEqual(['switch']);
+    expect(query.excluded).toEqual(['printer', 'dock cam', 'rack:b']);
+  });
+
+  it('ignores a bare "-"', () => {
+    expect(parseSearchQuery('core - -')).toMatchObject({ terms: ['core'], excluded: [] });
+    expect(searchDevices(state, '-')).toEqual({ active: false, results: [], warnings: [] });
+  });
+});
+
+describe('searchDevices', () => {
+  it('is inactive for a blank search', () => {
+    expect(searchDevices(state, '   ')).toEqual({ active: false, results: [], warnings: [] });
+  });
+
+  it('matches free text across fields and reports where it hit', () => {
+    expect(names('core')).toEqual(['Core Switch']);
+    expect(names('p3265')).toEqual(['Dock Cam']);
+    expect(names('foc12')).toEqual(['Core Switch']);
+    expect(names('rack b')).toEqual(['ESX1']);
+    const [result] = searchDevices(state, 'sql').results;
+    expect(result.device).toBe(host);
+    expect(result.hits).toEqual([{ field: 'VM', value: 'sql01' }]);
+  });
+
+  it('matches MACs with any separators', () => {
+    expect(names('aabbcc')).toEqual(['Core Switch']);
+    expect(names('aa-bb-cc-00')).toEqual(['Core Switch']);
+    expect(names('mac:aabb.cc00')).toEqual(['Core Switch']);
+  });
+
+  it('combines structured filters', () => {
+    expect(names('type:camera vlan:20 status:offline')).toEqual(['Dock Cam']);
+    expect(names('vlan:20')).toEqual(['Dock Cam', 'ESX1']);
+    expect(names('vlan:servers')).toEqual(['Dock Cam', 'ESX1']);
+    expect(names('vlan:20 -type:camera')).toEqual(['ESX1']);
+    expect(names('ip:192.168.10.')).toEqual(['Core Switch']);
+    expect(names('ip:192.168.20.0/27')).toEqual(['ESX1']);
+    expect(names('zone:warehouse')).toEqual(['Dock Cam', 'Core Switch']);
+    expect(names('vm:web')).toEqual(['ESX1']);
+  });
+
+  it('leaves out devices an excluded term hits', () => {
+    const printer = createDeviceData(state, 'printer', 1400, 1000);
+    printer.name = 'Front Printer';
+    expect(names('-printer')).toEqual(['Dock Cam', 'Core Switch', 'ESX1', 'Jump VM']);
+    expect(names('192.168 -cisco')).toEqual(['Dock Cam', 'ESX1']);
+    expect(names('-sql')).not.toContain('ESX1');
+  });
+
+  it('prefers an exact type key over type names', () => {
+    expect(names('type:vm')).toEqual(['Jump VM']);
+    expect(names('type:"vm host"')).toEqual(['ESX1']);
+    expect(names('type:security')).toEqual(['Dock Cam']);
+  });
+});
+
+describe('focusView', () => {
+  it('centres the device and zooms in', () => {
+    const view = focusView(cam, { zoom: 1, panX: 0, panY: 0 }, { width: 800, height: 600 });
+    expect(view.zoom).toBe(FOCUS_ZOOM);
+    // The device centre lands in the middle of the viewport
+    expect(view.panX + view.zoom * (cam.x + 60 - 4000)).toBeCloseTo(400);
+    expect(view.panY + view.zoom * (cam.y + 50 - 4000)).toBeCloseTo(300);
+  });
+
+  it('keeps a closer zoom', () => {
+    expect(focusView(cam, { zoom: 2, panX: 0, panY: 0 }, { width: 800, height: 600 }).zoom).toBe(2);
+  });
+});
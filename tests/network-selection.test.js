@@ -0,0 +1,206 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import {
+  createInitialState,
+  createDeviceData,
+  createZoneData,
+  addConnection,
+  undo,
+  canUndo,
+} from '../js/network-mapper-logic.js';
+import {
+  normalizeRect,
+  devicesInRect,
+  toggleInSelection,
+  moveDevices,
+  alignDevices,
+  distributeDevices,
+  updateDevicesProperty,
+  deleteDevices,
+  copyDevices,
+  nextFreeName,
+  pasteDevices,
+  duplicateDevices,
+} from '../js/network-selection.js';
+
+let state;
+
+beforeEach(() => {
+  state = createInitialState();
+});
+
+const undoSteps = () => state.history.undoStack.length;
+
+describe('selecting', () => {
+  it('finds devices the marquee touches, dragged in any direction', () => {
+    const a = createDeviceData(state, 'desktop', 0, 0);
+    const b = createDeviceData(state, 'desktop', 200, 0);
+    createDeviceData(state, 'desktop', 600, 600);
+    const rect = normalizeRect(300, 150, 100, 50);
+    expect(rect).toEqual({ x: 100, y: 50, width: 200, height: 100 });
+    expect(devicesInRect(state.devices, rect)).toEqual([a.id, b.id]);
+    expect(devicesInRect(state.devices, normalizeRect(130, 0, 190, 20))).toEqual([]);
+  });
+
+  it('toggles ids for shift-click', () => {
+    expect(toggleInSelection(['a'], 'b')).toEqual(['a', 'b']);
+    expect(toggleInSelection(['a', 'b'], 'a')).toEqual(['b']);
+  });
+});
+
+describe('moveDevices', () => {
+  it('moves a group as one undo step and updates zone membership', () => {
+    const zone = createZoneData(state, 'mdf', 400, 0);
+    zone.width = 400;
+    zone.height = 300;
+    const a = createDeviceData(state, 'switch', 0, 0);
+    const b = createDeviceData(state, 'server', 0, 120);
+    const steps = undoSteps();
+
+    expect(moveDevices(state, [a.id, b.id], 500, 20)).toBe(2);
+    expect([a.x, a.y, b.x, b.y]).toEqual([500, 20, 500, 140]);
+    expect(a.zoneId).toBe(zone.id);
+    expect(undoSteps()).toBe(steps + 1);
+
+    undo(state);
+    expect([a.x, a.y, b.x, b.y]).toEqual([0, 0, 0, 120]);
+    expect(a.zoneId).toBe('');
+  });
+});
+
+describe('alignDevices / distributeDevices', () => {
+  let a, b, c;
+
+  beforeEach(() => {
+    a = createDeviceData(state, 'desktop', 0, 40);
+    b = createDeviceData(state, 'desktop', 300, 0);
+    c = createDeviceData(state, 'desktop', 100, 200);
+  });
+
+  it('aligns on the left, right and top edges', () => {
+    alignDevices(state, [a.id, b.id, c.id], 'left');
+    expect([a.x, b.x, c.x]).toEqual([0, 0, 0]);
+    undo(state);
+    alignDevices(state, [a.id, b.id, c.id], 'right');
+    expect([a.x, b.x, c.x]).toEqual([300, 300, 300]);
+    alignDevices(state, [a.id, b.id, c.id], 'top');
+    expect([a.y, b.y, c.y]).toEqual([0, 0, 0]);
+  });
+
+  it('aligns on the centre line and snaps when asked', () => {
+    alignDevices(state, [a.id, b.id], 'center');
+    expect([a.x, b.x]).toEqual([150, 150]);
+    undo(state);
+    alignDevices(state, [a.id, b.id], 'middle', { snap: true });
+    expect([a.y, b.y]).toEqual([20, 20]);
+  });
+
+  it('needs two devices to align and three to distribute', () => {
+    expect(alignDevices(state, [a.id], 'left')).toBe(0);
+    expect(alignDevices(state, [a.id, b.id], 'diagonal')).toBe(0);
+    expect(distributeDevices(state, [a.id, b.id], 'horizontal')).toBe(0);
+  });
+
+  it('spaces devices evenly between the outermost two', () => {
+    const d = createDeviceData(state, 'desktop', 120, 0);
+    expect(distributeDevices(state, [a.id, b.id, c.id, d.id], 'horizontal')).toBe(1);
+    expect([a.x, c.x, d.x, b.x]).toEqual([0, 100, 200, 300]);
+    distributeDevices(state, [a.id, b.id, c.id], 'vertical');
+    expect([b.y, a.y, c.y]).toEqual([0, 100, 200]);
+  });
+});
+
+describe('updateDevicesProperty / deleteDevices', () => {
+  it('edits status, VLAN and manufacturer across the selection in one step', () => {
+    const a = createDeviceData(state, 'switch', 0, 0);
+    const b = createDeviceData(state, 'switch', 200, 0);
+    b.status = 'offline';
+    const steps = undoSteps();
+
+    expect(updateDevicesProperty(state, [a.id, b.id], 'status', 'offline')).toBe(1);
+    expect(updateDevicesProperty(state, [a.id, b.id], 'vlan', '10')).toBe(2);
+    expect(updateDevicesProperty(state, [a.id, b.id], 'manufacturer', 'Ubiquiti')).toBe(2);
+    expect(undoSteps()).toBe(steps + 3);
+    expect([a.status, b.vlan, a.manufacturer]).toEqual(['offline', '10', 'Ubiquiti']);
+
+    undo(state);
+    expect(a.manufacturer).toBe('');
+    expect(updateDevicesProperty(state, [a.id], 'status', 'broken')).toBe(0);
+    expect(updateDevicesProperty(state, [a.id], 'name', 'X')).toBe(0);
+  });
+
+  it('deletes devices with their connections as one step', () => {
+    const a = createDeviceData(state, 'switch', 0, 0);
+    const b = createDeviceData(state, 'desktop', 0, 200);
+    const c = createDeviceData(state, 'desktop', 200, 200);
+    addConnection(state, a.id, 'bottom', b.id, 'top');
+    addConnection(state, a.id, 'bottom', c.id, 'top');
+
+    expect(deleteDevices(state, [a.id, b.id])).toBe(2);
+    expect(state.devices.map((d) => d.id)).toEqual([c.id]);
+    expect(state.connections).toHaveLength(0);
+    undo(state);
+    expect(state.devices).toHaveLength(3);
+    expect(state.connections).toHaveLength(2);
+  });
+});
+
+describe('copy and paste', () => {
+  it('numbers names past the ones already used', () => {
+    const taken = new Set(['Switch 3', 'Switch 4', 'Core']);
+    expect(nextFreeName('Switch 3', taken)).toBe('Switch 5');
+    expect(nextFreeName('Core', taken)).toBe('Core 2');
+  });
+
+  it('copies only the connections inside the selection', () => {
+    const a = createDeviceData(state, 'switch', 0, 0);
+    const b = createDeviceData(state, 'desktop', 0, 200);
+    const c = createDeviceData(state, 'desktop', 200, 200);
+    addConnection(state, a.id, 'bottom', b.id, 'top');
+    addConnection(state, a.id, 'bottom', c.id, 'top');
+    const clipboard = copyDevices(state, [a.id, b.id]);
+    expect(clipboard.devices.map((d) => d.id)).toEqual([a.id, b.id]);
+    expect(clipboard.connections).toHaveLength(1);
+    expect(copyDevices(state, [])).toBeNull();
+  });
+
+  it('pastes devices with fresh ids and names and reconnects them', () => {
+    const zone = createZoneData(state, 'idf', 0, 0);
+    zone.width = 800;
+    zone.height = 600;
+    const sw = createDeviceData(state, 'switch', 0, 0);
+    sw.ip = '10.0.0.2';
+    sw.mac = 'aa:bb:cc:dd:ee:ff';
+    const pc = createDeviceData(state, 'desktop', 0, 200);
+    const conn = addConnection(state, sw.id, 'bottom', pc.id, 'top', { fromPort: '5' });
+    conn.waypoints = [{ x: 60, y: 150 }];
+    const clipboard = copyDevices(state, [sw.id, pc.id]);
+    const steps = undoSteps();
+
+    const ids = pasteDevices(state, clipboard, { dx: 300, dy: 0 });
+    expect(ids).toHaveLength(2);
+    expect(new Set(state.devices.map((d) => d.id)).size).toBe(4);
+    const [sw2, pc2] = ids.map((id) => state.devices.find((d) => d.id === id));
+    expect(sw2).toMatchObject({ name: 'Switch 2', x: 300, y: 0, ip: '', mac: '', type: 'switch', zoneId: zone.id });
+    expect(pc2.name).toBe('Desktop 3');
+    const copy = state.connections.find((c) => c.from === sw2.id);
+    expect(copy).toMatchObject({ to: pc2.id, fromPort: '5', waypoints: [{ x: 360, y: 150 }] });
+    expect(copy.id).not.toBe(conn.id);
+    expect(undoSteps()).toBe(steps + 1);
+    expect(state.counter).toBe(4);
+
+    undo(state);
+    expect(state.devices).toHaveLength(2);
+    expect(state.connections).toHaveLength(1);
+    expect(state.counter).toBe(2);
+    expect(canUndo(state)).toBe(true);
+  });
+
+  it('duplicates a batch without id collisions', () => {
+    const source = Array.from({ length: 24 }, (_, i) => createDeviceData(state, 'desktop', i * 140, 0));
+    const ids = duplicateDevices(state, source.map((d) => d.id));
+    expect(new Set(ids).size).toBe(24);
+    expect(new Set(state.devices.map((d) => d.id)).size).toBe(48);
+    expect(new Set(state.devices.map((d) => d.name)).size).toBe(48);
+    expect(pasteDevices(state, null)).toEqual([]);
+  });
+});
@@ -0,0 +1,197 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import {
+  createInitialState,
+  createDeviceData,
+  createZoneData,
+  exportStateToJson,
+} from '../js/network-mapper-logic.js';
+import { createProject, addSite, exportProjectToJson } from '../js/network-project.js';
+import {
+  createMemoryStore,
+  openIndexedDbStore,
+  describePayload,
+  isEmptyPayload,
+  mapTitle,
+  renderThumbnail,
+  autosaveMap,
+  markMapExported,
+  dismissRecovery,
+  listMaps,
+  loadMap,
+  deleteMap,
+  findRecoverable,
+  saveRevision,
+  listRevisions,
+  loadRevision,
+  deleteRevision,
+  describeContents,
+} from '../js/network-storage.js';
+
+function samplePayload(siteName = 'HQ') {
+  const state = createInitialState();
+  const zone = createZoneData(state, 'onprem', 100, 100);
+  const fw = createDeviceData(state, 'firewall', 150, 150);
+  const sw = createDeviceData(state, 'switch', 400, 150);
+  sw.id = 'sw';
+  state.connections.push({ id: 'conn1', from: fw.id, to: sw.id, type: 'wired' });
+  zone.width = 600;
+  return exportStateToJson(state, 'Acme', siteName);
+}
+
+let store;
+
+beforeEach(() => {
+  store = createMemoryStore();
+});
+
+describe('describePayload / mapTitle', () => {
+  it('summarizes single-site and multi-site payloads', () => {
+    expect(describePayload(samplePayload())).toEqual({ clientName: 'Acme', siteName: 'HQ', deviceCount: 2, siteCount: 1 });
+
+    const project = createProject('Acme');
+    addSite(project, 'HQ', samplePayload('HQ'));
+    addSite(project, 'Branch', samplePayload('Branch'));
+    const info = describePayload(exportProjectToJson(project));
+    expect(info).toEqual({ clientName: 'Acme', siteName: 'HQ, Branch', deviceCount: 4, siteCount: 2 });
+    expect(describeContents(info)).toBe('2 sites, 4 devices');
+    expect(mapTitle(info)).toBe('Acme - HQ, Branch');
+    expect(mapTitle({ clientName: '', siteName: '' })).toBe('Untitled map');
+  });
+
+  it('treats a map without devices or zones as empty', () => {
+    expect(isEmptyPayload(exportStateToJson(createInitialState(), '', ''))).toBe(true);
+    expect(isEmptyPayload(samplePayload())).toBe(false);
+  });
+});
+
+describe('renderThumbnail', () => {
+  it('draws zones, connections and devices inside the thumbnail', () => {
+    const svg = renderThumbnail(samplePayload());
+    expect(svg).toMatch(/^<svg [^>]*width="160" height="100"/);
+    expect(svg.match(/<circle /g)).toHaveLength(2);
+    expect(svg.match(/<line /g)).toHaveLength(1);
+    expect(svg).toContain('<rect x=');
+    const coords = [...svg.matchAll(/c[xy]="([\d.-]+)"/g)].map((m) => Number(m[1]));
+    coords.forEach((n) => {
+      expect(n).toBeGreaterThanOrEqual(0);
+      expect(n).toBeLessThanOrEqual(160);
+    });
+  });
+
+  it('renders a blank thumbnail for an empty map', () => {
+    expect(renderThumbnail(exportStateToJson(createInitialState(), '', ''))).not.toContain('<circle');
+  });
+});
+
+describe('library', () => {
+  it('autosaves, lists newest first and keeps createdAt across saves', async () => {
+    await autosaveMap(store, 'a', samplePayload('HQ'), 1000);
+    await autosaveMap(store, 'b', samplePayload('Branch'), 2000);
+    await autosaveMap(store, 'a', samplePayload('HQ 2'), 3000);
+
+    const maps = await listMaps(store);
+    expect(maps.map((m) => m.id)).toEqual(['a', 'b']);
+    expect(maps[0]).toMatchObject({ siteName: 'HQ 2', createdAt: 1000, updatedAt: 3000, unsaved: true, deviceCount: 2 });
+    expect(maps[0].payload).toBeUndefined();
+    expect(maps[0].thumbnail).toContain('<svg');
+    expect((await loadMap(store, 'a')).payload.siteName).toBe('HQ 2');
+  });
+
+  it('stops counting a map as unsaved once exported, until it changes again', async () => {
+    await autosaveMap(store, 'a', samplePayload(), 1000);
+    await markMapExported(store, 'a', 1500);
+    expect((await listMaps(store))[0].unsaved).toBe(false);
+    await autosaveMap(store, 'a', samplePayload(), 2000);
+    expect((await listMaps(store))[0]).toMatchObject({ unsaved: true, exportedAt: 1500 });
+  });
+
+  it('deletes a map together with its revisions', async () => {
+    await autosaveMap(store, 'a', samplePayload(), 1000);
+    await saveRevision(store, 'a', 'Before', samplePayload(), 1100);
+    await saveRevision(store, 'b', 'Other map', samplePayload(), 1200);
+    await deleteMap(store, 'a');
+    expect(await listMaps(store)).toEqual([]);
+    expect(await listRevisions(store, 'a')).toEqual([]);
+    expect(await listRevisions(store, 'b')).toHaveLength(1);
+  });
+});
+
+describe('findRecoverable', () => {
+  it('offers the newest unsaved map that was not dismissed or already open', async () => {
+    await autosaveMap(store, 'old', samplePayload('Old'), 1000);
+    await autosaveMap(store, 'new', samplePayload('New'), 2000);
+    await autosaveMap(store, 'saved', samplePayload('Saved'), 3000);
+    await markMapExported(store, 'saved', 3500);
+
+    expect((await findRecoverable(store)).id).toBe('new');
+    expect((await findRecoverable(store, 'new')).id).toBe('old');
+
+    await dismissRecovery(store, 'new');
+    expect((await findRecoverable(store)).payload.siteName).toBe('Old');
+    await dismissRecovery(store, 'old');
+    expect(await findRecoverable(store)).toBeNull();
+
+    // Editing a dismissed map makes it recoverable again
+    await autosaveMap(store, 'old', samplePayload('Old'), 4000);
+    expect((await findRecoverable(store)).id).toBe('old');
+  });
+});
+
+describe('revisions', () => {
+  it('saves, lists newest first, restores and deletes named revisions', async () => {
+    const first = await saveRevision(store, 'a', '  Before firewall swap ', samplePayload('HQ'), 1000);
+    const second = await saveRevision(store, 'a', '', samplePayload('HQ v2'), 2000);
+
+    const revisions = await listRevisions(store, 'a');
+    expect(revisions.map((r) => r.id)).toEqual([second.id, first.id]);
+    expect(revisions[1].name).toBe('Before firewall swap');
+    expect(revisions[0].name).toMatch(/^Revision of /);
+    expect(revisions[0].payload).toBeUndefined();
+
+    expect((await loadRevision(store, first.id)).payload.siteName).toBe('HQ');
+    await deleteRevision(store, first.id);
+    expect(await listRevisions(store, 'a')).toHaveLength(1);
+    expect(await loadRevision(store, first.id)).toBeNull();
+  });
+});
+
+describe('stores', () => {
+  it('returns copies from the memory store', async () => {
+    await autosaveMap(store, 'a', samplePayload(), 1000);
+    const record = await loadMap(store, 'a');
+    record.payload.devices.length = 0;
+    expect((await loadMap(store, 'a')).payload.devices).toHaveLength(2);
+  });
+
+  it('rejects when IndexedDB is unavailable', async () => {
+    await expect(openIndexedDbStore(undefined)).rejects.toThrow('IndexedDB is not available');
+  });
+
+  it('rejects writes whose transaction is aborted', async () => {
+    // Just enough of IndexedDB for one transaction that aborts, as a full disk does
+    const abortingIdb = (error) => ({
+      open: () => {
+        const request = {
+          result: {
+            objectStoreNames: { contains: () => true },
+            transaction: () => {
+              const tx = { error: null, objectStore: () => ({ put: () => ({}) }) };
+              setTimeout(() => {
+                tx.error = error;
+                tx.onabort();
+              });
+              return tx;
+            },
+          },
+        };
+        setTimeout(() => request.onsuccess());
+        return request;
+      },
+    });
+    const quota = new Error('QuotaExceededError');
+    const full = await openIndexedDbStore(abortingIdb(quota));
+    await expect(full.put('maps', { id: 'a' })).rejects.toBe(quota);
+    const aborted = await openIndexedDbStore(abortingIdb(null));
+    await expect(aborted.put('maps', { id: 'a' })).rejects.toThrow('aborted');
+  });
+});
@@ -0,0 +1,161 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import {
+  createInitialState,
+  createDeviceData,
+  addConnection,
+  addSSID,
+  updateSwitchPort,
+  toggleAPSSID,
+  setAPRadioEnabled,
+  updateAPRadio,
+  associateClient,
+} from '../js/network-mapper-logic.js';
+import {
+  channelSpan,
+  radioConflict,
+  formatRadio,
+  findUpstreamSwitch,
+  weakSecurity,
+  checkWireless,
+  buildWirelessReport,
+} from '../js/network-wireless.js';
+
+let state, sw, ap1, ap2;
+
+function addAP(name, x, y, radios) {
+  const ap = createDeviceData(state, 'ap', x, y);
+  ap.name = name;
+  Object.entries(radios).forEach(([band, [channel, width]]) => {
+    setAPRadioEnabled(state, ap, band, true);
+    updateAPRadio(state, ap, band, 'width', width);
+    updateAPRadio(state, ap, band, 'channel', channel);
+  });
+  return ap;
+}
+
+beforeEach(() => {
+  state = createInitialState();
+  sw = createDeviceData(state, 'switch', 0, 0);
+  sw.name = 'Core';
+  ap1 = addAP('AP Lobby', 0, 300, { '2.4': [6, 20], 5: [36, 80] });
+  ap2 = addAP('AP Office', 200, 300, { '2.4': [6, 20], 5: [48, 20] });
+  addConnection(state, sw.id, 'bottom', ap1.id, 'top', { fromPort: '5' });
+  updateSwitchPort(state, sw, 5, 'accessVlan', 10);
+  updateSwitchPort(state, sw, 5, 'taggedVlans', [20]);
+  addSSID(state, 'Corp', 'WPA3-Enterprise', '20');
+  addSSID(state, 'Guest', 'Open', '30');
+  addSSID(state, 'Legacy', 'WEP', '');
+  ['Corp', 'Guest'].forEach((name) => toggleAPSSID(ap1, name, state));
+});
+
+describe('channels', () => {
+  it('works out the frequencies a radio occupies', () => {
+    expect(channelSpan('2.4', 1, 20)).toEqual({ low: 2402, high: 2422 });
+    expect(channelSpan('2.4', 11, 40)).toEqual({ low: 2432, high: 2472 });
+    expect(channelSpan('5', 44, 80)).toEqual({ low: 5170, high: 5250 });
+    expect(channelSpan('5', 157, 40)).toEqual({ low: 5775, high: 5815 });
+    expect(channelSpan('6', 37, 80)).toEqual({ low: 6105, high: 6185 });
+  });
+
+  it('tells co-channel from partly overlapping radios', () => {
+    const radio = (band, channel, width = 20) => ({ band, channel, width });
+    expect(radioConflict(radio('2.4', 1), radio('2.4', 6))).toBeNull();
+    expect(radioConflict(radio('2.4', 1), radio('2.4', 3))).toBe('overlap');
+    expect(radioConflict(radio('2.4', 6), radio('2.4', 6))).toBe('co-channel');
+    expect(radioConflict(radio('5', 36, 80), radio('5', 40, 80))).toBe('co-channel');
+    expect(radioConflict(radio('5', 36, 80), radio('5', 48))).toBe('overlap');
+    expect(radioConflict(radio('5', 36), radio('6', 36))).toBeNull();
+  });
+
+  it('formats radio settings', () => {
+    expect(formatRadio({ band: '5', channel: 36, width: 40, txPower: null })).toBe('ch 36, 40 MHz, auto');
+    expect(formatRadio({ band: '5', channel: 36, width: 40, txPower: 17 })).toBe('ch 36, 40 MHz, 17 dBm');
+    expect(formatRadio(undefined)).toBe('Off');
+  });
+});
+
+describe('findUpstreamSwitch', () => {
+  it('finds the switch port, also through an injector', () => {
+    expect(findUpstreamSwitch(state, ap1)).toEqual({ device: sw, port: '5' });
+    const injector = createDeviceData(state, 'otherendpoint', 200, 150);
+    addConnection(state, sw.id, 'bottom', injector.id, 'top', { fromPort: '7' });
+    addConnection(state, injector.id, 'bottom', ap2.id, 'top');
+    expect(findUpstreamSwitch(state, ap2)).toEqual({ device: sw, port: '7' });
+  });
+
+  it('does not look past a router', () => {
+    const router = createDeviceData(state, 'router', 400, 0);
+    addConnection(state, router.id, 'left', sw.id, 'right');
+    const ap = createDeviceData(state, 'ap', 600, 300);
+    addConnection(state, router.id, 'bottom', ap.id, 'top');
+    expect(findUpstreamSwitch(state, ap)).toBeNull();
+  });
+});
+
+describe('checkWireless', () => {
+  const rules = () => checkWireless(state).map((f) => f.rule);
+
+  it('flags nearby APs sharing or overlapping channels', () => {
+    const findings = checkWireless(state).filter((f) => f.rule.startsWith('wifi-'));
+    expect(findings.map((f) => f.rule)).toEqual(['wifi-co-channel', 'wifi-channel-overlap']);
+    expect(findings[0].message).toBe('AP Lobby and AP Office are near each other on the same 2.4 GHz channel (6 and 6)');
+    expect(findings[0].ids).toEqual([ap1.id, ap2.id]);
+
+    ap2.x = 1000;
+    expect(rules().filter((r) => r.startsWith('wifi-'))).toEqual([]);
+    expect(checkWireless(state, { neighborDistance: 1200 }).filter((f) => f.rule === 'wifi-co-channel')).toHaveLength(1);
+  });
+
+  it('flags SSID VLANs the upstream port does not carry', () => {
+    const finding = checkWireless(state).find((f) => f.rule === 'ap-ssid-vlan-not-carried');
+    expect(finding.message).toBe('AP Lobby broadcasts "Guest" on VLAN 30, which Core port 5 does not carry');
+    expect(finding.ids).toEqual([ap1.id, sw.id]);
+
+    // Without a port map the switch VLAN list counts
+    sw.portMap = [];
+    sw.assignedVlans = [10, 20, 30];
+    expect(rules()).not.toContain('ap-ssid-vlan-not-carried');
+    sw.assignedVlans = [];
+    expect(rules()).not.toContain('ap-ssid-vlan-not-carried');
+  });
+
+  it('flags open and WEP SSIDs', () => {
+    expect(weakSecurity('Open')).toBe('open');
+    expect(weakSecurity('WEP-128')).toBe('wep');
+    expect(weakSecurity('WPA2-Personal')).toBeNull();
+    const findings = checkWireless(state);
+    expect(findings[0]).toMatchObject({ severity: 'error', rule: 'ssid-wep', ids: ['Legacy'] });
+    expect(rules()).toContain('ssid-open');
+  });
+
+  it('flags clients on SSIDs their AP does not broadcast', () => {
+    const laptop = createDeviceData(state, 'laptop', 0, 500);
+    laptop.name = 'Laptop 1';
+    associateClient(state, laptop, ap1.id, 'Legacy');
+    const phone = createDeviceData(state, 'cellphone', 100, 500);
+    phone.name = 'Cell Phone 1';
+    phone.association = { apId: 'gone', ssid: '' };
+    expect(checkWireless(state).filter((f) => f.rule.startsWith('client-')).map((f) => f.message)).toEqual([
+      'Laptop 1 joins "Legacy" on AP Lobby, which does not broadcast it',
+      'Cell Phone 1 is associated with an access point that does not exist',
+    ]);
+  });
+});
+
+describe('buildWirelessReport', () => {
+  it('lists SSIDs, APs with radios, clients and findings', () => {
+    const laptop = createDeviceData(state, 'laptop', 0, 500);
+    Object.assign(laptop, { name: 'Laptop 1', ip: '192.168.20.50' });
+    associateClient(state, laptop, ap1.id, 'Corp');
+    const report = buildWirelessReport(state, { clientName: 'Acme', siteName: 'HQ', date: '2026-10-19' });
+    const section = (id) => report.sections.find((s) => s.id === id);
+
+    expect(report.title).toBe('SSID & Access Point Report');
+    expect(report.summary.map(([, value]) => value)).toEqual(['2 access points', '3 SSIDs', '1 wireless client', '5 issues']);
+    expect(section('ssids').rows[0]).toEqual(['Corp', 'WPA3-Enterprise', '20 - Servers', 'AP Lobby', '1']);
+    expect(section('aps').columns).toEqual(['Access Point', 'Upstream Switch', 'SSIDs', '2.4 GHz', '5 GHz', '6 GHz', 'Clients']);
+    expect(section('aps').rows[0]).toEqual(['AP Lobby', 'Core port 5', 'Corp, Guest', 'ch 6, 20 MHz, auto', 'ch 36, 80 MHz, auto', 'Off', '1']);
+    expect(section('clients').rows).toEqual([['Laptop 1', 'Laptop', '192.168.20.50', 'AP Lobby', 'Corp', '20 - Servers']]);
+    expect(section('checks').rows[0]).toEqual(['Error', 'SSID "Legacy" uses WEP, which can be cracked in minutes']);
+  });
+});